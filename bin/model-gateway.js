@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * 智能模型网关命令行入口
+ */
+
+// 命令行输出以结果为主，未指定日志级别时只输出警告和错误
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { main } = require('../src/cli');
+
+// 监控服务的定时任务会阻止进程退出，命令完成后主动退出
+main(process.argv.slice(2)).then((code) => process.exit(code));
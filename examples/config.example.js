@@ -21,14 +21,149 @@ module.exports = {
   routingStrategy: {
     lowComplexityThreshold: 0.3, // 低复杂度阈值
     highComplexityThreshold: 0.7, // 高复杂度阈值
+    // 提供商评分权重，可被路由规则的 weights 覆盖
+    loadWeight: 0.4, // 负载均衡权重
     costEfficiencyWeight: 0.3, // 成本效率权重
-    performanceWeight: 0.4, // 性能权重
-    reliabilityWeight: 0.3, // 可靠性权重
+    performanceWeight: 0.3, // 性能权重（成功率与响应速度）
+    reliabilityWeight: 0, // 可靠性权重（成功率）
+    qualityWeight: 0, // 质量权重（SubmitFeedback 提交的评分）
     defaultTimeout: 10000, // 默认超时时间（毫秒）
     retryCount: 1, // 重试次数
     retryDelay: 1000 // 重试延迟（毫秒）
   },
   
+  // 路由规则，按顺序匹配，第一条匹配的规则生效（见 docs/API.md 5.2 节）
+  routingRules: [
+    {
+      name: 'acme-code',
+      match: { tenant: 'acme', capability: ['code_generation'] },
+      action: { pin: 'openai', model: 'gpt-4' }
+    },
+    {
+      name: 'night-batch',
+      match: {
+        metadata: { priority: ['low', 'batch'] },
+        timeOfDay: { start: '22:00', end: '06:00', timezone: 'Asia/Shanghai' }
+      },
+      action: { weights: { costEfficiency: 1, load: 0.2 } }
+    }
+  ],
+  
+  // A/B 实验，请求参与第一个匹配的运行中实验（见 docs/API.md 5.6 节）
+  experiments: [
+    {
+      name: 'gpt4o-canary',
+      status: 'stopped', // 通过 POST /admin/experiments/gpt4o-canary/start 开始
+      match: { complexity: { min: 0.7 } },
+      assignBy: ['user_id', 'tenant'], // 按第一个有值的元数据分配，同一用户始终在同一组
+      arms: [
+        { name: 'gpt4o', provider: 'openai', model: 'gpt-4o', percentage: 5 } // 其余 95% 为对照组
+      ]
+    }
+  ],
+  
+  // 批量请求配置
+  batch: {
+    maxItems: 1000, // 单个批次的最大请求数
+    defaultConcurrency: 8, // 默认并发数
+    maxConcurrency: 32 // 最大并发数
+  },
+  
+  // 取消和截止时间配置
+  cancellation: {
+    minRemainingMs: 1000 // 距离截止时间不足该值（毫秒）时不再重试或尝试备用模型
+  },
+  
+  // 上下文窗口配置
+  contextWindow: {
+    overflowPolicy: 'reject', // 没有模型容纳得下提示和 max_tokens 时：reject、escalate、truncate 或 summarize
+    summaryProvider: '', // summarize 使用的摘要模型提供商，为空时使用所选的提供商
+    summaryModel: '', // 摘要模型，为空时使用所选的模型
+    summaryMaxTokens: 256 // 摘要的最大长度
+  },
+  
+  // 级联路由配置
+  cascade: {
+    enabled: false, // 是否默认使用级联路由，请求元数据 routingMode 可覆盖（cascade 或 direct）
+    tiers: ['local', 'hybrid', 'remote'], // 按成本从低到高依次尝试的模型类型
+    checks: ['refusal', 'length', 'json'], // 回答检查，可选 selfConsistency 和 judge
+    minTokens: 5, // length 检查要求的最少 token 数
+    consistencyThreshold: 0.5, // selfConsistency 检查要求的两次回答重合度
+    judge: {
+      provider: 'openai', // judge 检查使用的评审模型
+      model: 'gpt-3.5-turbo',
+      minScore: 0.7 // 评分（0-10）折算后的最低分
+    }
+  },
+  
+  // 质量反馈配置
+  feedback: {
+    retentionMs: 86400000, // 路由决策的保留时间，超过后无法再提交反馈
+    maxDecisions: 100000, // 最多保留的路由决策条数
+    minSamples: 5 // 反馈少于该条数时质量因子取中性值 0.5
+  },
+  
+  // 老虎机提供商选择配置，学习到的状态可通过 GET/DELETE /admin/bandit 查看和重置
+  bandit: {
+    enabled: false, // 启用后按复杂度区间学习提供商的表现，代替按评分选择
+    explorationRate: 0.5, // UCB 探索系数，越大越倾向于尝试观测较少的提供商
+    halfLifeMs: 3600000, // 观测权重的半衰期（毫秒）
+    latencyWeight: 0.3, // 奖励中响应时间部分的权重
+    targetLatencyMs: 2000,
+    feedbackWeight: 2 // 一次质量反馈相当于多少次调用结果
+  },
+  
+  // 对冲请求配置，请求元数据 hedge 为 true 时启用
+  hedging: {
+    percentile: 95, // 主模型超过该响应时间百分位仍未响应时发送对冲请求
+    minSamples: 20, // 响应时间样本少于该值时使用 defaultDelayMs
+    defaultDelayMs: 1000,
+    minDelayMs: 50,
+    maxExtraCost: 0.01 // 每个请求对冲调用的估算成本上限（美元）
+  },
+  
+  // 影子流量配置，按采样比例把请求异步发送到影子提供商并比较输出
+  shadow: {
+    enabled: false,
+    provider: 'openai', // 影子提供商
+    model: 'gpt-4o', // 为空时使用提供商的默认模型
+    sampleRate: 0.05, // 采样比例
+    maxConcurrent: 4, // 同时进行的影子调用上限
+    budget: 1, // 每个预算周期内影子调用的总成本上限（美元）
+    budgetWindowMs: 86400000, // 预算周期
+    maxRecords: 1000, // 内存中保留的对比记录条数
+    outputFile: './data/shadow.jsonl' // 追加写入对比记录，供离线比较
+  },
+  
+  // 熔断器配置，按提供商和模型统计调用结果，错误率过高或连续超时时暂停向其路由
+  circuitBreaker: {
+    enabled: true,
+    windowMs: 60000, // 计算错误率的时间窗口
+    minRequests: 10, // 时间窗口内少于该调用次数时不按错误率打开
+    errorRateThreshold: 0.5, // 错误率达到该值时打开
+    consecutiveTimeouts: 3, // 连续超时达到该次数时打开
+    openDurationMs: 30000, // 打开后经过该时间进入半开状态
+    halfOpenMaxProbes: 1 // 半开状态下同时放行的探测调用数
+  },
+  
+  // 健康探测配置，后台定期探测各提供商并标记为 online、degraded 或 offline
+  healthProbe: {
+    enabled: true,
+    intervalMs: 30000, // 探测间隔
+    timeoutMs: 5000, // 超过该时间未完成的探测计为失败
+    degradedLatencyMs: 2000, // 探测延迟超过该值时为 degraded
+    failureThreshold: 2, // 连续失败达到该次数时为 offline
+    prompt: 'ping', // 没有健康检查端点时发送的固定提示
+    maxTokens: 1
+  },
+  
+  // 异步任务配置
+  jobs: {
+    dataDir: './data/jobs', // 任务持久化目录，每个任务一个 JSON 文件
+    concurrency: 4, // 同时执行的任务数
+    maxFinishedJobs: 1000 // 保留的已结束任务数，超出时删除最早结束的任务
+  },
+  
   // 模型提供商配置
   modelProviders: {
     // OpenAI 配置
@@ -46,12 +181,27 @@ module.exports = {
       retryCount: 2,
       retryDelay: 1000,
       costEfficiency: 0.6,
-      capabilities: [
+      // 健康探测参数，覆盖 healthProbe 中的配置；enabled: false 时不探测
+      healthCheck: {
+        intervalMs: 60000,
+        model: 'gpt-3.5-turbo', // 用较便宜的模型回答固定提示
+        prompt: 'Reply with OK'
+      },
+      supportedCapabilities: [
         'text_generation',
         'code_generation',
         'reasoning',
         'summarization'
-      ]
+      ],
+      // 个别模型额外具备的能力，请求的 required_capabilities 会按模型匹配
+      modelCapabilities: {
+        'gpt-4': ['json_mode']
+      },
+      // 上下文窗口（tokens），常见模型有内置值，contextWindow 用于其他模型
+      modelContextWindows: {
+        'gpt-4': 8192,
+        'gpt-3.5-turbo': 16385
+      }
     },
     
     // Anthropic 配置
@@ -69,7 +219,7 @@ module.exports = {
       retryCount: 1,
       retryDelay: 1000,
       costEfficiency: 0.7,
-      capabilities: [
+      supportedCapabilities: [
         'text_generation',
         'reasoning',
         'summarization',
@@ -84,13 +234,19 @@ module.exports = {
       defaultModel: 'llama-7b',
       supportedModels: ['llama-7b', 'bert-base'],
       supportedModelTypes: ['local'],
+      contextWindow: 4096, // 上下文窗口（tokens）
       maxConcurrentQueries: 10,
       baseCostPerQuery: 0.001,
       maxCostPerQuery: 0.01,
       timeout: 5000,
       retryCount: 0,
       costEfficiency: 0.9,
-      capabilities: [
+      // 本地服务提供健康检查端点时直接请求该端点
+      healthCheck: {
+        intervalMs: 10000,
+        endpoint: '/health'
+      },
+      supportedCapabilities: [
         'text_generation',
         'classification',
         'embedding'
@@ -110,7 +266,7 @@ module.exports = {
       timeout: 2000,
       retryCount: 0,
       costEfficiency: 0.95,
-      capabilities: [
+      supportedCapabilities: [
         'classification',
         'embedding',
         'token_classification'
@@ -120,33 +276,32 @@ module.exports = {
   
   // 复杂度评估配置
   complexityEvaluation: {
-    enableMachineLearning: true, // 启用机器学习模型
-    modelPath: './models/complexity-model',
-    features: [
-      'length',
-      'vocabulary_diversity',
-      'grammar_complexity',
-      'domain_knowledge',
-      'multi_part_question'
-    ],
+    evaluator: 'heuristic', // 默认评估方式：heuristic（特征评分）或 model（分类模型），请求元数据 complexityEvaluator 可覆盖
+    // 参与评估的特征，EvaluateComplexity 请求可以通过 features 字段另行指定
+    features: ['vocabulary', 'grammar', 'abstraction', 'domain', 'context'],
+    // 特征权重，综合复杂度为参与评估的特征分数的加权平均
     weights: {
-      length: 0.2,
-      vocabulary_diversity: 0.2,
-      grammar_complexity: 0.2,
-      domain_knowledge: 0.3,
-      multi_part_question: 0.1
+      vocabulary: 0.3,
+      grammar: 0.2,
+      abstraction: 0.2,
+      domain: 0.2,
+      context: 0.1 // 仅在多轮对话中参与评估
     },
-    thresholds: {
-      length: {
-        short: 50,
-        medium: 200,
-        long: 500
+    // 分类模型评估，模型不可用或超时时回退到特征评分
+    model: {
+      provider: 'local-bert',
+      model: 'default',
+      timeoutMs: 300, // 分类超时时间（毫秒）
+      // 分类标签及其对应的复杂度，综合复杂度为按标签置信度加权的平均值
+      labelScores: {
+        simple: 0.1,
+        moderate: 0.5,
+        hard: 0.9,
+        code: 0.7,
+        math: 0.8,
+        creative: 0.4
       },
-      vocabulary_diversity: {
-        low: 0.3,
-        medium: 0.5,
-        high: 0.7
-      }
+      minConfidence: 0.5 // 置信度达到该值的标签作为复杂度因素返回
     }
   },
   
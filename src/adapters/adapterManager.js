@@ -139,6 +139,36 @@ class ModelAdapterManager {
       throw error;
     }
   }
+
+  /**
+   * 以流式方式调用指定提供商的模型
+   * @param {string} providerName - 提供商名称
+   * @param {string} modelName - 模型名称
+   * @param {Object} query - 查询对象
+   * @param {Object} options - 调用选项
+   * @param {Function} onChunk - 增量文本回调
+   * @returns {Promise<Object>} 完整的模型响应
+   */
+  async streamModel(providerName, modelName, query, options = {}, onChunk) {
+    const adapter = this.getAdapter(providerName);
+    
+    if (!adapter.isAvailable()) {
+      throw Errors.modelUnavailable(`提供商 ${providerName} 当前不可用`);
+    }
+    
+    logger.debug(`流式调用 ${providerName} 的 ${modelName} 模型`, {
+      queryLength: query.text ? query.text.length : 0
+    });
+    
+    try {
+      return await adapter.streamModel(modelName, query, options, onChunk);
+    } catch (error) {
+      logger.error(`流式调用 ${providerName} 的 ${modelName} 模型失败`, {
+        error: error.message
+      });
+      throw error;
+    }
+  }
 }
 
 // 创建单例实例
@@ -4,6 +4,9 @@
  */
 const { RemoteModelAdapter } = require('./remoteAdapter');
 const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { estimateTokens } = require('../utils/text');
+const { parseEventData } = require('../utils/sse');
 
 class AnthropicAdapter extends RemoteModelAdapter {
   /**
@@ -16,6 +19,7 @@ class AnthropicAdapter extends RemoteModelAdapter {
     
     // Anthropic 特定配置
     this.defaultModel = config.defaultModel || 'claude-2';
+    this.maxOutputTokens = config.maxOutputTokens || 4096;
     this.modelPricing = config.modelPricing || {
       'claude-2': {
         inputPrice: 0.008,  // 每1000个输入token的价格
@@ -62,103 +66,173 @@ class AnthropicAdapter extends RemoteModelAdapter {
     // 使用指定的模型或默认模型
     const model = this.modelPricing[modelName] ? modelName : this.defaultModel;
     
-    // 构建提示
-    let prompt = '';
-    
-    // 添加系统提示（如果有）
-    if (options.systemMessage) {
-      prompt = `\n\nHuman: ${options.systemMessage}\n\nAssistant: I'll follow these instructions.\n\n`;
+    this._rejectUnsupportedOptions(options, ['seed', 'presencePenalty', 'frequencyPenalty']);
+    if (options.responseFormat === 'json_object') {
+      throw Errors.invalidRequest(`${this.providerName} 不支持 json_object 输出格式`);
     }
     
-    // 添加上下文（如果有）
-    if (query.context && Array.isArray(query.context)) {
-      for (const message of query.context) {
-        if (message.role === 'user' || message.role === 'human') {
-          prompt += `Human: ${message.content}\n\n`;
-        } else if (message.role === 'assistant' || message.role === 'ai') {
-          prompt += `Assistant: ${message.content}\n\n`;
-        }
-      }
-    }
+    // Anthropic 的 temperature 取值范围为 0-1
+    const maxTokens = this._clampOption(options.maxTokens ?? 1000, 1, this.maxOutputTokens);
+    const temperature = this._clampOption(options.temperature ?? 0.7, 0, 1);
     
-    // 添加当前查询
-    prompt += `Human: ${query.text}\n\nAssistant:`;
+    // 对话上下文加上当前查询
+    const turns = this._toAnthropicTurns([
+      ...(Array.isArray(query.context) ? query.context : []),
+      { role: 'user', content: query.text }
+    ]);
     
     // 检查是否使用新的 Claude 3 API
     const isClaude3 = model.includes('claude-3');
     
     if (isClaude3) {
-      // Claude 3 使用消息格式
-      const messages = [];
+      // Claude 3 使用消息格式，系统提示通过独立的 system 参数传递
+      const requestData = {
+        model,
+        messages: turns,
+        max_tokens: maxTokens,
+        temperature,
+        top_p: options.topP ?? 1,
+        stream: Boolean(options.stream),
+        stop_sequences: options.stopSequences || []
+      };
       
-      // 添加系统消息（如果有）
       if (options.systemMessage) {
-        messages.push({
-          role: 'system',
-          content: options.systemMessage
-        });
+        requestData.system = options.systemMessage;
       }
       
-      // 添加上下文消息（如果有）
-      if (query.context && Array.isArray(query.context)) {
-        for (const message of query.context) {
-          const role = message.role === 'user' || message.role === 'human' ? 'user' : 
-                      (message.role === 'assistant' || message.role === 'ai' ? 'assistant' : message.role);
-          
-          messages.push({
-            role,
-            content: message.content
-          });
-        }
+      return requestData;
+    } else {
+      // 旧版 Claude API，系统提示放在第一个 Human 轮次之前
+      let prompt = options.systemMessage || '';
+      for (const turn of turns) {
+        prompt += `\n\n${turn.role === 'user' ? 'Human' : 'Assistant'}: ${turn.content}`;
       }
-      
-      // 添加用户消息
-      messages.push({
-        role: 'user',
-        content: query.text
-      });
+      prompt += '\n\nAssistant:';
       
-      return {
-        model,
-        messages,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 1,
-        stream: false,
-        stop_sequences: options.stopSequences || []
-      };
-    } else {
-      // 旧版 Claude API
       return {
         model,
         prompt,
-        max_tokens_to_sample: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 1,
-        stream: false,
+        max_tokens_to_sample: maxTokens,
+        temperature,
+        top_p: options.topP ?? 1,
+        stream: Boolean(options.stream),
         stop_sequences: options.stopSequences || ["\n\nHuman:"]
       };
     }
   }
   
+  /**
+   * 转换对话消息为 Anthropic 的轮次格式
+   * Anthropic 要求 user 和 assistant 交替出现，相邻的同角色消息会被合并
+   * @private
+   * @param {Array<Object>} messages - 对话消息
+   * @returns {Array<Object>} 轮次列表
+   */
+  _toAnthropicTurns(messages) {
+    const turns = [];
+    
+    for (const message of messages) {
+      const role = message.role === 'assistant' || message.role === 'ai' ? 'assistant' : 'user';
+      const content = message.name ? `${message.name}: ${message.content}` : message.content;
+      const lastTurn = turns[turns.length - 1];
+      
+      if (lastTurn && lastTurn.role === role) {
+        lastTurn.content += `\n\n${content}`;
+      } else {
+        turns.push({ role, content });
+      }
+    }
+    
+    return turns;
+  }
+  
   /**
    * 发送请求到 Anthropic API
    * @protected
    * @override
    * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
    * @returns {Promise<Object>} 响应数据
    */
-  async _makeRequest(requestData) {
+  async _makeRequest(requestData, requestConfig = {}) {
     try {
       // 根据请求类型选择不同的端点
       const endpoint = requestData.messages ? '/v1/messages' : '/v1/complete';
-      const response = await this.client.post(endpoint, requestData);
+      const response = await this.client.post(endpoint, requestData, requestConfig);
       return response.data;
     } catch (error) {
       this._handleRequestError(error);
     }
   }
   
+  /**
+   * 发送流式请求到 Anthropic API
+   * @protected
+   * @override
+   * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
+   * @returns {Promise<stream.Readable>} 响应数据流
+   */
+  async _makeStreamRequest(requestData, requestConfig = {}) {
+    try {
+      const endpoint = requestData.messages ? '/v1/messages' : '/v1/complete';
+      const response = await this.client.post(endpoint, requestData, {
+        ...requestConfig,
+        responseType: 'stream'
+      });
+      return response.data;
+    } catch (error) {
+      this._handleRequestError(error);
+    }
+  }
+  
+  /**
+   * 处理 Anthropic 流式响应事件
+   * @protected
+   * @override
+   * @param {Object} event - SSE 事件
+   * @param {Object} state - 流式响应累积状态
+   * @returns {string|null} 增量文本
+   */
+  _processStreamEvent(event, state) {
+    if (!event.data) {
+      return null;
+    }
+    
+    const payload = parseEventData(event);
+    if (!payload) {
+      return null;
+    }
+    const usage = state.usage || { input: 0, output: 0, total: 0 };
+    
+    switch (payload.type || event.event) {
+      case 'message_start':
+        // Claude 3 消息格式：开始事件携带输入token数
+        state.model = payload.message.model;
+        usage.input = payload.message.usage?.input_tokens || 0;
+        usage.total = usage.input + usage.output;
+        state.usage = usage;
+        return null;
+      case 'content_block_delta':
+        return payload.delta?.text || null;
+      case 'message_delta':
+        state.finishReason = payload.delta?.stop_reason || state.finishReason;
+        usage.output = payload.usage?.output_tokens || usage.output;
+        usage.total = usage.input + usage.output;
+        state.usage = usage;
+        return null;
+      case 'completion':
+        // 旧版 Claude 完成格式
+        state.model = payload.model || state.model;
+        state.finishReason = payload.stop_reason || state.finishReason;
+        return payload.completion || null;
+      case 'error':
+        throw new Error(`Anthropic 流式响应错误: ${payload.error?.message || event.data}`);
+      default:
+        return null;
+    }
+  }
+  
   /**
    * 处理 Anthropic 响应
    * @protected
@@ -195,8 +269,8 @@ class AnthropicAdapter extends RemoteModelAdapter {
       text = response.completion;
       
       // 估算使用量（旧版API不提供精确使用量）
-      const inputTokens = Math.ceil((query.text || '').length / 4);
-      const outputTokens = Math.ceil(text.length / 4);
+      const inputTokens = estimateTokens(query.text);
+      const outputTokens = estimateTokens(text);
       
       usage = {
         input: inputTokens,
@@ -212,7 +286,7 @@ class AnthropicAdapter extends RemoteModelAdapter {
       text,
       model: response.model,
       usage,
-      stopReason: response.stop_reason || response.stop_sequence
+      finishReason: response.stop_reason || response.stop_sequence
     };
   }
   
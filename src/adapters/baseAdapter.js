@@ -4,6 +4,8 @@
  */
 const { Errors } = require('../utils/errors');
 const { logger } = require('../utils/logger');
+const { hasTimeRemaining, getRequestTimeout } = require('../utils/cancellation');
+const { estimateTokens } = require('../utils/text');
 
 /**
  * 基础模型适配器类
@@ -40,6 +42,68 @@ class BaseModelAdapter {
     throw new Error('子类必须实现 callModel 方法');
   }
   
+  /**
+   * 以流式方式调用模型
+   * 默认实现退化为一次性调用，并将完整响应作为单个片段输出
+   * @param {string} modelName - 模型名称
+   * @param {Object} query - 查询对象
+   * @param {Object} options - 调用选项
+   * @param {Function} onChunk - 增量文本回调
+   * @returns {Promise<Object>} 完整的模型响应
+   */
+  async streamModel(modelName, query, options = {}, onChunk) {
+    const response = await this.callModel(modelName, query, options);
+    if (response.text) {
+      onChunk(response.text);
+    }
+    return response;
+  }
+  
+  /**
+   * 计算文本的嵌入向量
+   * 只有具备 embedding 能力的适配器需要实现
+   * @param {string} modelName - 模型名称
+   * @param {Array<string>} inputs - 输入文本，数量不超过 getEmbeddingBatchSize()
+   * @param {Object} options - 调用选项
+   * @returns {Promise<Object>} 嵌入向量、模型名称、token使用量和成本
+   */
+  async createEmbeddings(modelName, inputs, options = {}) {
+    throw Errors.modelUnavailable(`${this.providerName} 不支持嵌入向量`);
+  }
+  
+  /**
+   * 对文本进行分类
+   * 只有具备 classification 能力的适配器需要实现
+   * @param {string} modelName - 模型名称
+   * @param {string} text - 待分类文本
+   * @param {Array<string>} labels - 候选标签，为空时使用模型自身的标签
+   * @param {Object} [options] - 调用选项，如取消信号和截止时间
+   * @returns {Promise<Object>} 标签及分数、模型名称、token使用量和成本
+   */
+  async classify(modelName, text, labels = [], options = {}) {
+    throw Errors.modelUnavailable(`${this.providerName} 不支持文本分类`);
+  }
+  
+  /**
+   * 识别文本中的命名实体
+   * 只有具备 ner 能力的适配器需要实现
+   * @param {string} modelName - 模型名称
+   * @param {string} text - 待识别文本
+   * @param {Array<string>} entityTypes - 需要识别的实体类型，为空时识别所有类型
+   * @returns {Promise<Object>} 实体列表、模型名称、token使用量和成本
+   */
+  async extractEntities(modelName, text, entityTypes = []) {
+    throw Errors.modelUnavailable(`${this.providerName} 不支持实体识别`);
+  }
+  
+  /**
+   * 获取单次嵌入请求允许的最大输入数量
+   * @returns {number} 最大输入数量
+   */
+  getEmbeddingBatchSize() {
+    return this.config.maxEmbeddingBatchSize || 1;
+  }
+  
   /**
    * 检查适配器是否可用
    * @returns {boolean} 是否可用
@@ -49,6 +113,27 @@ class BaseModelAdapter {
            this.config.status !== 'offline';
   }
   
+  /**
+   * 检查提供商是否健康，供后台健康探测使用
+   * 配置了健康检查端点时请求该端点，否则向模型发送一条固定的提示。
+   * 不检查配置的 status，离线的提供商恢复后可以被重新发现
+   * @param {Object} probe - 探测配置 { endpoint, prompt, model, maxTokens }
+   * @param {Object} [options] - 调用选项，如取消信号和截止时间
+   * @returns {Promise<void>} 提供商不健康时被拒绝
+   */
+  async checkHealth(probe, options = {}) {
+    if (probe.endpoint) {
+      await this.client.get(probe.endpoint, this._getRequestConfig(options));
+      return;
+    }
+
+    await this.callModel(
+      probe.model || this.config.defaultModel,
+      { text: probe.prompt, context: [] },
+      { ...options, maxTokens: probe.maxTokens }
+    );
+  }
+
   /**
    * 获取适配器支持的能力
    * @returns {Array<string>} 支持的能力列表
@@ -102,6 +187,81 @@ class BaseModelAdapter {
     }
   }
   
+  /**
+   * 拒绝提供商不支持的生成参数
+   * @protected
+   * @param {Object} options - 调用选项
+   * @param {string[]} unsupportedOptions - 不支持的参数名称
+   * @throws {GatewayError} 如果请求设置了不支持的参数
+   */
+  _rejectUnsupportedOptions(options, unsupportedOptions) {
+    const rejected = unsupportedOptions.filter(name => options[name] !== undefined && options[name] !== null);
+    if (rejected.length > 0) {
+      throw Errors.invalidRequest(`${this.providerName} 不支持生成参数: ${rejected.join(', ')}`);
+    }
+  }
+  
+  /**
+   * 将生成参数限制在提供商支持的范围内
+   * @protected
+   * @param {number} value - 参数值
+   * @param {number} min - 最小值
+   * @param {number} max - 最大值
+   * @returns {number} 限制后的值，未设置时返回 undefined
+   */
+  _clampOption(value, min, max) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return Math.min(Math.max(value, min), max);
+  }
+  
+  /**
+   * 获取单次 HTTP 请求的配置
+   * 传递取消信号，并使超时时间不超过距离截止时间的剩余时间
+   * @protected
+   * @param {Object} options - 调用选项
+   * @returns {Object} axios 请求配置
+   */
+  _getRequestConfig(options = {}) {
+    return {
+      signal: options.signal,
+      timeout: getRequestTimeout(this.timeout, options.deadline)
+    };
+  }
+  
+  /**
+   * 判断失败的请求是否还可以重试
+   * 请求已取消或距离截止时间不足时不再重试
+   * @protected
+   * @param {Object} options - 调用选项
+   * @returns {boolean} 是否可以重试
+   */
+  _canRetry(options = {}) {
+    return !(options.signal && options.signal.aborted) && hasTimeRemaining(options.deadline);
+  }
+  
+  /**
+   * 估算token使用量
+   * @protected
+   * @param {Object} query - 查询对象
+   * @param {Object} result - 响应结果
+   * @returns {Object} token使用量
+   */
+  _calculateTokenUsage(query, result) {
+    // 模型响应未提供使用量时按文字类型估算
+    const contextTokens = (query.context || []).reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    const inputTokens = estimateTokens(query.text) + contextTokens;
+    const outputText = result.text || result.response || result.result || '';
+    const outputTokens = estimateTokens(outputText);
+    
+    return {
+      input: inputTokens,
+      output: outputTokens,
+      total: inputTokens + outputTokens
+    };
+  }
+  
   /**
    * 估算查询成本
    * @param {string} modelName - 模型名称
@@ -112,9 +272,8 @@ class BaseModelAdapter {
     // 基础成本
     const baseCost = this.config.baseCostPerQuery || 0.001;
     
-    // 根据查询长度调整成本
-    const queryLength = query.text ? query.text.length : 0;
-    const lengthFactor = 1 + (queryLength / 1000);
+    // 根据查询的估算 token 数调整成本
+    const lengthFactor = 1 + (estimateTokens(query.text) / 250);
     
     // 计算估算成本
     const estimatedCost = baseCost * lengthFactor;
@@ -4,6 +4,8 @@
  */
 const { LocalModelAdapter } = require('./localAdapter');
 const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { estimateTokens } = require('../utils/text');
 
 class BertAdapter extends LocalModelAdapter {
   /**
@@ -36,8 +38,7 @@ class BertAdapter extends LocalModelAdapter {
    * @returns {Object} 请求数据
    */
   _prepareRequestData(modelName, query, options) {
-    // 使用指定的模型或默认模型
-    const model = this.supportedModels.includes(modelName) ? modelName : this.defaultModel;
+    const model = this._resolveModel(modelName);
     
     // 确定任务类型
     const task = options.task || 'classification';
@@ -57,6 +58,12 @@ class BertAdapter extends LocalModelAdapter {
       requestData.labels = options.labels || [];
     } else if (task === 'embedding') {
       requestData.pooling = options.pooling || 'mean';
+      
+      // 批量计算嵌入向量
+      if (Array.isArray(query.texts)) {
+        delete requestData.text;
+        requestData.texts = query.texts;
+      }
     } else if (task === 'ner') {
       requestData.entities = options.entities || [];
     }
@@ -64,6 +71,106 @@ class BertAdapter extends LocalModelAdapter {
     return requestData;
   }
   
+  /**
+   * 批量计算嵌入向量
+   * @override
+   * @param {string} modelName - 模型名称
+   * @param {Array<string>} inputs - 输入文本
+   * @param {Object} options - 调用选项
+   * @returns {Promise<Object>} 嵌入向量、模型名称、token使用量和成本
+   */
+  async createEmbeddings(modelName, inputs, options = {}) {
+    const response = await this.callModel(modelName, { text: '', texts: inputs }, {
+      task: 'embedding',
+      pooling: options.pooling
+    });
+    
+    const embeddings = response.rawResponse.embeddings;
+    if (!Array.isArray(embeddings) || embeddings.length !== inputs.length) {
+      throw Errors.modelUnavailable(`${this.providerName} 返回的嵌入向量数量与输入不一致`);
+    }
+    
+    // 本地模型按文字类型估算token使用量，不产生调用成本
+    const inputTokens = inputs.reduce((sum, input) => sum + estimateTokens(input), 0);
+    
+    return {
+      embeddings,
+      model: this._resolveModel(modelName),
+      tokenUsage: {
+        input: inputTokens,
+        output: 0,
+        total: inputTokens
+      },
+      cost: 0
+    };
+  }
+  
+  /**
+   * 对文本进行分类
+   * @override
+   * @param {string} modelName - 模型名称
+   * @param {string} text - 待分类文本
+   * @param {Array<string>} labels - 候选标签
+   * @param {Object} [options] - 调用选项，如取消信号和截止时间
+   * @returns {Promise<Object>} 标签及分数、模型名称、token使用量和成本
+   */
+  async classify(modelName, text, labels = [], options = {}) {
+    const response = await this.callModel(modelName, { text }, { ...options, task: 'classification', labels });
+    
+    if (response.rawResponse.error) {
+      throw Errors.modelUnavailable(`${this.providerName} ${response.text}`);
+    }
+    
+    return {
+      labels: response.rawResponse.classifications.map(({ label, score }) => ({ label, score })),
+      model: this._resolveModel(modelName),
+      tokenUsage: response.tokenUsage,
+      cost: 0
+    };
+  }
+  
+  /**
+   * 识别文本中的命名实体
+   * @override
+   * @param {string} modelName - 模型名称
+   * @param {string} text - 待识别文本
+   * @param {Array<string>} entityTypes - 需要识别的实体类型
+   * @returns {Promise<Object>} 实体列表、模型名称、token使用量和成本
+   */
+  async extractEntities(modelName, text, entityTypes = []) {
+    const response = await this.callModel(modelName, { text }, { task: 'ner', entities: entityTypes });
+    
+    if (response.rawResponse.error) {
+      throw Errors.modelUnavailable(`${this.providerName} ${response.text}`);
+    }
+    
+    return {
+      entities: response.rawResponse.entities,
+      model: this._resolveModel(modelName),
+      tokenUsage: response.tokenUsage,
+      cost: 0
+    };
+  }
+  
+  /**
+   * 获取单次嵌入请求允许的最大输入数量
+   * @override
+   * @returns {number} 最大输入数量
+   */
+  getEmbeddingBatchSize() {
+    return this.config.maxEmbeddingBatchSize || 32;
+  }
+  
+  /**
+   * 使用指定的模型或默认模型
+   * @private
+   * @param {string} modelName - 模型名称
+   * @returns {string} 实际使用的模型名称
+   */
+  _resolveModel(modelName) {
+    return this.supportedModels.includes(modelName) ? modelName : this.defaultModel;
+  }
+  
   /**
    * 处理模型响应
    * @protected
@@ -97,6 +204,15 @@ class BertAdapter extends LocalModelAdapter {
         task
       };
     } else if (task === 'embedding') {
+      // 批量嵌入任务
+      if (Array.isArray(response.embeddings)) {
+        return {
+          text: `生成了 ${response.embeddings.length} 个嵌入向量`,
+          embeddings: response.embeddings,
+          task
+        };
+      }
+      
       // 嵌入任务
       if (!response.embedding || !Array.isArray(response.embedding)) {
         logger.warn('BERT 嵌入响应格式异常', { response });
@@ -138,13 +254,14 @@ class BertAdapter extends LocalModelAdapter {
    * @private
    * @override
    * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
    * @returns {Promise<Object>} 响应数据
    */
-  async _makeRequest(requestData) {
+  async _makeRequest(requestData, requestConfig = {}) {
     try {
       // 根据任务类型选择不同的端点
       const endpoint = `/api/${requestData.task}`;
-      const response = await this.client.post(endpoint, requestData);
+      const response = await this.client.post(endpoint, requestData, requestConfig);
       return response.data;
     } catch (error) {
       if (error.response) {
@@ -4,6 +4,9 @@
  */
 const { LocalModelAdapter } = require('./localAdapter');
 const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { estimateTokens } = require('../utils/text');
+const { parseEventData } = require('../utils/sse');
 
 class LlamaAdapter extends LocalModelAdapter {
   /**
@@ -17,10 +20,14 @@ class LlamaAdapter extends LocalModelAdapter {
     // Llama 特定配置
     this.defaultModel = config.defaultModel || 'llama2-7b';
     this.supportedModels = config.supportedModels || ['llama2-7b', 'llama2-13b', 'llama2-70b'];
+    // 提示模板：llama2-chat 使用 [INST] 格式，plain 使用简单的对话记录格式
+    this.promptTemplate = config.promptTemplate || 'llama2-chat';
+    this.maxOutputTokens = config.maxOutputTokens || 4096;
     
     logger.info(`初始化 Llama 适配器`, {
       defaultModel: this.defaultModel,
-      supportedModels: this.supportedModels
+      supportedModels: this.supportedModels,
+      promptTemplate: this.promptTemplate
     });
   }
   
@@ -37,16 +44,78 @@ class LlamaAdapter extends LocalModelAdapter {
     // 使用指定的模型或默认模型
     const model = this.supportedModels.includes(modelName) ? modelName : this.defaultModel;
     
-    // Llama 特定的请求格式
-    return {
+    if (options.responseFormat === 'json_object') {
+      throw Errors.invalidRequest(`${this.providerName} 不支持 json_object 输出格式`);
+    }
+    
+    // Llama 特定的请求格式，max_tokens 不超过模型的输出上限，temperature 取值范围为 0-2
+    const requestData = {
       model,
-      prompt: query.text,
-      max_tokens: options.maxTokens || 1000,
-      temperature: options.temperature || 0.7,
-      top_p: options.topP || 0.9,
+      prompt: this._buildPrompt(query, options),
+      max_tokens: this._clampOption(options.maxTokens ?? 1000, 1, this.maxOutputTokens),
+      temperature: this._clampOption(options.temperature ?? 0.7, 0, 2),
+      top_p: options.topP ?? 0.9,
       stop: options.stopSequences || [],
-      stream: false
+      stream: Boolean(options.stream)
+    };
+    
+    // 以下参数只在设置时传递，未设置时使用服务端默认值
+    if (options.seed !== undefined) requestData.seed = options.seed;
+    if (options.presencePenalty !== undefined) requestData.presence_penalty = options.presencePenalty;
+    if (options.frequencyPenalty !== undefined) requestData.frequency_penalty = options.frequencyPenalty;
+    
+    return requestData;
+  }
+  
+  /**
+   * 根据提示模板构建提示文本
+   * @private
+   * @param {Object} query - 查询对象
+   * @param {Object} options - 调用选项
+   * @returns {string} 提示文本
+   */
+  _buildPrompt(query, options) {
+    const context = Array.isArray(query.context) ? query.context : [];
+    const systemMessage = options.systemMessage;
+    
+    if (this.promptTemplate === 'plain') {
+      if (context.length === 0 && !systemMessage) {
+        return query.text;
+      }
+      
+      const lines = systemMessage ? [systemMessage, ''] : [];
+      for (const message of context) {
+        lines.push(`${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`);
+      }
+      lines.push(`User: ${query.text}`, 'Assistant:');
+      return lines.join('\n');
+    }
+    
+    // Llama 2 聊天格式：每个 user/assistant 轮次组成一个 [INST] 段，系统提示放在第一个段中
+    const turns = [...context, { role: 'user', content: query.text }];
+    let prompt = '';
+    let pendingUser = null;
+    let isFirstInstruction = true;
+    
+    const openInstruction = (userContent) => {
+      let content = userContent;
+      if (isFirstInstruction && systemMessage) {
+        content = `<<SYS>>\n${systemMessage}\n<</SYS>>\n\n${content}`;
+      }
+      isFirstInstruction = false;
+      return `<s>[INST] ${content} [/INST]`;
     };
+    
+    for (const turn of turns) {
+      if (turn.role === 'assistant') {
+        prompt += `${openInstruction(pendingUser || '')} ${turn.content} </s>`;
+        pendingUser = null;
+      } else {
+        pendingUser = pendingUser ? `${pendingUser}\n${turn.content}` : turn.content;
+      }
+    }
+    
+    return prompt + openInstruction(pendingUser);
   }
   
   /**
@@ -67,24 +136,96 @@ class LlamaAdapter extends LocalModelAdapter {
     return {
       text: response.generated_text,
       usage: response.usage || {
-        prompt_tokens: Math.ceil(query.text.length / 4),
-        completion_tokens: Math.ceil(response.generated_text.length / 4),
-        total_tokens: Math.ceil((query.text.length + response.generated_text.length) / 4)
-      }
+        prompt_tokens: estimateTokens(query.text),
+        completion_tokens: estimateTokens(response.generated_text),
+        total_tokens: estimateTokens(query.text) + estimateTokens(response.generated_text)
+      },
+      finishReason: response.details && response.details.finish_reason
     };
   }
   
+  /**
+   * 处理 Llama 流式响应事件
+   * 兼容 text-generation-inference、llama.cpp 和 OpenAI 兼容格式
+   * @protected
+   * @override
+   * @param {Object} event - SSE 事件
+   * @param {Object} state - 流式响应累积状态
+   * @returns {string|null} 增量文本
+   */
+  _processStreamEvent(event, state) {
+    if (!event.data || event.data === '[DONE]') {
+      return null;
+    }
+    
+    const payload = parseEventData(event);
+    if (!payload) {
+      return null;
+    }
+    
+    if (payload.usage) {
+      state.usage = {
+        input: payload.usage.prompt_tokens || 0,
+        output: payload.usage.completion_tokens || 0,
+        total: payload.usage.total_tokens || 0
+      };
+    }
+    
+    if (payload.choices && payload.choices[0]) {
+      // OpenAI 兼容格式
+      state.finishReason = payload.choices[0].finish_reason || state.finishReason;
+      return payload.choices[0].text || null;
+    }
+    
+    if (typeof payload.content === 'string') {
+      // llama.cpp 格式
+      if (payload.stop) {
+        state.finishReason = payload.stop_type || 'stop';
+      }
+      return payload.content || null;
+    }
+    
+    return super._processStreamEvent(event, state);
+  }
+  
+  /**
+   * 发送流式请求到 Llama 服务
+   * @protected
+   * @override
+   * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
+   * @returns {Promise<stream.Readable>} 响应数据流
+   */
+  async _makeStreamRequest(requestData, requestConfig = {}) {
+    try {
+      const response = await this.client.post('/completions', requestData, {
+        ...requestConfig,
+        responseType: 'stream'
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`Llama 服务器错误: ${error.response.status} - ${error.response.statusText}`);
+      } else if (error.request) {
+        throw new Error(`Llama 服务无响应: ${error.message}`);
+      } else {
+        throw new Error(`Llama 请求错误: ${error.message}`);
+      }
+    }
+  }
+  
   /**
    * 发送请求到 Llama 服务
    * @private
    * @override
    * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
    * @returns {Promise<Object>} 响应数据
    */
-  async _makeRequest(requestData) {
+  async _makeRequest(requestData, requestConfig = {}) {
     try {
       // Llama 使用不同的端点
-      const response = await this.client.post('/completions', requestData);
+      const response = await this.client.post('/completions', requestData, requestConfig);
       return response.data;
     } catch (error) {
       if (error.response) {
@@ -7,6 +7,7 @@ const { backOff } = require('exponential-backoff');
 const { BaseModelAdapter } = require('./baseAdapter');
 const { logger } = require('../utils/logger');
 const { Errors } = require('../utils/errors');
+const { parseSSEStream, parseEventData } = require('../utils/sse');
 
 class LocalModelAdapter extends BaseModelAdapter {
   /**
@@ -59,18 +60,10 @@ class LocalModelAdapter extends BaseModelAdapter {
       const requestData = this._prepareRequestData(modelName, query, options);
       
       // 使用指数退避策略进行重试
-      const response = await backOff(() => this._makeRequest(requestData), {
-        numOfAttempts: this.retryConfig.maxRetries,
-        startingDelay: this.retryConfig.initialDelayMs,
-        timeMultiple: 2,
-        retry: (error) => {
-          logger.warn(`调用本地模型失败，准备重试`, {
-            provider: this.providerName,
-            error: error.message
-          });
-          return true;
-        }
-      });
+      const response = await backOff(
+        () => this._makeRequest(requestData, this._getRequestConfig(options)),
+        this._getBackOffOptions(options)
+      );
       
       // 处理响应
       const result = this._processResponse(response, query);
@@ -94,6 +87,11 @@ class LocalModelAdapter extends BaseModelAdapter {
         error: error.message
       });
       
+      // 参数错误等网关错误直接抛出，不包装为模型不可用
+      if (error.name === 'GatewayError') {
+        throw error;
+      }
+      
       throw Errors.modelUnavailable(`调用本地模型 ${this.providerName} 失败: ${error.message}`);
     } finally {
       this._recordConnectionEnd();
@@ -109,6 +107,105 @@ class LocalModelAdapter extends BaseModelAdapter {
     }
   }
   
+  /**
+   * 以流式方式调用本地模型
+   * @param {string} modelName - 模型名称
+   * @param {Object} query - 查询对象
+   * @param {Object} options - 调用选项
+   * @param {Function} onChunk - 增量文本回调
+   * @returns {Promise<Object>} 完整的模型响应
+   */
+  async streamModel(modelName, query, options = {}, onChunk) {
+    this._checkConcurrencyLimit();
+    this._recordConnectionStart();
+    
+    const startTime = Date.now();
+    let success = false;
+    let tokenUsage = { input: 0, output: 0, total: 0 };
+    
+    try {
+      // 准备请求数据
+      const requestData = this._prepareRequestData(modelName, query, { ...options, stream: true });
+      
+      // 只在建立连接阶段重试，开始输出后无法安全重试
+      const stream = await backOff(
+        () => this._makeStreamRequest(requestData, this._getRequestConfig(options)),
+        this._getBackOffOptions(options)
+      );
+      
+      const state = { text: '', usage: null, finishReason: null };
+      await parseSSEStream(stream, (event) => {
+        const delta = this._processStreamEvent(event, state);
+        if (delta) {
+          state.text += delta;
+          onChunk(delta);
+        }
+      });
+      
+      tokenUsage = state.usage || this._calculateTokenUsage(query, state);
+      
+      success = true;
+      return {
+        text: state.text,
+        model: modelName,
+        provider: this.providerName,
+        processingTime: Date.now() - startTime,
+        tokenUsage,
+        rawResponse: {
+          finishReason: state.finishReason
+        }
+      };
+    } catch (error) {
+      logger.error(`流式调用本地模型失败`, {
+        provider: this.providerName,
+        model: modelName,
+        error: error.message
+      });
+      
+      // 参数错误等网关错误直接抛出，不包装为模型不可用
+      if (error.name === 'GatewayError') {
+        throw error;
+      }
+      
+      throw Errors.modelUnavailable(`流式调用本地模型 ${this.providerName} 失败: ${error.message}`);
+    } finally {
+      this._recordConnectionEnd();
+      
+      logger.debug(`本地模型流式调用完成`, {
+        provider: this.providerName,
+        model: modelName,
+        success,
+        processingTime: Date.now() - startTime,
+        tokenUsage
+      });
+    }
+  }
+  
+  /**
+   * 获取指数退避重试配置
+   * @protected
+   * @param {Object} [options] - 调用选项，请求已取消或距离截止时间不足时不再重试
+   * @returns {Object} backOff 配置
+   */
+  _getBackOffOptions(options = {}) {
+    return {
+      numOfAttempts: this.retryConfig.maxRetries,
+      startingDelay: this.retryConfig.initialDelayMs,
+      timeMultiple: 2,
+      retry: (error) => {
+        if (!this._canRetry(options)) {
+          return false;
+        }
+        
+        logger.warn(`调用本地模型失败，准备重试`, {
+          provider: this.providerName,
+          error: error.message
+        });
+        return true;
+      }
+    };
+  }
+  
   /**
    * 准备请求数据
    * @protected
@@ -118,14 +215,15 @@ class LocalModelAdapter extends BaseModelAdapter {
    * @returns {Object} 请求数据
    */
   _prepareRequestData(modelName, query, options) {
-    // 基本实现，子类可以覆盖
+    // 基本实现，子类可以覆盖；取消信号和截止时间不属于请求数据
+    const { signal, deadline, ...modelOptions } = options;
     return {
       model: modelName,
       query: query.text,
       options: {
-        ...options,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7
+        ...modelOptions,
+        max_tokens: options.maxTokens ?? 1000,
+        temperature: options.temperature ?? 0.7
       }
     };
   }
@@ -134,11 +232,12 @@ class LocalModelAdapter extends BaseModelAdapter {
    * 发送请求到本地模型服务
    * @private
    * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
    * @returns {Promise<Object>} 响应数据
    */
-  async _makeRequest(requestData) {
+  async _makeRequest(requestData, requestConfig = {}) {
     try {
-      const response = await this.client.post('/generate', requestData);
+      const response = await this.client.post('/generate', requestData, requestConfig);
       return response.data;
     } catch (error) {
       if (error.response) {
@@ -154,6 +253,62 @@ class LocalModelAdapter extends BaseModelAdapter {
     }
   }
   
+  /**
+   * 发送流式请求到本地模型服务
+   * @protected
+   * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
+   * @returns {Promise<stream.Readable>} 响应数据流
+   */
+  async _makeStreamRequest(requestData, requestConfig = {}) {
+    try {
+      const response = await this.client.post('/generate', requestData, {
+        ...requestConfig,
+        responseType: 'stream'
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`服务器错误: ${error.response.status} - ${error.response.statusText}`);
+      } else if (error.request) {
+        throw new Error(`无响应: ${error.message}`);
+      } else {
+        throw new Error(`请求错误: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * 处理流式响应事件
+   * 默认按 text-generation-inference 格式解析，子类可以覆盖
+   * 保活消息等不是 JSON 的数据被忽略，流中途返回的错误消息作为错误抛出，见 parseEventData
+   * @protected
+   * @param {Object} event - SSE 事件
+   * @param {Object} state - 流式响应累积状态
+   * @returns {string|null} 增量文本
+   * @throws {Error} 如果事件是错误消息
+   */
+  _processStreamEvent(event, state) {
+    if (!event.data || event.data === '[DONE]') {
+      return null;
+    }
+    
+    const payload = parseEventData(event);
+    if (!payload) {
+      return null;
+    }
+    if (payload.details && payload.details.finish_reason) {
+      state.finishReason = payload.details.finish_reason;
+    }
+    
+    if (payload.token) {
+      // 特殊token（如结束符）不输出
+      return payload.token.special ? null : payload.token.text;
+    }
+    
+    return payload.text || null;
+  }
+  
   /**
    * 处理模型响应
    * @protected
@@ -165,26 +320,6 @@ class LocalModelAdapter extends BaseModelAdapter {
     // 基本实现，子类可以覆盖
     return response;
   }
-  
-  /**
-   * 计算token使用量
-   * @private
-   * @param {Object} query - 查询对象
-   * @param {Object} result - 响应结果
-   * @returns {Object} token使用量
-   */
-  _calculateTokenUsage(query, result) {
-    // 简化实现，实际应从模型响应中获取或使用更准确的计算方法
-    const inputTokens = query.text ? Math.ceil(query.text.length / 4) : 0;
-    const outputText = result.text || result.response || result.result || '';
-    const outputTokens = Math.ceil(outputText.length / 4);
-    
-    return {
-      input: inputTokens,
-      output: outputTokens,
-      total: inputTokens + outputTokens
-    };
-  }
 }
 
 module.exports = { LocalModelAdapter };
\ No newline at end of file
@@ -2,8 +2,11 @@
  * OpenAI 远程模型适配器
  * 用于与 OpenAI API 通信
  */
+const { backOff } = require('exponential-backoff');
 const { RemoteModelAdapter } = require('./remoteAdapter');
 const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { estimateTokens } = require('../utils/text');
 
 class OpenAIAdapter extends RemoteModelAdapter {
   /**
@@ -16,6 +19,7 @@ class OpenAIAdapter extends RemoteModelAdapter {
     
     // OpenAI 特定配置
     this.defaultModel = config.defaultModel || 'gpt-3.5-turbo';
+    this.maxOutputTokens = config.maxOutputTokens || 4096;
     this.modelPricing = config.modelPricing || {
       'gpt-3.5-turbo': {
         inputPrice: 0.0015,  // 每1000个输入token的价格
@@ -31,6 +35,14 @@ class OpenAIAdapter extends RemoteModelAdapter {
       }
     };
     
+    // 嵌入模型配置，价格为每1000个输入token的价格
+    this.defaultEmbeddingModel = config.defaultEmbeddingModel || 'text-embedding-3-small';
+    this.embeddingPricing = config.embeddingPricing || {
+      'text-embedding-3-small': 0.00002,
+      'text-embedding-3-large': 0.00013,
+      'text-embedding-ada-002': 0.0001
+    };
+    
     logger.info(`初始化 OpenAI 适配器`, {
       defaultModel: this.defaultModel,
       availableModels: Object.keys(this.modelPricing)
@@ -53,6 +65,27 @@ class OpenAIAdapter extends RemoteModelAdapter {
     // 检查是否是聊天模型
     const isChatModel = model.includes('gpt');
     
+    // 完成模型不支持 JSON 输出格式
+    if (!isChatModel && options.responseFormat === 'json_object') {
+      throw Errors.invalidRequest(`${this.providerName} 的模型 ${model} 不支持 json_object 输出格式`);
+    }
+    
+    // 通用生成参数，未设置时使用 OpenAI 默认值
+    const samplingParams = {
+      max_tokens: this._clampOption(options.maxTokens ?? 1000, 1, this.maxOutputTokens),
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 1,
+      n: options.n || 1,
+      stream: Boolean(options.stream),
+      stop: options.stopSequences || null,
+      presence_penalty: options.presencePenalty ?? 0,
+      frequency_penalty: options.frequencyPenalty ?? 0
+    };
+    
+    if (options.seed !== undefined) {
+      samplingParams.seed = options.seed;
+    }
+    
     if (isChatModel) {
       // 聊天模型请求格式
       const messages = [];
@@ -76,31 +109,34 @@ class OpenAIAdapter extends RemoteModelAdapter {
         content: query.text
       });
       
-      return {
+      const requestData = {
         model,
         messages,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 1,
-        n: options.n || 1,
-        stream: false,
-        stop: options.stopSequences || null,
-        presence_penalty: options.presencePenalty || 0,
-        frequency_penalty: options.frequencyPenalty || 0
+        ...samplingParams
       };
+      
+      if (options.responseFormat === 'json_object') {
+        requestData.response_format = { type: 'json_object' };
+      }
+      
+      // 流式模式下要求在最后一个片段中返回使用量
+      if (options.stream) {
+        requestData.stream_options = { include_usage: true };
+      }
+      
+      return requestData;
     } else {
-      // 完成模型请求格式
+      // 完成模型请求格式，系统消息和对话上下文拼接到提示中
+      const promptParts = options.systemMessage ? [options.systemMessage] : [];
+      if (query.context && Array.isArray(query.context)) {
+        promptParts.push(...query.context.map(message => `${message.role}: ${message.content}`));
+      }
+      promptParts.push(promptParts.length > 0 ? `user: ${query.text}\nassistant:` : query.text);
+      
       return {
         model,
-        prompt: query.text,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 1,
-        n: options.n || 1,
-        stream: false,
-        stop: options.stopSequences || null,
-        presence_penalty: options.presencePenalty || 0,
-        frequency_penalty: options.frequencyPenalty || 0
+        prompt: promptParts.join('\n'),
+        ...samplingParams
       };
     }
   }
@@ -110,19 +146,113 @@ class OpenAIAdapter extends RemoteModelAdapter {
    * @protected
    * @override
    * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
    * @returns {Promise<Object>} 响应数据
    */
-  async _makeRequest(requestData) {
+  async _makeRequest(requestData, requestConfig = {}) {
     try {
       // 根据请求类型选择不同的端点
       const endpoint = requestData.messages ? '/chat/completions' : '/completions';
-      const response = await this.client.post(endpoint, requestData);
+      const response = await this.client.post(endpoint, requestData, requestConfig);
+      return response.data;
+    } catch (error) {
+      this._handleRequestError(error);
+    }
+  }
+  
+  /**
+   * 发送流式请求到 OpenAI API
+   * @protected
+   * @override
+   * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
+   * @returns {Promise<stream.Readable>} 响应数据流
+   */
+  async _makeStreamRequest(requestData, requestConfig = {}) {
+    try {
+      const endpoint = requestData.messages ? '/chat/completions' : '/completions';
+      const response = await this.client.post(endpoint, requestData, {
+        ...requestConfig,
+        responseType: 'stream'
+      });
       return response.data;
     } catch (error) {
       this._handleRequestError(error);
     }
   }
   
+  /**
+   * 通过 /embeddings 接口计算嵌入向量
+   * @override
+   * @param {string} modelName - 嵌入模型名称
+   * @param {Array<string>} inputs - 输入文本
+   * @param {Object} options - 调用选项
+   * @returns {Promise<Object>} 嵌入向量、模型名称、token使用量和成本
+   */
+  async createEmbeddings(modelName, inputs, options = {}) {
+    this._checkConcurrencyLimit();
+    this._recordConnectionStart();
+    
+    const model = this.embeddingPricing[modelName] ? modelName : this.defaultEmbeddingModel;
+    
+    try {
+      const requestData = { model, input: inputs };
+      
+      const response = await backOff(async () => {
+        try {
+          const result = await this.client.post('/embeddings', requestData);
+          return result.data;
+        } catch (error) {
+          this._handleRequestError(error);
+        }
+      }, this._getBackOffOptions());
+      
+      if (!response || !Array.isArray(response.data) || response.data.length !== inputs.length) {
+        throw new Error('嵌入向量响应格式异常');
+      }
+      
+      // 按输入顺序排列
+      const embeddings = [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+      
+      const inputTokens = response.usage?.prompt_tokens ??
+        inputs.reduce((sum, input) => sum + estimateTokens(input), 0);
+      const cost = (inputTokens / 1000) * (this.embeddingPricing[model] || 0);
+      this._updateCostTracking(cost);
+      
+      return {
+        embeddings,
+        model,
+        tokenUsage: {
+          input: inputTokens,
+          output: 0,
+          total: inputTokens
+        },
+        cost
+      };
+    } catch (error) {
+      logger.error(`计算嵌入向量失败`, {
+        provider: this.providerName,
+        model,
+        error: error.message
+      });
+      
+      throw Errors.modelUnavailable(`${this.providerName} 计算嵌入向量失败: ${error.message}`);
+    } finally {
+      this._recordConnectionEnd();
+    }
+  }
+  
+  /**
+   * 获取单次嵌入请求允许的最大输入数量
+   * @override
+   * @returns {number} 最大输入数量
+   */
+  getEmbeddingBatchSize() {
+    return this.config.maxEmbeddingBatchSize || 2048;
+  }
+  
   /**
    * 处理 OpenAI 响应
    * @protected
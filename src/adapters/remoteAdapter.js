@@ -7,6 +7,7 @@ const { backOff } = require('exponential-backoff');
 const { BaseModelAdapter } = require('./baseAdapter');
 const { logger } = require('../utils/logger');
 const { Errors } = require('../utils/errors');
+const { parseSSEStream, parseEventData } = require('../utils/sse');
 
 class RemoteModelAdapter extends BaseModelAdapter {
   /**
@@ -69,22 +70,10 @@ class RemoteModelAdapter extends BaseModelAdapter {
       const requestData = this._prepareRequestData(modelName, query, options);
       
       // 使用指数退避策略进行重试
-      const response = await backOff(() => this._makeRequest(requestData), {
-        numOfAttempts: this.retryConfig.maxRetries,
-        startingDelay: this.retryConfig.initialDelayMs,
-        timeMultiple: 2,
-        retry: (error) => {
-          // 判断是否应该重试
-          const shouldRetry = this._shouldRetry(error);
-          if (shouldRetry) {
-            logger.warn(`调用远程模型失败，准备重试`, {
-              provider: this.providerName,
-              error: error.message
-            });
-          }
-          return shouldRetry;
-        }
-      });
+      const response = await backOff(
+        () => this._makeRequest(requestData, this._getRequestConfig(options)),
+        this._getBackOffOptions(options)
+      );
       
       // 处理响应
       const result = this._processResponse(response, query);
@@ -115,6 +104,11 @@ class RemoteModelAdapter extends BaseModelAdapter {
         error: error.message
       });
       
+      // 参数错误等网关错误直接抛出，不包装为模型不可用
+      if (error.name === 'GatewayError') {
+        throw error;
+      }
+      
       throw Errors.modelUnavailable(`调用远程模型 ${this.providerName} 失败: ${error.message}`);
     } finally {
       this._recordConnectionEnd();
@@ -131,6 +125,116 @@ class RemoteModelAdapter extends BaseModelAdapter {
     }
   }
   
+  /**
+   * 以流式方式调用远程模型
+   * @param {string} modelName - 模型名称
+   * @param {Object} query - 查询对象
+   * @param {Object} options - 调用选项
+   * @param {Function} onChunk - 增量文本回调
+   * @returns {Promise<Object>} 完整的模型响应
+   */
+  async streamModel(modelName, query, options = {}, onChunk) {
+    this._checkConcurrencyLimit();
+    this._recordConnectionStart();
+    
+    const startTime = Date.now();
+    let success = false;
+    let tokenUsage = { input: 0, output: 0, total: 0 };
+    let cost = 0;
+    
+    try {
+      // 准备请求数据
+      const requestData = this._prepareRequestData(modelName, query, { ...options, stream: true });
+      
+      // 只在建立连接阶段重试，开始输出后无法安全重试
+      const stream = await backOff(
+        () => this._makeStreamRequest(requestData, this._getRequestConfig(options)),
+        this._getBackOffOptions(options)
+      );
+      
+      const state = { text: '', usage: null, model: null, finishReason: null };
+      await parseSSEStream(stream, (event) => {
+        const delta = this._processStreamEvent(event, state);
+        if (delta) {
+          state.text += delta;
+          onChunk(delta);
+        }
+      });
+      
+      // 流式响应不一定返回使用量，缺失时进行估算
+      tokenUsage = state.usage || this._calculateTokenUsage(query, state);
+      cost = this._calculateCost(tokenUsage, modelName);
+      this._updateCostTracking(cost);
+      
+      success = true;
+      return {
+        text: state.text,
+        model: modelName,
+        provider: this.providerName,
+        processingTime: Date.now() - startTime,
+        tokenUsage,
+        cost,
+        rawResponse: {
+          model: state.model,
+          finishReason: state.finishReason
+        }
+      };
+    } catch (error) {
+      logger.error(`流式调用远程模型失败`, {
+        provider: this.providerName,
+        model: modelName,
+        error: error.message
+      });
+      
+      // 参数错误等网关错误直接抛出，不包装为模型不可用
+      if (error.name === 'GatewayError') {
+        throw error;
+      }
+      
+      throw Errors.modelUnavailable(`流式调用远程模型 ${this.providerName} 失败: ${error.message}`);
+    } finally {
+      this._recordConnectionEnd();
+      
+      logger.debug(`远程模型流式调用完成`, {
+        provider: this.providerName,
+        model: modelName,
+        success,
+        processingTime: Date.now() - startTime,
+        tokenUsage,
+        cost
+      });
+    }
+  }
+  
+  /**
+   * 获取指数退避重试配置
+   * @protected
+   * @param {Object} [options] - 调用选项，请求已取消或距离截止时间不足时不再重试
+   * @returns {Object} backOff 配置
+   */
+  _getBackOffOptions(options = {}) {
+    return {
+      numOfAttempts: this.retryConfig.maxRetries,
+      startingDelay: this.retryConfig.initialDelayMs,
+      timeMultiple: 2,
+      retry: (error) => {
+        if (!this._canRetry(options)) {
+          return false;
+        }
+        
+        // 判断是否应该重试
+        const shouldRetry = this._shouldRetry(error);
+        if (shouldRetry) {
+          logger.warn(`调用远程模型失败，准备重试`, {
+            provider: this.providerName,
+            error: error.message
+          });
+        }
+        return shouldRetry;
+      }
+    };
+  }
+  
   /**
    * 准备请求数据
    * @protected
@@ -153,11 +257,31 @@ class RemoteModelAdapter extends BaseModelAdapter {
    * 发送请求到远程模型服务
    * @protected
    * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
    * @returns {Promise<Object>} 响应数据
    */
-  async _makeRequest(requestData) {
+  async _makeRequest(requestData, requestConfig = {}) {
+    try {
+      const response = await this.client.post('/completions', requestData, requestConfig);
+      return response.data;
+    } catch (error) {
+      this._handleRequestError(error);
+    }
+  }
+  
+  /**
+   * 发送流式请求到远程模型服务
+   * @protected
+   * @param {Object} requestData - 请求数据
+   * @param {Object} [requestConfig] - 请求配置，如取消信号
+   * @returns {Promise<stream.Readable>} 响应数据流
+   */
+  async _makeStreamRequest(requestData, requestConfig = {}) {
     try {
-      const response = await this.client.post('/completions', requestData);
+      const response = await this.client.post('/completions', requestData, {
+        ...requestConfig,
+        responseType: 'stream'
+      });
       return response.data;
     } catch (error) {
       this._handleRequestError(error);
@@ -225,6 +349,49 @@ class RemoteModelAdapter extends BaseModelAdapter {
     return response;
   }
   
+  /**
+   * 处理流式响应事件
+   * 默认按 OpenAI 兼容格式解析，子类可以覆盖
+   * 保活消息等不是 JSON 的数据被忽略，流中途返回的错误消息作为错误抛出，见 parseEventData
+   * @protected
+   * @param {Object} event - SSE 事件
+   * @param {Object} state - 流式响应累积状态
+   * @returns {string|null} 增量文本
+   * @throws {Error} 如果事件是错误消息
+   */
+  _processStreamEvent(event, state) {
+    if (event.data === '[DONE]') {
+      return null;
+    }
+    
+    const payload = parseEventData(event);
+    if (!payload) {
+      return null;
+    }
+    if (payload.model) {
+      state.model = payload.model;
+    }
+    
+    if (payload.usage) {
+      state.usage = {
+        input: payload.usage.prompt_tokens || 0,
+        output: payload.usage.completion_tokens || 0,
+        total: payload.usage.total_tokens || 0
+      };
+    }
+    
+    const choice = payload.choices && payload.choices[0];
+    if (!choice) {
+      return null;
+    }
+    
+    if (choice.finish_reason) {
+      state.finishReason = choice.finish_reason;
+    }
+    
+    return (choice.delta && choice.delta.content) || choice.text || null;
+  }
+  
   /**
    * 计算请求成本
    * @protected
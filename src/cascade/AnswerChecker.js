@@ -0,0 +1,93 @@
+/**
+ * 级联路由的回答检查器
+ * 每项检查由一个注册的检查函数完成，任何一项不通过时级联升级到下一层模型
+ */
+const { Errors } = require('../utils/errors');
+
+class AnswerChecker {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  /**
+   * 注册回答检查，同名检查会被替换
+   * @param {string} name - 检查名称
+   * @param {Function} check - 接收 (answer, context)，返回或异步返回 { passed, score, reason, cost }，
+   *   检查不适用于当前请求时返回 null
+   */
+  registerCheck(name, check) {
+    if (typeof check !== 'function') {
+      throw new Error(`回答检查 ${name} 必须是函数`);
+    }
+    this.checks.set(name, check);
+  }
+
+  /**
+   * 获取已注册的检查名称
+   * @returns {Array<string>} 检查名称
+   */
+  getChecks() {
+    return [...this.checks.keys()];
+  }
+
+  /**
+   * 验证检查名称
+   * @param {Array<string>} names - 检查名称
+   * @throws {GatewayError} 如果包含未注册的检查
+   */
+  validate(names) {
+    const unknown = names.filter(name => !this.checks.has(name));
+    if (unknown.length > 0) {
+      throw Errors.invalidRequest(`未知的回答检查: ${unknown.join(', ')}，可用检查: ${this.getChecks().join(', ')}`);
+    }
+  }
+
+  /**
+   * 按顺序运行检查，遇到第一项不通过的检查时停止
+   * 检查出错视为不通过，请求已取消时抛出取消错误
+   * @param {Object} answer - 模型响应 { text, cost }
+   * @param {Object} context - 检查上下文 { query, messages, generationOptions, metadata, modelInfo, resample, signal, deadline }
+   * @param {Array<string>} names - 要运行的检查
+   * @returns {Promise<Object>} { passed, results, cost }，results 为每项已运行检查的 { name, passed, score, reason }
+   */
+  async check(answer, context, names) {
+    this.validate(names);
+
+    const results = [];
+    let cost = 0;
+
+    for (const name of names) {
+      let result;
+      try {
+        result = await this.checks.get(name)(answer, context);
+      } catch (error) {
+        if (context.signal && context.signal.aborted) {
+          throw error;
+        }
+        result = { passed: false, reason: `检查出错: ${error.message}` };
+      }
+
+      if (!result) {
+        continue;
+      }
+
+      cost += result.cost || 0;
+      results.push({
+        name,
+        passed: Boolean(result.passed),
+        score: result.score ?? (result.passed ? 1 : 0),
+        reason: result.reason || ''
+      });
+
+      if (!result.passed) {
+        return { passed: false, results, cost };
+      }
+    }
+
+    return { passed: true, results, cost };
+  }
+}
+
+module.exports = {
+  AnswerChecker
+};
@@ -0,0 +1,152 @@
+/**
+ * 内置回答检查
+ * 每项检查接收 (answer, context)，返回 { passed, score, reason, cost }；不适用于当前请求时返回 null
+ */
+const config = require('../config');
+const { Errors } = require('../utils/errors');
+const { adapterManager } = require('../adapters');
+const modelRouterService = require('../services/modelRouterService');
+const { wordSimilarity, estimateTokens } = require('../utils/text');
+
+// 拒绝回答或表示不确定的表达
+const REFUSAL_PATTERNS = [
+  /\bI (?:don't|do not) know\b/i,
+  /\bI(?:'m| am) (?:not sure|unable to|not able to)\b/i,
+  /\bI (?:can't|cannot) (?:help|answer|assist|provide)\b/i,
+  /\bas an AI(?: language model)?\b/i,
+  /我不(?:知道|清楚|确定)/,
+  /(?:无法|不能)(?:回答|提供|确定|帮助)/,
+  /(?:抱歉|对不起)[，,]?\s*我(?:无法|不能|没有)/,
+  /わかりません|お答えできません/
+];
+
+/**
+ * 获取级联配置
+ * @returns {Object} config.cascade
+ */
+function getSettings() {
+  return config.cascade || {};
+}
+
+/**
+ * 拒绝回答检测：回答中包含拒绝或“不知道”之类的表达时不通过
+ */
+function checkRefusal(answer) {
+  const pattern = REFUSAL_PATTERNS.find(item => item.test(answer.text || ''));
+  return pattern
+    ? { passed: false, reason: `回答包含拒绝或不确定的表达: ${(answer.text.match(pattern) || [])[0]}` }
+    : { passed: true };
+}
+
+/**
+ * 长度检查：回答的估算 token 数不少于 config.cascade.minTokens
+ */
+function checkLength(answer) {
+  const minTokens = getSettings().minTokens ?? 5;
+  const tokens = estimateTokens((answer.text || '').trim());
+  return {
+    passed: tokens >= minTokens,
+    score: Math.min(tokens / Math.max(minTokens, 1), 1),
+    reason: tokens >= minTokens ? '' : `回答约 ${tokens} tokens，少于 ${minTokens}`
+  };
+}
+
+/**
+ * JSON 检查：请求 json_object 输出格式时回答必须是有效的 JSON 对象
+ */
+function checkJson(answer, context) {
+  if ((context.generationOptions || {}).responseFormat !== 'json_object') {
+    return null;
+  }
+
+  try {
+    const value = JSON.parse(answer.text);
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    return { passed: isObject, reason: isObject ? '' : '回答不是 JSON 对象' };
+  } catch (error) {
+    return { passed: false, reason: `回答不是有效的 JSON: ${error.message}` };
+  }
+}
+
+/**
+ * 自洽性检查：用同一模型再生成一次，两次回答的词语重合度不低于 config.cascade.consistencyThreshold
+ */
+async function checkSelfConsistency(answer, context) {
+  const threshold = getSettings().consistencyThreshold ?? 0.5;
+  const sample = await context.resample();
+  const score = wordSimilarity(answer.text, sample.text);
+
+  return {
+    passed: score >= threshold,
+    score,
+    reason: score >= threshold ? '' : `两次回答的重合度 ${score.toFixed(2)} 低于 ${threshold}`,
+    cost: sample.cost || 0
+  };
+}
+
+/**
+ * 估算一次评审模型调用的成本
+ * @param {Object} metadata - 请求元数据
+ * @returns {number} 估算成本
+ */
+function estimateJudgeCost(metadata = {}) {
+  const judge = getSettings().judge || {};
+  return modelRouterService.estimateCost((config.modelProviders || {})[judge.provider] || {}, 0, metadata);
+}
+
+/**
+ * 评审模型检查：由 config.cascade.judge 指定的模型为回答打分（0-10），折算后不低于 minScore。
+ * 与各层级的调用相同，评审调用经过熔断器并计入提供商的使用统计
+ */
+async function checkJudge(answer, context) {
+  const judge = getSettings().judge || {};
+  const model = judge.model || 'default';
+  const minScore = judge.minScore ?? 0.7;
+  const prompt = [
+    '请评估下面的回答是否正确、完整地回答了问题，给出 0 到 10 的整数分数，只输出分数。',
+    `问题：${context.query}`,
+    `回答：${answer.text}`
+  ].join('\n\n');
+
+  if (!modelRouterService.circuitBreakers.canRoute(judge.provider, model)) {
+    throw Errors.modelUnavailable(`评审模型 ${judge.provider} 的熔断器已打开`);
+  }
+
+  const result = await modelRouterService.trackModelCall(
+    judge.provider,
+    model,
+    () => adapterManager.callModel(
+      judge.provider,
+      model,
+      { text: prompt, context: [] },
+      { maxTokens: 8, temperature: 0, signal: context.signal, deadline: context.deadline }
+    ),
+    { signal: context.signal }
+  );
+
+  const match = /\d+(?:\.\d+)?/.exec(result.text || '');
+  if (!match) {
+    return { passed: false, reason: `无法解析评审模型的评分: ${result.text}`, cost: result.cost || 0 };
+  }
+
+  const score = Math.min(Math.max(parseFloat(match[0]) / 10, 0), 1);
+  return {
+    passed: score >= minScore,
+    score,
+    reason: score >= minScore ? '' : `评审模型评分 ${score.toFixed(2)} 低于 ${minScore}`,
+    cost: result.cost || 0
+  };
+}
+
+const builtinChecks = {
+  refusal: checkRefusal,
+  length: checkLength,
+  json: checkJson,
+  selfConsistency: checkSelfConsistency,
+  judge: checkJudge
+};
+
+module.exports = {
+  builtinChecks,
+  estimateJudgeCost
+};
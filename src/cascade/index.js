@@ -0,0 +1,171 @@
+/**
+ * 级联路由模块
+ * 先调用较便宜的模型层级，回答未通过检查时再升级到下一层级
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { hasTimeRemaining, throwIfAborted } = require('../utils/cancellation');
+const { AnswerChecker } = require('./AnswerChecker');
+const { builtinChecks, estimateJudgeCost } = require('./checks');
+
+// 注册了内置检查的默认检查器，可通过 registerCheck 添加自定义检查
+const answerChecker = new AnswerChecker();
+for (const [name, check] of Object.entries(builtinChecks)) {
+  answerChecker.registerCheck(name, check);
+}
+
+// 元数据 routingMode 的可选值
+const ROUTING_MODES = ['direct', 'cascade'];
+
+/**
+ * 判断请求是否使用级联路由，元数据 routingMode 优先于 config.cascade.enabled
+ * @param {Object} metadata - 请求元数据
+ * @returns {boolean} 是否使用级联路由
+ * @throws {GatewayError} 如果 routingMode 无效
+ */
+function isCascadeRequest(metadata = {}) {
+  if (metadata.routingMode) {
+    if (!ROUTING_MODES.includes(metadata.routingMode)) {
+      throw Errors.invalidRequest(`未知的路由模式: ${metadata.routingMode}，可用模式: ${ROUTING_MODES.join(', ')}`);
+    }
+    return metadata.routingMode === 'cascade';
+  }
+  return Boolean((config.cascade || {}).enabled);
+}
+
+/**
+ * 获取要运行的回答检查，元数据 cascadeChecks（逗号分隔）优先于配置
+ * @param {Object} metadata - 请求元数据
+ * @returns {Array<string>} 检查名称
+ * @throws {GatewayError} 如果包含未注册的检查
+ */
+function getCascadeChecks(metadata = {}) {
+  const names = metadata.cascadeChecks
+    ? metadata.cascadeChecks.split(',').map(name => name.trim()).filter(Boolean)
+    : (config.cascade || {}).checks || ['refusal', 'length', 'json'];
+  answerChecker.validate(names);
+  return names;
+}
+
+/**
+ * 估算对一个层级的回答运行检查的成本，目前只有评审模型检查会调用模型
+ * @param {Array<string>} checks - 要运行的回答检查
+ * @param {Object} metadata - 请求元数据
+ * @returns {number} 估算成本
+ */
+function estimateCheckCost(checks, metadata) {
+  return checks.includes('judge') ? estimateJudgeCost(metadata) : 0;
+}
+
+/**
+ * 按层级依次调用模型，直到回答通过检查
+ * 最后一层的回答不再检查；调用失败时直接升级；累计成本加上下一层的估算成本（不是最后一层时包括检查成本）
+ * 超过预算或剩余时间不足时停止升级；预算不足以运行检查时直接采用当前回答。
+ * 没有回答通过检查时返回最后一个成功的回答
+ * @param {Array<Object>} tiers - 按成本从低到高排列的模型信息
+ * @param {Object} options - 选项
+ * @param {Function} options.invoke - 接收模型信息，返回模型响应
+ * @param {Array<string>} options.checks - 要运行的回答检查
+ * @param {Object} options.context - 检查上下文 { query, messages, generationOptions, metadata, signal, deadline }
+ * @param {number} [options.budget] - 预算
+ * @param {number} [options.checkCost] - 每次运行回答检查的估算成本，见 estimateCheckCost
+ * @returns {Promise<Object>} { response, modelInfo, attempts, totalCost }，attempts 为每一层的
+ *   { tier, provider, model, cost, accepted, checks, error }
+ * @throws {GatewayError} 如果所有层级的调用都失败
+ */
+async function runCascade(tiers, options) {
+  const { invoke, checks, context, budget = Infinity, checkCost = 0 } = options;
+  const attempts = [];
+  let totalCost = 0;
+  let fallback = null;
+
+  for (let index = 0; index < tiers.length; index++) {
+    const modelInfo = tiers[index];
+    const isLast = index === tiers.length - 1;
+
+    if (index > 0) {
+      throwIfAborted(context.signal);
+      const estimatedCost = (modelInfo.estimatedCost || 0) + (isLast ? 0 : checkCost);
+      if (totalCost + estimatedCost > budget || !hasTimeRemaining(context.deadline)) {
+        logger.info('级联因预算或剩余时间不足停止升级', { tier: modelInfo.modelType, totalCost, budget });
+        break;
+      }
+    }
+
+    const attempt = {
+      tier: modelInfo.modelType,
+      provider: modelInfo.provider,
+      model: modelInfo.model || modelInfo.modelConfig.defaultModel || 'default',
+      cost: 0,
+      accepted: false,
+      checks: [],
+      error: ''
+    };
+    attempts.push(attempt);
+
+    let answer;
+    try {
+      answer = await invoke(modelInfo);
+    } catch (error) {
+      // 请求参数无效时其他层级同样无法处理
+      if ((context.signal && context.signal.aborted) || error.code === 'INVALID_REQUEST') {
+        throw error;
+      }
+      attempt.error = error.message;
+      logger.warn('级联层级调用失败，升级到下一层级', { tier: attempt.tier, provider: attempt.provider, error: error.message });
+      continue;
+    }
+
+    attempt.cost = answer.cost || modelInfo.estimatedCost || 0;
+
+    // 预算不足以运行检查时也无法再升级，直接采用当前回答
+    const canAffordChecks = totalCost + attempt.cost + checkCost <= budget;
+    if (!isLast && !canAffordChecks) {
+      logger.info('预算不足以运行回答检查，采用当前层级的回答', { tier: attempt.tier, totalCost, budget });
+    }
+
+    if (!isLast && canAffordChecks) {
+      const result = await answerChecker.check(
+        answer,
+        { ...context, modelInfo, resample: () => invoke(modelInfo) },
+        checks
+      );
+      attempt.cost += result.cost;
+      attempt.checks = result.results;
+
+      if (!result.passed) {
+        totalCost += attempt.cost;
+        fallback = { answer, modelInfo, attempt };
+        logger.info('回答未通过检查，升级到下一层级', {
+          tier: attempt.tier,
+          provider: attempt.provider,
+          failedCheck: result.results[result.results.length - 1].name
+        });
+        continue;
+      }
+    }
+
+    totalCost += attempt.cost;
+    attempt.accepted = true;
+    return { response: answer, modelInfo, attempts, totalCost };
+  }
+
+  if (fallback) {
+    fallback.attempt.accepted = true;
+    return { response: fallback.answer, modelInfo: fallback.modelInfo, attempts, totalCost };
+  }
+
+  throw Errors.modelUnavailable('级联路由中所有层级的模型调用都失败');
+}
+
+module.exports = {
+  answerChecker,
+  isCascadeRequest,
+  getCascadeChecks,
+  estimateCheckCost,
+  runCascade,
+  AnswerChecker,
+  builtinChecks,
+  ROUTING_MODES
+};
@@ -0,0 +1,187 @@
+/**
+ * 离线批量处理
+ * 读取 JSONL 格式的查询请求，在进程内通过查询处理流程执行，并将结果逐行追加到输出文件；
+ * 输出文件中已有的结果会被跳过，因此中断后使用相同参数重新运行即可继续
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { Errors } = require('../utils/errors');
+const { SharedBudget } = require('../utils/budget');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { processBatchItem } = require('../services/batchService');
+
+/**
+ * 读取输入文件中的请求，空行被忽略
+ * @param {string} inputPath - 输入文件路径
+ * @returns {Array<Object>} 请求列表，每项包含行号对应的 index 以及请求或解析错误
+ */
+function readRequests(inputPath) {
+  const items = [];
+
+  fs.readFileSync(inputPath, 'utf8').split('\n').forEach((line, lineIndex) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    try {
+      const request = JSON.parse(line);
+      if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        throw new Error('不是 JSON 对象');
+      }
+      items.push({ index: lineIndex, request });
+    } catch (error) {
+      items.push({ index: lineIndex, error: Errors.invalidRequest(`第 ${lineIndex + 1} 行不是有效的请求: ${error.message}`) });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * 读取输出文件中已有的结果，同一请求有多条结果时以最后一条为准
+ * 进程中断可能留下不完整的最后一行，无法解析的行会被忽略
+ * @param {string} outputPath - 输出文件路径
+ * @returns {Map<number, Object>} 请求位置到结果的映射
+ */
+function readCompletedResults(outputPath) {
+  const completed = new Map();
+  if (!fs.existsSync(outputPath)) {
+    return completed;
+  }
+
+  for (const line of fs.readFileSync(outputPath, 'utf8').split('\n')) {
+    try {
+      const result = JSON.parse(line);
+      if (Number.isInteger(result.index)) {
+        completed.set(result.index, result);
+      }
+    } catch (error) {
+      // 忽略空行和不完整的行
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * 打开输出文件用于追加，文件不以换行结尾时先补上换行
+ * @param {string} outputPath - 输出文件路径
+ * @returns {number} 文件描述符
+ */
+function openOutput(outputPath) {
+  const fd = fs.openSync(outputPath, 'a+');
+  const { size } = fs.fstatSync(fd);
+
+  if (size > 0) {
+    const lastByte = Buffer.alloc(1);
+    fs.readSync(fd, lastByte, 0, 1, size - 1);
+    if (lastByte[0] !== 0x0a) {
+      fs.writeSync(fd, '\n');
+    }
+  }
+
+  return fd;
+}
+
+/**
+ * 转换为输出文件中的一行结果
+ * @param {Object} itemResult - 单个请求的处理结果
+ * @param {number} latency - 处理耗时（毫秒）
+ * @returns {Object} 结果行
+ */
+function toResultLine(itemResult, latency) {
+  const { response } = itemResult;
+
+  return {
+    index: itemResult.index,
+    request_id: itemResult.request_id,
+    status: itemResult.status,
+    response: response ? response.response : null,
+    provider: response ? response.model_used : null,
+    complexity_score: response ? response.complexity_score : null,
+    cost: response ? response.cost : 0,
+    token_usage: response ? response.token_usage : null,
+    latency_ms: latency,
+    error: itemResult.status === 'OK' ? null : itemResult.error_message
+  };
+}
+
+/**
+ * 执行批量处理
+ * @param {Object} options - 运行选项
+ * @param {string} options.input - 输入文件路径，每行一个 ModelRequest JSON 对象
+ * @param {string} [options.output] - 输出文件路径，默认为输入文件名加 .results.jsonl
+ * @param {number} [options.concurrency] - 同时处理的请求数
+ * @param {number} [options.budget] - 总预算（美元），包括之前运行已花费的成本
+ * @param {Object} [options.metadata] - 应用到每个请求的元数据
+ * @param {boolean} [options.retryFailed] - 是否重新执行之前失败的请求
+ * @returns {Promise<Object>} 运行汇总，failed 包括之前失败且本次未重新执行的请求
+ */
+async function runBatchFile(options) {
+  const input = options.input;
+  const output = options.output || input.replace(/\.jsonl$/, '') + '.results.jsonl';
+  const concurrency = Math.min(options.concurrency || config.batch.defaultConcurrency, config.batch.maxConcurrency);
+
+  const items = readRequests(input);
+  const completed = readCompletedResults(output);
+  const pending = items.filter(item => {
+    const previous = completed.get(item.index);
+    return !previous || (options.retryFailed && previous.status !== 'OK');
+  });
+  // 之前失败且本次不重新执行的请求仍然计为失败
+  const previouslyFailed = items.filter(item => {
+    const previous = completed.get(item.index);
+    return previous && previous.status !== 'OK' && !options.retryFailed;
+  }).length;
+
+  // 之前运行已花费的成本计入总预算
+  const previousCost = [...completed.values()].reduce((sum, result) => sum + (result.cost || 0), 0);
+  const sharedBudget = new SharedBudget(options.budget, previousCost);
+
+  const batch = {
+    batch_id: path.basename(input, path.extname(input)),
+    metadata: options.metadata || {}
+  };
+
+  const summary = {
+    input,
+    output,
+    total: items.length,
+    skipped: items.length - pending.length,
+    succeeded: 0,
+    failed: previouslyFailed,
+    total_cost: previousCost,
+    budget: options.budget || 0
+  };
+
+  const fd = openOutput(output);
+  try {
+    await mapWithConcurrency(pending, concurrency, async (item) => {
+      const startTime = Date.now();
+      const itemResult = item.error
+        ? { index: item.index, request_id: null, status: item.error.code, response: null, error_message: item.error.message }
+        : await processBatchItem(item.request, item.index, batch, sharedBudget);
+      const line = toResultLine(itemResult, Date.now() - startTime);
+
+      fs.writeSync(fd, JSON.stringify(line) + '\n');
+
+      if (line.status === 'OK') {
+        summary.succeeded++;
+        summary.total_cost += line.cost;
+      } else {
+        summary.failed++;
+      }
+    });
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  runBatchFile,
+  readRequests,
+  readCompletedResults
+};
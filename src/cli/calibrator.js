@@ -0,0 +1,511 @@
+/**
+ * 复杂度校准
+ * 读取标注了目标层级或各层级观测质量的 JSONL 查询集，离线运行复杂度评估器，
+ * 在满足平均质量约束的前提下搜索成本最低的复杂度阈值和特征权重，并输出各层级的混淆矩阵
+ */
+const fs = require('fs');
+const config = require('../config');
+const { complexityEvaluator, evaluateComplexity } = require('../complexity');
+const { estimateTokens } = require('../utils/text');
+
+// 路由层级，按能力和成本从低到高排列
+const TIERS = ['local', 'hybrid', 'remote'];
+
+// 配置中没有对应层级的提供商时使用的单次查询基础成本（美元）
+const DEFAULT_TIER_COSTS = { local: 0.0001, hybrid: 0.001, remote: 0.01 };
+
+// 阈值搜索的步长
+const THRESHOLD_STEP = 0.01;
+
+// 权重搜索时每个特征尝试的取值
+const WEIGHT_CANDIDATES = [0, 0.05, 0.1, 0.15, 0.2, 0.3, 0.4, 0.5];
+
+// 权重坐标下降的最大轮数
+const MAX_WEIGHT_ROUNDS = 5;
+
+/**
+ * 将质量键解析为层级，键可以是层级名称或配置中的提供商名称
+ * @param {string} key - 层级或提供商名称
+ * @returns {Array<string>} 对应的层级
+ */
+function resolveTiers(key) {
+  if (TIERS.includes(key)) {
+    return [key];
+  }
+
+  const provider = (config.modelProviders || {})[key];
+  if (!provider) {
+    return [];
+  }
+  return (provider.supportedModelTypes || TIERS).filter(tier => TIERS.includes(tier));
+}
+
+/**
+ * 计算每个层级的观测质量
+ * 没有观测值的层级沿用更低层级的质量，最低层级没有观测值时为 0
+ * @param {Object} observed - 层级或提供商名称到质量（0-1）的映射
+ * @returns {Object} 层级到质量的映射
+ */
+function toTierQuality(observed) {
+  const samples = Object.fromEntries(TIERS.map(tier => [tier, []]));
+
+  for (const [key, value] of Object.entries(observed)) {
+    const quality = Number(value);
+    const tiers = resolveTiers(key);
+    if (!Number.isFinite(quality) || quality < 0 || quality > 1 || tiers.length === 0) {
+      throw new Error(`无效的质量数据 ${key}: ${value}，键应为层级或已配置的提供商，值在 0-1 之间`);
+    }
+    tiers.forEach(tier => samples[tier].push(quality));
+  }
+
+  const quality = {};
+  let previous = 0;
+  for (const tier of TIERS) {
+    const values = samples[tier];
+    previous = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : previous;
+    quality[tier] = previous;
+  }
+  return quality;
+}
+
+/**
+ * 读取标注数据集，空行被忽略
+ * 每行包含 query（或 messages、metadata），以及 tier（目标层级）或 quality（各层级或提供商的观测质量）
+ * @param {string} inputPath - 数据集文件路径
+ * @returns {Array<Object>} 标注项 { index, input, quality }
+ * @throws {Error} 如果某一行无法解析或缺少标注
+ */
+function readDataset(inputPath) {
+  const items = [];
+
+  fs.readFileSync(inputPath, 'utf8').split('\n').forEach((line, lineIndex) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    try {
+      const row = JSON.parse(line);
+      if (!row || typeof row.query !== 'string' || !row.query.trim()) {
+        throw new Error('缺少 query');
+      }
+
+      let quality;
+      if (TIERS.includes(row.tier)) {
+        // 路由到目标层级及以上视为满足质量要求
+        quality = Object.fromEntries(TIERS.map(tier => [tier, TIERS.indexOf(tier) >= TIERS.indexOf(row.tier) ? 1 : 0]));
+      } else if (row.quality && typeof row.quality === 'object') {
+        quality = toTierQuality(row.quality);
+      } else {
+        throw new Error(`缺少标注，需要 tier（${TIERS.join('/')}）或 quality`);
+      }
+
+      items.push({
+        index: lineIndex,
+        input: { query: row.query, messages: row.messages || [], metadata: row.metadata || {} },
+        quality
+      });
+    } catch (error) {
+      throw new Error(`第 ${lineIndex + 1} 行: ${error.message}`);
+    }
+  });
+
+  if (items.length === 0) {
+    throw new Error(`数据集 ${inputPath} 中没有标注数据`);
+  }
+  return items;
+}
+
+/**
+ * 获取各层级的单次查询基础成本
+ * 使用配置中支持该层级的提供商的平均 baseCostPerQuery
+ * @param {Object} [overrides] - 指定的层级成本
+ * @returns {Object} 层级到成本的映射
+ */
+function getTierCosts(overrides = {}) {
+  const providers = Object.values(config.modelProviders || {});
+
+  return Object.fromEntries(TIERS.map(tier => {
+    if (overrides[tier] !== undefined) {
+      return [tier, overrides[tier]];
+    }
+    const costs = providers
+      .filter(provider => provider.baseCostPerQuery !== undefined && (provider.supportedModelTypes || []).includes(tier))
+      .map(provider => provider.baseCostPerQuery);
+    const cost = costs.length > 0 ? costs.reduce((sum, value) => sum + value, 0) / costs.length : DEFAULT_TIER_COSTS[tier];
+    return [tier, cost];
+  }));
+}
+
+/**
+ * 获取当前生效的特征权重
+ * @param {Array<string>} features - 参与评估的特征
+ * @returns {Object} 特征名称到权重的映射
+ */
+function getCurrentWeights(features) {
+  const weights = (config.complexityEvaluation || {}).weights || {};
+
+  return Object.fromEntries(features.map(name => [
+    name,
+    weights[name] ?? complexityEvaluator.scorers.get(name).weight
+  ]));
+}
+
+/**
+ * 按权重计算复杂度，只对该查询参与评估的特征加权
+ * @param {Object} featureScores - 特征分数
+ * @param {Object} weights - 特征权重
+ * @returns {number} 复杂度评分
+ */
+function weightedScore(featureScores, weights) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const [name, score] of Object.entries(featureScores)) {
+    const weight = weights[name] || 0;
+    weightedSum += score * weight;
+    totalWeight += weight;
+  }
+
+  return totalWeight > 0 ? weightedSum / totalWeight : 0;
+}
+
+/**
+ * 根据阈值确定层级，与路由服务的规则一致
+ * @param {number} score - 复杂度评分
+ * @param {number} low - 低复杂度阈值
+ * @param {number} high - 高复杂度阈值
+ * @returns {string} 层级
+ */
+function tierFor(score, low, high) {
+  if (score < low) {
+    return 'local';
+  }
+  return score < high ? 'hybrid' : 'remote';
+}
+
+/**
+ * 计算每个标注项的期望层级：质量达到要求的最低层级，所有层级都达不到时为质量最高的层级
+ * @param {Object} quality - 层级到质量的映射
+ * @param {number} minQuality - 质量要求
+ * @returns {string} 期望层级
+ */
+function expectedTier(quality, minQuality) {
+  const sufficient = TIERS.find(tier => quality[tier] >= minQuality);
+  if (sufficient) {
+    return sufficient;
+  }
+  return TIERS.reduce((best, tier) => (quality[tier] > quality[best] ? tier : best), TIERS[0]);
+}
+
+/**
+ * 计算某一层级的查询成本，与路由服务的成本估算方式一致
+ * @param {Object} item - 标注项
+ * @param {number} score - 复杂度评分
+ * @param {string} tier - 层级
+ * @param {Object} tierCosts - 各层级的基础成本
+ * @returns {number} 估算成本
+ */
+function itemCost(item, score, tier, tierCosts) {
+  return tierCosts[tier] * (1 + score) * (1 + item.tokens / 250);
+}
+
+/**
+ * 评估一组阈值下的路由结果
+ * @param {Array<Object>} items - 标注项
+ * @param {Array<number>} scores - 每项的复杂度评分
+ * @param {Object} thresholds - { low, high }
+ * @param {Object} tierCosts - 各层级的基础成本
+ * @returns {Object} { cost, quality, accuracy, matrix }，matrix[期望层级][实际层级] 为数量
+ */
+function evaluateThresholds(items, scores, { low, high }, tierCosts) {
+  const matrix = Object.fromEntries(TIERS.map(expected => [expected, Object.fromEntries(TIERS.map(tier => [tier, 0]))]));
+  let cost = 0;
+  let quality = 0;
+
+  items.forEach((item, index) => {
+    const tier = tierFor(scores[index], low, high);
+    matrix[item.expected][tier]++;
+    cost += itemCost(item, scores[index], tier, tierCosts);
+    quality += item.quality[tier];
+  });
+
+  const correct = TIERS.reduce((sum, tier) => sum + matrix[tier][tier], 0);
+  return {
+    cost,
+    quality: quality / items.length,
+    accuracy: correct / items.length,
+    matrix
+  };
+}
+
+/**
+ * 比较两个搜索结果
+ * 满足质量要求的结果优先；都满足时成本低者优先，成本相同则准确率高者优先；都不满足时质量高者优先
+ * @param {Object} candidate - 候选结果
+ * @param {Object} best - 当前最优结果
+ * @returns {boolean} 候选结果是否更优
+ */
+function isBetter(candidate, best) {
+  if (!best) {
+    return true;
+  }
+  if (candidate.feasible !== best.feasible) {
+    return candidate.feasible;
+  }
+
+  const epsilon = 1e-12;
+  if (candidate.feasible) {
+    if (Math.abs(candidate.cost - best.cost) > epsilon) {
+      return candidate.cost < best.cost;
+    }
+    return candidate.accuracy > best.accuracy + epsilon;
+  }
+  if (Math.abs(candidate.quality - best.quality) > epsilon) {
+    return candidate.quality > best.quality;
+  }
+  return candidate.cost < best.cost - epsilon;
+}
+
+/**
+ * 搜索最优阈值
+ * 按评分排序后用前缀和计算每组阈值的成本、质量和准确率
+ * @param {Array<Object>} items - 标注项
+ * @param {Array<number>} scores - 每项的复杂度评分
+ * @param {Object} tierCosts - 各层级的基础成本
+ * @param {number} minQuality - 平均质量要求
+ * @returns {Object} { low, high, cost, quality, accuracy, feasible }
+ */
+function searchThresholds(items, scores, tierCosts, minQuality) {
+  const order = scores.map((score, index) => index).sort((a, b) => scores[a] - scores[b]);
+  const sortedScores = order.map(index => scores[index]);
+  const count = order.length;
+
+  // prefix[tier][i] 为评分最低的 i 项全部路由到该层级时的累计值
+  const prefix = Object.fromEntries(TIERS.map(tier => {
+    const sums = { cost: [0], quality: [0], correct: [0] };
+    order.forEach((index, position) => {
+      const item = items[index];
+      sums.cost.push(sums.cost[position] + itemCost(item, scores[index], tier, tierCosts));
+      sums.quality.push(sums.quality[position] + item.quality[tier]);
+      sums.correct.push(sums.correct[position] + (item.expected === tier ? 1 : 0));
+    });
+    return [tier, sums];
+  }));
+
+  const range = (tier, field, from, to) => prefix[tier][field][to] - prefix[tier][field][from];
+  const steps = Math.round(1 / THRESHOLD_STEP);
+
+  // thresholds[k] 为第 k 个候选阈值，cuts[k] 为评分低于该阈值的项数
+  const thresholds = [];
+  const cuts = [];
+  let position = 0;
+  for (let k = 0; k <= steps; k++) {
+    const threshold = Number((k * THRESHOLD_STEP).toFixed(2));
+    while (position < count && sortedScores[position] < threshold) {
+      position++;
+    }
+    thresholds.push(threshold);
+    cuts.push(position);
+  }
+
+  let best = null;
+  for (let lowStep = 0; lowStep <= steps; lowStep++) {
+    for (let highStep = lowStep; highStep <= steps; highStep++) {
+      const i = cuts[lowStep];
+      const j = cuts[highStep];
+      const sum = field => range('local', field, 0, i) + range('hybrid', field, i, j) + range('remote', field, j, count);
+      const quality = sum('quality') / count;
+      const candidate = {
+        low: thresholds[lowStep],
+        high: thresholds[highStep],
+        cost: sum('cost'),
+        quality,
+        accuracy: sum('correct') / count,
+        feasible: quality >= minQuality
+      };
+      if (isBetter(candidate, best)) {
+        best = candidate;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * 以坐标下降搜索特征权重，每组权重使用该权重下的最优阈值评估
+ * @param {Array<Object>} items - 标注项（包含 featureScores）
+ * @param {Object} initialWeights - 初始权重
+ * @param {Object} tierCosts - 各层级的基础成本
+ * @param {number} minQuality - 平均质量要求
+ * @returns {Object} { weights, thresholds }，权重归一化为和为 1
+ */
+function searchWeights(items, initialWeights, tierCosts, minQuality) {
+  const evaluate = weights => searchThresholds(
+    items,
+    items.map(item => weightedScore(item.featureScores, weights)),
+    tierCosts,
+    minQuality
+  );
+
+  let weights = { ...initialWeights };
+  let best = evaluate(weights);
+
+  for (let round = 0; round < MAX_WEIGHT_ROUNDS; round++) {
+    let improved = false;
+
+    for (const name of Object.keys(weights)) {
+      for (const value of WEIGHT_CANDIDATES) {
+        const candidateWeights = { ...weights, [name]: value };
+        if (value === weights[name] || Object.values(candidateWeights).every(weight => weight === 0)) {
+          continue;
+        }
+
+        const candidate = evaluate(candidateWeights);
+        if (isBetter(candidate, best)) {
+          best = candidate;
+          weights = candidateWeights;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) {
+      break;
+    }
+  }
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return {
+    weights: Object.fromEntries(Object.entries(weights).map(([name, weight]) => [name, Number((weight / total).toFixed(3))])),
+    thresholds: best
+  };
+}
+
+/**
+ * 执行校准
+ * @param {Object} options - 校准选项
+ * @param {string} options.input - 标注数据集路径
+ * @param {string} [options.output] - 建议配置的输出路径
+ * @param {number} [options.minQuality] - 平均质量要求，默认 0.95
+ * @param {Object} [options.costs] - 各层级的基础成本，未指定的层级从提供商配置推算
+ * @param {string} [options.evaluator] - 评估方式，model 方式只校准阈值
+ * @param {boolean} [options.tuneWeights] - 是否搜索特征权重，默认为 true
+ * @returns {Promise<Object>} 校准报告 { items, minQuality, tierCosts, current, suggested, config }
+ */
+async function runCalibration(options) {
+  const minQuality = options.minQuality ?? 0.95;
+  const evaluator = options.evaluator || (config.complexityEvaluation || {}).evaluator || 'heuristic';
+  const tierCosts = getTierCosts(options.costs);
+  const items = readDataset(options.input);
+
+  for (const item of items) {
+    const result = await evaluateComplexity(item.input, { evaluator });
+    item.score = result.complexityScore;
+    item.featureScores = result.featureScores;
+    item.evaluator = result.evaluator;
+    item.expected = expectedTier(item.quality, minQuality);
+    item.tokens = estimateTokens(item.input.query);
+  }
+
+  const routing = config.routingStrategy || {};
+  const currentThresholds = { low: routing.lowComplexityThreshold ?? 0.3, high: routing.highComplexityThreshold ?? 0.7 };
+  const currentScores = items.map(item => item.score);
+  const current = {
+    thresholds: currentThresholds,
+    ...evaluateThresholds(items, currentScores, currentThresholds, tierCosts)
+  };
+
+  // 分类模型的分数不是特征加权得到的，只能校准阈值
+  const tuneWeights = options.tuneWeights !== false && items.every(item => item.evaluator === 'heuristic');
+  const search = tuneWeights
+    ? searchWeights(items, getCurrentWeights([...new Set(items.flatMap(item => Object.keys(item.featureScores)))]), tierCosts, minQuality)
+    : { weights: null, thresholds: searchThresholds(items, currentScores, tierCosts, minQuality) };
+
+  const suggestedScores = search.weights
+    ? items.map(item => weightedScore(item.featureScores, search.weights))
+    : currentScores;
+  const suggestedThresholds = { low: search.thresholds.low, high: search.thresholds.high };
+  const suggested = {
+    thresholds: suggestedThresholds,
+    weights: search.weights,
+    feasible: search.thresholds.feasible,
+    ...evaluateThresholds(items, suggestedScores, suggestedThresholds, tierCosts)
+  };
+
+  // 与网关配置结构一致，可通过 COMPLEXITY_CALIBRATION_FILE 加载
+  const calibratedConfig = {
+    routingStrategy: {
+      lowComplexityThreshold: suggestedThresholds.low,
+      highComplexityThreshold: suggestedThresholds.high
+    }
+  };
+  if (search.weights) {
+    calibratedConfig.complexityEvaluation = { weights: search.weights };
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(calibratedConfig, null, 2) + '\n');
+  }
+
+  return {
+    items: items.length,
+    evaluator,
+    minQuality,
+    tierCosts,
+    current,
+    suggested,
+    config: calibratedConfig
+  };
+}
+
+/**
+ * 将混淆矩阵格式化为文本表格
+ * @param {Object} matrix - matrix[期望层级][实际层级]
+ * @returns {string} 表格文本
+ */
+function formatMatrix(matrix) {
+  const width = 8;
+  // 表头中的中文字符在终端中占两列，行标题多补 4 列以对齐
+  const header = '期望\\实际'.padEnd(width) + TIERS.map(tier => tier.padStart(width)).join('');
+  const rows = TIERS.map(expected =>
+    expected.padEnd(width + 4) + TIERS.map(tier => String(matrix[expected][tier]).padStart(width)).join('')
+  );
+  return [header, ...rows].join('\n');
+}
+
+/**
+ * 将校准报告格式化为文本
+ * @param {Object} report - runCalibration 返回的报告
+ * @returns {string} 报告文本
+ */
+function formatReport(report) {
+  const describe = (title, result) => [
+    `${title}: low=${result.thresholds.low} high=${result.thresholds.high}` +
+      (result.weights ? ` 权重=${JSON.stringify(result.weights)}` : ''),
+    formatMatrix(result.matrix),
+    `平均质量 ${result.quality.toFixed(3)}  准确率 ${(result.accuracy * 100).toFixed(1)}%  估算成本 $${result.cost.toFixed(6)}`
+  ].join('\n');
+
+  const lines = [
+    `样本数 ${report.items}，评估方式 ${report.evaluator}，质量要求 ${report.minQuality}`,
+    `层级基础成本 ${JSON.stringify(report.tierCosts)}`,
+    '',
+    describe('当前配置', report.current),
+    '',
+    describe('建议配置', report.suggested)
+  ];
+
+  if (!report.suggested.feasible) {
+    lines.push('', `没有满足质量要求 ${report.minQuality} 的配置，已给出质量最高的配置`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  runCalibration,
+  formatReport,
+  readDataset,
+  searchThresholds,
+  TIERS
+};
@@ -0,0 +1,222 @@
+/**
+ * 命令行工具
+ */
+const { parseArgs } = require('util');
+
+const USAGE = `用法: model-gateway <命令> [选项]
+
+命令:
+  batch <input.jsonl>   在进程内批量处理 JSONL 文件中的查询请求
+  calibrate <data.jsonl>
+                        根据标注数据校准复杂度阈值和特征权重
+
+batch 选项:
+  -o, --output <file>       结果文件，默认为 <input>.results.jsonl；已有结果会被跳过
+  -c, --concurrency <n>     同时处理的请求数
+  -b, --budget <usd>        总预算（美元），包括之前运行已花费的成本
+  -m, --metadata <k=v>      应用到每个请求的元数据，可重复
+      --retry-failed        重新执行之前失败的请求
+  -h, --help                显示帮助
+
+calibrate 选项:
+  -o, --output <file>       建议配置文件，默认为 <data>.calibration.json，可通过 COMPLEXITY_CALIBRATION_FILE 加载
+  -q, --min-quality <0-1>   平均质量要求，默认 0.95
+      --cost <tier=usd>     层级（local/hybrid/remote）的单次查询基础成本，可重复，默认从提供商配置推算
+  -e, --evaluator <name>    复杂度评估方式（heuristic 或 model），默认使用配置
+      --thresholds-only     只校准阈值，不搜索特征权重
+  -h, --help                显示帮助`;
+
+/**
+ * 解析 key=value 形式的元数据参数
+ * @param {Array<string>} pairs - 参数列表
+ * @returns {Object} 元数据
+ */
+function parseMetadata(pairs) {
+  const metadata = {};
+
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`无效的元数据参数: ${pair}，应为 key=value`);
+    }
+    metadata[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+
+  return metadata;
+}
+
+/**
+ * 解析 key=value 形式的数值参数
+ * @param {Array<string>} pairs - 参数列表
+ * @param {string} name - 参数名称
+ * @returns {Object} 名称到非负数值的映射
+ */
+function parseNumberPairs(pairs, name) {
+  const values = {};
+
+  for (const [key, value] of Object.entries(parseMetadata(pairs))) {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+      throw new Error(`--${name} ${key} 的值必须是非负数`);
+    }
+    values[key] = number;
+  }
+
+  return values;
+}
+
+/**
+ * 解析正数参数
+ * @param {string} value - 参数值
+ * @param {string} name - 参数名称
+ * @returns {number|undefined} 数值
+ */
+function parsePositive(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`--${name} 必须是正数`);
+  }
+  return number;
+}
+
+/**
+ * 解析正整数参数
+ * @param {string} value - 参数值
+ * @param {string} name - 参数名称
+ * @returns {number|undefined} 整数值
+ */
+function parsePositiveInteger(value, name) {
+  const number = parsePositive(value, name);
+  if (number !== undefined && !Number.isInteger(number)) {
+    throw new Error(`--${name} 必须是正整数`);
+  }
+  return number;
+}
+
+/**
+ * batch 命令
+ * @param {Array<string>} args - 命令参数
+ * @returns {Promise<number>} 退出码，有请求失败时为 1
+ */
+async function batchCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      concurrency: { type: 'string', short: 'c' },
+      budget: { type: 'string', short: 'b' },
+      metadata: { type: 'string', short: 'm', multiple: true, default: [] },
+      'retry-failed': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  // 在加载网关模块前解析参数，参数错误时不初始化适配器
+  const options = {
+    input: positionals[0],
+    output: values.output,
+    concurrency: parsePositiveInteger(values.concurrency, 'concurrency'),
+    budget: parsePositive(values.budget, 'budget'),
+    metadata: parseMetadata(values.metadata),
+    retryFailed: values['retry-failed']
+  };
+
+  const { runBatchFile } = require('./batchRunner');
+  const summary = await runBatchFile(options);
+
+  console.log(JSON.stringify(summary, null, 2));
+  return summary.failed > 0 ? 1 : 0;
+}
+
+/**
+ * calibrate 命令
+ * @param {Array<string>} args - 命令参数
+ * @returns {Promise<number>} 退出码，没有满足质量要求的配置时为 1
+ */
+async function calibrateCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      'min-quality': { type: 'string', short: 'q' },
+      cost: { type: 'string', multiple: true, default: [] },
+      evaluator: { type: 'string', short: 'e' },
+      'thresholds-only': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const minQuality = values['min-quality'] === undefined ? undefined : Number(values['min-quality']);
+  if (minQuality !== undefined && !(minQuality >= 0 && minQuality <= 1)) {
+    throw new Error('--min-quality 必须在 0-1 之间');
+  }
+
+  const costs = parseNumberPairs(values.cost, 'cost');
+  const { runCalibration, formatReport, TIERS } = require('./calibrator');
+  const unknownTiers = Object.keys(costs).filter(tier => !TIERS.includes(tier));
+  if (unknownTiers.length > 0) {
+    throw new Error(`未知的层级: ${unknownTiers.join(', ')}，可用层级: ${TIERS.join(', ')}`);
+  }
+
+  const input = positionals[0];
+  const output = values.output || input.replace(/\.jsonl$/, '') + '.calibration.json';
+  const report = await runCalibration({
+    input,
+    output,
+    minQuality,
+    costs,
+    evaluator: values.evaluator,
+    tuneWeights: !values['thresholds-only']
+  });
+
+  console.log(formatReport(report));
+  console.log(`\n建议配置已写入 ${output}`);
+  return report.suggested.feasible ? 0 : 1;
+}
+
+const COMMANDS = {
+  batch: batchCommand,
+  calibrate: calibrateCommand
+};
+
+/**
+ * 执行命令
+ * @param {Array<string>} argv - 命令行参数（不含 node 和脚本路径）
+ * @returns {Promise<number>} 退出码
+ */
+async function main(argv) {
+  const [name, ...args] = argv;
+  const command = COMMANDS[name];
+
+  if (!command) {
+    console.log(USAGE);
+    return name === '-h' || name === '--help' ? 0 : 2;
+  }
+
+  try {
+    return await command(args);
+  } catch (error) {
+    console.error(`错误: ${error.message}`);
+    return 2;
+  }
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,86 @@
+/**
+ * 复杂度评估器
+ * 每个特征由一个注册的评分器计算，综合复杂度为参与评估的特征分数的加权平均
+ */
+const config = require('../config');
+const { Errors } = require('../utils/errors');
+
+class ComplexityEvaluator {
+  constructor() {
+    this.scorers = new Map();
+  }
+
+  /**
+   * 注册特征评分器，同名评分器会被替换
+   * @param {string} name - 特征名称
+   * @param {Object} scorer - 评分器
+   * @param {number} scorer.weight - 默认权重，可被 config.complexityEvaluation.weights 覆盖
+   * @param {Function} scorer.score - 接收 { query, messages, metadata }，返回 { score, factors } 或 null（不适用）
+   */
+  registerScorer(name, scorer) {
+    if (typeof scorer.score !== 'function' || !(scorer.weight >= 0)) {
+      throw new Error(`复杂度评分器 ${name} 必须提供 score 函数和非负权重`);
+    }
+    this.scorers.set(name, scorer);
+  }
+
+  /**
+   * 获取已注册的特征名称
+   * @returns {Array<string>} 特征名称
+   */
+  getFeatures() {
+    return [...this.scorers.keys()];
+  }
+
+  /**
+   * 评估查询复杂度
+   * @param {Object} input - 评估输入
+   * @param {string} input.query - 查询文本
+   * @param {Array<Object>} [input.messages] - 之前的对话轮次
+   * @param {Object} [input.metadata] - 请求元数据
+   * @param {Array<string>} [features] - 要运行的特征，为空时使用 config.complexityEvaluation.features
+   * @returns {Object} { complexityScore, complexityFactors, featureScores }
+   * @throws {GatewayError} 如果请求了未注册的特征
+   */
+  evaluate(input, features = []) {
+    const settings = config.complexityEvaluation || {};
+    const selected = features.length > 0 ? features : (settings.features || this.getFeatures());
+    const weights = settings.weights || {};
+
+    const unknown = selected.filter(name => !this.scorers.has(name));
+    if (unknown.length > 0) {
+      throw Errors.invalidRequest(`未知的复杂度特征: ${unknown.join(', ')}，可用特征: ${this.getFeatures().join(', ')}`);
+    }
+
+    const scoringInput = { messages: [], metadata: {}, ...input };
+    const featureScores = {};
+    const complexityFactors = [];
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (const name of new Set(selected)) {
+      const scorer = this.scorers.get(name);
+      const result = scorer.score(scoringInput);
+      if (!result) {
+        continue;
+      }
+
+      const score = Math.min(Math.max(result.score, 0), 1);
+      const weight = weights[name] ?? scorer.weight;
+      featureScores[name] = score;
+      complexityFactors.push(...(result.factors || []));
+      weightedSum += score * weight;
+      totalWeight += weight;
+    }
+
+    return {
+      complexityScore: totalWeight > 0 ? weightedSum / totalWeight : 0,
+      complexityFactors,
+      featureScores
+    };
+  }
+}
+
+module.exports = {
+  ComplexityEvaluator
+};
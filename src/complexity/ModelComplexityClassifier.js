@@ -0,0 +1,112 @@
+/**
+ * 基于分类模型的复杂度评估
+ * 将查询发送到具备 classification 能力的适配器（默认 local-bert），按配置的标签复杂度和模型给出的置信度计算综合复杂度
+ */
+const config = require('../config');
+const { Errors } = require('../utils/errors');
+const { adapterManager } = require('../adapters');
+
+class ModelComplexityClassifier {
+  /**
+   * 评估查询复杂度
+   * @param {Object} input - 评估输入
+   * @param {string} input.query - 查询文本
+   * @param {Object} [options] - 评估选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object>} { complexityScore, complexityFactors, featureScores }，featureScores 为各标签的置信度
+   * @throws {GatewayError} 如果分类模型不可用、超时或没有返回已配置的标签
+   */
+  async evaluate({ query }, options = {}) {
+    const settings = (config.complexityEvaluation || {}).model || {};
+    const labelScores = settings.labelScores || {};
+    const timeoutMs = settings.timeoutMs || 300;
+
+    const adapter = adapterManager.getAdapter(settings.provider || 'local-bert');
+    if (!adapter.isAvailable()) {
+      throw Errors.modelUnavailable(`复杂度分类模型 ${adapter.providerName} 当前不可用`);
+    }
+
+    const result = await this._classifyWithTimeout(
+      adapter,
+      settings.model || 'default',
+      query,
+      Object.keys(labelScores),
+      timeoutMs,
+      options.signal
+    );
+
+    const labels = result.labels.filter(({ label }) => labelScores[label] !== undefined);
+    const totalConfidence = labels.reduce((sum, { score }) => sum + score, 0);
+    if (totalConfidence <= 0) {
+      throw Errors.modelUnavailable('复杂度分类模型没有返回已配置的标签');
+    }
+
+    const minConfidence = settings.minConfidence ?? 0.5;
+    const complexityScore = labels.reduce((sum, { label, score }) => sum + labelScores[label] * score, 0) / totalConfidence;
+
+    return {
+      complexityScore: Math.min(Math.max(complexityScore, 0), 1),
+      complexityFactors: labels
+        .filter(({ score }) => score >= minConfidence)
+        .map(({ label }) => `模型分类: ${label}`),
+      featureScores: Object.fromEntries(labels.map(({ label, score }) => [label, score]))
+    };
+  }
+
+  /**
+   * 调用分类模型，超时或取消时中止请求
+   * 即使适配器没有响应取消信号，也会在超时后立即返回
+   * @private
+   * @param {BaseModelAdapter} adapter - 分类适配器
+   * @param {string} modelName - 模型名称
+   * @param {string} query - 查询文本
+   * @param {Array<string>} labels - 候选标签
+   * @param {number} timeoutMs - 超时时间（毫秒）
+   * @param {AbortSignal} [signal] - 请求的取消信号
+   * @returns {Promise<Object>} 分类结果
+   */
+  async _classifyWithTimeout(adapter, modelName, query, labels, timeoutMs, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const timer = setTimeout(
+      () => controller.abort(Errors.modelUnavailable(`复杂度分类模型超过 ${timeoutMs}ms 未响应`)),
+      timeoutMs
+    );
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    const aborted = new Promise((resolve, reject) => {
+      const rejectWithReason = () => reject(controller.signal.reason);
+      if (controller.signal.aborted) {
+        rejectWithReason();
+      } else {
+        controller.signal.addEventListener('abort', rejectWithReason, { once: true });
+      }
+    });
+
+    try {
+      return await Promise.race([
+        adapter.classify(modelName, query, labels, {
+          signal: controller.signal,
+          deadline: Date.now() + timeoutMs
+        }),
+        aborted
+      ]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ModelComplexityClassifier
+};
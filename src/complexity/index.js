@@ -0,0 +1,71 @@
+/**
+ * 复杂度评估模块
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { getAbortError } = require('../utils/cancellation');
+const { ComplexityEvaluator } = require('./ComplexityEvaluator');
+const { ModelComplexityClassifier } = require('./ModelComplexityClassifier');
+const { builtinScorers } = require('./scorers');
+
+// 注册了内置评分器的默认评估器，可通过 registerScorer 添加自定义特征
+const complexityEvaluator = new ComplexityEvaluator();
+for (const [name, scorer] of Object.entries(builtinScorers)) {
+  complexityEvaluator.registerScorer(name, scorer);
+}
+
+const modelComplexityClassifier = new ModelComplexityClassifier();
+
+// 可选的评估方式
+const EVALUATORS = ['heuristic', 'model'];
+
+/**
+ * 按请求元数据或配置选择评估方式并评估查询复杂度
+ * 分类模型不可用、超时或返回无法识别的结果时回退到特征评分
+ * @param {Object} input - 评估输入 { query, messages, metadata }
+ * @param {Object} [options] - 评估选项
+ * @param {string} [options.evaluator] - 评估方式，优先于元数据 complexityEvaluator 和 config.complexityEvaluation.evaluator
+ * @param {Array<string>} [options.features] - 特征评分时要运行的特征
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Object>} { complexityScore, complexityFactors, featureScores, evaluator }，evaluator 为实际使用的评估方式
+ * @throws {GatewayError} 如果评估方式无效或请求已取消
+ */
+async function evaluateComplexity(input, options = {}) {
+  const metadata = input.metadata || {};
+  const evaluator = options.evaluator ||
+    metadata.complexityEvaluator ||
+    (config.complexityEvaluation || {}).evaluator ||
+    'heuristic';
+
+  if (!EVALUATORS.includes(evaluator)) {
+    throw Errors.invalidRequest(`未知的复杂度评估方式: ${evaluator}，可用方式: ${EVALUATORS.join(', ')}`);
+  }
+
+  if (evaluator === 'model') {
+    try {
+      const result = await modelComplexityClassifier.evaluate(input, { signal: options.signal });
+      return { ...result, evaluator };
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw getAbortError(options.signal);
+      }
+      logger.warn('分类模型评估复杂度失败，回退到特征评分', { error: error.message });
+    }
+  }
+
+  return {
+    ...complexityEvaluator.evaluate(input, options.features),
+    evaluator: 'heuristic'
+  };
+}
+
+module.exports = {
+  complexityEvaluator,
+  modelComplexityClassifier,
+  evaluateComplexity,
+  ComplexityEvaluator,
+  ModelComplexityClassifier,
+  builtinScorers,
+  EVALUATORS
+};
@@ -0,0 +1,121 @@
+/**
+ * 内置复杂度特征评分器
+ * 每个评分器接收 { query, messages, metadata }，返回 { score, factors }，score 在 0-1 之间；
+ * 特征不适用于当前查询时返回 null，该特征不参与加权
+ */
+const { segmentWords, splitSentences, weightedLength, estimateTokens } = require('../utils/text');
+
+// 抽象推理相关的关键词
+const ABSTRACTION_TERMS = [
+  'why', 'how', 'explain', 'analyze', 'analyse', 'compare', 'evaluate', 'implication',
+  'theory', 'concept', 'principle', 'tradeoff', 'trade-off', 'pros and cons',
+  '为什么', '如何', '解释', '分析', '比较', '评估', '原理', '理论', '概念', '影响', '意义', '利弊', '权衡',
+  'なぜ', 'どうして', '説明', '評価', '理由'
+];
+
+// 各专业领域的术语
+const DOMAIN_TERMS = {
+  编程: ['algorithm', 'function', 'api', 'database', 'compile', 'runtime', 'concurrency', 'regex', 'sql', '算法', '函数', '数据库', '编程', '代码', '并发', '编译', 'アルゴリズム', 'データベース', 'プログラム'],
+  数学: ['equation', 'integral', 'derivative', 'theorem', 'proof', 'matrix', 'probability', '方程', '积分', '导数', '定理', '证明', '矩阵', '概率'],
+  法律: ['contract', 'liability', 'statute', 'plaintiff', 'jurisdiction', '合同', '法律', '诉讼', '条款', '侵权'],
+  医学: ['diagnosis', 'symptom', 'dosage', 'clinical', 'pathology', '诊断', '症状', '剂量', '临床', '病理'],
+  金融: ['investment', 'portfolio', 'interest rate', 'derivative pricing', 'valuation', '投资', '利率', '估值', '资产', '收益率']
+};
+
+/**
+ * 统计文本中出现的术语数量
+ * 英文术语按整词匹配，中文术语按子串匹配
+ * @param {string} text - 小写文本
+ * @param {Array<string>} terms - 术语列表
+ * @returns {number} 出现的不同术语数量
+ */
+function countTerms(text, terms) {
+  return terms.filter(term => {
+    if (/^[\x20-\x7e]+$/.test(term)) {
+      return new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text);
+    }
+    return text.includes(term);
+  }).length;
+}
+
+/**
+ * 词汇复杂度：基于词数和平均词长，CJK 文本按词典分词，词长按折算长度计算
+ */
+function scoreVocabulary({ query }) {
+  const words = segmentWords(query);
+  const wordCount = Math.max(words.length, 1);
+  const avgWordLength = words.reduce((sum, word) => sum + weightedLength(word), 0) / wordCount;
+  const score = Math.min(wordCount / 100, 1) * 0.5 + Math.min(avgWordLength / 10, 1) * 0.5;
+
+  const factors = [];
+  if (score > 0.6) factors.push('高词汇复杂度');
+  if (words.length > 100) factors.push('查询长度较长');
+
+  return { score, factors };
+}
+
+/**
+ * 语法复杂度：基于平均句子长度，支持全角句末标点
+ */
+function scoreGrammar({ query }) {
+  const wordCount = segmentWords(query).length;
+  const sentenceCount = Math.max(splitSentences(query).length, 1);
+  const score = Math.min(wordCount / sentenceCount / 20, 1);
+
+  return { score, factors: score > 0.6 ? ['复杂语法结构'] : [] };
+}
+
+/**
+ * 抽象程度：基于抽象推理关键词
+ */
+function scoreAbstraction({ query }) {
+  const score = Math.min(countTerms(query.toLowerCase(), ABSTRACTION_TERMS) / 3, 1);
+
+  return { score, factors: score > 0.5 ? ['抽象推理要求高'] : [] };
+}
+
+/**
+ * 领域专业性：基于各领域的术语
+ */
+function scoreDomain({ query }) {
+  const text = query.toLowerCase();
+  const matches = Object.entries(DOMAIN_TERMS)
+    .map(([domain, terms]) => ({ domain, count: countTerms(text, terms) }))
+    .filter(match => match.count > 0);
+
+  const termCount = matches.reduce((sum, match) => sum + match.count, 0);
+  const score = Math.min(termCount / 4, 1);
+
+  return {
+    score,
+    factors: score > 0.5 ? [`涉及专业领域: ${matches.map(match => match.domain).join('、')}`] : []
+  };
+}
+
+/**
+ * 上下文复杂度：基于之前的对话轮次和估算的 token 数，单轮请求不适用
+ */
+function scoreContext({ messages = [] }) {
+  if (messages.length === 0) {
+    return null;
+  }
+
+  const contextTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+  const score = Math.min(messages.length / 10, 1) * 0.5 + Math.min(contextTokens / 1000, 1) * 0.5;
+
+  return { score, factors: score > 0.5 ? ['对话上下文较长'] : [] };
+}
+
+// 内置评分器及其默认权重
+const builtinScorers = {
+  vocabulary: { weight: 0.3, score: scoreVocabulary },
+  grammar: { weight: 0.2, score: scoreGrammar },
+  abstraction: { weight: 0.2, score: scoreAbstraction },
+  domain: { weight: 0.2, score: scoreDomain },
+  context: { weight: 0.1, score: scoreContext }
+};
+
+module.exports = {
+  builtinScorers,
+  countTerms
+};
@@ -1,11 +1,56 @@
 /**
  * 配置文件
  */
+const fs = require('fs');
 require('dotenv').config();
 
+/**
+ * 解析 name:value 形式的逗号分隔列表，如 vocabulary:0.3,domain:0.2
+ * @param {string} value - 环境变量值
+ * @returns {Object} 名称到数值的映射
+ */
+function parseNumberMap(value) {
+  return Object.fromEntries(
+    (value || '')
+      .split(',')
+      .filter(Boolean)
+      .map(pair => {
+        const [name, number] = pair.split(':');
+        return [name.trim(), parseFloat(number)];
+      })
+  );
+}
+
+/**
+ * 读取 JSON 配置文件
+ * @param {string} [filePath] - 文件路径
+ * @param {*} defaultValue - 未指定文件时的默认值
+ * @returns {*} 文件内容
+ */
+function loadJsonFile(filePath, defaultValue) {
+  if (!filePath) {
+    return defaultValue;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// 由 model-gateway calibrate 生成，环境变量中显式设置的值优先
+const calibration = loadJsonFile(process.env.COMPLEXITY_CALIBRATION_FILE, {});
+const calibratedRouting = calibration.routingStrategy || {};
+
 const config = {
   // 服务器配置
   grpcPort: process.env.GRPC_PORT || 50051,
+  httpPort: process.env.HTTP_PORT || 8080,
+  httpBodyLimit: process.env.HTTP_BODY_LIMIT || '1mb',
+  
+  // 管理接口（老虎机状态、A/B 实验、影子流量记录）使用单独的 HTTP 服务，默认只监听本机地址
+  admin: {
+    port: process.env.ADMIN_PORT || 8081,
+    host: process.env.ADMIN_HOST || '127.0.0.1',
+    // 设置后请求需要携带 Authorization: Bearer <token>；监听非本机地址时应当设置
+    token: process.env.ADMIN_TOKEN || ''
+  },
   environment: process.env.NODE_ENV || 'development',
   
   // 日志配置
@@ -25,14 +70,169 @@ const config = {
   // 复杂度评估配置
   complexityEvaluation: {
     defaultThreshold: parseFloat(process.env.COMPLEXITY_DEFAULT_THRESHOLD || '0.5'),
-    features: (process.env.COMPLEXITY_FEATURES || 'vocabulary,grammar,abstraction,domain,context').split(',')
+    features: (process.env.COMPLEXITY_FEATURES || 'vocabulary,grammar,abstraction,domain,context').split(','),
+    // 覆盖评分器的默认权重，格式为 vocabulary:0.3,domain:0.2
+    weights: {
+      ...(calibration.complexityEvaluation || {}).weights,
+      ...parseNumberMap(process.env.COMPLEXITY_WEIGHTS)
+    },
+    // 默认评估方式：heuristic（特征评分）或 model（分类模型），请求可通过元数据 complexityEvaluator 覆盖
+    evaluator: process.env.COMPLEXITY_EVALUATOR || 'heuristic',
+    // 分类模型评估配置，模型不可用或超时时回退到特征评分
+    model: {
+      provider: process.env.COMPLEXITY_MODEL_PROVIDER || 'local-bert',
+      model: process.env.COMPLEXITY_MODEL_NAME || 'default',
+      timeoutMs: parseInt(process.env.COMPLEXITY_MODEL_TIMEOUT_MS || '300', 10),
+      // 分类标签及其对应的复杂度，格式与权重相同
+      labelScores: parseNumberMap(
+        process.env.COMPLEXITY_MODEL_LABELS || 'simple:0.1,moderate:0.5,hard:0.9,code:0.7,math:0.8,creative:0.4'
+      ),
+      // 置信度达到该值的标签会作为复杂度因素返回
+      minConfidence: parseFloat(process.env.COMPLEXITY_MODEL_MIN_CONFIDENCE || '0.5')
+    }
+  },
+  
+  // 批量请求配置
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS || '1000', 10),
+    defaultConcurrency: parseInt(process.env.BATCH_DEFAULT_CONCURRENCY || '8', 10),
+    maxConcurrency: parseInt(process.env.BATCH_MAX_CONCURRENCY || '32', 10)
+  },
+  
+  // 上下文窗口配置
+  contextWindow: {
+    // 没有模型容纳得下提示和 max_tokens 时的处理方式：reject、escalate、truncate 或 summarize，请求可通过元数据 contextOverflow 覆盖
+    overflowPolicy: process.env.CONTEXT_OVERFLOW_POLICY || 'reject',
+    // summarize 策略使用的摘要模型，未设置时使用所选的提供商和模型
+    summaryProvider: process.env.CONTEXT_SUMMARY_PROVIDER || '',
+    summaryModel: process.env.CONTEXT_SUMMARY_MODEL || '',
+    summaryMaxTokens: parseInt(process.env.CONTEXT_SUMMARY_MAX_TOKENS || '256', 10)
+  },
+  
+  // 级联路由配置：先调用较便宜的层级，回答未通过检查时升级，请求可通过元数据 routingMode 启用或关闭
+  cascade: {
+    enabled: process.env.CASCADE_ENABLED === 'true',
+    tiers: (process.env.CASCADE_TIERS || 'local,hybrid,remote').split(','),
+    // 回答检查：refusal、length、json、selfConsistency、judge，请求可通过元数据 cascadeChecks 覆盖
+    checks: (process.env.CASCADE_CHECKS || 'refusal,length,json').split(','),
+    minTokens: parseInt(process.env.CASCADE_MIN_TOKENS || '5', 10),
+    consistencyThreshold: parseFloat(process.env.CASCADE_CONSISTENCY_THRESHOLD || '0.5'),
+    // judge 检查使用的评审模型，评分（0-10）折算后低于 minScore 时升级
+    judge: {
+      provider: process.env.CASCADE_JUDGE_PROVIDER || 'remote-openai',
+      model: process.env.CASCADE_JUDGE_MODEL || 'gpt-3.5-turbo',
+      minScore: parseFloat(process.env.CASCADE_JUDGE_MIN_SCORE || '0.7')
+    }
+  },
+  
+  // 老虎机提供商选择配置：按复杂度区间从调用结果和质量反馈中学习，代替按评分贪心选择
+  bandit: {
+    enabled: process.env.BANDIT_ENABLED === 'true',
+    // UCB 探索项的系数，0 表示只在尝试过每个提供商后按平均奖励选择
+    explorationRate: parseFloat(process.env.BANDIT_EXPLORATION_RATE || '0.5'),
+    // 观测权重减半所需的时间（毫秒）
+    halfLifeMs: parseInt(process.env.BANDIT_HALF_LIFE_MS || '3600000', 10),
+    // 奖励中响应时间部分的权重，响应时间等于 targetLatencyMs 时该部分为 0.5
+    latencyWeight: parseFloat(process.env.BANDIT_LATENCY_WEIGHT || '0.3'),
+    targetLatencyMs: parseInt(process.env.BANDIT_TARGET_LATENCY_MS || '2000', 10),
+    // 一次质量反馈相当于多少次调用结果
+    feedbackWeight: parseFloat(process.env.BANDIT_FEEDBACK_WEIGHT || '2')
+  },
+  
+  // 对冲请求配置：主模型超过延迟百分位仍未响应时向另一个提供商再发送一次请求，请求通过元数据 hedge 启用
+  hedging: {
+    // 等待时间取主模型提供商最近成功调用的响应时间百分位，样本少于 minSamples 时使用 defaultDelayMs
+    percentile: parseFloat(process.env.HEDGE_PERCENTILE || '95'),
+    minSamples: parseInt(process.env.HEDGE_MIN_SAMPLES || '20', 10),
+    defaultDelayMs: parseInt(process.env.HEDGE_DEFAULT_DELAY_MS || '1000', 10),
+    minDelayMs: parseInt(process.env.HEDGE_MIN_DELAY_MS || '50', 10),
+    // 每个请求对冲调用的估算成本上限（美元），请求可通过元数据 hedgeMaxExtraCost 降低
+    maxExtraCost: parseFloat(process.env.HEDGE_MAX_EXTRA_COST || '0.01')
+  },
+  
+  // 影子流量配置：按采样比例把请求异步发送到影子提供商，比较两者的输出，不影响返回给调用方的响应
+  shadow: {
+    enabled: process.env.SHADOW_ENABLED === 'true',
+    provider: process.env.SHADOW_PROVIDER || '',
+    // 影子提供商的模型，默认使用其默认模型
+    model: process.env.SHADOW_MODEL || '',
+    sampleRate: parseFloat(process.env.SHADOW_SAMPLE_RATE || '0.05'),
+    // 同时进行的影子调用上限，达到上限时跳过
+    maxConcurrent: parseInt(process.env.SHADOW_MAX_CONCURRENT || '4', 10),
+    // 每个预算周期内影子调用的总成本上限（美元），按估算成本预留，超出时跳过
+    budget: parseFloat(process.env.SHADOW_BUDGET || '1'),
+    budgetWindowMs: parseInt(process.env.SHADOW_BUDGET_WINDOW_MS || '86400000', 10),
+    // 内存中保留的对比记录条数；设置 outputFile 时同时以 JSON Lines 追加写入该文件，供离线比较
+    maxRecords: parseInt(process.env.SHADOW_MAX_RECORDS || '1000', 10),
+    outputFile: process.env.SHADOW_OUTPUT_FILE || ''
+  },
+  
+  // 熔断器配置：按提供商和模型统计调用结果，错误率过高或连续超时时暂停向其路由
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    // 错误率按最近 windowMs 内的调用计算，调用次数少于 minRequests 时不按错误率打开
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS || '60000', 10),
+    minRequests: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS || '10', 10),
+    errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE || '0.5'),
+    consecutiveTimeouts: parseInt(process.env.CIRCUIT_BREAKER_CONSECUTIVE_TIMEOUTS || '3', 10),
+    // 打开后经过 openDurationMs 进入半开状态，同时放行 halfOpenMaxProbes 个探测调用
+    openDurationMs: parseInt(process.env.CIRCUIT_BREAKER_OPEN_DURATION_MS || '30000', 10),
+    halfOpenMaxProbes: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_PROBES || '1', 10)
+  },
+  
+  // 健康探测配置：后台定期探测各提供商并标记为 online、degraded 或 offline，提供商可通过 healthCheck 覆盖除 enabled 以外的参数
+  healthProbe: {
+    enabled: process.env.HEALTH_PROBE_ENABLED === 'true',
+    intervalMs: parseInt(process.env.HEALTH_PROBE_INTERVAL_MS || '30000', 10),
+    timeoutMs: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS || '5000', 10),
+    // 探测延迟超过 degradedLatencyMs 时为 degraded；连续失败 failureThreshold 次时为 offline，之前的失败为 degraded
+    degradedLatencyMs: parseInt(process.env.HEALTH_PROBE_DEGRADED_LATENCY_MS || '2000', 10),
+    failureThreshold: parseInt(process.env.HEALTH_PROBE_FAILURE_THRESHOLD || '2', 10),
+    // 提供商没有配置健康检查端点（healthCheck.endpoint）时发送的固定提示及其最大输出 token 数
+    prompt: process.env.HEALTH_PROBE_PROMPT || 'ping',
+    maxTokens: parseInt(process.env.HEALTH_PROBE_MAX_TOKENS || '1', 10)
+  },
+  
+  // 取消和截止时间配置
+  cancellation: {
+    // 距离截止时间不足该值（毫秒）时不再重试或尝试备用模型
+    minRemainingMs: parseInt(process.env.CANCELLATION_MIN_REMAINING_MS || '1000', 10)
+  },
+  
+  // 异步任务配置
+  jobs: {
+    dataDir: process.env.JOBS_DATA_DIR || './data/jobs',
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY || '4', 10),
+    // 保留的已结束任务数，超出时从内存和磁盘中删除最早结束的任务
+    maxFinishedJobs: parseInt(process.env.JOBS_MAX_FINISHED || '1000', 10)
   },
   
   // 路由策略配置
   routingStrategy: {
-    lowComplexityThreshold: parseFloat(process.env.LOW_COMPLEXITY_THRESHOLD || '0.3'),
-    highComplexityThreshold: parseFloat(process.env.HIGH_COMPLEXITY_THRESHOLD || '0.7')
-  }
+    lowComplexityThreshold: parseFloat(process.env.LOW_COMPLEXITY_THRESHOLD || (calibratedRouting.lowComplexityThreshold ?? '0.3')),
+    highComplexityThreshold: parseFloat(process.env.HIGH_COMPLEXITY_THRESHOLD || (calibratedRouting.highComplexityThreshold ?? '0.7')),
+    // 提供商评分权重：负载、成本效率、性能（成功率与响应速度）、可靠性（成功率）和质量（用户反馈）
+    loadWeight: parseFloat(process.env.ROUTING_LOAD_WEIGHT || '0.4'),
+    costEfficiencyWeight: parseFloat(process.env.ROUTING_COST_EFFICIENCY_WEIGHT || '0.3'),
+    performanceWeight: parseFloat(process.env.ROUTING_PERFORMANCE_WEIGHT || '0.3'),
+    reliabilityWeight: parseFloat(process.env.ROUTING_RELIABILITY_WEIGHT || '0'),
+    qualityWeight: parseFloat(process.env.ROUTING_QUALITY_WEIGHT || '0')
+  },
+  
+  // 质量反馈配置
+  feedback: {
+    // 路由决策的保留时间（毫秒）和条数，超过后无法再提交反馈
+    retentionMs: parseInt(process.env.FEEDBACK_RETENTION_MS || '86400000', 10),
+    maxDecisions: parseInt(process.env.FEEDBACK_MAX_DECISIONS || '100000', 10),
+    // 反馈少于该条数时质量因子取中性值 0.5
+    minSamples: parseInt(process.env.FEEDBACK_MIN_SAMPLES || '5', 10)
+  },
+  
+  // 路由规则，按顺序匹配，第一条匹配的规则生效；格式见 docs/API.md 的路由规则一节
+  routingRules: loadJsonFile(process.env.ROUTING_RULES_FILE, []),
+  
+  // A/B 实验，请求参与第一个匹配的运行中实验；格式见 docs/API.md 的 A/B 实验一节
+  experiments: loadJsonFile(process.env.EXPERIMENTS_FILE, [])
 };
 
 module.exports = config;
\ No newline at end of file
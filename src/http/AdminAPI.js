@@ -0,0 +1,186 @@
+/**
+ * 管理接口
+ * 查看和重置路由服务学习到的状态，管理 A/B 实验，查看影子流量的对比结果。
+ * 影子流量记录包含请求和响应的原文，管理接口只在单独的管理端口上提供，不与客户端接口共用端口
+ */
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const modelRouterService = require('../services/modelRouterService');
+const { experimentManager } = require('../services/experiments');
+const { shadowTraffic } = require('../services/shadowTraffic');
+
+// 老虎机选择使用的复杂度区间
+const BANDIT_BUCKETS = ['low', 'medium', 'high'];
+
+class AdminAPI {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.use(this.authenticate.bind(this));
+    this.router.get('/bandit', this.getBanditState.bind(this));
+    this.router.delete('/bandit', this.resetBanditState.bind(this));
+    this.router.get('/experiments', this.listExperiments.bind(this));
+    this.router.post('/experiments/:name/start', this.startExperiment.bind(this));
+    this.router.post('/experiments/:name/stop', this.stopExperiment.bind(this));
+    this.router.get('/shadow/report', this.getShadowReport.bind(this));
+    this.router.get('/shadow/records', this.listShadowRecords.bind(this));
+  }
+
+  /**
+   * 配置了 config.admin.token 时校验请求的 Authorization: Bearer <token>
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   * @param {Function} next - 下一个处理函数
+   */
+  authenticate(req, res, next) {
+    const token = (config.admin || {}).token;
+    if (!token) {
+      next();
+      return;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+    if (!match || !crypto.timingSafeEqual(expected, actual)) {
+      this.sendError(res, Errors.unauthenticated('管理接口需要有效的访问令牌'));
+      return;
+    }
+    next();
+  }
+
+  /**
+   * 查看老虎机选择学习到的状态，统计按当前时间衰减
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  getBanditState(req, res) {
+    try {
+      res.json({
+        enabled: modelRouterService.bandit.isEnabled(),
+        ...modelRouterService.bandit.getState()
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 重置老虎机选择学习到的状态，可通过查询参数 bucket 和 provider 只重置部分统计
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  resetBanditState(req, res) {
+    try {
+      const { bucket, provider } = req.query;
+      if (bucket && !BANDIT_BUCKETS.includes(bucket)) {
+        throw Errors.invalidRequest(`未知的复杂度区间: ${bucket}，可用区间: ${BANDIT_BUCKETS.join(', ')}`);
+      }
+
+      const reset = modelRouterService.bandit.reset({ bucket, provider });
+      logger.info('已重置老虎机选择的状态', { bucket, provider, reset });
+      res.json({ reset });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 列出 A/B 实验的配置和状态
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  listExperiments(req, res) {
+    try {
+      res.json({ experiments: experimentManager.list() });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 开始 A/B 实验
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  startExperiment(req, res) {
+    try {
+      const experiment = experimentManager.start(req.params.name);
+      logger.info('已开始实验', { experiment: experiment.name });
+      res.json(experiment);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 停止 A/B 实验，停止后请求不再分配到该实验
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  stopExperiment(req, res) {
+    try {
+      const experiment = experimentManager.stop(req.params.name);
+      logger.info('已停止实验', { experiment: experiment.name });
+      res.json(experiment);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 查看影子流量的对比报告：按主模型提供商和影子模型比较延迟、成本和输出的重合度
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  getShadowReport(req, res) {
+    try {
+      res.json(shadowTraffic.getReport());
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 查看最近的影子流量对比记录，主模型和影子模型的输出并排列出，可通过查询参数 limit 指定条数（默认 100）
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  listShadowRecords(req, res) {
+    try {
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw Errors.invalidRequest(`limit 必须是正整数: ${req.query.limit}`);
+      }
+      res.json({ records: shadowTraffic.listRecords(limit) });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 发送错误响应
+   * @param {express.Response} res - 响应对象
+   * @param {Error} error - 错误
+   */
+  sendError(res, error) {
+    logger.error('管理接口处理失败', { error: error.message });
+    if (error.name === 'GatewayError') {
+      res.status(error.getHttpStatus()).json({ error: error.toErrorResponse() });
+      return;
+    }
+    res.status(500).json({ error: { code: 'INTERNAL', message: error.message } });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = new AdminAPI();
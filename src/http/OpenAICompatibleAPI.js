@@ -0,0 +1,444 @@
+/**
+ * OpenAI 兼容的 HTTP 接口
+ * 将 OpenAI 格式的请求转换为网关请求，经过相同的复杂度评估和模型路由流程处理
+ */
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { executeQuery } = require('../services/modelGatewayService');
+const { executeEmbeddings } = require('../services/embeddingService');
+const { adapterManager } = require('../adapters');
+
+// 返回所选提供商的响应头
+const PROVIDER_HEADER = 'X-Gateway-Provider';
+
+// 返回请求参与的 A/B 实验和实验组的响应头，格式为 实验/实验组
+const EXPERIMENT_HEADER = 'X-Gateway-Experiment';
+
+// 各提供商表示达到最大 token 数的结束原因：OpenAI 和 TGI 为 length，Anthropic 为 max_tokens，llama.cpp 为 limit
+const LENGTH_FINISH_REASONS = ['length', 'max_tokens', 'limit'];
+
+class OpenAICompatibleAPI {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.post('/chat/completions', this.createChatCompletion.bind(this));
+    this.router.post('/completions', this.createCompletion.bind(this));
+    this.router.post('/embeddings', this.createEmbeddings.bind(this));
+    this.router.get('/models', this.listModels.bind(this));
+  }
+
+  /**
+   * 处理聊天补全请求
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  async createChatCompletion(req, res) {
+    try {
+      const gatewayRequest = this.toGatewayRequest(req, this.extractChatQuery(req.body));
+
+      if (req.body.stream) {
+        await this.streamResponse(req, res, gatewayRequest, 'chat.completion.chunk');
+        return;
+      }
+
+      const result = await executeQuery(gatewayRequest);
+      this.setRoutingHeaders(res, result);
+      res.json({
+        id: `chatcmpl-${result.request_id}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: result.model_used,
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: result.response
+          },
+          finish_reason: this.toFinishReason(result.finish_reason)
+        }],
+        usage: this.toUsage(result.token_usage)
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 处理文本补全请求
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  async createCompletion(req, res) {
+    try {
+      const gatewayRequest = this.toGatewayRequest(req, this.extractCompletionQuery(req.body));
+
+      if (req.body.stream) {
+        await this.streamResponse(req, res, gatewayRequest, 'text_completion');
+        return;
+      }
+
+      const result = await executeQuery(gatewayRequest);
+      this.setRoutingHeaders(res, result);
+      res.json({
+        id: `cmpl-${result.request_id}`,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model: result.model_used,
+        choices: [{
+          index: 0,
+          text: result.response,
+          finish_reason: this.toFinishReason(result.finish_reason)
+        }],
+        usage: this.toUsage(result.token_usage)
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 处理嵌入向量请求
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  async createEmbeddings(req, res) {
+    try {
+      const input = req.body.input;
+      const inputs = Array.isArray(input) ? input : [input];
+      if (inputs.some(item => typeof item !== 'string')) {
+        throw Errors.invalidRequest('input 必须是字符串或字符串数组');
+      }
+
+      const embeddingRequest = {
+        inputs,
+        metadata: { source: 'openai-compatible' }
+      };
+      if (req.body.model) embeddingRequest.model = String(req.body.model);
+      if (req.body.user) embeddingRequest.metadata.user_id = String(req.body.user);
+      const requestId = req.get('X-Request-Id');
+      if (requestId) {
+        embeddingRequest.request_id = requestId;
+      }
+
+      const result = await executeEmbeddings(embeddingRequest);
+      res.set(PROVIDER_HEADER, result.model_used);
+      res.json({
+        object: 'list',
+        data: result.embeddings.map(({ index, values }) => ({
+          object: 'embedding',
+          index,
+          embedding: values
+        })),
+        model: result.model,
+        usage: {
+          prompt_tokens: result.token_usage.input,
+          total_tokens: result.token_usage.total
+        }
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 列出已注册的模型提供商
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   */
+  listModels(req, res) {
+    try {
+      const capabilities = adapterManager.getAllCapabilities();
+      const created = Math.floor(Date.now() / 1000);
+
+      res.json({
+        object: 'list',
+        data: Object.entries(capabilities).map(([name, info]) => ({
+          id: name,
+          object: 'model',
+          created,
+          owned_by: info.type,
+          capabilities: info.capabilities,
+          available: info.available
+        }))
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 以 SSE 格式返回流式响应
+   * 客户端断开连接时中止上游的模型调用
+   * @param {express.Request} req - 请求对象
+   * @param {express.Response} res - 响应对象
+   * @param {Object} gatewayRequest - 网关请求
+   * @param {string} object - OpenAI 响应对象类型
+   */
+  async streamResponse(req, res, gatewayRequest, object) {
+    const isChat = object === 'chat.completion.chunk';
+    const created = Math.floor(Date.now() / 1000);
+    let chunkId = null;
+    let firstChunk = true;
+
+    // 请求体读取完成后 req 也会触发 close，因此通过响应是否已经结束判断客户端是否断开
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort(Errors.requestCancelled('客户端已断开连接'));
+      }
+    });
+
+    // 在第一个片段到达时才发送响应头，以便返回所选提供商
+    const writeChunk = (provider, choice, extra = {}) => {
+      if (!res.headersSent) {
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+          [PROVIDER_HEADER]: provider
+        });
+        res.flushHeaders();
+      }
+
+      res.write(`data: ${JSON.stringify({
+        id: chunkId,
+        object,
+        created,
+        model: provider,
+        choices: [{ index: 0, ...choice }],
+        ...extra
+      })}\n\n`);
+    };
+
+    try {
+      const result = await executeQuery(gatewayRequest, {
+        signal: controller.signal,
+        onChunk: ({ requestId, provider, delta }) => {
+          chunkId = chunkId || `${isChat ? 'chatcmpl' : 'cmpl'}-${requestId}`;
+          const content = isChat
+            ? { delta: firstChunk ? { role: 'assistant', content: delta } : { content: delta } }
+            : { text: delta };
+          firstChunk = false;
+          writeChunk(provider, { ...content, finish_reason: null });
+        }
+      });
+
+      chunkId = chunkId || `${isChat ? 'chatcmpl' : 'cmpl'}-${result.request_id}`;
+      const finalChoice = isChat ? { delta: {} } : { text: '' };
+      const includeUsage = req.body.stream_options && req.body.stream_options.include_usage;
+      writeChunk(
+        result.model_used,
+        { ...finalChoice, finish_reason: this.toFinishReason(result.finish_reason) },
+        includeUsage ? { usage: this.toUsage(result.token_usage) } : {}
+      );
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        logger.info('客户端已断开连接，流式输出已中止', { requestId: gatewayRequest.request_id });
+        return;
+      }
+
+      if (!res.headersSent) {
+        this.sendError(res, error);
+        return;
+      }
+
+      // 已开始输出，只能在流中报告错误
+      logger.error('OpenAI 兼容接口流式输出中断', { error: error.message });
+      res.write(`data: ${JSON.stringify(this.toErrorBody(error))}\n\n`);
+      res.end();
+    }
+  }
+
+  /**
+   * 设置说明路由结果的响应头
+   * @param {express.Response} res - 响应对象
+   * @param {Object} result - 网关查询结果
+   */
+  setRoutingHeaders(res, result) {
+    res.set(PROVIDER_HEADER, result.model_used);
+    if (result.experiment) {
+      res.set(EXPERIMENT_HEADER, `${result.experiment}/${result.experiment_arm}`);
+    }
+  }
+
+  /**
+   * 从聊天请求中提取对话消息和系统提示
+   * @param {Object} body - 请求体
+   * @returns {Object} 对话消息和系统提示
+   */
+  extractChatQuery(body) {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    if (messages.some(message => typeof message.content !== 'string')) {
+      throw Errors.invalidRequest('只支持文本形式的消息内容');
+    }
+
+    const unsupported = messages.find(message => !['system', 'user', 'assistant'].includes(message.role));
+    if (unsupported) {
+      throw Errors.invalidRequest(`不支持的消息角色: ${unsupported.role}`);
+    }
+
+    const systemPrompt = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n');
+
+    // 查询留空，由请求预处理将最后一条 user 消息作为当前查询
+    return {
+      query: '',
+      systemPrompt,
+      messages: messages
+        .filter(message => message.role !== 'system')
+        .map(({ role, content, name }) => (name ? { role, content, name } : { role, content }))
+    };
+  }
+
+  /**
+   * 从文本补全请求中提取查询文本
+   * @param {Object} body - 请求体
+   * @returns {Object} 查询文本
+   */
+  extractCompletionQuery(body) {
+    let prompt = body.prompt;
+    if (Array.isArray(prompt)) {
+      if (prompt.length !== 1) {
+        throw Errors.invalidRequest('prompt 数组只支持单个元素');
+      }
+      prompt = prompt[0];
+    }
+
+    if (typeof prompt !== 'string') {
+      throw Errors.invalidRequest('prompt 必须是字符串');
+    }
+
+    return { query: prompt };
+  }
+
+  /**
+   * 构建网关请求
+   * 请求体中的 model 字段被忽略，由网关的路由流程选择提供商和模型
+   * @param {express.Request} req - 请求对象
+   * @param {Object} extracted - 提取的查询文本、对话消息和系统提示
+   * @returns {Object} 网关请求
+   */
+  toGatewayRequest(req, { query, systemPrompt, messages }) {
+    const body = req.body;
+    const metadata = {
+      source: 'openai-compatible'
+    };
+
+    if (body.user) metadata.user_id = String(body.user);
+
+    const gatewayRequest = { query, metadata, generation: this.toGenerationOptions(body) };
+    if (messages) gatewayRequest.messages = messages;
+    if (systemPrompt) gatewayRequest.system_prompt = systemPrompt;
+    const requestId = req.get('X-Request-Id');
+    if (requestId) {
+      gatewayRequest.request_id = requestId;
+    }
+
+    return gatewayRequest;
+  }
+
+  /**
+   * 将 OpenAI 请求参数转换为网关生成参数
+   * 取值范围由请求预处理统一验证
+   * @param {Object} body - 请求体
+   * @returns {Object} 生成参数
+   */
+  toGenerationOptions(body) {
+    const generation = {};
+    const fields = ['max_tokens', 'temperature', 'top_p', 'seed', 'presence_penalty', 'frequency_penalty'];
+
+    for (const field of fields) {
+      if (body[field] !== undefined && body[field] !== null) {
+        generation[field] = body[field];
+      }
+    }
+
+    if (body.stop !== undefined && body.stop !== null) {
+      generation.stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+    }
+
+    if (body.response_format) {
+      if (typeof body.response_format.type !== 'string') {
+        throw Errors.invalidRequest('response_format 必须包含 type 字段');
+      }
+      generation.response_format = body.response_format.type;
+    }
+
+    return generation;
+  }
+
+  /**
+   * 转换提供商的结束原因为 OpenAI 格式
+   * @param {string} finishReason - 网关查询结果中的结束原因
+   * @returns {string} 达到最大 token 数时为 length，内容被过滤时为 content_filter，否则为 stop
+   */
+  toFinishReason(finishReason) {
+    if (LENGTH_FINISH_REASONS.includes(finishReason)) {
+      return 'length';
+    }
+    return finishReason === 'content_filter' ? 'content_filter' : 'stop';
+  }
+
+  /**
+   * 转换 token 使用量为 OpenAI 格式
+   * @param {Object} tokenUsage - 网关 token 使用量
+   * @returns {Object} OpenAI 格式的使用量
+   */
+  toUsage(tokenUsage = {}) {
+    return {
+      prompt_tokens: tokenUsage.input || 0,
+      completion_tokens: tokenUsage.output || 0,
+      total_tokens: tokenUsage.total || 0
+    };
+  }
+
+  /**
+   * 构建 OpenAI 格式的错误响应体
+   * @param {Error} error - 错误对象
+   * @returns {Object} 错误响应体
+   */
+  toErrorBody(error) {
+    if (error.name === 'GatewayError') {
+      return {
+        error: {
+          message: error.message,
+          type: error.code === 'INVALID_REQUEST' ? 'invalid_request_error' : 'api_error',
+          code: error.code
+        }
+      };
+    }
+
+    return {
+      error: {
+        message: '内部服务器错误',
+        type: 'api_error',
+        code: null
+      }
+    };
+  }
+
+  /**
+   * 发送错误响应
+   * @param {express.Response} res - 响应对象
+   * @param {Error} error - 错误对象
+   */
+  sendError(res, error) {
+    logger.error('OpenAI 兼容接口处理失败', { error: error.message });
+    const status = error.name === 'GatewayError' ? error.getHttpStatus() : 500;
+    res.status(status).json(this.toErrorBody(error));
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = new OpenAICompatibleAPI();
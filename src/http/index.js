@@ -0,0 +1,59 @@
+/**
+ * HTTP 服务模块
+ * 客户端端口提供 OpenAI 兼容接口和监控接口，管理接口在单独的管理端口上提供
+ */
+const express = require('express');
+const openAICompatibleAPI = require('./OpenAICompatibleAPI');
+const adminAPI = require('./AdminAPI');
+const { initializeMonitoring } = require('../monitoring');
+
+/**
+ * 创建面向客户端的 HTTP 应用
+ * @param {Object} config - 系统配置
+ * @returns {express.Application} Express 应用实例
+ */
+function createHttpApp(config) {
+  const app = express();
+
+  app.use(express.json({ limit: config.httpBodyLimit }));
+
+  // OpenAI 兼容接口
+  app.use('/v1', openAICompatibleAPI.getRouter());
+
+  // 监控接口
+  initializeMonitoring(app, config.monitoring);
+
+  // 请求体解析失败时返回 OpenAI 格式的错误
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+      res.status(err.status).json({
+        error: {
+          message: `请求体无效: ${err.message}`,
+          type: 'invalid_request_error',
+          code: 'INVALID_REQUEST'
+        }
+      });
+      return;
+    }
+    next(err);
+  });
+
+  return app;
+}
+
+/**
+ * 创建管理接口的 HTTP 应用，在 config.admin 指定的地址和端口上单独监听
+ * @returns {express.Application} Express 应用实例
+ */
+function createAdminApp() {
+  const app = express();
+
+  app.use('/admin', adminAPI.getRouter());
+
+  return app;
+}
+
+module.exports = {
+  createHttpApp,
+  createAdminApp
+};
@@ -7,6 +7,9 @@ const path = require('path');
 const config = require('./config');
 const { logger } = require('./utils/logger');
 const { registerServices } = require('./services');
+const { createHttpApp, createAdminApp } = require('./http');
+const { jobQueue } = require('./jobs');
+const { healthProber } = require('./services/healthProber');
 
 // 加载proto文件
 const PROTO_PATH = path.join(__dirname, '../proto/gateway.proto');
@@ -22,7 +25,7 @@ const protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
 const modelgateway = protoDescriptor.modelgateway;
 
 /**
- * 启动gRPC服务器
+ * 启动gRPC服务器和HTTP服务器
  */
 function startServer() {
   const server = new grpc.Server();
@@ -30,6 +33,12 @@ function startServer() {
   // 注册服务实现
   registerServices(server, modelgateway);
   
+  // 启动异步任务队列
+  jobQueue.start();
+  
+  // 启动提供商健康探测
+  healthProber.start();
+  
   // 绑定端口并启动服务
   server.bindAsync(
     `0.0.0.0:${config.grpcPort}`,
@@ -44,9 +53,35 @@ function startServer() {
     }
   );
   
+  // 启动 HTTP 服务器（OpenAI 兼容接口和监控接口）
+  const httpServer = createHttpApp(config).listen(config.httpPort, () => {
+    logger.info(`HTTP服务器运行在端口 ${config.httpPort}`);
+  });
+  httpServer.on('error', (err) => {
+    logger.error(`HTTP服务器启动失败: ${err.message}`);
+    process.exit(1);
+  });
+  
+  // 启动管理接口服务器，管理接口返回影子流量中的请求和响应原文，不在客户端端口上提供
+  const { port: adminPort, host: adminHost, token: adminToken } = config.admin;
+  if (!adminToken && !['127.0.0.1', 'localhost', '::1'].includes(adminHost)) {
+    logger.warn(`管理接口监听 ${adminHost} 但未设置 ADMIN_TOKEN，任何能访问该地址的人都可以调用管理接口`);
+  }
+  const adminServer = createAdminApp().listen(adminPort, adminHost, () => {
+    logger.info(`管理接口服务器运行在 ${adminHost}:${adminPort}`);
+  });
+  adminServer.on('error', (err) => {
+    logger.error(`管理接口服务器启动失败: ${err.message}`);
+    process.exit(1);
+  });
+  
   // 优雅关闭
   const shutdown = () => {
     logger.info('正在关闭服务器...');
+    jobQueue.stop();
+    healthProber.stop();
+    httpServer.close();
+    adminServer.close();
     server.tryShutdown(() => {
       logger.info('服务器已关闭');
       process.exit(0);
@@ -0,0 +1,283 @@
+/**
+ * 异步任务队列
+ * 提交的请求先持久化到磁盘，再由固定数量的工作者按提交顺序通过查询处理流程执行；
+ * 服务重启后，未完成的任务会重新排队
+ */
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { processRequest } = require('../middleware/requestProcessor');
+const { executeQuery } = require('../services/modelGatewayService');
+const { JobStore } = require('./JobStore');
+
+// 任务状态
+const JobStatus = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+// 任务ID同时用作任务文件名，只允许字母、数字、下划线和连字符
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 判断任务是否已经结束
+ * @param {Object} job - 任务
+ * @returns {boolean} 是否处于终止状态
+ */
+function isFinished(job) {
+  return job.status === JobStatus.SUCCEEDED ||
+    job.status === JobStatus.FAILED ||
+    job.status === JobStatus.CANCELLED;
+}
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    // 每个 WatchJob 调用都会注册监听器
+    this.setMaxListeners(0);
+    this.store = null;
+    this.concurrency = 1;
+    this.maxFinishedJobs = Infinity;
+    this.pending = [];
+    this.running = new Map();
+    this.started = false;
+  }
+
+  /**
+   * 加载已持久化的任务并开始执行
+   * 上次退出时仍在执行的任务会重新排队，因此可能被执行两次
+   * @param {Object} [options] - 覆盖 config.jobs 中的配置
+   * @param {string} [options.dataDir] - 数据目录
+   * @param {number} [options.concurrency] - 同时执行的任务数
+   * @param {number} [options.maxFinishedJobs] - 保留的已结束任务数，超出时删除最早结束的任务
+   */
+  start(options = {}) {
+    if (this.started) {
+      return;
+    }
+
+    const { dataDir, concurrency, maxFinishedJobs } = { ...config.jobs, ...options };
+    this.store = new JobStore(dataDir);
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.maxFinishedJobs = maxFinishedJobs > 0 ? maxFinishedJobs : Infinity;
+    this.pending = [];
+
+    for (const job of this.store.load()) {
+      if (job.status === JobStatus.RUNNING) {
+        this.store.save({ ...job, status: JobStatus.QUEUED, started_at: 0 });
+        this.pending.push(job.job_id);
+      } else if (job.status === JobStatus.QUEUED) {
+        this.pending.push(job.job_id);
+      }
+    }
+    this._pruneFinished();
+
+    this.started = true;
+    logger.info('异步任务队列已启动', {
+      dataDir,
+      concurrency: this.concurrency,
+      pending: this.pending.length
+    });
+
+    this._drain();
+  }
+
+  /**
+   * 停止领取新任务，执行中的任务在下次启动时重新排队
+   */
+  stop() {
+    this.started = false;
+  }
+
+  /**
+   * 提交任务
+   * 请求在入队前完成校验，无效请求直接返回错误而不会创建任务
+   * @param {Object} request - 原始查询请求
+   * @param {string} [jobId] - 任务ID，已存在时直接返回该任务，用于重复提交；只能包含字母、数字、下划线和连字符，最长 64 个字符
+   * @returns {Object} 任务
+   * @throws {GatewayError} 如果任务ID格式无效
+   */
+  submit(request, jobId) {
+    if (!this.store) {
+      throw Errors.modelUnavailable('异步任务队列未启动');
+    }
+
+    if (jobId && !JOB_ID_PATTERN.test(jobId)) {
+      throw Errors.invalidRequest('任务ID只能包含字母、数字、下划线和连字符，且不超过 64 个字符');
+    }
+
+    if (jobId && this.store.get(jobId)) {
+      return this.store.get(jobId);
+    }
+
+    const id = jobId || uuidv4();
+    const jobRequest = { ...request, request_id: request.request_id || id };
+    // 预处理会向请求元数据写入派生字段，校验时使用副本以保持保存的请求不变
+    processRequest(structuredClone(jobRequest));
+
+    const job = {
+      job_id: id,
+      status: JobStatus.QUEUED,
+      request_id: jobRequest.request_id,
+      request: jobRequest,
+      result: null,
+      error_code: 'OK',
+      error_message: '',
+      cost: 0,
+      token_usage: null,
+      created_at: Date.now(),
+      started_at: 0,
+      finished_at: 0
+    };
+
+    const queued = this._update(job);
+    this.pending.push(id);
+    logger.info('任务已提交', { jobId: id, requestId: job.request_id });
+
+    this._drain();
+    return queued;
+  }
+
+  /**
+   * 获取任务
+   * @param {string} jobId - 任务ID
+   * @returns {Object} 任务
+   * @throws {GatewayError} 如果任务不存在
+   */
+  get(jobId) {
+    const job = this.store && this.store.get(jobId);
+    if (!job) {
+      throw Errors.invalidRequest(`任务不存在: ${jobId}`);
+    }
+    return job;
+  }
+
+  /**
+   * 取消任务
+   * 排队中的任务不再执行；执行中的任务会中止正在进行的模型调用；已结束的任务保持不变
+   * @param {string} jobId - 任务ID
+   * @returns {Object} 任务
+   */
+  cancel(jobId) {
+    const job = this.get(jobId);
+    if (isFinished(job)) {
+      return job;
+    }
+
+    this.pending = this.pending.filter(id => id !== jobId);
+    const controller = this.running.get(jobId);
+    if (controller) {
+      controller.abort(Errors.requestCancelled('任务已取消'));
+    }
+
+    logger.info('任务已取消', { jobId, wasRunning: Boolean(controller) });
+    return this._update(job, {
+      status: JobStatus.CANCELLED,
+      error_message: '任务已取消',
+      finished_at: Date.now()
+    });
+  }
+
+  /**
+   * 保存任务变更并通知监听者
+   * @param {Object} job - 任务
+   * @param {Object} [changes] - 变更的字段
+   * @returns {Object} 更新后的任务
+   * @private
+   */
+  _update(job, changes = {}) {
+    const updated = { ...job, ...changes };
+    this.store.save(updated);
+    this.emit('update', updated);
+    if (isFinished(updated)) {
+      this._pruneFinished();
+    }
+    return updated;
+  }
+
+  /**
+   * 已结束的任务超过 maxFinishedJobs 时，从内存和磁盘中删除最早结束的任务
+   * @private
+   */
+  _pruneFinished() {
+    const finished = this.store.list().filter(isFinished);
+    if (finished.length <= this.maxFinishedJobs) {
+      return;
+    }
+
+    const expired = finished
+      .sort((a, b) => a.finished_at - b.finished_at)
+      .slice(0, finished.length - this.maxFinishedJobs);
+    for (const job of expired) {
+      this.store.remove(job.job_id);
+    }
+    logger.info('已删除过期的任务', { count: expired.length });
+  }
+
+  /**
+   * 在并发限制内领取排队中的任务
+   * @private
+   */
+  _drain() {
+    while (this.started && this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.store.get(this.pending.shift());
+      if (job && job.status === JobStatus.QUEUED) {
+        this._run(job);
+      }
+    }
+  }
+
+  /**
+   * 执行任务
+   * @param {Object} job - 任务
+   * @private
+   */
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.job_id, controller);
+
+    try {
+      this._update(job, { status: JobStatus.RUNNING, started_at: Date.now() });
+
+      let changes;
+      try {
+        const result = await executeQuery(job.request, { signal: controller.signal });
+        changes = {
+          status: JobStatus.SUCCEEDED,
+          result,
+          cost: result.cost,
+          token_usage: result.token_usage
+        };
+      } catch (error) {
+        changes = {
+          status: JobStatus.FAILED,
+          error_code: error.name === 'GatewayError' ? error.code : 'INTERNAL_ERROR',
+          error_message: error.message
+        };
+      }
+
+      // 已取消的任务保持取消状态
+      const current = this.store.get(job.job_id);
+      if (current.status === JobStatus.RUNNING) {
+        this._update(current, { ...changes, finished_at: Date.now() });
+        logger.info('任务执行结束', { jobId: job.job_id, status: changes.status });
+      }
+    } catch (error) {
+      logger.error('任务状态保存失败', { jobId: job.job_id, error: error.message });
+    } finally {
+      this.running.delete(job.job_id);
+      this._drain();
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JobStatus,
+  isFinished
+};
@@ -0,0 +1,88 @@
+/**
+ * 异步任务存储
+ * 每个任务保存为数据目录下的一个 JSON 文件，内存中保留全部任务以便快速查询
+ */
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+class JobStore {
+  /**
+   * 创建任务存储
+   * @param {string} dataDir - 数据目录
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.jobs = new Map();
+  }
+
+  /**
+   * 创建数据目录并加载已有任务
+   * 无法解析的文件（例如写入过程中断留下的临时文件）会被跳过
+   * @returns {Array<Object>} 按创建时间排列的任务列表
+   */
+  load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.jobs.clear();
+
+    for (const file of fs.readdirSync(this.dataDir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'));
+        this.jobs.set(job.job_id, job);
+      } catch (error) {
+        logger.warn('跳过无法解析的任务文件', { file, error: error.message });
+      }
+    }
+
+    return this.list();
+  }
+
+  /**
+   * 获取任务
+   * @param {string} jobId - 任务ID
+   * @returns {Object|null} 任务
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * 获取全部任务
+   * @returns {Array<Object>} 按创建时间排列的任务列表
+   */
+  list() {
+    return [...this.jobs.values()].sort((a, b) => a.created_at - b.created_at);
+  }
+
+  /**
+   * 保存任务
+   * 先写临时文件再重命名，进程在写入过程中退出也不会留下不完整的任务文件；
+   * 使用同步写入保证同一任务的多次更新按顺序落盘
+   * @param {Object} job - 任务
+   */
+  save(job) {
+    const file = path.join(this.dataDir, `${job.job_id}.json`);
+    const tmpFile = `${file}.tmp`;
+
+    fs.writeFileSync(tmpFile, JSON.stringify(job));
+    fs.renameSync(tmpFile, file);
+    this.jobs.set(job.job_id, job);
+  }
+
+  /**
+   * 删除任务及其文件
+   * @param {string} jobId - 任务ID
+   */
+  remove(jobId) {
+    fs.rmSync(path.join(this.dataDir, `${jobId}.json`), { force: true });
+    this.jobs.delete(jobId);
+  }
+}
+
+module.exports = {
+  JobStore
+};
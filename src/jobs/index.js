@@ -0,0 +1,16 @@
+/**
+ * 异步任务模块
+ */
+const { JobQueue, JobStatus, isFinished } = require('./JobQueue');
+const { JobStore } = require('./JobStore');
+
+// 服务共用的任务队列实例，由服务入口启动
+const jobQueue = new JobQueue();
+
+module.exports = {
+  jobQueue,
+  JobQueue,
+  JobStore,
+  JobStatus,
+  isFinished
+};
@@ -4,18 +4,109 @@
 const { v4: uuidv4 } = require('uuid');
 const { createRequestLogger } = require('../utils/logger');
 const { Errors } = require('../utils/errors');
+const { detectLanguage, segmentWords, estimateTokens } = require('../utils/text');
+const { parseCapabilities } = require('../services/capabilities');
+const { estimatePromptTokens } = require('../services/contextWindow');
+const config = require('../config');
 const Joi = require('joi');
 
+// 对话消息验证模式
+const messageSchema = Joi.object({
+  role: Joi.string().valid('user', 'assistant').required(),
+  content: Joi.string().required().min(1).max(10000),
+  name: Joi.string().allow('').max(64).optional()
+});
+
+// 生成参数验证模式
+const generationSchema = Joi.object({
+  max_tokens: Joi.number().integer().min(1).max(200000),
+  temperature: Joi.number().min(0).max(2),
+  top_p: Joi.number().min(0).max(1),
+  stop: Joi.array().items(Joi.string().min(1)).max(4),
+  seed: Joi.number().integer(),
+  presence_penalty: Joi.number().min(-2).max(2),
+  frequency_penalty: Joi.number().min(-2).max(2),
+  response_format: Joi.string().valid('', 'text', 'json_object')
+})
+  // proto3 optional 字段会生成以下划线开头的 oneof 标记
+  .pattern(/^_/, Joi.string());
+
+// 仍可通过元数据传递的旧版生成参数
+const legacyGenerationMetadata = {
+  maxTokens: 'max_tokens',
+  temperature: 'temperature'
+};
+
 // 请求验证模式
 const requestSchema = Joi.object({
   request_id: Joi.string().optional(),
-  query: Joi.string().required().min(1).max(10000),
+  // 提供对话消息时，查询可以为空（使用最后一条 user 消息）
+  query: Joi.when('messages', {
+    is: Joi.array().min(1).required(),
+    then: Joi.string().allow('').max(10000),
+    otherwise: Joi.string().required().min(1).max(10000)
+  }),
+  metadata: Joi.object().pattern(
+    Joi.string(),
+    Joi.string()
+  ).optional(),
+  messages: Joi.array().items(messageSchema).max(100).optional(),
+  system_prompt: Joi.string().allow('').max(10000).optional(),
+  generation: generationSchema.allow(null).optional(),
+  required_capabilities: Joi.array().items(Joi.string().min(1).max(64)).max(20).optional()
+});
+
+// 嵌入向量请求验证模式
+const embeddingRequestSchema = Joi.object({
+  request_id: Joi.string().allow('').optional(),
+  inputs: Joi.array().items(Joi.string().min(1).max(10000)).min(1).max(2048).required(),
+  metadata: Joi.object().pattern(
+    Joi.string(),
+    Joi.string()
+  ).optional(),
+  provider: Joi.string().allow('').optional(),
+  model: Joi.string().allow('').optional()
+});
+
+// 分类请求验证模式
+const classificationRequestSchema = Joi.object({
+  request_id: Joi.string().allow('').optional(),
+  text: Joi.string().required().min(1).max(10000),
+  labels: Joi.array().items(Joi.string().min(1).max(100)).max(100).optional(),
   metadata: Joi.object().pattern(
     Joi.string(),
     Joi.string()
-  ).optional()
+  ).optional(),
+  provider: Joi.string().allow('').optional()
 });
 
+// 实体识别请求验证模式
+const entityRequestSchema = Joi.object({
+  request_id: Joi.string().allow('').optional(),
+  text: Joi.string().required().min(1).max(10000),
+  entity_types: Joi.array().items(Joi.string().min(1).max(100)).max(100).optional(),
+  metadata: Joi.object().pattern(
+    Joi.string(),
+    Joi.string()
+  ).optional(),
+  provider: Joi.string().allow('').optional()
+});
+
+// 质量反馈请求验证模式，request_id 为被评价请求的 ID
+const feedbackRequestSchema = Joi.object({
+  request_id: Joi.string().required().min(1).max(200),
+  rating: Joi.number().integer().min(1).max(5).required(),
+  labels: Joi.array().items(Joi.string().min(1).max(64)).max(20).optional(),
+  comment: Joi.string().allow('').max(2000).optional()
+});
+
+// 潜在注入攻击的内容模式
+const sensitivePatterns = [
+  /exec\s*\(/i,
+  /eval\s*\(/i,
+  /system\s*\(/i
+];
+
 /**
  * 标准化请求格式
  * @param {Object} request - 原始请求对象
@@ -50,19 +141,93 @@ function performSecurityCheck(request) {
     throw Errors.invalidRequest(`请求验证失败: ${error.message}`);
   }
   
-  // 检查敏感内容或潜在的注入攻击
-  // 这里可以添加更多安全检查逻辑
-  const sensitivePatterns = [
-    /exec\s*\(/i,
-    /eval\s*\(/i,
-    /system\s*\(/i
-  ];
-  
-  if (sensitivePatterns.some(pattern => pattern.test(request.query))) {
+  // 检查查询、系统提示和所有对话消息
+  checkSensitiveContent([
+    request.query,
+    request.system_prompt || '',
+    ...(request.messages || []).map(message => message.content)
+  ]);
+}
+
+/**
+ * 检查敏感内容或潜在的注入攻击
+ * 这里可以添加更多安全检查逻辑
+ * @param {Array<string>} texts - 待检查的文本
+ * @throws {GatewayError} 如果包含不安全内容
+ */
+function checkSensitiveContent(texts) {
+  if (texts.some(text => sensitivePatterns.some(pattern => pattern.test(text)))) {
     throw Errors.invalidRequest('请求包含潜在的不安全内容');
   }
 }
 
+/**
+ * 规范化对话消息
+ * 查询为空时，将最后一条 user 消息作为当前查询，其余消息作为对话上下文
+ * @param {Object} request - 请求对象
+ * @returns {Object} 规范化后的请求对象
+ * @throws {GatewayError} 如果无法确定当前查询
+ */
+function normalizeConversation(request) {
+  const messages = (request.messages || []).map(({ role, content, name }) => (
+    name ? { role, content, name } : { role, content }
+  ));
+  
+  if (!request.query) {
+    const lastMessage = messages[messages.length - 1];
+    if (!lastMessage || lastMessage.role !== 'user') {
+      throw Errors.invalidRequest('查询为空时，messages 必须以 user 消息结尾');
+    }
+    
+    request.query = messages.pop().content;
+  }
+  
+  request.messages = messages;
+  request.system_prompt = request.system_prompt || '';
+  
+  return request;
+}
+
+/**
+ * 解析生成参数
+ * 优先使用 generation 字段，未设置的参数回退到旧版元数据字段
+ * @param {Object} request - 已通过验证的请求对象
+ * @returns {Object} 生成参数，只包含已设置的字段
+ * @throws {GatewayError} 如果旧版元数据字段不是有效的值
+ */
+function resolveGenerationOptions(request) {
+  const generation = { ...(request.generation || {}) };
+  const metadata = request.metadata || {};
+  
+  // 旧版元数据字段是字符串，需要解析并按相同规则验证
+  for (const [metadataKey, field] of Object.entries(legacyGenerationMetadata)) {
+    if (generation[field] === undefined && metadata[metadataKey] !== undefined) {
+      const value = Number(metadata[metadataKey]);
+      const { error } = generationSchema.extract(field).validate(value);
+      if (metadata[metadataKey].trim() === '' || error) {
+        throw Errors.invalidRequest(`元数据 ${metadataKey} 的值无效: ${metadata[metadataKey]}`);
+      }
+      generation[field] = value;
+    }
+  }
+  
+  const options = {
+    maxTokens: generation.max_tokens,
+    temperature: generation.temperature,
+    topP: generation.top_p,
+    stopSequences: generation.stop && generation.stop.length > 0 ? generation.stop : undefined,
+    seed: generation.seed,
+    presencePenalty: generation.presence_penalty,
+    frequencyPenalty: generation.frequency_penalty,
+    responseFormat: generation.response_format || undefined
+  };
+  
+  // 去除未设置的字段，零值会被保留
+  return Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
 /**
  * 提取请求元数据
  * @param {Object} request - 请求对象
@@ -72,7 +237,21 @@ function extractMetadata(request) {
   const metadata = {
     ...request.metadata,
     queryLength: request.query.length,
-    wordCount: request.query.split(/\s+/).length,
+    wordCount: segmentWords(request.query).length,
+    language: detectLanguage(request.query),
+    estimatedTokens: estimateTokens(request.query),
+    // 包括系统提示和对话上下文，路由时用于检查模型的上下文窗口
+    promptTokens: estimatePromptTokens({
+      query: request.query,
+      messages: request.messages || [],
+      systemPrompt: request.system_prompt || (request.metadata || {}).systemMessage
+    }),
+    messageCount: (request.messages || []).length,
+    // 请求字段 required_capabilities 与元数据 capabilities 合并，路由时只选择具备全部能力的模型
+    requiredCapabilities: parseCapabilities([
+      ...(request.required_capabilities || []),
+      ...parseCapabilities((request.metadata || {}).capabilities)
+    ]),
     timestamp: new Date().toISOString()
   };
   
@@ -100,8 +279,15 @@ function processRequest(request) {
     performSecurityCheck(standardizedRequest);
     requestLogger.debug('安全检查通过');
     
+    // 规范化对话消息
+    normalizeConversation(standardizedRequest);
+    
+    // 解析生成参数
+    const generationOptions = resolveGenerationOptions(standardizedRequest);
+    
     // 提取元数据
     const extractedMetadata = extractMetadata(standardizedRequest);
+    extractedMetadata.maxOutputTokens = generationOptions.maxTokens;
     requestLogger.debug('元数据已提取', { metadata: extractedMetadata });
     
     // 更新请求对象
@@ -115,6 +301,7 @@ function processRequest(request) {
     return {
       request: standardizedRequest,
       metadata: extractedMetadata,
+      generationOptions,
       logger: requestLogger
     };
   } catch (error) {
@@ -123,9 +310,158 @@ function processRequest(request) {
   }
 }
 
+/**
+ * 非生成类任务的请求预处理：标准化、验证和安全检查
+ * @private
+ * @param {Object} request - 原始请求对象
+ * @param {Joi.ObjectSchema} schema - 请求验证模式
+ * @param {Array<string>} texts - 需要安全检查的文本
+ * @returns {Object} 处理后的请求对象和请求日志记录器
+ */
+function processTaskRequest(request, schema, texts) {
+  const requestId = request.request_id || uuidv4();
+  const requestLogger = createRequestLogger(requestId);
+  
+  try {
+    const standardizedRequest = standardizeRequest({ ...request, request_id: requestId });
+    
+    const { error } = schema.validate(standardizedRequest);
+    if (error) {
+      throw Errors.invalidRequest(`请求验证失败: ${error.message}`);
+    }
+    checkSensitiveContent(texts);
+    
+    return { request: standardizedRequest, logger: requestLogger };
+  } catch (error) {
+    requestLogger.error('请求预处理失败', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * 嵌入向量请求预处理
+ * @param {Object} request - 原始请求对象
+ * @returns {Object} 处理后的请求对象、元数据和请求日志记录器
+ */
+function processEmbeddingRequest(request) {
+  const inputs = Array.isArray(request.inputs) ? request.inputs : [];
+  const { request: standardizedRequest, logger: requestLogger } =
+    processTaskRequest(request, embeddingRequestSchema, inputs);
+  
+  const metadata = {
+    ...standardizedRequest.metadata,
+    inputCount: inputs.length,
+    inputLength: inputs.reduce((sum, input) => sum + input.length, 0)
+  };
+  
+  requestLogger.debug('嵌入向量请求预处理完成', { inputCount: metadata.inputCount });
+  
+  return {
+    request: standardizedRequest,
+    metadata,
+    logger: requestLogger
+  };
+}
+
+/**
+ * 分类和实体识别请求预处理
+ * @param {Object} request - 原始请求对象
+ * @param {string} task - 任务类型 (classification, ner)
+ * @returns {Object} 处理后的请求对象、元数据和请求日志记录器
+ */
+function processAnalysisRequest(request, task) {
+  const schema = task === 'ner' ? entityRequestSchema : classificationRequestSchema;
+  const text = typeof request.text === 'string' ? request.text : '';
+  const { request: standardizedRequest, logger: requestLogger } =
+    processTaskRequest(request, schema, [text]);
+  
+  const metadata = {
+    ...standardizedRequest.metadata,
+    task,
+    textLength: text.length
+  };
+  
+  requestLogger.debug('分析请求预处理完成', { task });
+  
+  return {
+    request: standardizedRequest,
+    metadata,
+    logger: requestLogger
+  };
+}
+
+/**
+ * 质量反馈请求预处理
+ * @param {Object} request - 原始反馈请求对象
+ * @returns {Object} 处理后的反馈请求对象和请求日志记录器
+ */
+function processFeedbackRequest(request) {
+  const requestLogger = createRequestLogger(request.request_id || 'unknown');
+  
+  const { error } = feedbackRequestSchema.validate(request);
+  if (error) {
+    requestLogger.error('反馈请求预处理失败', { error: error.message });
+    throw Errors.invalidRequest(`请求验证失败: ${error.message}`);
+  }
+  
+  return {
+    request: {
+      request_id: request.request_id,
+      rating: request.rating,
+      labels: [...new Set((request.labels || []).map(label => label.trim()).filter(Boolean))],
+      comment: request.comment || ''
+    },
+    logger: requestLogger
+  };
+}
+
+/**
+ * 批量请求预处理
+ * @param {Object} request - 原始批量请求对象
+ * @returns {Object} 处理后的批量请求对象和请求日志记录器
+ */
+function processBatchRequest(request) {
+  const batchId = request.batch_id || uuidv4();
+  const requestLogger = createRequestLogger(batchId);
+  
+  // 单个请求在处理时单独验证
+  const batchRequestSchema = Joi.object({
+    batch_id: Joi.string().allow('').optional(),
+    requests: Joi.array().items(Joi.object()).min(1).max(config.batch.maxItems).required(),
+    max_concurrency: Joi.number().integer().min(0).max(config.batch.maxConcurrency).optional(),
+    budget: Joi.number().min(0).optional(),
+    metadata: Joi.object().pattern(
+      Joi.string(),
+      Joi.string()
+    ).optional()
+  });
+  
+  const { error } = batchRequestSchema.validate(request);
+  if (error) {
+    requestLogger.error('批量请求预处理失败', { error: error.message });
+    throw Errors.invalidRequest(`请求验证失败: ${error.message}`);
+  }
+  
+  return {
+    request: {
+      ...request,
+      batch_id: batchId,
+      max_concurrency: request.max_concurrency || config.batch.defaultConcurrency,
+      metadata: request.metadata || {}
+    },
+    logger: requestLogger
+  };
+}
+
 module.exports = {
   processRequest,
+  processBatchRequest,
+  processEmbeddingRequest,
+  processAnalysisRequest,
+  processFeedbackRequest,
   standardizeRequest,
   performSecurityCheck,
+  normalizeConversation,
+  resolveGenerationOptions,
   extractMetadata
 };
\ No newline at end of file
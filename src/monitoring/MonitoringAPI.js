@@ -17,6 +17,9 @@ class MonitoringAPI {
     this.router.get('/metrics/performance', this.getPerformanceMetrics.bind(this));
     this.router.get('/metrics/resources', this.getResourceMetrics.bind(this));
     this.router.get('/metrics/costs', this.getCostMetrics.bind(this));
+    this.router.get('/metrics/quality', this.getQualityMetrics.bind(this));
+    this.router.get('/metrics/experiments', this.getExperimentMetrics.bind(this));
+    this.router.get('/metrics/health', this.getHealthProbeMetrics.bind(this));
 
     // Alerts endpoints
     this.router.get('/alerts', this.getAlerts.bind(this));
@@ -97,6 +100,59 @@ class MonitoringAPI {
     }
   }
 
+  // Quality feedback aggregated per provider and complexity band;
+  // filter with ?modelId= and ?band=
+  async getQualityMetrics(req, res) {
+    try {
+      const { modelId, band } = req.query;
+      const metrics = monitoringService.getMetrics();
+      res.json(metrics.quality.filter(item =>
+        (!modelId || item.modelId === modelId) && (!band || item.band === band)
+      ));
+    } catch (error) {
+      logger.error('Failed to get quality metrics', { error });
+      res.status(500).json({
+        error: 'Failed to retrieve quality metrics'
+      });
+    }
+  }
+
+  // A/B experiment metrics per arm; filter with ?experiment=
+  async getExperimentMetrics(req, res) {
+    try {
+      const { experiment } = req.query;
+      const metrics = monitoringService.getMetrics();
+      res.json(metrics.experiments.filter(item => !experiment || item.experiment === experiment));
+    } catch (error) {
+      logger.error('Failed to get experiment metrics', { error });
+      res.status(500).json({
+        error: 'Failed to retrieve experiment metrics'
+      });
+    }
+  }
+
+  // Health probe history, optionally for one provider; limit caps the
+  // number of probe results returned per provider
+  async getHealthProbeMetrics(req, res) {
+    try {
+      const { provider, limit } = req.query;
+      const count = limit === undefined ? undefined : Number(limit);
+      if (count !== undefined && !(Number.isInteger(count) && count > 0)) {
+        return res.status(400).json({
+          error: 'limit must be a positive integer'
+        });
+      }
+
+      const probes = monitoringService.getHealthProbes(count);
+      res.json(probes.filter(item => !provider || item.provider === provider));
+    } catch (error) {
+      logger.error('Failed to get health probe metrics', { error });
+      res.status(500).json({
+        error: 'Failed to retrieve health probe metrics'
+      });
+    }
+  }
+
   // Alerts Handlers
   async getAlerts(req, res) {
     try {
@@ -2,8 +2,16 @@ const metricsCollector = require('./metrics/MetricsCollector');
 const alertManager = require('./alerts/AlertManager');
 const logger = require('../utils/logger').logger;
 
+// Alert severity for each circuit breaker state
+const CIRCUIT_ALERT_SEVERITY = {
+  open: 'high',
+  half_open: 'medium',
+  closed: 'low',
+};
+
 class MonitoringService {
   constructor() {
+    this.circuitBreakers = new Map(); // circuit -> latest state change
     this.setupEventListeners();
     this.startPeriodicChecks();
   }
@@ -21,11 +29,12 @@ class MonitoringService {
   }
 
   startPeriodicChecks() {
-    // Run checks every minute
-    setInterval(() => {
+    // Run checks every minute; the timer must not keep the process alive on its own
+    const timer = setInterval(() => {
       const metrics = metricsCollector.getMetricsSummary();
       this.runHealthChecks(metrics);
     }, 60000);
+    timer.unref();
   }
 
   // Record request metrics
@@ -46,6 +55,79 @@ class MonitoringService {
     }
   }
 
+  // Record quality feedback
+  recordFeedback(feedbackData) {
+    try {
+      metricsCollector.recordFeedback(feedbackData);
+    } catch (error) {
+      logger.error('Failed to record feedback metrics', { error, feedbackData });
+    }
+  }
+
+  // Record a request assigned to an A/B experiment arm
+  recordExperiment(experimentData) {
+    try {
+      metricsCollector.recordExperiment(experimentData);
+    } catch (error) {
+      logger.error('Failed to record experiment metrics', { error, experimentData });
+    }
+  }
+
+  // Record an active health probe of a provider
+  recordHealthProbe(probeData) {
+    try {
+      metricsCollector.recordHealthProbe(probeData);
+    } catch (error) {
+      logger.error('Failed to record health probe metrics', { error, probeData });
+    }
+  }
+
+  // Get the probe history of each provider
+  getHealthProbes(limit) {
+    return metricsCollector.getHealthProbes(limit);
+  }
+
+  // Record a hedged request
+  recordHedge(hedgeData) {
+    try {
+      metricsCollector.recordHedge(hedgeData);
+    } catch (error) {
+      logger.error('Failed to record hedge metrics', { error, hedgeData });
+    }
+  }
+
+  // Record a circuit breaker state change. Each circuit keeps at most one
+  // active alert, replaced on every transition; the alert for a closed
+  // circuit is resolved right away, an open circuit degrades health
+  recordCircuitTransition(transition) {
+    try {
+      const circuit = transition.model ? `${transition.provider}/${transition.model}` : transition.provider;
+      this.circuitBreakers.set(circuit, {
+        circuit,
+        provider: transition.provider,
+        model: transition.model,
+        state: transition.to,
+        reason: transition.reason,
+        since: transition.timestamp,
+      });
+
+      alertManager.getActiveAlerts()
+        .filter(alert => alert.type === 'circuit_breaker' && alert.data.circuit === circuit)
+        .forEach(alert => alertManager.resolveAlert(alert.id));
+      const alert = alertManager.generateAlert(
+        'circuit_breaker',
+        CIRCUIT_ALERT_SEVERITY[transition.to] || 'medium',
+        `Circuit breaker for ${circuit} changed from ${transition.from} to ${transition.to}: ${transition.reason}`,
+        { circuit, ...transition }
+      );
+      if (transition.to === 'closed') {
+        alertManager.resolveAlert(alert.id);
+      }
+    } catch (error) {
+      logger.error('Failed to record circuit breaker transition', { error, transition });
+    }
+  }
+
   // Handle metrics updates
   handleMetricsUpdate(type, metrics) {
     try {
@@ -148,6 +230,7 @@ class MonitoringService {
       health: this.getHealthStatus(),
       metrics: this.getMetrics(),
       alerts: this.getActiveAlerts(),
+      circuitBreakers: [...this.circuitBreakers.values()],
     };
   }
 }
@@ -1,6 +1,9 @@
 const EventEmitter = require('events');
 const os = require('os');
 
+// Probe results kept per provider
+const HEALTH_PROBE_HISTORY_SIZE = 100;
+
 class MetricsCollector extends EventEmitter {
   constructor() {
     super();
@@ -8,6 +11,7 @@ class MetricsCollector extends EventEmitter {
       performance: {
         requestCount: 0,
         errorCount: 0,
+        cancelledCount: 0,
         latencies: [],
         lastMinuteRequests: [],
       },
@@ -18,18 +22,31 @@ class MetricsCollector extends EventEmitter {
       },
       models: new Map(),
       costs: new Map(),
+      quality: new Map(),
+      experiments: new Map(),
+      healthProbes: new Map(),
+      hedging: {
+        hedgedCount: 0,
+        hedgeWins: 0,
+        failedCount: 0,
+        extraCost: 0,
+        byModel: new Map(),
+      },
     };
 
     this.startResourceMonitoring();
   }
 
   // Performance Metrics
-  recordRequest({ modelId, duration, success, cost, tokens }) {
+  // Cancelled requests (client cancellation or deadline) are counted
+  // separately and do not affect the error rate
+  recordRequest({ modelId, duration, success, cancelled, cost, tokens }) {
     const timestamp = Date.now();
     
     // Update general metrics
     this.metrics.performance.requestCount++;
-    if (!success) this.metrics.performance.errorCount++;
+    if (cancelled) this.metrics.performance.cancelledCount++;
+    else if (!success) this.metrics.performance.errorCount++;
     this.metrics.performance.latencies.push(duration);
     this.metrics.performance.lastMinuteRequests.push({ timestamp, duration });
 
@@ -41,12 +58,14 @@ class MetricsCollector extends EventEmitter {
       const modelMetrics = this.metrics.models.get(modelId) || {
         requestCount: 0,
         errorCount: 0,
+        cancelledCount: 0,
         totalLatency: 0,
         costs: [],
       };
 
       modelMetrics.requestCount++;
-      if (!success) modelMetrics.errorCount++;
+      if (cancelled) modelMetrics.cancelledCount++;
+      else if (!success) modelMetrics.errorCount++;
       modelMetrics.totalLatency += duration;
       
       if (cost) {
@@ -64,9 +83,123 @@ class MetricsCollector extends EventEmitter {
     });
   }
 
+  // Quality feedback submitted for completed requests, aggregated per
+  // provider and complexity band. quality is the rating mapped to 0-1
+  // Feedback for requests assigned to an A/B experiment is also counted
+  // toward the experiment arm
+  recordFeedback({ modelId, band, rating, quality, labels = [], experiment, arm }) {
+    const key = `${modelId}:${band}`;
+    const qualityMetrics = this.metrics.quality.get(key) || {
+      modelId,
+      band,
+      feedbackCount: 0,
+      totalRating: 0,
+      totalQuality: 0,
+      labels: {},
+    };
+
+    qualityMetrics.feedbackCount++;
+    qualityMetrics.totalRating += rating;
+    qualityMetrics.totalQuality += quality;
+    labels.forEach(label => {
+      qualityMetrics.labels[label] = (qualityMetrics.labels[label] || 0) + 1;
+    });
+
+    this.metrics.quality.set(key, qualityMetrics);
+
+    if (experiment) {
+      const armMetrics = this.getExperimentArm(experiment, arm);
+      armMetrics.feedbackCount++;
+      armMetrics.totalRating += rating;
+    }
+  }
+
+  // A/B experiments: requests assigned to each arm. A request counts as an
+  // error when it failed or was answered by a backup model
+  recordExperiment({ experiment, arm, duration, success, cost = 0 }) {
+    const armMetrics = this.getExperimentArm(experiment, arm);
+
+    armMetrics.requestCount++;
+    if (!success) armMetrics.errorCount++;
+    armMetrics.totalLatency += duration;
+    armMetrics.totalCost += cost;
+  }
+
+  getExperimentArm(experiment, arm) {
+    const key = `${experiment}:${arm}`;
+    if (!this.metrics.experiments.has(key)) {
+      this.metrics.experiments.set(key, {
+        experiment,
+        arm,
+        requestCount: 0,
+        errorCount: 0,
+        totalLatency: 0,
+        totalCost: 0,
+        feedbackCount: 0,
+        totalRating: 0,
+      });
+    }
+    return this.metrics.experiments.get(key);
+  }
+
+  // Active health probes: the latest status of each provider and its recent
+  // probe results, newest last
+  recordHealthProbe({ provider, status, success, latency, error = '', timestamp }) {
+    const probes = this.metrics.healthProbes.get(provider) || {
+      status,
+      probeCount: 0,
+      failureCount: 0,
+      history: [],
+    };
+
+    probes.status = status;
+    probes.probeCount++;
+    if (!success) probes.failureCount++;
+    probes.history.push({ timestamp, status, success, latency, error });
+    if (probes.history.length > HEALTH_PROBE_HISTORY_SIZE) probes.history.shift();
+    this.metrics.healthProbes.set(provider, probes);
+  }
+
+  // Probe history of each provider, newest first, at most limit results each
+  getHealthProbes(limit = HEALTH_PROBE_HISTORY_SIZE) {
+    return Array.from(this.metrics.healthProbes.entries()).map(([provider, probes]) => {
+      const succeeded = probes.history.filter(probe => probe.success);
+      return {
+        provider,
+        status: probes.status,
+        probeCount: probes.probeCount,
+        failureCount: probes.failureCount,
+        averageLatency: succeeded.reduce((sum, probe) => sum + probe.latency, 0) / succeeded.length || 0,
+        history: probes.history.slice(-limit).reverse(),
+      };
+    });
+  }
+
+  // Hedged requests: the extra call sent when the primary model has not
+  // responded within its latency percentile. winner is 'primary', 'hedge'
+  // or null when both calls failed; extraCost is the estimated cost of the
+  // cancelled call
+  recordHedge({ hedgeModelId, winner, extraCost = 0 }) {
+    const hedging = this.metrics.hedging;
+
+    hedging.hedgedCount++;
+    if (winner === 'hedge') hedging.hedgeWins++;
+    else if (!winner) hedging.failedCount++;
+    hedging.extraCost += extraCost;
+
+    const modelMetrics = hedging.byModel.get(hedgeModelId) || {
+      hedgeCalls: 0,
+      wins: 0,
+    };
+    modelMetrics.hedgeCalls++;
+    if (winner === 'hedge') modelMetrics.wins++;
+    hedging.byModel.set(hedgeModelId, modelMetrics);
+  }
+
   // Resource Monitoring
   startResourceMonitoring() {
-    setInterval(() => {
+    // Sampling alone must not keep the process alive
+    const timer = setInterval(() => {
       const cpuUsage = process.cpuUsage();
       const memUsage = process.memoryUsage();
       const systemMemory = os.totalmem() - os.freemem();
@@ -97,6 +230,7 @@ class MetricsCollector extends EventEmitter {
         metrics: this.getResourceMetrics(),
       });
     }, 1000); // Update every second
+    timer.unref();
   }
 
   // Cost Tracking
@@ -147,6 +281,7 @@ class MetricsCollector extends EventEmitter {
       performance: {
         requestCount: this.metrics.performance.requestCount,
         errorRate: this.metrics.performance.errorCount / this.metrics.performance.requestCount || 0,
+        cancelledCount: this.metrics.performance.cancelledCount,
         averageLatency: avgLatency,
         requestsPerMinute: this.metrics.performance.lastMinuteRequests.length,
       },
@@ -155,6 +290,7 @@ class MetricsCollector extends EventEmitter {
         modelId,
         requestCount: metrics.requestCount,
         errorRate: metrics.errorCount / metrics.requestCount || 0,
+        cancelledCount: metrics.cancelledCount,
         averageLatency: metrics.totalLatency / metrics.requestCount || 0,
       })),
       costs: Array.from(this.metrics.costs.entries()).map(([modelId, metrics]) => ({
@@ -162,6 +298,41 @@ class MetricsCollector extends EventEmitter {
         totalCost: metrics.totalCost,
         totalTokens: metrics.totalTokens,
       })),
+      quality: Array.from(this.metrics.quality.values()).map(metrics => ({
+        modelId: metrics.modelId,
+        band: metrics.band,
+        feedbackCount: metrics.feedbackCount,
+        averageRating: metrics.totalRating / metrics.feedbackCount,
+        averageQuality: metrics.totalQuality / metrics.feedbackCount,
+        labels: { ...metrics.labels },
+      })),
+      experiments: Array.from(this.metrics.experiments.values()).map(metrics => ({
+        experiment: metrics.experiment,
+        arm: metrics.arm,
+        requestCount: metrics.requestCount,
+        errorRate: metrics.errorCount / metrics.requestCount || 0,
+        averageLatency: metrics.totalLatency / metrics.requestCount || 0,
+        totalCost: metrics.totalCost,
+        averageCost: metrics.totalCost / metrics.requestCount || 0,
+        feedbackCount: metrics.feedbackCount,
+        averageRating: metrics.totalRating / metrics.feedbackCount || 0,
+      })),
+      health: this.getHealthProbes(1).map(({ history, ...probes }) => ({
+        ...probes,
+        lastProbe: history[0],
+      })),
+      hedging: {
+        hedgedCount: this.metrics.hedging.hedgedCount,
+        hedgeRate: this.metrics.hedging.hedgedCount / this.metrics.performance.requestCount || 0,
+        hedgeWins: this.metrics.hedging.hedgeWins,
+        failedCount: this.metrics.hedging.failedCount,
+        extraCost: this.metrics.hedging.extraCost,
+        models: Array.from(this.metrics.hedging.byModel.entries()).map(([modelId, metrics]) => ({
+          modelId,
+          hedgeCalls: metrics.hedgeCalls,
+          wins: metrics.wins,
+        })),
+      },
     };
   }
 
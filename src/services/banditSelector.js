@@ -0,0 +1,189 @@
+/**
+ * 多臂老虎机提供商选择
+ * 按复杂度区间为每个提供商维护带指数衰减的奖励统计（Discounted UCB），
+ * 奖励来自调用是否成功、响应时间和显式的质量反馈，较早的观测随时间按半衰期衰减
+ */
+
+// 未配置时使用的参数
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  explorationRate: 0.5,
+  halfLifeMs: 3600000,
+  targetLatencyMs: 2000,
+  latencyWeight: 0.3,
+  feedbackWeight: 2
+};
+
+class BanditSelector {
+  /**
+   * @param {Object} [settings] - 参数，见 config.bandit
+   * @param {Function} [now] - 返回当前毫秒时间戳，便于测试
+   */
+  constructor(settings = {}, now = Date.now) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.now = now;
+    this.arms = new Map(); // bucket -> Map(provider -> { reward, count, updatedAt })
+  }
+
+  /**
+   * 是否使用老虎机选择提供商
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.settings.enabled);
+  }
+
+  /**
+   * 获取按当前时间衰减后的统计
+   * @private
+   * @param {Object} arm - { reward, count, updatedAt }
+   * @param {number} now - 当前毫秒时间戳
+   * @returns {Object} { reward, count }
+   */
+  _decay(arm, now) {
+    const factor = Math.pow(0.5, Math.max(0, now - arm.updatedAt) / this.settings.halfLifeMs);
+    return { reward: arm.reward * factor, count: arm.count * factor };
+  }
+
+  /**
+   * 记录一次奖励观测
+   * @private
+   * @param {string} bucket - 复杂度区间
+   * @param {string} provider - 提供商名称
+   * @param {number} reward - 奖励 (0-1)
+   * @param {number} weight - 观测权重
+   */
+  _observe(bucket, provider, reward, weight) {
+    const now = this.now();
+    const arms = this.arms.get(bucket) || new Map();
+    const arm = arms.get(provider);
+    const decayed = arm ? this._decay(arm, now) : { reward: 0, count: 0 };
+
+    arms.set(provider, {
+      reward: decayed.reward + (weight * reward),
+      count: decayed.count + weight,
+      updatedAt: now
+    });
+    this.arms.set(bucket, arms);
+  }
+
+  /**
+   * 根据调用结果更新提供商的统计
+   * 成功调用的奖励由成功本身和响应时间组成，响应时间等于 targetLatencyMs 时响应时间部分为 0.5；失败调用的奖励为 0
+   * @param {string} bucket - 复杂度区间
+   * @param {string} provider - 提供商名称
+   * @param {Object} outcome - { success, responseTime }
+   */
+  recordOutcome(bucket, provider, { success, responseTime }) {
+    const { latencyWeight, targetLatencyMs } = this.settings;
+    const latencyScore = targetLatencyMs / (targetLatencyMs + Math.max(0, responseTime || 0));
+    const reward = success ? (1 - latencyWeight) + (latencyWeight * latencyScore) : 0;
+    this._observe(bucket, provider, reward, 1);
+  }
+
+  /**
+   * 根据显式的质量反馈更新提供商的统计，权重为 feedbackWeight
+   * @param {string} bucket - 复杂度区间
+   * @param {string} provider - 提供商名称
+   * @param {number} quality - 质量评分 (0-1)
+   */
+  recordFeedback(bucket, provider, quality) {
+    this._observe(bucket, provider, Math.min(Math.max(quality, 0), 1), this.settings.feedbackWeight);
+  }
+
+  /**
+   * 计算候选提供商的 UCB 指数
+   * 指数为平均奖励加上探索项 explorationRate * sqrt(ln(1 + N) / n)，没有观测的提供商为 Infinity
+   * @param {string} bucket - 复杂度区间
+   * @param {Array<string>} providers - 候选提供商名称
+   * @returns {Map<string, number>} 提供商名称 -> 指数
+   */
+  getIndices(bucket, providers) {
+    const now = this.now();
+    const arms = this.arms.get(bucket) || new Map();
+    const stats = providers.map(provider => {
+      const arm = arms.get(provider);
+      return [provider, arm ? this._decay(arm, now) : { reward: 0, count: 0 }];
+    });
+    const total = stats.reduce((sum, [, arm]) => sum + arm.count, 0);
+
+    return new Map(stats.map(([provider, arm]) => {
+      if (arm.count <= 0) {
+        return [provider, Infinity];
+      }
+      const exploration = this.settings.explorationRate * Math.sqrt(Math.log(1 + total) / arm.count);
+      return [provider, (arm.reward / arm.count) + exploration];
+    }));
+  }
+
+  /**
+   * 选择 UCB 指数最高的提供商，指数相同时保持候选顺序
+   * @param {string} bucket - 复杂度区间
+   * @param {Array<Object>} candidates - 按评分排序的候选提供商，需包含 name
+   * @returns {Object|null} 选中的候选提供商
+   */
+  select(bucket, candidates) {
+    const indices = this.getIndices(bucket, candidates.map(candidate => candidate.name));
+    let best = null;
+
+    for (const candidate of candidates) {
+      if (!best || indices.get(candidate.name) > indices.get(best.name)) {
+        best = candidate;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 获取学习到的状态，统计按当前时间衰减
+   * @returns {Object} { settings, buckets }，buckets 为 { [bucket]: [{ provider, count, meanReward, updatedAt }] }
+   */
+  getState() {
+    const now = this.now();
+    const buckets = {};
+
+    for (const [bucket, arms] of this.arms) {
+      buckets[bucket] = [...arms.entries()].map(([provider, arm]) => {
+        const decayed = this._decay(arm, now);
+        return {
+          provider,
+          count: decayed.count,
+          meanReward: decayed.count > 0 ? decayed.reward / decayed.count : 0,
+          updatedAt: new Date(arm.updatedAt).toISOString()
+        };
+      });
+    }
+
+    return { settings: { ...this.settings }, buckets };
+  }
+
+  /**
+   * 重置学习到的状态
+   * @param {Object} [filter] - { bucket, provider }，未指定时重置全部
+   * @returns {number} 重置的统计条数
+   */
+  reset({ bucket, provider } = {}) {
+    let removed = 0;
+
+    for (const [name, arms] of this.arms) {
+      if (bucket && name !== bucket) {
+        continue;
+      }
+      for (const armProvider of [...arms.keys()]) {
+        if (!provider || armProvider === provider) {
+          arms.delete(armProvider);
+          removed += 1;
+        }
+      }
+      if (arms.size === 0) {
+        this.arms.delete(name);
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = {
+  BanditSelector
+};
@@ -0,0 +1,154 @@
+/**
+ * 批量请求服务实现
+ * 每个请求单独经过复杂度评估和模型路由，单个请求失败不影响整个批次
+ */
+const { logger } = require('../utils/logger');
+const { toGrpcError } = require('../utils/errors');
+const { SharedBudget } = require('../utils/budget');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { createCallSignal } = require('../utils/cancellation');
+const { processBatchRequest } = require('../middleware/requestProcessor');
+const { executeQuery } = require('./modelGatewayService');
+
+/**
+ * 处理批量请求中的单个请求
+ * @param {Object} item - 单个请求
+ * @param {number} index - 请求在批次中的位置
+ * @param {Object} batch - 预处理后的批量请求
+ * @param {SharedBudget} sharedBudget - 批次共享预算
+ * @param {Object} [options] - 执行选项
+ * @param {AbortSignal} [options.signal] - 批次的取消信号
+ * @param {number} [options.deadline] - 批次的截止时间（毫秒时间戳）
+ * @returns {Promise<Object>} 单个请求的结果
+ */
+async function processBatchItem(item, index, batch, sharedBudget, options = {}) {
+  const itemRequest = {
+    ...item,
+    request_id: item.request_id || `${batch.batch_id}-${index}`,
+    metadata: {
+      ...batch.metadata,
+      ...(item.metadata || {}),
+      batch_id: batch.batch_id
+    }
+  };
+
+  try {
+    const response = await executeQuery(itemRequest, {
+      sharedBudget,
+      signal: options.signal,
+      deadline: options.deadline
+    });
+    return {
+      index,
+      request_id: response.request_id,
+      status: 'OK',
+      response,
+      error_message: ''
+    };
+  } catch (error) {
+    return {
+      index,
+      request_id: itemRequest.request_id,
+      status: error.name === 'GatewayError' ? error.code : 'INTERNAL_ERROR',
+      response: null,
+      error_message: error.message
+    };
+  }
+}
+
+/**
+ * 汇总批次的成本和结果
+ * @param {Array<Object>} results - 单个请求的结果
+ * @param {number} budget - 批次总预算
+ * @returns {Object} 成本汇总
+ */
+function summarizeBatch(results, budget) {
+  const summary = {
+    total_cost: 0,
+    budget: budget || 0,
+    succeeded: 0,
+    failed: 0,
+    token_usage: { input: 0, output: 0, total: 0 },
+    cost_by_model: {}
+  };
+
+  for (const result of results) {
+    if (result.status !== 'OK') {
+      summary.failed++;
+      continue;
+    }
+
+    const { response } = result;
+    summary.succeeded++;
+    summary.total_cost += response.cost;
+    summary.cost_by_model[response.model_used] = (summary.cost_by_model[response.model_used] || 0) + response.cost;
+    summary.token_usage.input += response.token_usage.input;
+    summary.token_usage.output += response.token_usage.output;
+    summary.token_usage.total += response.token_usage.total;
+  }
+
+  return summary;
+}
+
+/**
+ * 执行批量请求
+ * @param {Object} rawRequest - 原始批量请求对象
+ * @param {Object} [options] - 执行选项，取消信号和截止时间应用到每个请求
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.deadline] - 截止时间（毫秒时间戳）
+ * @returns {Promise<Object>} 每个请求的结果和批次成本汇总
+ */
+async function executeBatch(rawRequest, options = {}) {
+  const startTime = Date.now();
+  const { request: batch, logger: batchLogger } = processBatchRequest(rawRequest);
+  const sharedBudget = new SharedBudget(batch.budget);
+
+  batchLogger.info('开始处理批量请求', {
+    itemCount: batch.requests.length,
+    maxConcurrency: batch.max_concurrency,
+    budget: batch.budget || null
+  });
+
+  const results = await mapWithConcurrency(
+    batch.requests,
+    batch.max_concurrency,
+    (item, index) => processBatchItem(item, index, batch, sharedBudget, options)
+  );
+
+  const summary = summarizeBatch(results, batch.budget);
+
+  batchLogger.info('批量请求处理完成', {
+    succeeded: summary.succeeded,
+    failed: summary.failed,
+    totalCost: summary.total_cost,
+    processingTime: Date.now() - startTime
+  });
+
+  return {
+    batch_id: batch.batch_id,
+    results,
+    summary
+  };
+}
+
+async function processBatch(call, callback) {
+  const cancellation = createCallSignal(call);
+  try {
+    const result = await executeBatch(call.request, {
+      signal: cancellation.signal,
+      deadline: cancellation.deadline
+    });
+    callback(null, result);
+  } catch (error) {
+    logger.error('处理批量请求失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  } finally {
+    cancellation.dispose();
+  }
+}
+
+module.exports = {
+  processBatch,
+  executeBatch,
+  processBatchItem
+};
@@ -0,0 +1,77 @@
+/**
+ * 提供商和模型的能力匹配
+ * 提供商通过 supportedCapabilities 声明所有模型共有的能力，通过 modelCapabilities 声明个别模型额外具备的能力
+ */
+
+/**
+ * 解析能力列表，支持数组或逗号分隔的字符串
+ * @param {Array<string>|string} [value] - 能力列表
+ * @returns {Array<string>} 去重后的能力名称
+ */
+function parseCapabilities(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * 获取请求所需的能力
+ * 预处理后的元数据包含 requiredCapabilities，否则解析元数据中逗号分隔的 capabilities
+ * @param {Object} [metadata] - 请求元数据
+ * @returns {Array<string>} 能力名称
+ */
+function getRequiredCapabilities(metadata = {}) {
+  return metadata.requiredCapabilities || parseCapabilities(metadata.capabilities);
+}
+
+/**
+ * 获取模型具备的能力
+ * @param {Object} providerConfig - 提供商配置
+ * @param {string} [model] - 模型名称
+ * @returns {Array<string>} 能力名称
+ */
+function getModelCapabilities(providerConfig, model) {
+  const modelCapabilities = (providerConfig.modelCapabilities || {})[model] || [];
+  return parseCapabilities([...(providerConfig.supportedCapabilities || []), ...modelCapabilities]);
+}
+
+/**
+ * 列出路由时依次检查的模型
+ * 指定了模型时只检查该模型，否则先检查默认模型，再按 supportedModels 的顺序检查其他模型
+ * @param {Object} providerConfig - 提供商配置
+ * @param {string} [preferredModel] - 指定的模型
+ * @returns {Array<string>} 模型名称，提供商没有配置模型时为 [undefined]
+ */
+function listCandidateModels(providerConfig, preferredModel) {
+  if (preferredModel) {
+    return [preferredModel];
+  }
+
+  const models = [...new Set([providerConfig.defaultModel, ...(providerConfig.supportedModels || [])])].filter(Boolean);
+  return models.length > 0 ? models : [undefined];
+}
+
+/**
+ * 找出所有提供商的所有模型都不具备的能力
+ * @param {Array<Object>} providerConfigs - 提供商配置
+ * @param {Array<string>} requiredCapabilities - 所需能力
+ * @returns {Array<string>} 没有任何模型具备的能力
+ */
+function findUnsupportedCapabilities(providerConfigs, requiredCapabilities) {
+  const supported = new Set();
+
+  for (const providerConfig of providerConfigs) {
+    for (const model of listCandidateModels(providerConfig)) {
+      getModelCapabilities(providerConfig, model).forEach(capability => supported.add(capability));
+    }
+  }
+
+  return requiredCapabilities.filter(capability => !supported.has(capability));
+}
+
+module.exports = {
+  parseCapabilities,
+  getRequiredCapabilities,
+  getModelCapabilities,
+  listCandidateModels,
+  findUnsupportedCapabilities
+};
@@ -0,0 +1,276 @@
+/**
+ * 熔断器
+ * 按提供商和提供商的模型分别统计调用结果：时间窗口内的错误率过高或连续超时时熔断器打开，暂停向其路由；
+ * 打开一段时间后进入半开状态，放行少量探测调用，探测成功时关闭，失败时重新打开
+ */
+const EventEmitter = require('events');
+
+// 熔断器状态
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// 未配置时使用的参数
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  windowMs: 60000,
+  minRequests: 10,
+  errorRateThreshold: 0.5,
+  consecutiveTimeouts: 3,
+  openDurationMs: 30000,
+  halfOpenMaxProbes: 1
+};
+
+// 超时错误的特征，适配器把超时包装为 MODEL_UNAVAILABLE 时保留了原始错误信息
+const TIMEOUT_PATTERN = /timeout|timed out|ETIMEDOUT|ECONNABORTED|超时/i;
+
+/**
+ * 判断模型调用失败是否由超时引起
+ * @param {Error} error - 调用错误
+ * @returns {boolean} 是否超时
+ */
+function isTimeoutError(error) {
+  return Boolean(error) && (error.timedOut === true || TIMEOUT_PATTERN.test(error.message || ''));
+}
+
+class CircuitBreakerRegistry extends EventEmitter {
+  /**
+   * @param {Object} [settings] - 参数，见 config.circuitBreaker
+   * @param {Function} [now] - 返回当前毫秒时间戳，便于测试
+   */
+  constructor(settings = {}, now = Date.now) {
+    super();
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.now = now;
+    this.circuits = new Map(); // provider 或 provider/model -> 熔断器状态
+  }
+
+  /**
+   * 是否启用熔断器
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.settings.enabled);
+  }
+
+  /**
+   * 获取提供商和模型对应的熔断器，模型级熔断器只在提供了模型时使用
+   * @private
+   * @param {string} provider - 提供商名称
+   * @param {string} [model] - 模型名称
+   * @returns {Array<Object>} 熔断器，按提供商、模型的顺序排列
+   */
+  _getCircuits(provider, model) {
+    const keys = model ? [[provider, null], [provider, model]] : [[provider, null]];
+
+    return keys.map(([circuitProvider, circuitModel]) => {
+      const key = circuitModel ? `${circuitProvider}/${circuitModel}` : circuitProvider;
+      if (!this.circuits.has(key)) {
+        this.circuits.set(key, {
+          provider: circuitProvider,
+          model: circuitModel,
+          state: STATES.CLOSED,
+          reason: '',
+          changedAt: this.now(),
+          outcomes: [], // 时间窗口内的调用结果 { time, success }
+          consecutiveTimeouts: 0,
+          probes: [] // 半开状态下进行中的探测调用的开始时间
+        });
+      }
+      return this.circuits.get(key);
+    });
+  }
+
+  /**
+   * 切换熔断器状态并发出 state-change 事件
+   * @private
+   * @param {Object} circuit - 熔断器
+   * @param {string} state - 新状态
+   * @param {string} reason - 原因
+   */
+  _transition(circuit, state, reason) {
+    const from = circuit.state;
+    circuit.state = state;
+    circuit.reason = reason;
+    circuit.changedAt = this.now();
+    circuit.probes = [];
+    if (state !== STATES.OPEN) {
+      circuit.outcomes = [];
+      circuit.consecutiveTimeouts = 0;
+    }
+
+    this.emit('state-change', {
+      provider: circuit.provider,
+      model: circuit.model,
+      from,
+      to: state,
+      reason,
+      timestamp: new Date(circuit.changedAt).toISOString()
+    });
+  }
+
+  /**
+   * 按当前时间更新熔断器：打开时间达到 openDurationMs 后进入半开状态，丢弃超时未返回的探测调用和时间窗口外的结果
+   * @private
+   * @param {Object} circuit - 熔断器
+   */
+  _refresh(circuit) {
+    const { windowMs, openDurationMs } = this.settings;
+    const now = this.now();
+
+    if (circuit.state === STATES.OPEN && now - circuit.changedAt >= openDurationMs) {
+      this._transition(circuit, STATES.HALF_OPEN, `已打开 ${openDurationMs}ms，放行探测调用`);
+    }
+    // 被取消的探测调用没有结果，超过 openDurationMs 后不再占用探测名额
+    circuit.probes = circuit.probes.filter(startedAt => now - startedAt < openDurationMs);
+    circuit.outcomes = circuit.outcomes.filter(outcome => now - outcome.time < windowMs);
+  }
+
+  /**
+   * 判断是否可以向提供商或其模型路由
+   * @param {string} provider - 提供商名称
+   * @param {string} [model] - 模型名称，提供时同时检查模型级熔断器
+   * @returns {boolean} 熔断器都关闭，或处于半开状态且探测名额未用完时为 true
+   */
+  canRoute(provider, model) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+
+    return this._getCircuits(provider, model).every((circuit) => {
+      this._refresh(circuit);
+      if (circuit.state === STATES.HALF_OPEN) {
+        return circuit.probes.length < this.settings.halfOpenMaxProbes;
+      }
+      return circuit.state === STATES.CLOSED;
+    });
+  }
+
+  /**
+   * 与 canRoute 相同地判断是否可以路由，但不更新熔断器状态，也不创建熔断器，用于演练路由
+   * @param {string} provider - 提供商名称
+   * @param {string} [model] - 模型名称，提供时同时检查模型级熔断器
+   * @returns {boolean} 此时调用 canRoute 的结果
+   */
+  peek(provider, model) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+
+    const { openDurationMs, halfOpenMaxProbes } = this.settings;
+    const now = this.now();
+    const keys = model ? [provider, `${provider}/${model}`] : [provider];
+
+    return keys.every((key) => {
+      const circuit = this.circuits.get(key);
+      if (!circuit || circuit.state === STATES.CLOSED) {
+        return true;
+      }
+      // 打开时间达到 openDurationMs 后 canRoute 会进入半开状态，探测名额全部空闲
+      if (circuit.state === STATES.OPEN) {
+        return now - circuit.changedAt >= openDurationMs && halfOpenMaxProbes > 0;
+      }
+      return circuit.probes.filter(startedAt => now - startedAt < openDurationMs).length < halfOpenMaxProbes;
+    });
+  }
+
+  /**
+   * 记录调用开始，半开状态下的调用占用一个探测名额
+   * @param {string} provider - 提供商名称
+   * @param {string} [model] - 模型名称
+   * @returns {number|undefined} 调用的开始时间，记录结果时作为 startedAt 传回；未启用时为 undefined
+   */
+  recordStart(provider, model) {
+    if (!this.isEnabled()) {
+      return undefined;
+    }
+
+    const startedAt = this.now();
+    for (const circuit of this._getCircuits(provider, model)) {
+      this._refresh(circuit);
+      if (circuit.state === STATES.HALF_OPEN) {
+        circuit.probes.push(startedAt);
+      }
+    }
+    return startedAt;
+  }
+
+  /**
+   * 记录调用结果
+   * 关闭状态下连续超时达到 consecutiveTimeouts，或时间窗口内至少 minRequests 次调用且错误率达到 errorRateThreshold 时打开；
+   * 半开状态下探测调用成功时关闭，失败时重新打开；打开状态下返回的结果和半开状态下不是探测调用的结果
+   * （进入半开状态之前开始的调用）被忽略
+   * @param {string} provider - 提供商名称
+   * @param {string} [model] - 模型名称
+   * @param {Object} outcome - { success, timedOut, startedAt }，startedAt 为 recordStart 返回的开始时间
+   */
+  recordResult(provider, model, { success, timedOut, startedAt }) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const { minRequests, errorRateThreshold, consecutiveTimeouts } = this.settings;
+
+    for (const circuit of this._getCircuits(provider, model)) {
+      this._refresh(circuit);
+
+      if (circuit.state === STATES.HALF_OPEN) {
+        if (circuit.probes.includes(startedAt)) {
+          this._transition(circuit, success ? STATES.CLOSED : STATES.OPEN, success ? '探测调用成功' : '探测调用失败');
+        }
+        continue;
+      }
+      if (circuit.state === STATES.OPEN) {
+        continue;
+      }
+
+      circuit.outcomes.push({ time: this.now(), success: Boolean(success) });
+      circuit.consecutiveTimeouts = !success && timedOut ? circuit.consecutiveTimeouts + 1 : 0;
+
+      const errors = circuit.outcomes.filter(item => !item.success).length;
+      const errorRate = errors / circuit.outcomes.length;
+      if (circuit.consecutiveTimeouts >= consecutiveTimeouts) {
+        this._transition(circuit, STATES.OPEN, `连续 ${circuit.consecutiveTimeouts} 次调用超时`);
+      } else if (circuit.outcomes.length >= minRequests && errorRate >= errorRateThreshold) {
+        this._transition(circuit, STATES.OPEN, `最近 ${circuit.outcomes.length} 次调用的错误率为 ${(errorRate * 100).toFixed(1)}%`);
+      }
+    }
+  }
+
+  /**
+   * 获取所有熔断器的状态
+   * @returns {Array<Object>} { provider, model, state, reason, changedAt, requests, errorRate, consecutiveTimeouts }，
+   *   提供商级熔断器的 model 为 null
+   */
+  getStates() {
+    return [...this.circuits.values()].map((circuit) => {
+      this._refresh(circuit);
+      const errors = circuit.outcomes.filter(item => !item.success).length;
+      return {
+        provider: circuit.provider,
+        model: circuit.model,
+        state: circuit.state,
+        reason: circuit.reason,
+        changedAt: new Date(circuit.changedAt).toISOString(),
+        requests: circuit.outcomes.length,
+        errorRate: circuit.outcomes.length > 0 ? errors / circuit.outcomes.length : 0,
+        consecutiveTimeouts: circuit.consecutiveTimeouts
+      };
+    });
+  }
+
+  /**
+   * 清除所有熔断器的状态
+   */
+  reset() {
+    this.circuits.clear();
+  }
+}
+
+module.exports = {
+  CircuitBreakerRegistry,
+  isTimeoutError,
+  STATES
+};
@@ -0,0 +1,357 @@
+/**
+ * 文本分类和命名实体识别服务实现
+ * 优先使用具备相应能力的适配器（如本地 BERT），没有可用的适配器时提示生成模型输出结构化结果
+ */
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { Errors, toGrpcError } = require('../utils/errors');
+const { processAnalysisRequest } = require('../middleware/requestProcessor');
+const { selectProvidersByCapability } = require('./providerSelection');
+const { executeQuery } = require('./modelGatewayService');
+const monitoringService = require('../monitoring/MonitoringService');
+
+// 任务定义：能力名称、适配器调用方式、生成模型提示和结果解析
+const TASKS = {
+  classification: {
+    capability: 'classification',
+    operation: 'classify',
+    invoke: (adapter, request) => adapter.classify('default', request.text, request.labels || []),
+    buildInstruction: buildClassificationInstruction,
+    parse: parseClassification,
+    toResponse: (result) => ({ labels: sortLabels(result.labels) })
+  },
+  ner: {
+    capability: 'ner',
+    operation: 'extractEntities',
+    invoke: (adapter, request) => adapter.extractEntities('default', request.text, request.entity_types || []),
+    buildInstruction: buildEntityInstruction,
+    parse: parseEntities,
+    toResponse: (result, request) => ({ entities: locateEntities(request.text, result.entities) })
+  }
+};
+
+/**
+ * 构建分类任务的系统提示
+ * @param {Object} request - 预处理后的请求对象
+ * @returns {string} 系统提示
+ */
+function buildClassificationInstruction(request) {
+  const labels = request.labels || [];
+  const target = labels.length > 0
+    ? `请判断用户输入的文本属于以下哪些类别：${labels.join('、')}。只能使用这些类别名称。`
+    : '请为用户输入的文本给出最合适的类别标签。';
+
+  return [
+    '你是一个文本分类器。',
+    target,
+    '只输出 JSON，不要输出任何其他内容，格式为：{"labels": [{"label": "类别名称", "score": 0到1之间的置信度}]}，按置信度从高到低排列。'
+  ].join('\n');
+}
+
+/**
+ * 构建实体识别任务的系统提示
+ * @param {Object} request - 预处理后的请求对象
+ * @returns {string} 系统提示
+ */
+function buildEntityInstruction(request) {
+  const types = request.entity_types || [];
+  const target = types.length > 0
+    ? `请找出用户输入文本中以下类型的实体：${types.join('、')}。只能使用这些类型名称。`
+    : '请找出用户输入文本中的所有命名实体，例如人名、地名和组织名。';
+
+  return [
+    '你是一个命名实体识别器。',
+    target,
+    '只输出 JSON，不要输出任何其他内容，格式为：{"entities": [{"text": "实体文字", "type": "实体类型", "score": 0到1之间的置信度}]}。',
+    '实体文字必须与原文完全一致，同一实体多次出现时逐个列出。'
+  ].join('\n');
+}
+
+/**
+ * 从生成模型的响应中提取 JSON 对象
+ * 模型可能在 JSON 前后添加说明或代码块标记
+ * @param {string} text - 模型响应文本
+ * @returns {Object} 解析后的对象
+ * @throws {GatewayError} 如果无法解析
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      // 统一在下面抛出
+    }
+  }
+
+  throw Errors.modelUnavailable('生成模型返回的结果不是有效的 JSON');
+}
+
+/**
+ * 将分数限制在 0-1 之间，缺失时使用默认值
+ * @param {*} score - 模型给出的分数
+ * @returns {number} 分数
+ */
+function normalizeScore(score) {
+  const value = Number(score);
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 1;
+}
+
+/**
+ * 解析生成模型输出的分类结果
+ * 请求指定了候选标签时，丢弃不在候选范围内的标签
+ * @param {string} text - 模型响应文本
+ * @param {Object} request - 预处理后的请求对象
+ * @returns {Object} 分类结果
+ */
+function parseClassification(text, request) {
+  const parsed = extractJsonObject(text);
+  if (!Array.isArray(parsed.labels)) {
+    throw Errors.modelUnavailable('生成模型返回的分类结果缺少 labels 字段');
+  }
+
+  const allowed = new Map((request.labels || []).map(label => [label.toLowerCase(), label]));
+  const labels = parsed.labels
+    .filter(item => item && typeof item.label === 'string')
+    .map(item => ({
+      label: allowed.size > 0 ? allowed.get(item.label.toLowerCase()) : item.label,
+      score: normalizeScore(item.score)
+    }))
+    .filter(item => item.label);
+
+  return { labels };
+}
+
+/**
+ * 解析生成模型输出的实体识别结果
+ * 请求指定了实体类型时，丢弃其他类型的实体
+ * @param {string} text - 模型响应文本
+ * @param {Object} request - 预处理后的请求对象
+ * @returns {Object} 实体识别结果
+ */
+function parseEntities(text, request) {
+  const parsed = extractJsonObject(text);
+  if (!Array.isArray(parsed.entities)) {
+    throw Errors.modelUnavailable('生成模型返回的实体识别结果缺少 entities 字段');
+  }
+
+  const allowed = new Map((request.entity_types || []).map(type => [type.toLowerCase(), type]));
+  const entities = parsed.entities
+    .filter(item => item && typeof item.text === 'string' && item.text && typeof item.type === 'string')
+    .map(item => ({
+      text: item.text,
+      type: allowed.size > 0 ? allowed.get(item.type.toLowerCase()) : item.type,
+      score: normalizeScore(item.score)
+    }))
+    .filter(item => item.type);
+
+  return { entities };
+}
+
+/**
+ * 按分数从高到低排列标签
+ * @param {Array<Object>} labels - 标签列表
+ * @returns {Array<Object>} 排序后的标签列表
+ */
+function sortLabels(labels) {
+  return [...labels].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 确定实体在原文中的位置
+ * 已有的有效位置会被保留；缺失或不匹配时按出现顺序在原文中查找，找不到的实体会被丢弃
+ * @param {string} text - 原文
+ * @param {Array<Object>} entities - 实体列表
+ * @returns {Array<Object>} 带有位置的实体列表，按出现位置排列
+ */
+function locateEntities(text, entities) {
+  // 记录每个实体文字已经匹配到的位置，使重复出现的实体依次对应原文中的不同位置
+  const searchFrom = new Map();
+  const located = [];
+
+  for (const entity of entities) {
+    const hasValidOffsets = Number.isInteger(entity.start) && Number.isInteger(entity.end) &&
+      text.slice(entity.start, entity.end) === entity.text;
+
+    let start = hasValidOffsets ? entity.start : text.indexOf(entity.text, searchFrom.get(entity.text) || 0);
+    if (start === -1) {
+      start = text.indexOf(entity.text);
+    }
+    if (start === -1) {
+      logger.debug('实体不在原文中，已丢弃', { entity: entity.text });
+      continue;
+    }
+
+    const end = start + entity.text.length;
+    searchFrom.set(entity.text, end);
+    located.push({
+      text: entity.text,
+      type: entity.type,
+      start,
+      end,
+      score: normalizeScore(entity.score)
+    });
+  }
+
+  return located.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 提示生成模型完成分析任务
+ * @param {Object} taskDef - 任务定义
+ * @param {Object} request - 预处理后的请求对象
+ * @param {Object} metadata - 请求元数据
+ * @returns {Promise<Object>} 分析结果
+ */
+async function runGenerativeFallback(taskDef, request, metadata) {
+  const result = await executeQuery({
+    request_id: request.request_id,
+    query: request.text,
+    system_prompt: taskDef.buildInstruction(request),
+    metadata: { ...request.metadata, task: metadata.task },
+    generation: { temperature: 0 }
+  });
+
+  return {
+    ...taskDef.parse(result.response, request),
+    provider: result.model_used,
+    tokenUsage: result.token_usage,
+    cost: result.cost,
+    generativeFallback: true
+  };
+}
+
+/**
+ * 执行分类或实体识别任务
+ * @param {Object} rawRequest - 原始请求对象
+ * @param {string} task - 任务类型 (classification, ner)
+ * @returns {Promise<Object>} 任务响应
+ */
+async function executeAnalysis(rawRequest, task) {
+  const taskDef = TASKS[task];
+  const requestId = uuidv4();
+  const startTime = Date.now();
+  let providerName = null;
+
+  try {
+    const { request, metadata, logger: requestLogger } = processAnalysisRequest(rawRequest, task);
+    const providers = selectProvidersByCapability(taskDef.capability, request, metadata);
+
+    // 显式指定的提供商不可用时不回退到生成模型
+    if (request.provider && providers.length === 0) {
+      throw Errors.modelUnavailable(`提供商 ${request.provider} 不支持 ${taskDef.capability} 或当前不可用`);
+    }
+
+    let result = null;
+    let lastError = null;
+
+    for (const { name, adapter } of providers) {
+      providerName = name;
+      try {
+        result = { ...(await taskDef.invoke(adapter, request)), provider: name, generativeFallback: false };
+        break;
+      } catch (error) {
+        lastError = error;
+        requestLogger.error('分析任务调用失败', { provider: name, task, error: error.message });
+      }
+    }
+
+    if (!result) {
+      if (request.provider) {
+        throw lastError;
+      }
+
+      requestLogger.info('没有可用的专用模型，使用生成模型完成任务', { task });
+      result = await runGenerativeFallback(taskDef, request, metadata);
+      providerName = result.provider;
+    }
+
+    const processingTime = Date.now() - startTime;
+    const tokenUsage = result.tokenUsage || { input: 0, output: 0, total: 0 };
+
+    monitoringService.recordRequest({
+      requestId,
+      operation: taskDef.operation,
+      modelId: providerName,
+      duration: processingTime,
+      success: true,
+      cost: result.cost || 0,
+      tokens: tokenUsage.total
+    });
+
+    requestLogger.info('分析任务完成', {
+      task,
+      provider: providerName,
+      generativeFallback: result.generativeFallback,
+      processingTime
+    });
+
+    return {
+      request_id: request.request_id,
+      ...taskDef.toResponse(result, request),
+      model_used: providerName,
+      cost: result.cost || 0,
+      token_usage: tokenUsage,
+      generative_fallback: result.generativeFallback
+    };
+  } catch (error) {
+    monitoringService.recordRequest({
+      requestId,
+      operation: taskDef.operation,
+      modelId: providerName || 'unknown',
+      duration: Date.now() - startTime,
+      success: false,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * 执行文本分类
+ * @param {Object} rawRequest - 原始请求对象
+ * @returns {Promise<Object>} 分类响应
+ */
+function executeClassification(rawRequest) {
+  return executeAnalysis(rawRequest, 'classification');
+}
+
+/**
+ * 执行命名实体识别
+ * @param {Object} rawRequest - 原始请求对象
+ * @returns {Promise<Object>} 实体识别响应
+ */
+function executeEntityExtraction(rawRequest) {
+  return executeAnalysis(rawRequest, 'ner');
+}
+
+async function classify(call, callback) {
+  try {
+    const result = await executeClassification(call.request);
+    callback(null, result);
+  } catch (error) {
+    logger.error('文本分类失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  }
+}
+
+async function extractEntities(call, callback) {
+  try {
+    const result = await executeEntityExtraction(call.request);
+    callback(null, result);
+  } catch (error) {
+    logger.error('实体识别失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  }
+}
+
+module.exports = {
+  classify,
+  extractEntities,
+  executeClassification,
+  executeEntityExtraction,
+  locateEntities
+};
@@ -0,0 +1,234 @@
+/**
+ * 上下文窗口检查与溢出处理
+ * 路由前估算提示的 token 数，跳过容纳不下提示和 max_tokens 的模型；没有模型容纳得下时按溢出策略处理
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { getAbortError } = require('../utils/cancellation');
+const { estimateTokens } = require('../utils/text');
+const { adapterManager } = require('../adapters');
+
+// 溢出策略：拒绝请求、升级到上下文窗口更大的模型、丢弃最早的对话轮次、将较早的对话轮次压缩为摘要
+const OVERFLOW_POLICIES = ['reject', 'escalate', 'truncate', 'summarize'];
+
+// 未设置 max_tokens 时各适配器使用的默认值
+const DEFAULT_MAX_TOKENS = 1000;
+
+// 每条消息的角色标记等格式开销
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// 常见模型的上下文窗口，提供商配置中的 modelContextWindows 优先
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'claude-instant-1': 100000,
+  'claude-2': 100000,
+  'claude-3-haiku-20240307': 200000,
+  'claude-3-sonnet-20240229': 200000,
+  'claude-3-opus-20240229': 200000,
+  'llama2-7b': 4096,
+  'llama2-13b': 4096,
+  'llama2-70b': 4096
+};
+
+/**
+ * 获取模型的上下文窗口
+ * 依次使用提供商配置的 modelContextWindows、常见模型的上下文窗口和提供商配置的 contextWindow
+ * @param {Object} providerConfig - 提供商配置
+ * @param {string} [model] - 模型名称
+ * @returns {number} 上下文窗口（tokens），未知时为 Infinity
+ */
+function getContextWindow(providerConfig, model) {
+  return (providerConfig.modelContextWindows || {})[model] ||
+    MODEL_CONTEXT_WINDOWS[model] ||
+    providerConfig.contextWindow ||
+    Infinity;
+}
+
+/**
+ * 估算一组对话消息的 token 数
+ * @param {Array<Object>} messages - 对话消息
+ * @returns {number} token 数
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * 估算提示的 token 数，包括系统提示、对话上下文和当前查询
+ * @param {Object} conversation - { query, messages, systemPrompt }
+ * @returns {number} token 数
+ */
+function estimatePromptTokens({ query, messages = [], systemPrompt = '' }) {
+  const systemTokens = systemPrompt ? estimateTokens(systemPrompt) + MESSAGE_OVERHEAD_TOKENS : 0;
+  return systemTokens + estimateMessagesTokens(messages) + estimateTokens(query) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * 获取模型需要容纳的 token 数：提示加上 max_tokens
+ * @param {Object} [metadata] - 预处理后的请求元数据，包含 promptTokens 和 maxOutputTokens
+ * @returns {number} token 数，未估算提示时为 0
+ */
+function getRequiredTokens(metadata = {}) {
+  if (!metadata.promptTokens) {
+    return 0;
+  }
+  return metadata.promptTokens + (metadata.maxOutputTokens ?? DEFAULT_MAX_TOKENS);
+}
+
+/**
+ * 获取溢出策略，元数据 contextOverflow 优先于配置
+ * @param {Object} [metadata] - 请求元数据
+ * @returns {string} 溢出策略
+ * @throws {GatewayError} 如果溢出策略无效
+ */
+function getOverflowPolicy(metadata = {}) {
+  const policy = metadata.contextOverflow || (config.contextWindow || {}).overflowPolicy || 'reject';
+
+  if (!OVERFLOW_POLICIES.includes(policy)) {
+    throw Errors.invalidRequest(`未知的上下文溢出策略: ${policy}，可用策略: ${OVERFLOW_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * 从最近的消息开始保留不超过预算的对话消息，保留的消息总是以 user 消息开头
+ * @param {Array<Object>} messages - 对话消息
+ * @param {number} budget - token 预算
+ * @returns {Array<Object>} 保留的消息
+ */
+function keepRecentMessages(messages, budget) {
+  let start = messages.length;
+  let used = 0;
+
+  while (start > 0) {
+    const tokens = estimateMessagesTokens([messages[start - 1]]);
+    if (used + tokens > budget) {
+      break;
+    }
+    used += tokens;
+    start -= 1;
+  }
+
+  while (start < messages.length && messages[start].role !== 'user') {
+    start += 1;
+  }
+
+  return messages.slice(start);
+}
+
+/**
+ * 使用模型将对话消息压缩为摘要，与其他模型调用一样检查熔断器并记录提供商的使用情况
+ * @param {Array<Object>} messages - 要压缩的对话消息
+ * @param {Object} summarizer - { provider, model, contextWindow }
+ * @param {Object} options - { maxTokens, signal, deadline }
+ * @returns {Promise<Object>} { text, cost }
+ * @throws {GatewayError} 如果摘要模型的熔断器已打开
+ */
+async function summarizeMessages(messages, summarizer, options) {
+  const instruction = '请用简洁的语言概括以下对话的要点，保留后续回答需要的事实、约定和未解决的问题：';
+  // 摘要模型同样受上下文窗口限制，放不下时只压缩较近的部分
+  const budget = summarizer.contextWindow - options.maxTokens - estimateTokens(instruction) - MESSAGE_OVERHEAD_TOKENS;
+  const transcript = keepRecentMessages(messages, budget)
+    .map(message => `${message.role}: ${message.content}`)
+    .join('\n');
+
+  // modelRouterService 依赖本模块，在调用时加载以避免循环依赖
+  const modelRouterService = require('./modelRouterService');
+  if (!modelRouterService.circuitBreakers.canRoute(summarizer.provider, summarizer.model)) {
+    throw Errors.modelUnavailable(`摘要模型 ${summarizer.provider} 的熔断器已打开`);
+  }
+
+  const result = await modelRouterService.trackModelCall(
+    summarizer.provider,
+    summarizer.model,
+    () => adapterManager.callModel(
+      summarizer.provider,
+      summarizer.model,
+      { text: `${instruction}\n\n${transcript}`, context: [] },
+      { maxTokens: options.maxTokens, temperature: 0, signal: options.signal, deadline: options.deadline }
+    ),
+    { signal: options.signal }
+  );
+
+  return { text: result.text, cost: result.cost || 0 };
+}
+
+/**
+ * 按溢出策略缩减对话，使提示和 max_tokens 能够放进模型的上下文窗口
+ * truncate 丢弃最早的对话轮次；summarize 将放不下的对话轮次压缩为摘要并附加到系统提示，摘要失败时回退到 truncate
+ * @param {Object} conversation - { query, messages, systemPrompt }
+ * @param {number} contextWindow - 模型的上下文窗口
+ * @param {Object} options - 选项
+ * @param {string} options.policy - truncate 或 summarize
+ * @param {number} options.maxTokens - 为响应预留的 token 数
+ * @param {Object} [options.summarizer] - 摘要模型 { provider, model, contextWindow }
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.deadline] - 截止时间（毫秒时间戳）
+ * @returns {Promise<Object>} { messages, systemPrompt, promptTokens, droppedMessages, summarized, cost }
+ * @throws {GatewayError} 如果丢弃全部对话轮次后仍然放不下
+ */
+async function fitConversation(conversation, contextWindow, options) {
+  const { query, messages = [], systemPrompt = '' } = conversation;
+  const summaryMaxTokens = (config.contextWindow || {}).summaryMaxTokens || 256;
+  const fixedTokens = estimatePromptTokens({ query, systemPrompt }) + options.maxTokens;
+
+  if (fixedTokens > contextWindow) {
+    throw Errors.invalidRequest(
+      `当前查询和系统提示约需 ${fixedTokens} tokens（含 max_tokens），超过模型的上下文窗口 ${contextWindow}`
+    );
+  }
+
+  const summarize = options.policy === 'summarize' && options.summarizer;
+  // 为摘要预留空间，预留后放不下时不压缩，直接丢弃
+  const summaryReserve = summarize && fixedTokens + summaryMaxTokens + MESSAGE_OVERHEAD_TOKENS <= contextWindow
+    ? summaryMaxTokens + MESSAGE_OVERHEAD_TOKENS
+    : 0;
+  let kept = keepRecentMessages(messages, contextWindow - fixedTokens - summaryReserve);
+  let fittedSystemPrompt = systemPrompt;
+  let summarized = false;
+  let cost = 0;
+
+  if (summaryReserve > 0 && kept.length < messages.length) {
+    try {
+      const summary = await summarizeMessages(messages.slice(0, messages.length - kept.length), options.summarizer, {
+        maxTokens: summaryMaxTokens,
+        signal: options.signal,
+        deadline: options.deadline
+      });
+      fittedSystemPrompt = [systemPrompt, `之前对话的摘要：${summary.text}`].filter(Boolean).join('\n\n');
+      summarized = true;
+      cost = summary.cost;
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw getAbortError(options.signal);
+      }
+      logger.warn('压缩对话历史失败，改为丢弃最早的对话轮次', { error: error.message });
+      kept = keepRecentMessages(messages, contextWindow - fixedTokens);
+    }
+  }
+
+  return {
+    messages: kept,
+    systemPrompt: fittedSystemPrompt,
+    promptTokens: estimatePromptTokens({ query, messages: kept, systemPrompt: fittedSystemPrompt }),
+    droppedMessages: messages.length - kept.length,
+    summarized,
+    cost
+  };
+}
+
+module.exports = {
+  OVERFLOW_POLICIES,
+  DEFAULT_MAX_TOKENS,
+  getContextWindow,
+  estimatePromptTokens,
+  getRequiredTokens,
+  getOverflowPolicy,
+  keepRecentMessages,
+  fitConversation
+};
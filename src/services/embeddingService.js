@@ -0,0 +1,165 @@
+/**
+ * 嵌入向量服务实现
+ * 将请求路由到具备 embedding 能力的适配器，并在输入超过提供商限制时分批调用
+ */
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { Errors, toGrpcError } = require('../utils/errors');
+const { processEmbeddingRequest } = require('../middleware/requestProcessor');
+const { selectProvidersByCapability } = require('./providerSelection');
+const monitoringService = require('../monitoring/MonitoringService');
+
+// 嵌入向量能力名称
+const EMBEDDING_CAPABILITY = 'embedding';
+
+/**
+ * 确定候选提供商及尝试顺序
+ * @param {Object} request - 预处理后的请求对象
+ * @param {Object} metadata - 请求元数据
+ * @returns {Array<{name: string, adapter: BaseModelAdapter}>} 候选提供商
+ * @throws {GatewayError} 如果没有可用的提供商
+ */
+function selectEmbeddingProviders(request, metadata) {
+  const providers = selectProvidersByCapability(EMBEDDING_CAPABILITY, request, metadata);
+
+  if (providers.length === 0) {
+    throw Errors.modelUnavailable(request.provider
+      ? `提供商 ${request.provider} 不支持嵌入向量或当前不可用`
+      : '没有可用的嵌入向量提供商');
+  }
+
+  return providers;
+}
+
+/**
+ * 使用指定提供商计算所有输入的嵌入向量
+ * 输入数量超过提供商单次限制时按顺序分批调用
+ * @param {string} providerName - 提供商名称
+ * @param {BaseModelAdapter} adapter - 适配器实例
+ * @param {Object} request - 预处理后的请求对象
+ * @returns {Promise<Object>} 合并后的嵌入向量结果
+ */
+async function embedWithProvider(providerName, adapter, request) {
+  const batchSize = Math.max(1, adapter.getEmbeddingBatchSize());
+  const inputs = request.inputs;
+  const embeddings = [];
+  const tokenUsage = { input: 0, output: 0, total: 0 };
+  let cost = 0;
+  let model = request.model;
+
+  for (let start = 0; start < inputs.length; start += batchSize) {
+    const batch = inputs.slice(start, start + batchSize);
+    const result = await adapter.createEmbeddings(request.model || 'default', batch);
+
+    embeddings.push(...result.embeddings);
+    tokenUsage.input += result.tokenUsage.input;
+    tokenUsage.total += result.tokenUsage.total;
+    cost += result.cost || 0;
+    model = result.model;
+  }
+
+  // 同一请求的向量维度必须一致
+  const dimensions = embeddings[0].length;
+  if (embeddings.some(embedding => embedding.length !== dimensions)) {
+    throw Errors.modelUnavailable(`${providerName} 返回的嵌入向量维度不一致`);
+  }
+
+  return { embeddings, dimensions, model, tokenUsage, cost };
+}
+
+/**
+ * 执行嵌入向量计算流程：预处理、选择提供商、分批调用和合并结果
+ * @param {Object} rawRequest - 原始请求对象
+ * @returns {Promise<Object>} 嵌入向量响应
+ */
+async function executeEmbeddings(rawRequest) {
+  const requestId = uuidv4();
+  const startTime = Date.now();
+  let providerName = null;
+
+  try {
+    const { request, metadata, logger: requestLogger } = processEmbeddingRequest(rawRequest);
+    const providers = selectEmbeddingProviders(request, metadata);
+
+    let result;
+    let lastError;
+
+    // 按顺序尝试候选提供商，失败时整体切换，避免混用不同维度的向量
+    for (const { name, adapter } of providers) {
+      providerName = name;
+      try {
+        requestLogger.info('开始计算嵌入向量', {
+          provider: name,
+          inputCount: metadata.inputCount,
+          batchSize: adapter.getEmbeddingBatchSize()
+        });
+        result = await embedWithProvider(name, adapter, request);
+        break;
+      } catch (error) {
+        lastError = error;
+        requestLogger.error('计算嵌入向量失败', { provider: name, error: error.message });
+      }
+    }
+
+    if (!result) {
+      throw lastError.name === 'GatewayError'
+        ? lastError
+        : Errors.modelUnavailable(`计算嵌入向量失败: ${lastError.message}`);
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    monitoringService.recordRequest({
+      requestId,
+      operation: 'createEmbeddings',
+      modelId: providerName,
+      duration: processingTime,
+      success: true,
+      cost: result.cost,
+      tokens: result.tokenUsage.total
+    });
+
+    requestLogger.info('嵌入向量计算完成', {
+      provider: providerName,
+      dimensions: result.dimensions,
+      cost: result.cost,
+      processingTime
+    });
+
+    return {
+      request_id: request.request_id,
+      embeddings: result.embeddings.map((values, index) => ({ index, values })),
+      dimensions: result.dimensions,
+      model_used: providerName,
+      model: result.model,
+      cost: result.cost,
+      token_usage: result.tokenUsage
+    };
+  } catch (error) {
+    monitoringService.recordRequest({
+      requestId,
+      operation: 'createEmbeddings',
+      modelId: providerName || 'unknown',
+      duration: Date.now() - startTime,
+      success: false,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+async function createEmbeddings(call, callback) {
+  try {
+    const result = await executeEmbeddings(call.request);
+    callback(null, result);
+  } catch (error) {
+    logger.error('计算嵌入向量失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  }
+}
+
+module.exports = {
+  createEmbeddings,
+  executeEmbeddings
+};
@@ -0,0 +1,276 @@
+/**
+ * A/B 实验和金丝雀发布
+ * 按实验的匹配条件选出参与实验的请求，按用户或租户的哈希值确定性地分配到实验组；
+ * 实验组使用指定的提供商和模型，未分配到实验组的请求属于对照组，按普通方式路由
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { validateMatch, evaluateMatch, buildMatchContext } = require('./routingRules');
+const modelRouterService = require('./modelRouterService');
+
+// 对照组名称，实验组不能使用
+const CONTROL_ARM = 'control';
+
+// 实验状态
+const STATUSES = ['running', 'stopped'];
+
+// 默认按这些元数据的值分配实验组，都没有时按请求 ID 分配
+const DEFAULT_ASSIGN_BY = ['user_id', 'tenant'];
+
+/**
+ * 验证一个实验
+ * @param {Object} experiment - 实验
+ * @param {number} index - 实验位置
+ * @param {Array<string>} providerNames - 已配置的提供商
+ * @throws {Error} 如果实验无效
+ */
+function validateExperiment(experiment, index, providerNames) {
+  const label = `实验 ${experiment && experiment.name ? experiment.name : `#${index + 1}`}`;
+
+  if (!experiment || typeof experiment.name !== 'string' || !experiment.name) {
+    throw new Error(`${label} 缺少 name`);
+  }
+  if (experiment.status !== undefined && !STATUSES.includes(experiment.status)) {
+    throw new Error(`${label} 的 status 只能是 ${STATUSES.join(', ')}`);
+  }
+  if (experiment.assignBy !== undefined &&
+      !(Array.isArray(experiment.assignBy) && experiment.assignBy.every(key => typeof key === 'string' && key))) {
+    throw new Error(`${label} 的 assignBy 必须是元数据名称的数组`);
+  }
+
+  validateMatch(experiment.match || {}, label);
+
+  const arms = experiment.arms;
+  if (!Array.isArray(arms) || arms.length === 0) {
+    throw new Error(`${label} 至少需要一个实验组`);
+  }
+
+  const names = new Set();
+  let total = 0;
+  arms.forEach((arm, armIndex) => {
+    const armLabel = `${label} 的实验组 ${arm && arm.name ? arm.name : `#${armIndex + 1}`}`;
+    if (!arm || typeof arm.name !== 'string' || !arm.name) {
+      throw new Error(`${armLabel} 缺少 name`);
+    }
+    if (arm.name === CONTROL_ARM || names.has(arm.name)) {
+      throw new Error(`${armLabel} 的名称重复或与对照组 ${CONTROL_ARM} 相同`);
+    }
+    if (!providerNames.includes(arm.provider)) {
+      throw new Error(`${armLabel} 引用了未配置的提供商: ${arm.provider}`);
+    }
+    if (!(arm.percentage > 0 && arm.percentage <= 100)) {
+      throw new Error(`${armLabel} 的 percentage 必须在 (0, 100] 内`);
+    }
+    names.add(arm.name);
+    total += arm.percentage;
+  });
+
+  if (total > 100) {
+    throw new Error(`${label} 的实验组流量比例之和 ${total} 超过 100`);
+  }
+}
+
+/**
+ * 计算分配用的哈希位置
+ * @param {string} experimentName - 实验名称，不同实验的分配相互独立
+ * @param {string} key - 分配依据的值
+ * @returns {number} [0, 100) 内的位置，精度为 0.01
+ */
+function hashPosition(experimentName, key) {
+  const digest = crypto.createHash('sha256').update(`${experimentName}:${key}`).digest();
+  return (digest.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * 实验管理器
+ */
+class ExperimentManager {
+  /**
+   * 创建实验管理器
+   * @param {Array<Object>} experiments - 按优先级排列的实验
+   * @param {Array<string>} providerNames - 已配置的提供商，用于检查实验组引用的提供商
+   * @throws {Error} 如果实验无效
+   */
+  constructor(experiments = [], providerNames = []) {
+    this.experiments = new Map(); // name -> { definition, status, startedAt, stoppedAt }
+
+    experiments.forEach((experiment, index) => {
+      validateExperiment(experiment, index, providerNames);
+      if (this.experiments.has(experiment.name)) {
+        throw new Error(`实验名称重复: ${experiment.name}`);
+      }
+      const running = experiment.status === 'running';
+      this.experiments.set(experiment.name, {
+        definition: experiment,
+        status: running ? 'running' : 'stopped',
+        startedAt: running ? Date.now() : null,
+        stoppedAt: null
+      });
+    });
+  }
+
+  /**
+   * 获取实验
+   * @private
+   * @param {string} name - 实验名称
+   * @returns {Object} 实验状态
+   * @throws {GatewayError} 如果实验不存在
+   */
+  _get(name) {
+    const entry = this.experiments.get(name);
+    if (!entry) {
+      throw Errors.invalidRequest(`实验不存在: ${name}`);
+    }
+    return entry;
+  }
+
+  /**
+   * 描述实验的配置和状态
+   * @private
+   * @param {Object} entry - 实验状态
+   * @returns {Object} 实验描述
+   */
+  _describe({ definition, status, startedAt, stoppedAt }) {
+    const arms = definition.arms.map(({ name, provider, model, percentage }) => ({
+      name,
+      provider,
+      model: model || null,
+      percentage
+    }));
+
+    return {
+      name: definition.name,
+      status,
+      match: definition.match || {},
+      assignBy: definition.assignBy || DEFAULT_ASSIGN_BY,
+      arms,
+      controlPercentage: 100 - arms.reduce((sum, arm) => sum + arm.percentage, 0),
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      stoppedAt: stoppedAt ? new Date(stoppedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * 列出所有实验
+   * @returns {Array<Object>} 实验描述 { name, status, match, assignBy, arms, controlPercentage, startedAt, stoppedAt }
+   */
+  list() {
+    return [...this.experiments.values()].map(entry => this._describe(entry));
+  }
+
+  /**
+   * 开始实验，已经在运行的实验保持不变
+   * @param {string} name - 实验名称
+   * @returns {Object} 实验描述
+   * @throws {GatewayError} 如果实验不存在
+   */
+  start(name) {
+    const entry = this._get(name);
+    if (entry.status !== 'running') {
+      entry.status = 'running';
+      entry.startedAt = Date.now();
+      entry.stoppedAt = null;
+    }
+    return this._describe(entry);
+  }
+
+  /**
+   * 停止实验，停止后请求不再分配到该实验
+   * @param {string} name - 实验名称
+   * @returns {Object} 实验描述
+   * @throws {GatewayError} 如果实验不存在
+   */
+  stop(name) {
+    const entry = this._get(name);
+    if (entry.status !== 'stopped') {
+      entry.status = 'stopped';
+      entry.stoppedAt = Date.now();
+    }
+    return this._describe(entry);
+  }
+
+  /**
+   * 为请求分配实验组
+   * 按顺序检查运行中的实验，请求参与第一个匹配的实验；按 assignBy 中第一个有值的元数据计算哈希位置，
+   * 位置落在某个实验组的流量比例内时分配到该实验组，否则分配到对照组
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Object} metadata - 请求元数据
+   * @param {string} requestId - 请求 ID，没有可用于分配的元数据时使用
+   * @returns {Object|null} { experiment, arm, provider, model }，对照组没有 provider 和 model；不参与实验时为 null
+   */
+  assign(complexityScore, metadata = {}, requestId = '') {
+    const context = buildMatchContext(complexityScore, metadata);
+
+    for (const { definition, status } of this.experiments.values()) {
+      if (status !== 'running' || evaluateMatch(definition.match || {}, context).length > 0) {
+        continue;
+      }
+
+      const assignBy = definition.assignBy || DEFAULT_ASSIGN_BY;
+      const keyName = assignBy.find(name => metadata[name]);
+      const position = hashPosition(definition.name, keyName ? `${keyName}=${metadata[keyName]}` : requestId);
+
+      let upper = 0;
+      for (const arm of definition.arms) {
+        upper += arm.percentage;
+        if (position < upper) {
+          return { experiment: definition.name, arm: arm.name, provider: arm.provider, model: arm.model };
+        }
+      }
+      return { experiment: definition.name, arm: CONTROL_ARM };
+    }
+
+    return null;
+  }
+}
+
+const experimentManager = new ExperimentManager(config.experiments || [], Object.keys(config.modelProviders || {}));
+
+/**
+ * 为请求分配实验组，分配到实验组时使用实验组的提供商和模型
+ * 实验组的模型不可用或估算成本超出预算时，请求不参与实验，按普通方式路由
+ * @param {Object} modelInfo - 按普通方式选择的模型信息
+ * @param {number} complexityScore - 复杂度评分
+ * @param {Object} metadata - 请求元数据
+ * @param {string} requestId - 请求 ID
+ * @returns {Object} { modelInfo, assignment }，assignment 为 assign 的结果，不参与实验时为 null
+ */
+function applyExperiment(modelInfo, complexityScore, metadata, requestId) {
+  const assignment = experimentManager.assign(complexityScore, metadata, requestId);
+  if (!assignment || !assignment.provider) {
+    return { modelInfo, assignment };
+  }
+
+  const armModel = modelRouterService.getSpecificModel(
+    assignment.provider,
+    assignment.model,
+    modelInfo.modelType,
+    complexityScore,
+    metadata
+  );
+  const budget = metadata.budget ? parseFloat(metadata.budget) : Infinity;
+  if (!armModel || armModel.estimatedCost > budget) {
+    logger.info('实验组的模型不可用或超出预算，请求不参与实验', {
+      experiment: assignment.experiment,
+      arm: assignment.arm,
+      provider: assignment.provider,
+      estimatedCost: armModel ? armModel.estimatedCost : undefined,
+      budget
+    });
+    return { modelInfo, assignment: null };
+  }
+
+  return {
+    modelInfo: { ...armModel, routingRule: modelInfo.routingRule },
+    assignment
+  };
+}
+
+module.exports = {
+  ExperimentManager,
+  experimentManager,
+  applyExperiment,
+  CONTROL_ARM
+};
@@ -0,0 +1,160 @@
+/**
+ * 质量反馈服务实现
+ * 保存每个请求的路由决策，调用方提交的评分与路由决策关联后按提供商和复杂度区间汇总，并反馈给路由服务
+ */
+const { logger } = require('../utils/logger');
+const { Errors, toGrpcError } = require('../utils/errors');
+const { processFeedbackRequest } = require('../middleware/requestProcessor');
+const config = require('../config');
+const modelRouterService = require('./modelRouterService');
+const monitoringService = require('../monitoring/MonitoringService');
+
+/**
+ * 获取反馈配置
+ * @returns {Object} config.feedback
+ */
+function getSettings() {
+  return config.feedback || {};
+}
+
+/**
+ * 路由决策存储
+ * 保存在内存中，超过保留时间或条数上限的决策被丢弃
+ */
+class RoutingDecisionStore {
+  constructor() {
+    this.decisions = new Map(); // requestId -> 决策，按记录顺序排列
+  }
+
+  /**
+   * 记录路由决策，同一请求 ID 的决策会被替换
+   * @param {string} requestId - 请求 ID
+   * @param {Object} decision - { provider, model, complexityScore, modelType, experiment, experimentArm }
+   */
+  record(requestId, decision) {
+    this.decisions.delete(requestId);
+    this.decisions.set(requestId, { ...decision, recordedAt: Date.now(), feedback: null });
+    this.prune();
+  }
+
+  /**
+   * 获取路由决策
+   * @param {string} requestId - 请求 ID
+   * @returns {Object|null} 决策，不存在或已过期时为 null
+   */
+  get(requestId) {
+    this.prune();
+    return this.decisions.get(requestId) || null;
+  }
+
+  /**
+   * 丢弃过期和超出条数上限的决策
+   */
+  prune() {
+    const { retentionMs = 86400000, maxDecisions = 100000 } = getSettings();
+    const expiredBefore = Date.now() - retentionMs;
+
+    for (const [requestId, decision] of this.decisions) {
+      if (decision.recordedAt >= expiredBefore && this.decisions.size <= maxDecisions) {
+        break;
+      }
+      this.decisions.delete(requestId);
+    }
+  }
+
+  /**
+   * 清空所有决策
+   */
+  clear() {
+    this.decisions.clear();
+  }
+}
+
+const decisionStore = new RoutingDecisionStore();
+
+/**
+ * 记录请求的路由决策，供之后提交的反馈关联
+ * @param {string} requestId - 请求 ID
+ * @param {Object} decision - { provider, model, complexityScore, modelType, experiment, experimentArm }
+ */
+function recordRoutingDecision(requestId, decision) {
+  decisionStore.record(requestId, decision);
+}
+
+/**
+ * 将反馈与路由决策关联，更新质量统计和路由服务
+ * 评分 1-5 折算为质量 0-1；每个请求只能提交一次反馈
+ * @param {Object} feedback - 预处理后的反馈 { request_id, rating, labels, comment }
+ * @returns {Object} { decision, band, quality }
+ * @throws {GatewayError} 如果没有找到路由决策或已经提交过反馈
+ */
+function applyFeedback(feedback) {
+  const decision = decisionStore.get(feedback.request_id);
+  if (!decision) {
+    throw Errors.invalidRequest(`没有找到请求 ${feedback.request_id} 的路由决策，请求不存在或已超过反馈保留时间`);
+  }
+  if (decision.feedback) {
+    throw Errors.invalidRequest(`请求 ${feedback.request_id} 已经提交过反馈`);
+  }
+
+  const quality = (feedback.rating - 1) / 4;
+  const band = modelRouterService.getComplexityBucket(decision.complexityScore);
+  decision.feedback = {
+    rating: feedback.rating,
+    labels: feedback.labels,
+    comment: feedback.comment,
+    submittedAt: Date.now()
+  };
+
+  modelRouterService.recordFeedback(decision.provider, decision.complexityScore, quality);
+  monitoringService.recordFeedback({
+    modelId: decision.provider,
+    model: decision.model,
+    band,
+    rating: feedback.rating,
+    quality,
+    labels: feedback.labels,
+    experiment: decision.experiment,
+    arm: decision.experimentArm
+  });
+
+  return { decision, band, quality };
+}
+
+/**
+ * 提交质量反馈
+ * @param {Object} call - gRPC调用对象
+ * @param {Function} callback - 回调函数
+ */
+async function submitFeedback(call, callback) {
+  try {
+    const { request, logger: requestLogger } = processFeedbackRequest(call.request);
+    const { decision, band } = applyFeedback(request);
+
+    requestLogger.info('已记录质量反馈', {
+      provider: decision.provider,
+      band,
+      rating: request.rating,
+      labels: request.labels
+    });
+
+    callback(null, {
+      request_id: request.request_id,
+      provider: decision.provider,
+      model: decision.model,
+      complexity_score: decision.complexityScore,
+      complexity_band: band,
+      rating: request.rating
+    });
+  } catch (error) {
+    logger.error('提交质量反馈失败', { error: error.message });
+    callback(toGrpcError(error));
+  }
+}
+
+module.exports = {
+  submitFeedback,
+  recordRoutingDecision,
+  applyFeedback,
+  decisionStore
+};
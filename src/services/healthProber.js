@@ -0,0 +1,191 @@
+/**
+ * 提供商健康探测
+ * 后台定期调用各提供商的健康检查端点或发送一条固定的提示，把提供商标记为 online、degraded 或 offline，
+ * 探测结果和延迟提供给路由服务，探测历史记录到监控指标中
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { adapterManager } = require('../adapters');
+const monitoringService = require('../monitoring/MonitoringService');
+const modelRouterService = require('./modelRouterService');
+
+// 未配置时使用的探测参数，提供商可通过 healthCheck 覆盖
+const DEFAULT_PROBE = {
+  intervalMs: 30000,
+  timeoutMs: 5000,
+  degradedLatencyMs: 2000,
+  failureThreshold: 2,
+  endpoint: '',
+  prompt: 'ping',
+  model: '',
+  maxTokens: 1
+};
+
+class HealthProber {
+  /**
+   * @param {Function} [now] - 返回当前毫秒时间戳，便于测试
+   */
+  constructor(now = Date.now) {
+    this.now = now;
+    this.timers = new Map(); // provider -> 探测定时器
+    this.inFlight = new Set(); // 正在探测的提供商
+    this.states = new Map(); // provider -> 最近一次探测后的状态
+  }
+
+  /**
+   * 是否启用健康探测
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean((config.healthProbe || {}).enabled);
+  }
+
+  /**
+   * 获取提供商的探测参数，提供商的 healthCheck 覆盖全局配置
+   * @param {string} providerName - 提供商名称
+   * @returns {Object} 探测参数，healthCheck.enabled 为 false 时 enabled 为 false
+   */
+  getProbeSettings(providerName) {
+    const { enabled, ...global } = config.healthProbe || {};
+    const providerConfig = (config.modelProviders || {})[providerName] || {};
+    const probe = { ...DEFAULT_PROBE, ...global, ...providerConfig.healthCheck };
+    return { ...probe, enabled: Boolean(enabled) && probe.enabled !== false };
+  }
+
+  /**
+   * 为每个已注册适配器且启用了探测的提供商启动定时探测，启动时立即探测一次
+   */
+  start() {
+    if (!this.isEnabled() || this.timers.size > 0) {
+      return;
+    }
+
+    for (const providerName of Object.keys(config.modelProviders || {})) {
+      const settings = this.getProbeSettings(providerName);
+      if (!settings.enabled || !adapterManager.adapters.has(providerName)) {
+        continue;
+      }
+
+      const timer = setInterval(() => this.probe(providerName), settings.intervalMs);
+      timer.unref();
+      this.timers.set(providerName, timer);
+      this.probe(providerName);
+    }
+
+    logger.info('健康探测已启动', { providers: [...this.timers.keys()] });
+  }
+
+  /**
+   * 停止所有定时探测，进行中的探测会正常完成
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * 探测一个提供商
+   * 同一提供商的上一次探测尚未完成时跳过。成功且延迟不超过 degradedLatencyMs 时为 online，否则为 degraded；
+   * 连续失败达到 failureThreshold 次时为 offline，之前的失败为 degraded
+   * @param {string} providerName - 提供商名称
+   * @returns {Promise<Object|null>} 探测结果 { provider, status, latency, consecutiveFailures, checkedAt, error }，
+   *   跳过或没有适配器时为 null；不会被拒绝
+   */
+  async probe(providerName) {
+    if (this.inFlight.has(providerName) || !adapterManager.adapters.has(providerName)) {
+      return null;
+    }
+
+    const settings = this.getProbeSettings(providerName);
+    const adapter = adapterManager.getAdapter(providerName);
+    const controller = new AbortController();
+    const startTime = this.now();
+    const timer = setTimeout(
+      () => controller.abort(Errors.deadlineExceeded(`健康探测超过 ${settings.timeoutMs}ms 未完成`)),
+      settings.timeoutMs
+    );
+    this.inFlight.add(providerName);
+
+    let error = null;
+    try {
+      await adapter.checkHealth(settings, { signal: controller.signal, deadline: startTime + settings.timeoutMs });
+    } catch (probeError) {
+      error = controller.signal.aborted ? controller.signal.reason : probeError;
+    } finally {
+      clearTimeout(timer);
+      this.inFlight.delete(providerName);
+    }
+
+    return this._record(providerName, settings, this.now() - startTime, error);
+  }
+
+  /**
+   * 保存探测结果，并提供给路由服务和监控
+   * @private
+   * @param {string} providerName - 提供商名称
+   * @param {Object} settings - 探测参数
+   * @param {number} latency - 探测耗时（毫秒）
+   * @param {Error|null} error - 探测失败的原因
+   * @returns {Object} 探测结果
+   */
+  _record(providerName, settings, latency, error) {
+    const previous = this.states.get(providerName);
+    const consecutiveFailures = error ? (previous ? previous.consecutiveFailures : 0) + 1 : 0;
+
+    let status;
+    if (error) {
+      status = consecutiveFailures >= settings.failureThreshold ? 'offline' : 'degraded';
+    } else {
+      status = latency > settings.degradedLatencyMs ? 'degraded' : 'online';
+    }
+
+    const state = {
+      status,
+      latency,
+      consecutiveFailures,
+      checkedAt: new Date(this.now()).toISOString(),
+      error: error ? error.message : ''
+    };
+    this.states.set(providerName, state);
+
+    if (!previous || previous.status !== status) {
+      const change = { provider: providerName, from: previous ? previous.status : null, to: status, latency, error: state.error };
+      if (status === 'online') {
+        logger.info('提供商健康状态变化', change);
+      } else {
+        logger.warn('提供商健康状态变化', change);
+      }
+    }
+
+    // 失败的探测耗时不代表提供商的响应速度
+    modelRouterService.recordHealthProbe(providerName, { status, latency: error ? null : latency });
+    monitoringService.recordHealthProbe({
+      provider: providerName,
+      status,
+      success: !error,
+      latency,
+      error: state.error,
+      timestamp: state.checkedAt
+    });
+
+    return { provider: providerName, ...state };
+  }
+
+  /**
+   * 获取各提供商最近一次探测后的状态
+   * @returns {Array<Object>} { provider, status, latency, consecutiveFailures, checkedAt, error }
+   */
+  getStatuses() {
+    return [...this.states.entries()].map(([provider, state]) => ({ provider, ...state }));
+  }
+}
+
+const healthProber = new HealthProber();
+
+module.exports = {
+  HealthProber,
+  healthProber
+};
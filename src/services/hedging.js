@@ -0,0 +1,231 @@
+/**
+ * 对冲请求
+ * 主模型在其延迟百分位内没有响应时，向另一个提供商再发送一次相同的请求，使用先返回的响应并取消另一个请求
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Errors } = require('../utils/errors');
+const { getAbortError, hasTimeRemaining } = require('../utils/cancellation');
+const modelRouterService = require('./modelRouterService');
+const monitoringService = require('../monitoring/MonitoringService');
+
+/**
+ * 获取对冲配置
+ * @returns {Object} config.hedging
+ */
+function getSettings() {
+  return config.hedging || {};
+}
+
+/**
+ * 判断请求是否启用对冲，由元数据 hedge 决定
+ * @param {Object} [metadata] - 请求元数据
+ * @returns {boolean} 是否启用对冲
+ * @throws {GatewayError} 如果 hedge 不是 true 或 false
+ */
+function isHedgeRequest(metadata = {}) {
+  if (metadata.hedge === undefined || metadata.hedge === '') {
+    return false;
+  }
+
+  const value = String(metadata.hedge).toLowerCase();
+  if (value !== 'true' && value !== 'false') {
+    throw Errors.invalidRequest(`元数据 hedge 必须是 true 或 false: ${metadata.hedge}`);
+  }
+  return value === 'true';
+}
+
+/**
+ * 获取对冲调用的额外成本上限，元数据 hedgeMaxExtraCost 只能降低配置的上限
+ * @param {Object} [metadata] - 请求元数据
+ * @returns {number} 额外成本上限（美元）
+ * @throws {GatewayError} 如果 hedgeMaxExtraCost 不是非负数
+ */
+function getMaxExtraCost(metadata = {}) {
+  const configured = getSettings().maxExtraCost ?? 0.01;
+  if (metadata.hedgeMaxExtraCost === undefined || metadata.hedgeMaxExtraCost === '') {
+    return configured;
+  }
+
+  const requested = Number(metadata.hedgeMaxExtraCost);
+  if (!Number.isFinite(requested) || requested < 0) {
+    throw Errors.invalidRequest(`元数据 hedgeMaxExtraCost 必须是非负数: ${metadata.hedgeMaxExtraCost}`);
+  }
+  return Math.min(requested, configured);
+}
+
+/**
+ * 计算发送对冲请求前的等待时间
+ * 取提供商最近成功调用的响应时间百分位（config.hedging.percentile），样本不足时使用 defaultDelayMs
+ * @param {string} providerName - 主模型的提供商名称
+ * @returns {number} 等待时间（毫秒）
+ */
+function getHedgeDelay(providerName) {
+  const settings = getSettings();
+  const percentileDelay = modelRouterService.getResponseTimePercentile(
+    providerName,
+    settings.percentile ?? 95,
+    settings.minSamples ?? 20
+  );
+  const delay = percentileDelay ?? settings.defaultDelayMs ?? 1000;
+  return Math.max(delay, settings.minDelayMs ?? 50);
+}
+
+/**
+ * 为请求规划对冲调用
+ * 对冲模型与获取备用模型的方式相同；其估算成本超过额外成本上限，或与主模型的估算成本之和超过预算时不对冲
+ * @param {Object} modelInfo - 主模型信息
+ * @param {number} complexityScore - 复杂度评分
+ * @param {Object} metadata - 请求元数据
+ * @returns {Object|null} { modelInfo, delayMs }，不对冲时为 null
+ */
+function planHedge(modelInfo, complexityScore, metadata) {
+  const hedgeModel = modelRouterService.getBackupModel(
+    modelInfo.provider,
+    modelInfo.modelType,
+    metadata,
+    modelInfo.routingRule
+  );
+
+  if (!hedgeModel) {
+    logger.info('没有可用于对冲的其他提供商', { provider: modelInfo.provider });
+    return null;
+  }
+
+  hedgeModel.estimatedCost = modelRouterService.estimateCost(hedgeModel.modelConfig, complexityScore, metadata);
+  hedgeModel.isBackup = false;
+  hedgeModel.isHedge = true;
+
+  const maxExtraCost = getMaxExtraCost(metadata);
+  const budget = metadata.budget ? parseFloat(metadata.budget) : Infinity;
+  if (hedgeModel.estimatedCost > maxExtraCost || (modelInfo.estimatedCost || 0) + hedgeModel.estimatedCost > budget) {
+    logger.info('对冲调用的估算成本超出上限，不对冲', {
+      provider: hedgeModel.provider,
+      estimatedCost: hedgeModel.estimatedCost,
+      maxExtraCost,
+      budget
+    });
+    return null;
+  }
+
+  return { modelInfo: hedgeModel, delayMs: getHedgeDelay(modelInfo.provider) };
+}
+
+/**
+ * 调用主模型，超过等待时间仍未响应时再调用对冲模型，返回先成功的响应并取消另一个调用
+ * 对冲调用开始前主模型失败时直接抛出错误，由调用方按普通方式尝试备用模型；对冲调用开始后两者都失败时抛出最后一个错误。
+ * 被取消的调用按估算成本计入额外成本
+ * @param {Object} primary - 主模型信息
+ * @param {Object} hedge - 对冲模型信息
+ * @param {Object} options - 选项
+ * @param {Function} options.invoke - 接收 (modelInfo, signal)，返回模型响应
+ * @param {number} options.delayMs - 发送对冲请求前的等待时间（毫秒）
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.deadline] - 截止时间（毫秒时间戳），剩余时间不足时不发送对冲请求
+ * @param {Function} [options.onHedge] - 发送对冲请求时调用
+ * @returns {Promise<Object>} { response, modelInfo, hedged, winner, extraCost }，winner 为 primary 或 hedge
+ */
+function runHedged(primary, hedge, options) {
+  const { invoke, delayMs, signal, deadline, onHedge } = options;
+
+  return new Promise((resolve, reject) => {
+    const calls = [];
+    let settled = false;
+    let hedgeTimer = null;
+
+    const finish = (winner, error, response) => {
+      settled = true;
+      clearTimeout(hedgeTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      // 取消仍在进行的调用，其估算成本计入额外成本
+      const losers = calls.filter(call => call.pending);
+      losers.forEach(call => call.controller.abort(Errors.requestCancelled('对冲请求的另一方已返回')));
+      const extraCost = winner ? losers.reduce((sum, call) => sum + (call.modelInfo.estimatedCost || 0), 0) : 0;
+      const hedged = calls.length > 1;
+
+      if (hedged) {
+        monitoringService.recordHedge({
+          modelId: primary.provider,
+          hedgeModelId: hedge.provider,
+          winner,
+          delay: delayMs,
+          extraCost
+        });
+      }
+
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      const winnerCall = calls.find(call => call.role === winner);
+      resolve({ response, modelInfo: winnerCall.modelInfo, hedged, winner, extraCost });
+    };
+
+    const start = (modelInfo, role) => {
+      const call = { modelInfo, role, controller: new AbortController(), pending: true };
+      calls.push(call);
+
+      invoke(modelInfo, call.controller.signal).then(
+        (response) => {
+          call.pending = false;
+          if (!settled) {
+            finish(role, null, response);
+          }
+        },
+        (error) => {
+          call.pending = false;
+          if (settled) {
+            return;
+          }
+          if (calls.length === 1 || calls.every(item => !item.pending)) {
+            finish(null, error);
+            return;
+          }
+          logger.warn('对冲请求的一方调用失败，等待另一方', { provider: modelInfo.provider, error: error.message });
+        }
+      );
+    };
+
+    function onAbort() {
+      calls.forEach(call => call.controller.abort(signal.reason));
+      finish(null, getAbortError(signal));
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        reject(getAbortError(signal));
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+
+    start(primary, 'primary');
+
+    hedgeTimer = setTimeout(() => {
+      if (settled || !hasTimeRemaining(deadline)) {
+        return;
+      }
+      logger.info('主模型超过对冲延迟仍未响应，发送对冲请求', {
+        provider: primary.provider,
+        hedgeProvider: hedge.provider,
+        delayMs
+      });
+      if (onHedge) {
+        onHedge(hedge);
+      }
+      start(hedge, 'hedge');
+    }, delayMs);
+  });
+}
+
+module.exports = {
+  isHedgeRequest,
+  getMaxExtraCost,
+  getHedgeDelay,
+  planHedge,
+  runHedged
+};
@@ -2,6 +2,11 @@
  * 服务实现注册
  */
 const modelGatewayService = require('./modelGatewayService');
+const batchService = require('./batchService');
+const embeddingService = require('./embeddingService');
+const classificationService = require('./classificationService');
+const jobService = require('./jobService');
+const feedbackService = require('./feedbackService');
 
 /**
  * 注册所有服务到gRPC服务器
@@ -11,7 +16,14 @@ const modelGatewayService = require('./modelGatewayService');
 function registerServices(server, protoDescriptor) {
   server.addService(
     protoDescriptor.ModelGatewayService.service, 
-    modelGatewayService
+    {
+      ...modelGatewayService,
+      ...batchService,
+      ...embeddingService,
+      ...classificationService,
+      ...jobService,
+      ...feedbackService
+    }
   );
 }
 
@@ -0,0 +1,98 @@
+/**
+ * 异步任务服务实现
+ * 请求提交后立即返回任务，客户端通过 GetJob 轮询或 WatchJob 订阅任务状态
+ */
+const { logger } = require('../utils/logger');
+const { toGrpcError } = require('../utils/errors');
+const { jobQueue, isFinished } = require('../jobs');
+
+/**
+ * 转换为 Job 消息，不包含原始请求
+ * @param {Object} job - 任务
+ * @returns {Object} Job 消息
+ */
+function toJobMessage(job) {
+  return {
+    job_id: job.job_id,
+    status: job.status,
+    request_id: job.request_id,
+    result: job.result,
+    error_code: job.error_code,
+    error_message: job.error_message,
+    cost: job.cost,
+    token_usage: job.token_usage,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
+
+async function submitJob(call, callback) {
+  try {
+    const job = jobQueue.submit(call.request.request || {}, call.request.job_id);
+    callback(null, toJobMessage(job));
+  } catch (error) {
+    logger.error('提交任务失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  }
+}
+
+async function getJob(call, callback) {
+  try {
+    callback(null, toJobMessage(jobQueue.get(call.request.job_id)));
+  } catch (error) {
+    logger.error('获取任务失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  }
+}
+
+async function cancelJob(call, callback) {
+  try {
+    callback(null, toJobMessage(jobQueue.cancel(call.request.job_id)));
+  } catch (error) {
+    logger.error('取消任务失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  }
+}
+
+/**
+ * 推送任务的当前状态和之后的每次变更，任务结束后关闭数据流
+ * @param {Object} call - gRPC 服务端流调用
+ */
+async function watchJob(call) {
+  const jobId = call.request.job_id;
+
+  const onUpdate = (job) => {
+    if (job.job_id !== jobId) {
+      return;
+    }
+    call.write(toJobMessage(job));
+    if (isFinished(job)) {
+      stopWatching();
+      call.end();
+    }
+  };
+  const stopWatching = () => jobQueue.removeListener('update', onUpdate);
+
+  try {
+    const job = jobQueue.get(jobId);
+    call.write(toJobMessage(job));
+    if (isFinished(job)) {
+      call.end();
+      return;
+    }
+
+    jobQueue.on('update', onUpdate);
+    call.on('cancelled', stopWatching);
+  } catch (error) {
+    logger.error('订阅任务失败', { error: error.message, stack: error.stack });
+    call.emit('error', toGrpcError(error));
+  }
+}
+
+module.exports = {
+  submitJob,
+  getJob,
+  watchJob,
+  cancelJob
+};
@@ -4,48 +4,39 @@
 const grpc = require('@grpc/grpc-js');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
-const { Errors } = require('../utils/errors');
+const { Errors, toGrpcError } = require('../utils/errors');
+const { createCallSignal, getAbortError, throwIfAborted, hasTimeRemaining } = require('../utils/cancellation');
+const { detectLanguage } = require('../utils/text');
 const { processRequest } = require('../middleware/requestProcessor');
 const config = require('../config');
 const modelRouterService = require('./modelRouterService');
+const { getModelCapabilities, listCandidateModels } = require('./capabilities');
+const { getContextWindow, fitConversation, DEFAULT_MAX_TOKENS } = require('./contextWindow');
+const { isHedgeRequest, planHedge, runHedged } = require('./hedging');
+const { recordRoutingDecision } = require('./feedbackService');
+const { applyExperiment } = require('./experiments');
+const { shadowTraffic } = require('./shadowTraffic');
+const { isTimeoutError } = require('./circuitBreaker');
 const { adapterManager, initializeAdapters } = require('../adapters');
 const monitoringService = require('../monitoring/MonitoringService');
+const { evaluateComplexity } = require('../complexity');
+const { isCascadeRequest, getCascadeChecks, estimateCheckCost, runCascade } = require('../cascade');
 
 // 初始化模型适配器
 initializeAdapters();
 
-// 定义evaluateQueryComplexity函数
-async function evaluateQueryComplexity(query, metadata) {
+/**
+ * 评估查询复杂度
+ * @param {string} query - 查询文本
+ * @param {Object} metadata - 请求元数据
+ * @param {Array<Object>} [messages] - 之前的对话轮次
+ * @param {AbortSignal} [signal] - 取消信号，使用分类模型评估时中止进行中的分类请求
+ * @returns {Promise<Object>} { complexityScore, complexityFactors, featureScores, evaluator }
+ */
+async function evaluateQueryComplexity(query, metadata, messages = [], signal) {
   const startTime = Date.now();
   try {
-    // 实现查询复杂度评估
-    // 这里使用简单的启发式方法作为示例
-    
-    // 1. 计算词汇复杂度
-    const words = query.split(/\s+/);
-    const wordCount = words.length;
-    const avgWordLength = words.reduce((sum, word) => sum + word.length, 0) / wordCount;
-    const vocabularyComplexity = Math.min(wordCount / 100, 1) * 0.5 + Math.min(avgWordLength / 10, 1) * 0.5;
-    
-    // 2. 语法复杂度
-    const sentences = query.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const sentenceCount = Math.max(sentences.length, 1);
-    const avgSentenceLength = wordCount / sentenceCount;
-    const grammarComplexity = Math.min(avgSentenceLength / 20, 1);
-    
-    // 3. 计算最终复杂度分数
-    const complexityScore = (vocabularyComplexity * 0.6 + grammarComplexity * 0.4);
-    
-    // 确定复杂度因素
-    const complexityFactors = [];
-    if (vocabularyComplexity > 0.6) complexityFactors.push('高词汇复杂度');
-    if (grammarComplexity > 0.6) complexityFactors.push('复杂语法结构');
-    if (wordCount > 100) complexityFactors.push('查询长度较长');
-    
-    const result = {
-      complexityScore,
-      complexityFactors
-    };
+    const result = await evaluateComplexity({ query, messages, metadata }, { signal });
     
     monitoringService.recordRequest({
       requestId: uuidv4(),
@@ -67,107 +58,347 @@ async function evaluateQueryComplexity(query, metadata) {
   }
 }
 
-async function processQuery(call, callback) {
+/**
+ * 根据请求构建模型调用选项
+ * 未设置的生成参数由各适配器使用提供商默认值
+ * @param {Object} request - 预处理后的请求对象
+ * @param {Object} metadata - 请求元数据
+ * @param {Object} generationOptions - 已验证的生成参数
+ * @returns {Object} 模型调用选项
+ */
+function buildModelOptions(request, metadata, generationOptions = {}) {
+  return {
+    ...generationOptions,
+    systemMessage: request.system_prompt || metadata.systemMessage,
+    budget: metadata.budget
+  };
+}
+
+/**
+ * 获取调用使用的模型名称
+ * @param {Object} modelInfo - 模型信息
+ * @returns {string} 模型名称，未指定时为提供商的默认模型
+ */
+function getModelName(modelInfo) {
+  return modelInfo.model || modelInfo.modelConfig?.defaultModel || 'default';
+}
+
+/**
+ * 按溢出策略缩减对话，使其放进所选模型的上下文窗口
+ * 在调用模型之前进行，所有适配器收到相同的对话上下文和系统提示。
+ * summarize 策略会调用摘要模型，使用共享预算时先按估算成本预留，缩减后按实际成本结算
+ * @param {Object} request - 预处理后的请求对象，缩减后的对话和系统提示会写回该对象
+ * @param {Object} metadata - 请求元数据，promptTokens 会更新为缩减后的估算值，供选择备用模型时使用
+ * @param {Object} modelInfo - 选择的模型信息
+ * @param {Object} generationOptions - 已验证的生成参数
+ * @param {Object} options - { signal, deadline, sharedBudget }
+ * @returns {Promise<Object>} fitConversation 的结果
+ * @throws {GatewayError} 如果共享预算不足以支付摘要成本
+ */
+async function fitToContextWindow(request, metadata, modelInfo, generationOptions, options) {
+  const modelName = getModelName(modelInfo);
+  const summaryConfig = config.contextWindow || {};
+  const summaryProvider = summaryConfig.summaryProvider || modelInfo.provider;
+  const summaryProviderConfig = config.modelProviders[summaryProvider] || {};
+  const summaryModel = summaryConfig.summaryModel ||
+    (summaryProvider === modelInfo.provider ? modelName : summaryProviderConfig.defaultModel || 'default');
+  
+  const summaryContextWindow = getContextWindow(summaryProviderConfig, summaryModel);
+  
+  // 要压缩的对话不超过整个提示和摘要模型的上下文窗口，按两者中较小的 token 数估算摘要成本
+  const { sharedBudget } = options;
+  const summaryTokens = Math.min(metadata.promptTokens || 0, summaryContextWindow);
+  const reservation = sharedBudget && modelInfo.contextOverflow === 'summarize'
+    ? sharedBudget.reserve(modelRouterService.estimateCost(summaryProviderConfig, 0, { ...metadata, estimatedTokens: summaryTokens }))
+    : null;
+  
+  let fitted;
+  try {
+    fitted = await fitConversation(
+      {
+        query: request.query,
+        messages: request.messages,
+        systemPrompt: request.system_prompt || metadata.systemMessage
+      },
+      getContextWindow(modelInfo.modelConfig, modelName),
+      {
+        policy: modelInfo.contextOverflow,
+        maxTokens: generationOptions.maxTokens ?? DEFAULT_MAX_TOKENS,
+        summarizer: {
+          provider: summaryProvider,
+          model: summaryModel,
+          contextWindow: summaryContextWindow
+        },
+        signal: options.signal,
+        deadline: options.deadline
+      }
+    );
+  } catch (error) {
+    if (reservation) {
+      sharedBudget.release(reservation);
+    }
+    throw error;
+  }
+  
+  if (reservation) {
+    sharedBudget.commit(reservation, fitted.cost);
+  }
+  
+  request.messages = fitted.messages;
+  request.system_prompt = fitted.systemPrompt;
+  metadata.promptTokens = fitted.promptTokens;
+  
+  return fitted;
+}
+
+/**
+ * 执行查询处理流程：预处理、复杂度评估、模型选择和模型调用
+ * @param {Object} rawRequest - 原始请求对象
+ * @param {Object} [options] - 执行选项
+ * @param {Function} [options.onChunk] - 提供时以流式方式调用模型，接收 { requestId, provider, delta }
+ * @param {SharedBudget} [options.sharedBudget] - 与其他请求共用的预算
+ * @param {AbortSignal} [options.signal] - 取消信号，取消后中止进行中的模型调用且不再尝试备用模型
+ * @param {number} [options.deadline] - 截止时间（毫秒时间戳），剩余时间不足时不再重试或尝试备用模型
+ * @returns {Promise<Object>} 查询结果
+ */
+async function executeQuery(rawRequest, options = {}) {
+  const { onChunk, sharedBudget, signal, deadline } = options;
   const requestId = uuidv4();
   const startTime = Date.now();
   let success = false;
   let modelInfo = null;
+  let reservation = null;
+  let experiment = null;
 
   try {
     // 预处理请求
-    const { request, metadata, logger: requestLogger } = processRequest(call.request);
+    const { request, metadata, generationOptions, logger: requestLogger } = processRequest(rawRequest);
     
     requestLogger.info('开始处理查询', { query: request.query.substring(0, 100) + '...' });
     
+    // 使用共享预算时，单个请求的预算不超过共享预算的剩余额度
+    if (sharedBudget) {
+      const remaining = sharedBudget.remaining();
+      if (remaining <= 0) {
+        throw Errors.costLimitExceeded('共享预算已用完');
+      }
+      const ownBudget = metadata.budget ? parseFloat(metadata.budget) : Infinity;
+      metadata.budget = String(Math.min(ownBudget, remaining));
+    }
+    
     // 1. 评估查询复杂度
     requestLogger.debug('开始评估查询复杂度');
-    const complexityResult = await evaluateQueryComplexity(request.query, metadata);
+    const complexityResult = await evaluateQueryComplexity(request.query, metadata, request.messages, signal);
     const { complexityScore, complexityFactors } = complexityResult;
     
     requestLogger.info('查询复杂度评估结果', {
       complexityScore,
-      factors: complexityFactors
+      factors: complexityFactors,
+      evaluator: complexityResult.evaluator
     });
     
-    // 2. 根据复杂度选择模型
+    // 2. 根据复杂度选择模型；级联路由时为每个层级选择模型，少于两个层级时按普通方式路由。
+    // 流式请求已经向客户端输出的内容无法撤回，不使用级联路由
     requestLogger.debug('开始选择模型');
-    modelInfo = modelRouterService.selectModelByComplexity(
+    const cascadeChecks = !onChunk && isCascadeRequest(metadata) ? getCascadeChecks(metadata) : null;
+    const cascadeTiers = cascadeChecks
+      ? modelRouterService.planCascade(complexityScore, complexityFactors, metadata)
+      : [];
+    const useCascade = cascadeTiers.length > 1;
+    
+    modelInfo = useCascade ? cascadeTiers[0] : modelRouterService.selectModelByComplexity(
       complexityScore,
       complexityFactors,
       metadata
     );
     
-    // 应用成本控制策略
-    const finalModelInfo = modelRouterService.applyCostControlStrategy(modelInfo, metadata);
+    // 应用成本控制策略，级联路由在规划层级时已经排除了超出预算的层级
+    let finalModelInfo = useCascade ? modelInfo : modelRouterService.applyCostControlStrategy(modelInfo, metadata);
+    
+    // 分配 A/B 实验组，实验组使用指定的提供商和模型；级联路由的请求不参与实验
+    if (!useCascade) {
+      const applied = applyExperiment(finalModelInfo, complexityScore, metadata, request.request_id);
+      finalModelInfo = applied.modelInfo;
+      experiment = applied.assignment;
+    }
     
     requestLogger.info('已选择模型', {
       provider: finalModelInfo.provider,
       modelType: finalModelInfo.modelType,
-      estimatedCost: finalModelInfo.estimatedCost
+      rule: finalModelInfo.routingRule ? finalModelInfo.routingRule.name : null,
+      estimatedCost: finalModelInfo.estimatedCost,
+      cascadeTiers: useCascade ? cascadeTiers.map(tier => tier.provider) : undefined,
+      experiment: experiment ? `${experiment.experiment}/${experiment.arm}` : undefined
     });
     
-    // 3. 记录模型使用开始
-    modelRouterService.recordModelUseStart(finalModelInfo.provider);
+    // 没有模型容纳得下完整对话时，按溢出策略缩减对话
+    let contextCost = 0;
+    if (finalModelInfo.contextOverflow) {
+      const fitted = await fitToContextWindow(request, metadata, finalModelInfo, generationOptions, { signal, deadline, sharedBudget });
+      contextCost = fitted.cost;
+      requestLogger.info('已缩减对话以适应上下文窗口', {
+        policy: finalModelInfo.contextOverflow,
+        droppedMessages: fitted.droppedMessages,
+        summarized: fitted.summarized
+      });
+    }
+    
+    // 对冲请求：主模型超过其延迟百分位仍未响应时向另一个提供商再发送一次请求。
+    // 流式请求已经向客户端输出的内容无法切换，不使用对冲；实验组不使用对冲，避免其他提供商的响应计入实验组
+    const hedgePlan = !onChunk && !useCascade && !(experiment && experiment.provider) && isHedgeRequest(metadata)
+      ? planHedge(finalModelInfo, complexityScore, metadata)
+      : null;
+    let hedgeStarted = false;
+    
+    // 级联路由对除最后一层以外的每个层级运行回答检查，评审模型检查会产生额外成本
+    const checkCost = useCascade ? estimateCheckCost(cascadeChecks, metadata) : 0;
+    
+    // 按估算成本预留共享预算，避免并发请求超支；级联路由按所有层级都被调用并检查预留，对冲按两个模型都被调用预留
+    if (sharedBudget) {
+      let reserved = finalModelInfo.estimatedCost;
+      if (useCascade) {
+        reserved = cascadeTiers.reduce((sum, tier) => sum + tier.estimatedCost, 0) + checkCost * (cascadeTiers.length - 1);
+      } else if (hedgePlan) {
+        reserved += hedgePlan.modelInfo.estimatedCost;
+      }
+      reservation = sharedBudget.reserve(reserved);
+    }
+    
+    // 3. 记录模型使用开始，级联路由和对冲在每次调用时分别记录；
+    // 先检查取消，已取消的请求不占用活跃连接数和半开熔断器的探测名额
+    throwIfAborted(signal);
+    const tracksEachCall = useCascade || Boolean(hedgePlan);
+    const modelStartedAt = tracksEachCall
+      ? undefined
+      : modelRouterService.recordModelUseStart(finalModelInfo.provider, getModelName(finalModelInfo));
     
     // 4. 调用模型
     const modelStartTime = Date.now();
+    const queryObject = {
+      text: request.query,
+      context: request.messages,
+      complexityScore
+    };
+    const modelOptions = {
+      ...buildModelOptions(request, metadata, generationOptions),
+      signal,
+      deadline
+    };
+    let streamStarted = false;
+    
+    const invokeModel = (info, callSignal = signal) => {
+      const modelName = getModelName(info);
+      
+      if (!onChunk) {
+        return adapterManager.callModel(info.provider, modelName, queryObject, { ...modelOptions, signal: callSignal });
+      }
+      
+      return adapterManager.streamModel(info.provider, modelName, queryObject, modelOptions, (delta) => {
+        streamStarted = true;
+        onChunk({ requestId: request.request_id, provider: info.provider, delta });
+      });
+    };
+    
+    // 级联路由、对冲和备用模型的单次调用，分别记录每个提供商的使用情况；
+    // 被取消的对冲调用不计入提供商的成功率和响应时间
+    const invokeTracked = (info, callSignal = signal) => modelRouterService.trackModelCall(
+      info.provider,
+      getModelName(info),
+      () => invokeModel(info, callSignal),
+      { signal: callSignal, complexityScore }
+    );
+    
     let modelResponse;
     let actualCost = 0;
+    let cascadeResult = null;
+    let hedgeResult = null;
     
     try {
-      const queryObject = {
-        text: request.query,
-        context: request.context || [],
-        complexityScore
-      };
-      
-      modelResponse = await adapterManager.callModel(
-        finalModelInfo.provider,
-        finalModelInfo.modelConfig?.defaultModel || 'default',
-        queryObject,
-        {
-          maxTokens: metadata.maxTokens || 1000,
-          temperature: metadata.temperature || 0.7,
-          systemMessage: metadata.systemMessage,
-          budget: metadata.budget
-        }
-      );
-      
-      actualCost = modelResponse.cost || finalModelInfo.estimatedCost;
+      if (useCascade) {
+        cascadeResult = await runCascade(cascadeTiers, {
+          invoke: invokeTracked,
+          checks: cascadeChecks,
+          budget: metadata.budget ? parseFloat(metadata.budget) : Infinity,
+          checkCost,
+          context: {
+            query: request.query,
+            messages: request.messages,
+            generationOptions,
+            metadata,
+            signal,
+            deadline
+          }
+        });
+        modelResponse = cascadeResult.response;
+        finalModelInfo = cascadeResult.modelInfo;
+        actualCost = cascadeResult.totalCost + contextCost;
+      } else if (hedgePlan) {
+        hedgeResult = await runHedged(finalModelInfo, hedgePlan.modelInfo, {
+          invoke: invokeTracked,
+          delayMs: hedgePlan.delayMs,
+          signal,
+          deadline,
+          onHedge: () => {
+            hedgeStarted = true;
+          }
+        });
+        modelResponse = hedgeResult.response;
+        finalModelInfo = hedgeResult.modelInfo;
+        actualCost = (modelResponse.cost || finalModelInfo.estimatedCost) + hedgeResult.extraCost + contextCost;
+      } else {
+        modelResponse = await invokeModel(finalModelInfo);
+        actualCost = (modelResponse.cost || finalModelInfo.estimatedCost) + contextCost;
+      }
       success = true;
-      
     } catch (error) {
       requestLogger.error('模型调用失败', { error: error.message });
       
+      // 记录主模型调用失败，级联路由和对冲在每次调用时已经记录
+      if (!tracksEachCall) {
+        modelRouterService.recordModelUseEnd(finalModelInfo.provider, signal?.aborted ? undefined : {
+          responseTime: Date.now() - modelStartTime,
+          success: false,
+          costEfficiency: 0,
+          complexityScore,
+          model: getModelName(finalModelInfo),
+          timedOut: isTimeoutError(error),
+          startedAt: modelStartedAt
+        });
+      }
+      
+      // 级联路由已经依次尝试了各层级，对冲已经尝试了备用提供商
+      if (useCascade || hedgeStarted) {
+        throw error;
+      }
+      
+      // 已经向客户端输出了部分内容，无法再切换到备用模型
+      if (streamStarted) {
+        throw Errors.modelUnavailable(`流式输出中断: ${error.message}`);
+      }
+      
+      // 请求参数无效时备用模型同样无法处理；请求已取消时不再尝试
+      if ((error.name === 'GatewayError' && error.code === 'INVALID_REQUEST') || signal?.aborted) {
+        throw error;
+      }
+      
+      if (!hasTimeRemaining(deadline)) {
+        throw Errors.deadlineExceeded('距离截止时间不足，不再尝试备用模型');
+      }
+      
       const backupModel = modelRouterService.getBackupModel(
         finalModelInfo.provider,
         finalModelInfo.modelType,
-        metadata
+        metadata,
+        finalModelInfo.routingRule
       );
       
       if (backupModel) {
         requestLogger.info('尝试使用备用模型', { provider: backupModel.provider });
-        modelRouterService.recordModelUseStart(backupModel.provider);
         
-        const queryObject = {
-          text: request.query,
-          context: request.context || [],
-          complexityScore
-        };
+        // 备用模型的调用单独记录，调用失败时同样结束使用记录
+        modelResponse = await invokeTracked(backupModel);
         
-        modelResponse = await adapterManager.callModel(
-          backupModel.provider,
-          backupModel.modelConfig?.defaultModel || 'default',
-          queryObject,
-          {
-            maxTokens: metadata.maxTokens || 1000,
-            temperature: metadata.temperature || 0.7,
-            systemMessage: metadata.systemMessage,
-            budget: metadata.budget
-          }
-        );
-        
-        actualCost = modelResponse.cost || backupModel.estimatedCost;
+        actualCost = (modelResponse.cost || backupModel.estimatedCost || 0) + contextCost;
         finalModelInfo = backupModel;
         finalModelInfo.isBackup = true;
         success = true;
@@ -176,6 +407,11 @@ async function processQuery(call, callback) {
       }
     }
     
+    // 按实际成本结算共享预算，缩减对话的成本已经在缩减后结算
+    if (reservation) {
+      sharedBudget.commit(reservation, actualCost - contextCost);
+    }
+    
     const responseTime = Date.now() - startTime;
     const modelProcessingTime = Date.now() - modelStartTime;
     
@@ -191,12 +427,28 @@ async function processQuery(call, callback) {
       complexity: complexityScore
     });
 
-    // 5. 记录模型使用结束
-    modelRouterService.recordModelUseEnd(finalModelInfo.provider, {
-      responseTime: modelProcessingTime,
-      success,
-      costEfficiency: 1 / (actualCost || 0.001)
-    });
+    // 5. 记录模型使用结束，备用模型的调用已经记录
+    if (!tracksEachCall && !finalModelInfo.isBackup) {
+      modelRouterService.recordModelUseEnd(finalModelInfo.provider, {
+        responseTime: modelProcessingTime,
+        success,
+        costEfficiency: 1 / (actualCost || 0.001),
+        complexityScore,
+        model: getModelName(finalModelInfo),
+        startedAt: modelStartedAt
+      });
+    }
+    
+    // 按实验组记录指标，由备用模型回答的请求计为实验组的错误
+    if (experiment) {
+      monitoringService.recordExperiment({
+        experiment: experiment.experiment,
+        arm: experiment.arm,
+        duration: responseTime,
+        success: !finalModelInfo.isBackup,
+        cost: actualCost
+      });
+    }
     
     // 6. 构建响应
     const result = {
@@ -210,44 +462,199 @@ async function processQuery(call, callback) {
         output: 0,
         total: 0
       },
+      // 提供商返回的结束原因，如 stop、length、max_tokens，未返回时为空
+      finish_reason: modelResponse.rawResponse?.finishReason || '',
       processing_time: responseTime
     };
     
+    if (cascadeResult) {
+      result.answered_tier = finalModelInfo.modelType;
+      result.cascade_attempts = cascadeResult.attempts.map(attempt => ({
+        tier: attempt.tier,
+        provider: attempt.provider,
+        model: attempt.model,
+        cost: attempt.cost,
+        accepted: attempt.accepted,
+        checks: attempt.checks,
+        error_message: attempt.error
+      }));
+    }
+    
+    if (experiment) {
+      result.experiment = experiment.experiment;
+      result.experiment_arm = experiment.arm;
+    }
+    
+    // 记录路由决策，供之后通过 SubmitFeedback 提交的反馈关联
+    const modelUsed = getModelName(finalModelInfo);
+    recordRoutingDecision(request.request_id, {
+      provider: finalModelInfo.provider,
+      model: modelUsed,
+      complexityScore,
+      modelType: finalModelInfo.modelType,
+      experiment: experiment ? experiment.experiment : null,
+      experimentArm: experiment ? experiment.arm : null
+    });
+    
+    // 影子流量：按采样比例把请求异步发送到影子提供商，不等待其完成
+    shadowTraffic.mirror({
+      requestId: request.request_id,
+      query: queryObject,
+      options: buildModelOptions(request, metadata, generationOptions),
+      metadata,
+      primary: {
+        provider: finalModelInfo.provider,
+        model: modelUsed,
+        response: modelResponse.text,
+        latency: modelProcessingTime,
+        cost: actualCost
+      }
+    });
+    
     requestLogger.info('查询处理完成', {
       modelUsed: finalModelInfo.provider,
       complexityScore,
       cost: actualCost,
-      processingTime: responseTime
+      processingTime: responseTime,
+      answeredTier: result.answered_tier,
+      hedgeWinner: hedgeResult && hedgeResult.hedged ? hedgeResult.winner : undefined
     });
     
-    callback(null, result);
+    return result;
   } catch (error) {
     const errorTime = Date.now() - startTime;
     
-    // 记录错误指标
+    if (reservation) {
+      sharedBudget.release(reservation);
+    }
+    
+    // 请求被取消时，适配器抛出的错误只是取消的结果，以取消原因代替
+    const failure = signal?.aborted ? getAbortError(signal) : error;
+    const cancelled = failure.code === 'REQUEST_CANCELLED' || failure.code === 'DEADLINE_EXCEEDED';
+    
+    // 记录错误指标，取消的请求单独统计
     monitoringService.recordRequest({
       requestId,
       modelId: modelInfo?.provider || 'unknown',
       duration: errorTime,
       success: false,
-      error: error.message
+      cancelled,
+      error: failure.message
     });
-
-    logger.error('处理查询失败', { error: error.message, stack: error.stack });
     
-    if (error.name === 'GatewayError') {
-      callback({
-        code: error.getGrpcStatus(),
-        message: error.message,
-        details: JSON.stringify(error.toErrorResponse())
-      });
-    } else {
-      callback({
-        code: grpc.status.INTERNAL,
-        message: '内部服务器错误',
-        details: error.message
+    if (experiment && !cancelled) {
+      monitoringService.recordExperiment({
+        experiment: experiment.experiment,
+        arm: experiment.arm,
+        duration: errorTime,
+        success: false,
+        cost: 0
       });
     }
+
+    throw failure;
+  }
+}
+
+async function processQuery(call, callback) {
+  const cancellation = createCallSignal(call);
+  try {
+    const result = await executeQuery(call.request, {
+      signal: cancellation.signal,
+      deadline: cancellation.deadline
+    });
+    callback(null, result);
+  } catch (error) {
+    logger.error('处理查询失败', { error: error.message, stack: error.stack });
+    callback(toGrpcError(error));
+  } finally {
+    cancellation.dispose();
+  }
+}
+
+/**
+ * 流式处理查询请求
+ * 增量文本逐片段返回，最后一个片段携带成本、token使用量和所用模型
+ * @param {grpc.ServerWritableStream} call - gRPC 服务端流
+ */
+async function processQueryStream(call) {
+  const cancellation = createCallSignal(call);
+  try {
+    const result = await executeQuery(call.request, {
+      signal: cancellation.signal,
+      deadline: cancellation.deadline,
+      onChunk: ({ requestId, delta }) => {
+        call.write({
+          request_id: requestId,
+          delta,
+          done: false
+        });
+      }
+    });
+    
+    call.write({
+      request_id: result.request_id,
+      delta: '',
+      done: true,
+      complexity_score: result.complexity_score,
+      model_used: result.model_used,
+      cost: result.cost,
+      token_usage: result.token_usage,
+      experiment: result.experiment || '',
+      experiment_arm: result.experiment_arm || ''
+    });
+    call.end();
+  } catch (error) {
+    logger.error('流式处理查询失败', { error: error.message, stack: error.stack });
+    call.emit('error', toGrpcError(error));
+  } finally {
+    cancellation.dispose();
+  }
+}
+
+/**
+ * 演练路由决策
+ * 与 ProcessQuery 使用相同的预处理、复杂度评估和路由规则，但不调用模型
+ * @param {Object} call - gRPC 调用对象
+ * @param {Function} callback - 回调函数
+ */
+async function explainRouting(call, callback) {
+  try {
+    const { request, metadata } = processRequest(call.request);
+    const { complexityScore, complexityFactors } = await evaluateQueryComplexity(
+      request.query,
+      metadata,
+      request.messages
+    );
+    const explanation = modelRouterService.explainRouting(complexityScore, complexityFactors, metadata);
+    
+    callback(null, {
+      request_id: request.request_id,
+      complexity_score: complexityScore,
+      complexity_factors: complexityFactors,
+      model_type: explanation.modelType,
+      matched_rule: explanation.rule ? explanation.rule.name : '',
+      rules: explanation.evaluations,
+      weights: explanation.weights,
+      candidates: explanation.candidates.map(candidate => ({
+        provider: candidate.name,
+        score: candidate.score || 0,
+        excluded_reason: candidate.excludedReason || '',
+        model: candidate.excludedReason ? '' : candidate.model || '',
+        bandit_index: candidate.banditIndex ?? 0
+      })),
+      provider: explanation.provider || '',
+      model: explanation.model || '',
+      estimated_cost: explanation.estimatedCost,
+      error_message: explanation.error || '',
+      required_capabilities: explanation.requiredCapabilities,
+      required_tokens: explanation.requiredTokens,
+      context_overflow: explanation.contextOverflow || '',
+      complexity_bucket: explanation.bucket
+    });
+  } catch (error) {
+    logger.error('路由演练失败', { error: error.message });
+    callback(toGrpcError(error));
   }
 }
 
@@ -255,23 +662,37 @@ async function processQuery(call, callback) {
 
 module.exports = {
   processQuery,
+  processQueryStream,
+  executeQuery,
+  explainRouting,
   getModelCapabilities: (call, callback) => {
     const startTime = Date.now();
     try {
       // 从配置中获取模型提供商信息
       const providers = Object.entries(config.modelProviders).map(([name, providerConfig]) => {
+        const models = listCandidateModels(providerConfig).filter(Boolean);
+        
         return {
           provider_name: name,
-          capabilities: providerConfig.supportedCapabilities || []
+          capabilities: providerConfig.supportedCapabilities || [],
+          models: models.map(model => ({
+            model,
+            capabilities: getModelCapabilities(providerConfig, model)
+          }))
         };
       });
       
-      // 汇总所有能力
+      // 汇总所有能力，包括个别模型额外具备的能力
       const allCapabilities = new Set();
       providers.forEach(provider => {
         provider.capabilities.forEach(capability => {
           allCapabilities.add(capability);
         });
+        provider.models.forEach(model => {
+          model.capabilities.forEach(capability => {
+            allCapabilities.add(capability);
+          });
+        });
       });
       
       const response = {
@@ -305,44 +726,27 @@ module.exports = {
       });
     }
   },
-  evaluateComplexity: (call, callback) => {
+  evaluateComplexity: async (call, callback) => {
     const startTime = Date.now();
     try {
-      const { query, features } = call.request;
-      logger.info('评估查询复杂度', { queryLength: query.length });
-      
-      // 实现复杂度评估算法
-      // 这里使用简单的启发式方法作为示例
-      
-      // 1. 计算词汇复杂度（基于词数和平均词长）
-      const words = query.split(/\s+/);
-      const wordCount = words.length;
-      const avgWordLength = words.reduce((sum, word) => sum + word.length, 0) / wordCount;
-      const vocabularyComplexity = Math.min(wordCount / 100, 1) * 0.5 + Math.min(avgWordLength / 10, 1) * 0.5;
+      const { query, features, evaluator } = call.request;
+      logger.info('评估查询复杂度', { queryLength: query.length, features, evaluator });
       
-      // 2. 语法复杂度（基于句子数量和平均句子长度）
-      const sentences = query.split(/[.!?]+/).filter(s => s.trim().length > 0);
-      const sentenceCount = sentences.length;
-      const avgSentenceLength = wordCount / sentenceCount;
-      const grammarComplexity = Math.min(avgSentenceLength / 20, 1);
-      
-      // 3. 计算最终复杂度分数（0-1范围）
-      const complexityScore = (vocabularyComplexity * 0.6 + grammarComplexity * 0.4);
-      
-      // 确定复杂度因素
-      const complexityFactors = [];
-      if (vocabularyComplexity > 0.6) complexityFactors.push('高词汇复杂度');
-      if (grammarComplexity > 0.6) complexityFactors.push('复杂语法结构');
-      if (wordCount > 100) complexityFactors.push('查询长度较长');
+      const result = await evaluateComplexity({ query }, { features, evaluator });
+      const { complexityScore, complexityFactors, featureScores } = result;
       
       const response = {
         complexity_score: complexityScore,
-        complexity_factors: complexityFactors
+        complexity_factors: complexityFactors,
+        feature_scores: featureScores,
+        language: detectLanguage(query),
+        evaluator: result.evaluator
       };
       
       logger.info('复杂度评估完成', {
         complexityScore,
-        factors: complexityFactors
+        factors: complexityFactors,
+        evaluator: result.evaluator
       });
       
       callback(null, response);
@@ -364,6 +768,11 @@ module.exports = {
         error: error.message
       });
       
+      if (error.name === 'GatewayError') {
+        callback(toGrpcError(error));
+        return;
+      }
+      
       callback({
         code: grpc.status.INTERNAL,
         message: '复杂度评估失败',
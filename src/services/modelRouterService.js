@@ -5,6 +5,33 @@
 const { logger } = require('../utils/logger');
 const { Errors } = require('../utils/errors');
 const config = require('../config');
+const { RoutingRuleEngine } = require('./routingRules');
+const {
+  getRequiredCapabilities,
+  getModelCapabilities,
+  listCandidateModels,
+  findUnsupportedCapabilities
+} = require('./capabilities');
+const { getContextWindow, getRequiredTokens, getOverflowPolicy } = require('./contextWindow');
+const { BanditSelector } = require('./banditSelector');
+const { CircuitBreakerRegistry, isTimeoutError } = require('./circuitBreaker');
+const monitoringService = require('../monitoring/MonitoringService');
+
+// 未配置时使用的提供商评分权重
+const DEFAULT_WEIGHTS = { load: 0.4, costEfficiency: 0.3, performance: 0.3, reliability: 0, quality: 0 };
+
+// 上下文窗口不足时按顺序尝试的更高模型类型
+const ESCALATION_TYPES = {
+  local: ['hybrid', 'remote'],
+  hybrid: ['remote'],
+  remote: []
+};
+
+// 每个提供商保留的最近成功调用的响应时间样本数，用于计算延迟百分位
+const LATENCY_SAMPLE_SIZE = 200;
+
+// 状态为 degraded 的提供商的评分系数
+const DEGRADED_SCORE_FACTOR = 0.5;
 
 /**
  * 模型路由服务类
@@ -15,82 +42,417 @@ class ModelRouterService {
     this.modelProviders = config.modelProviders;
     this.activeConnections = new Map(); // 跟踪活跃连接数
     this.modelStats = new Map(); // 跟踪模型性能统计
+    this.qualityStats = new Map(); // 按复杂度区间跟踪用户反馈的质量评分
+    this.providerHealth = new Map(); // 健康探测得到的提供商状态和延迟
+    this.routingRules = new RoutingRuleEngine(config.routingRules || [], Object.keys(this.modelProviders || {}));
+    this.bandit = new BanditSelector(config.bandit || {}); // 按复杂度区间学习的提供商选择
+    this.circuitBreakers = new CircuitBreakerRegistry(config.circuitBreaker || {}); // 按提供商和模型的熔断器
+    this.circuitBreakers.on('state-change', (transition) => {
+      logger.warn('熔断器状态变化', transition);
+      monitoringService.recordCircuitTransition(transition);
+    });
   }
 
   /**
-   * 根据复杂度选择模型
+   * 根据复杂度阈值确定模型类型
    * @param {number} complexityScore - 复杂度评分
-   * @param {Array} complexityFactors - 复杂度因素
-   * @param {Object} metadata - 请求元数据
-   * @returns {Object} 选择的模型信息
+   * @returns {string} 模型类型
    */
-  selectModelByComplexity(complexityScore, complexityFactors, metadata) {
-    logger.debug('根据复杂度选择模型', { complexityScore, complexityFactors });
-
-    // 获取复杂度阈值
+  getModelType(complexityScore) {
     const { lowComplexityThreshold, highComplexityThreshold } = this.routingStrategy;
 
-    // 根据复杂度范围选择模型类型
-    let modelType;
     if (complexityScore < lowComplexityThreshold) {
-      modelType = 'local'; // 低复杂度：本地模型
-    } else if (complexityScore < highComplexityThreshold) {
-      modelType = 'hybrid'; // 中等复杂度：混合模型
-    } else {
-      modelType = 'remote'; // 高复杂度：远程高性能模型
+      return 'local'; // 低复杂度：本地模型
     }
+    if (complexityScore < highComplexityThreshold) {
+      return 'hybrid'; // 中等复杂度：混合模型
+    }
+    return 'remote'; // 高复杂度：远程高性能模型
+  }
 
-    // 获取可用的模型提供商
-    const availableProviders = this.getAvailableProviders(modelType, metadata);
-    
-    if (availableProviders.length === 0) {
-      throw Errors.modelUnavailable(`没有可用的${modelType}类型模型提供商`);
+  /**
+   * 根据复杂度阈值确定老虎机选择使用的复杂度区间
+   * @param {number} complexityScore - 复杂度评分
+   * @returns {string} low、medium 或 high
+   */
+  getComplexityBucket(complexityScore) {
+    const buckets = { local: 'low', hybrid: 'medium', remote: 'high' };
+    return buckets[this.getModelType(complexityScore)];
+  }
+
+  /**
+   * 获取提供商评分权重，规则中的权重覆盖配置
+   * @param {Object} [rule] - 生效的路由规则
+   * @returns {Object} { load, costEfficiency, performance, reliability, quality }
+   */
+  getScoringWeights(rule) {
+    const strategy = this.routingStrategy || {};
+
+    return {
+      load: strategy.loadWeight ?? DEFAULT_WEIGHTS.load,
+      costEfficiency: strategy.costEfficiencyWeight ?? DEFAULT_WEIGHTS.costEfficiency,
+      performance: strategy.performanceWeight ?? DEFAULT_WEIGHTS.performance,
+      reliability: strategy.reliabilityWeight ?? DEFAULT_WEIGHTS.reliability,
+      quality: strategy.qualityWeight ?? DEFAULT_WEIGHTS.quality,
+      ...(rule ? rule.action.weights : {})
+    };
+  }
+
+  /**
+   * 规划路由：匹配路由规则、确定模型类型、筛选并评分候选提供商
+   * 规则指定了提供商时不受模型类型限制；只保留具备请求所需能力、上下文窗口容纳得下提示和 max_tokens 的模型。
+   * 没有模型容纳得下时按溢出策略处理：escalate 依次尝试更高的模型类型，truncate 和 summarize 忽略上下文窗口选择模型，
+   * 由调用方缩减对话后再调用模型
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Object} metadata - 请求元数据
+   * @param {Object} [options] - 选项
+   * @param {string} [options.modelType] - 指定模型类型，不按复杂度阈值确定
+   * @param {boolean} [options.dryRun] - 演练路由，只读取熔断器状态而不更新
+   * @returns {Object} { modelType, rule, evaluations, weights, requiredCapabilities, requiredTokens, overflowPolicy,
+   *   contextOverflow, bucket, candidates, selected }，candidates 包含所有已配置的提供商及其评分和模型或不可用原因，
+   *   需要缩减对话时 contextOverflow 为溢出策略，没有可用提供商时 selected 为 null
+   * @throws {GatewayError} 如果溢出策略无效
+   */
+  planRoute(complexityScore, metadata, options = {}) {
+    const { rule, evaluations } = this.routingRules.match(this.routingRules.buildContext(complexityScore, metadata));
+    const weights = this.getScoringWeights(rule);
+    const pinned = Boolean(rule && rule.action.pin);
+    const requirements = {
+      capabilities: getRequiredCapabilities(metadata),
+      tokens: getRequiredTokens(metadata)
+    };
+    const overflowPolicy = getOverflowPolicy(metadata);
+    let modelType = options.modelType || this.getModelType(complexityScore);
+    let contextOverflow = null;
+    const bucket = this.getComplexityBucket(complexityScore);
+    const dryRun = Boolean(options.dryRun);
+    let result = this._evaluateCandidates(modelType, rule, weights, requirements, bucket, dryRun);
+
+    if (!result.selected && result.candidates.some(candidate => candidate.lacksContext)) {
+      if (overflowPolicy === 'escalate' && !pinned) {
+        for (const escalatedType of ESCALATION_TYPES[modelType]) {
+          const escalated = this._evaluateCandidates(escalatedType, rule, weights, requirements, bucket, dryRun);
+          if (escalated.selected) {
+            modelType = escalatedType;
+            result = escalated;
+            break;
+          }
+        }
+      } else if (overflowPolicy === 'truncate' || overflowPolicy === 'summarize') {
+        const overflowed = this._evaluateCandidates(modelType, rule, weights, { ...requirements, tokens: 0 }, bucket, dryRun);
+        if (overflowed.selected) {
+          contextOverflow = overflowPolicy;
+          result = overflowed;
+        }
+      }
+    }
+
+    return {
+      modelType,
+      rule,
+      evaluations,
+      weights,
+      requiredCapabilities: requirements.capabilities,
+      requiredTokens: requirements.tokens,
+      overflowPolicy,
+      contextOverflow,
+      bucket,
+      ...result
+    };
+  }
+
+  /**
+   * 筛选并评分指定模型类型的候选提供商
+   * 启用老虎机选择时选择 UCB 指数最高的提供商，否则选择评分最高的提供商
+   * @private
+   * @param {string} modelType - 模型类型
+   * @param {Object} [rule] - 生效的路由规则
+   * @param {Object} weights - 评分权重
+   * @param {Object} requirements - 请求要求 { capabilities, tokens }
+   * @param {string} bucket - 复杂度区间
+   * @param {boolean} [dryRun] - 只读取熔断器状态而不更新
+   * @returns {Object} { candidates, selected }
+   */
+  _evaluateCandidates(modelType, rule, weights, requirements, bucket, dryRun = false) {
+    const pinned = Boolean(rule && rule.action.pin);
+
+    const candidates = Object.entries(this.modelProviders).map(([name, providerConfig]) => {
+      const excludedReason = RoutingRuleEngine.exclusionReason(name, rule) ||
+        this._unavailableReason(name, providerConfig, pinned ? null : modelType, dryRun);
+      if (excludedReason) {
+        return { name, config: providerConfig, excludedReason };
+      }
+
+      const resolved = this._resolveModel(name, providerConfig, requirements, rule ? rule.action.model : undefined, dryRun);
+      return { name, config: providerConfig, excludedReason: null, ...resolved };
+    });
+
+    const available = candidates.filter(candidate => !candidate.excludedReason);
+    const scored = this.scoreProviders(available, weights, bucket);
+    scored.forEach(({ name, score }) => {
+      candidates.find(candidate => candidate.name === name).score = score;
+    });
+
+    if (!this.bandit.isEnabled()) {
+      return { candidates, selected: scored.length > 0 ? scored[0] : null };
     }
 
-    // 选择最佳模型提供商
-    const selectedProvider = this.selectBestProvider(availableProviders, complexityScore, metadata);
+    const indices = this.bandit.getIndices(bucket, scored.map(({ name }) => name));
+    indices.forEach((index, name) => {
+      candidates.find(candidate => candidate.name === name).banditIndex = index;
+    });
+    return { candidates, selected: this.bandit.select(bucket, scored) };
+  }
+
+  /**
+   * 在提供商的模型中查找具备全部所需能力且上下文窗口足够的模型
+   * @private
+   * @param {string} providerName - 提供商名称
+   * @param {Object} providerConfig - 提供商配置
+   * @param {Object} requirements - 请求要求 { capabilities, tokens }
+   * @param {string} [preferredModel] - 路由规则指定的模型
+   * @param {boolean} [dryRun] - 只读取熔断器状态而不更新
+   * @returns {Object} 找到时为 { model }，否则为 { excludedReason, lacksCapabilities, lacksContext }
+   */
+  _resolveModel(providerName, providerConfig, { capabilities, tokens }, preferredModel, dryRun = false) {
+    let failure = null;
+
+    for (const model of listCandidateModels(providerConfig, preferredModel)) {
+      if (!this._canRoute(providerName, model || 'default', dryRun)) {
+        failure = failure || { excludedReason: `模型 ${model || 'default'} 的熔断器已打开` };
+        continue;
+      }
+
+      const modelCapabilities = getModelCapabilities(providerConfig, model);
+      const missing = capabilities.filter(capability => !modelCapabilities.includes(capability));
+      if (missing.length > 0) {
+        failure = failure || { excludedReason: `缺少能力: ${missing.join(', ')}`, lacksCapabilities: true };
+        continue;
+      }
+
+      // 具备所需能力但上下文窗口不足时，优先报告上下文窗口
+      const contextWindow = getContextWindow(providerConfig, model);
+      if (tokens > contextWindow) {
+        failure = {
+          excludedReason: `上下文窗口 ${contextWindow} tokens 不足，需要 ${tokens} tokens`,
+          lacksContext: true,
+          contextWindow
+        };
+        continue;
+      }
+
+      return { model };
+    }
+
+    return failure;
+  }
+
+  /**
+   * 构建没有可用提供商时的错误
+   * 候选提供商因上下文窗口不足或缺少能力被排除时，错误信息中说明原因
+   * @private
+   * @param {Object} plan - planRoute 返回的路由规划
+   * @returns {GatewayError} 上下文窗口不足时为 INVALID_REQUEST，否则为 MODEL_UNAVAILABLE
+   */
+  _noProviderError(plan) {
+    const { modelType, rule, requiredCapabilities, requiredTokens, candidates } = plan;
+    const scope = rule && rule.action.pin
+      ? `路由规则 ${rule.name} 指定的提供商`
+      : `${modelType}类型的可用模型提供商`;
+    const lacking = candidates.filter(candidate => candidate.lacksCapabilities || candidate.lacksContext);
+
+    if (lacking.length === 0) {
+      return Errors.modelUnavailable(rule && rule.action.pin
+        ? `${scope}当前不可用`
+        : `没有可用的${modelType}类型模型提供商`);
+    }
+
+    const tooSmall = lacking.filter(candidate => candidate.lacksContext);
+    if (tooSmall.length > 0) {
+      const largest = Math.max(...tooSmall.map(candidate => candidate.contextWindow));
+      return Errors.invalidRequest(
+        `请求约需 ${requiredTokens} tokens（含 max_tokens），超过${scope}的上下文窗口（最大 ${largest}），溢出策略为 ${plan.overflowPolicy}`
+      );
+    }
+
+    const unsupported = findUnsupportedCapabilities(lacking.map(candidate => candidate.config), requiredCapabilities);
+    return Errors.modelUnavailable(unsupported.length > 0
+      ? `${scope}都不具备能力: ${unsupported.join(', ')}`
+      : `${scope}中没有同时具备 ${requiredCapabilities.join(', ')} 能力的模型`);
+  }
+
+  /**
+   * 检查熔断器是否允许路由；正常路由时 canRoute 会让打开时间足够长的熔断器进入半开状态，演练时只读取状态
+   * @private
+   * @param {string} providerName - 提供商名称
+   * @param {string} [model] - 模型名称
+   * @param {boolean} dryRun - 是否为演练
+   * @returns {boolean} 是否可以路由
+   */
+  _canRoute(providerName, model, dryRun) {
+    return dryRun
+      ? this.circuitBreakers.peek(providerName, model)
+      : this.circuitBreakers.canRoute(providerName, model);
+  }
+
+  /**
+   * 判断提供商不可用的原因
+   * @private
+   * @param {string} name - 提供商名称
+   * @param {Object} providerConfig - 提供商配置
+   * @param {string|null} modelType - 需要的模型类型，为 null 时不检查
+   * @param {boolean} [dryRun] - 只读取熔断器状态而不更新
+   * @returns {string|null} 不可用原因，可用时为 null
+   */
+  _unavailableReason(name, providerConfig, modelType, dryRun = false) {
+    if (modelType && providerConfig.supportedModelTypes && !providerConfig.supportedModelTypes.includes(modelType)) {
+      return `不支持${modelType}类型`;
+    }
+    if (providerConfig.status === 'offline') {
+      return '提供商离线';
+    }
+    if (this.getProviderStatus(name, providerConfig) === 'offline') {
+      return '健康探测失败，提供商离线';
+    }
+    if ((this.activeConnections.get(name) || 0) >= (providerConfig.maxConcurrentQueries || 10)) {
+      return '已达到并发上限';
+    }
+    if (!this._canRoute(name, undefined, dryRun)) {
+      return '熔断器已打开';
+    }
+    return null;
+  }
+
+  /**
+   * 根据复杂度选择模型
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Array} complexityFactors - 复杂度因素
+   * @param {Object} metadata - 请求元数据
+   * @param {Object} [options] - 选项，见 planRoute
+   * @returns {Object} 选择的模型信息
+   */
+  selectModelByComplexity(complexityScore, complexityFactors, metadata, options = {}) {
+    logger.debug('根据复杂度选择模型', { complexityScore, complexityFactors });
+
+    const plan = this.planRoute(complexityScore, metadata, options);
+    const modelInfo = this._buildModelInfo(plan, complexityScore, metadata);
     
     logger.info('已选择模型', { 
-      provider: selectedProvider.name, 
-      modelType, 
-      complexityScore 
+      provider: modelInfo.provider, 
+      modelType: modelInfo.modelType, 
+      complexityScore,
+      rule: plan.rule ? plan.rule.name : null,
+      contextOverflow: plan.contextOverflow
     });
 
+    return modelInfo;
+  }
+
+  /**
+   * 根据路由规划构建选择的模型信息
+   * @private
+   * @param {Object} plan - planRoute 返回的路由规划
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Object} metadata - 请求元数据
+   * @returns {Object} 选择的模型信息
+   * @throws {GatewayError} 如果没有可用的提供商
+   */
+  _buildModelInfo(plan, complexityScore, metadata) {
+    const { modelType, rule, selected: selectedProvider } = plan;
+    
+    if (!selectedProvider) {
+      throw this._noProviderError(plan);
+    }
+
     return {
       provider: selectedProvider.name,
       modelType,
       modelConfig: selectedProvider.config,
+      model: selectedProvider.model,
+      routingRule: rule,
+      contextOverflow: plan.contextOverflow,
       estimatedCost: this.estimateCost(selectedProvider.config, complexityScore, metadata)
     };
   }
 
+  /**
+   * 规划级联路由：按 config.cascade.tiers 的顺序为每个模型类型选择模型
+   * 跳过没有可用模型、需要缩减对话或估算成本超出预算的层级，以及与较低层级选择相同模型的层级
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Array} complexityFactors - 复杂度因素
+   * @param {Object} metadata - 请求元数据
+   * @returns {Array<Object>} 按层级排列的模型信息，可能为空
+   */
+  planCascade(complexityScore, complexityFactors, metadata) {
+    const tiers = (config.cascade || {}).tiers || ['local', 'hybrid', 'remote'];
+    const budget = metadata.budget ? parseFloat(metadata.budget) : Infinity;
+    const plan = [];
+    
+    for (const modelType of tiers) {
+      let modelInfo;
+      try {
+        modelInfo = this.selectModelByComplexity(complexityScore, complexityFactors, metadata, { modelType });
+      } catch (error) {
+        logger.debug('级联层级没有可用模型', { modelType, error: error.message });
+        continue;
+      }
+      
+      const duplicate = plan.some(tier => tier.provider === modelInfo.provider && tier.model === modelInfo.model);
+      if (modelInfo.contextOverflow || modelInfo.estimatedCost > budget || duplicate) {
+        continue;
+      }
+      plan.push(modelInfo);
+    }
+    
+    return plan;
+  }
+
+  /**
+   * 演练路由决策，不调用模型、不占用并发，也不改变熔断器状态
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Array} complexityFactors - 复杂度因素
+   * @param {Object} metadata - 请求元数据
+   * @returns {Object} 路由规划结果以及成本控制后的最终选择 { provider, model, estimatedCost, error }
+   */
+  explainRouting(complexityScore, complexityFactors, metadata) {
+    const plan = this.planRoute(complexityScore, metadata, { dryRun: true });
+    let final = null;
+    let error = null;
+
+    try {
+      final = this.applyCostControlStrategy(this._buildModelInfo(plan, complexityScore, metadata), metadata, { dryRun: true });
+    } catch (selectionError) {
+      error = selectionError.message;
+    }
+
+    return {
+      ...plan,
+      provider: final ? final.provider : null,
+      model: final ? final.model || final.modelConfig.defaultModel || 'default' : null,
+      estimatedCost: final ? final.estimatedCost : 0,
+      error
+    };
+  }
+
   /**
    * 获取可用的模型提供商
    * @param {string} modelType - 模型类型
    * @param {Object} metadata - 请求元数据
-   * @returns {Array} 可用的提供商列表
+   * @param {Object} [options] - 选项 { dryRun }，演练路由时只读取熔断器状态而不更新
+   * @returns {Array} 可用的提供商列表 { name, config, model }，model 为具备请求所需能力且上下文窗口足够的模型
    */
-  getAvailableProviders(modelType, metadata) {
-    // 根据模型类型筛选提供商
-    const providers = Object.entries(this.modelProviders)
-      .filter(([name, config]) => {
-        // 检查提供商是否支持所需的模型类型
-        const supportsModelType = config.supportedModelTypes 
-          ? config.supportedModelTypes.includes(modelType)
-          : true; // 默认支持所有类型
-        
-        // 检查提供商是否在线
-        const isOnline = config.status !== 'offline';
-        
-        // 检查是否超出并发限制
-        const currentConnections = this.activeConnections.get(name) || 0;
-        const withinConnectionLimit = currentConnections < (config.maxConcurrentQueries || 10);
-        
-        return supportsModelType && isOnline && withinConnectionLimit;
-      })
-      .map(([name, config]) => ({ name, config }));
+  getAvailableProviders(modelType, metadata, { dryRun = false } = {}) {
+    const requirements = {
+      capabilities: getRequiredCapabilities(metadata),
+      tokens: getRequiredTokens(metadata)
+    };
     
-    return providers;
+    // 根据模型类型、在线状态、并发限制、熔断器、所需能力和上下文窗口筛选提供商
+    return Object.entries(this.modelProviders)
+      .filter(([name, providerConfig]) => !this._unavailableReason(name, providerConfig, modelType, dryRun))
+      .map(([name, providerConfig]) => ({ name, config: providerConfig, ...this._resolveModel(name, providerConfig, requirements, undefined, dryRun) }))
+      .filter(provider => !provider.excludedReason)
+      .map(({ name, config: providerConfig, model }) => ({ name, config: providerConfig, model }));
   }
 
   /**
@@ -98,19 +460,31 @@ class ModelRouterService {
    * @param {Array} providers - 可用提供商列表
    * @param {number} complexityScore - 复杂度评分
    * @param {Object} metadata - 请求元数据
+   * @param {Object} [weights] - 评分权重，默认使用配置的权重
    * @returns {Object} 选择的提供商
    */
-  selectBestProvider(providers, complexityScore, metadata) {
+  selectBestProvider(providers, complexityScore, metadata, weights = this.getScoringWeights()) {
     // 如果只有一个提供商，直接返回
     if (providers.length === 1) {
       return providers[0];
     }
 
-    // 计算每个提供商的得分
+    return this.scoreProviders(providers, weights, this.getComplexityBucket(complexityScore))[0];
+  }
+
+  /**
+   * 计算提供商得分并按得分从高到低排序
+   * @param {Array} providers - 提供商列表
+   * @param {Object} weights - 评分权重 { load, costEfficiency, performance, reliability, quality }
+   * @param {string} [bucket] - 复杂度区间，质量因子优先使用该区间的反馈
+   * @returns {Array} 带有 score 的提供商列表
+   */
+  scoreProviders(providers, weights, bucket) {
     const scoredProviders = providers.map(provider => {
-      // 获取性能统计
+      // 获取性能统计，还没有调用时使用健康探测的延迟
+      const health = this.providerHealth.get(provider.name);
       const stats = this.modelStats.get(provider.name) || {
-        avgResponseTime: 500, // 默认值
+        avgResponseTime: health && health.latency !== null ? health.latency : 500, // 默认值
         successRate: 0.95,    // 默认值
         costEfficiency: 0.8   // 默认值
       };
@@ -126,15 +500,26 @@ class ModelRouterService {
       // 计算性能因子
       const performanceFactor = stats.successRate * (1000 / (stats.avgResponseTime + 100));
       
-      // 计算总得分 (权重可以根据需要调整)
-      const score = (loadFactor * 0.4) + (costFactor * 0.3) + (performanceFactor * 0.3);
+      // 计算质量因子
+      const qualityFactor = this.getQualityScore(provider.name, bucket);
+      
+      // 状态为 degraded 的提供商降低评分
+      const healthFactor = this.getProviderStatus(provider.name, provider.config) === 'degraded'
+        ? DEGRADED_SCORE_FACTOR
+        : 1;
+      
+      // 计算总得分
+      const score = ((loadFactor * weights.load) +
+        (costFactor * weights.costEfficiency) +
+        (performanceFactor * weights.performance) +
+        (stats.successRate * weights.reliability) +
+        (qualityFactor * (weights.quality || 0))) * healthFactor;
       
       return { ...provider, score };
     });
     
-    // 按得分排序并返回最高分的提供商
-    scoredProviders.sort((a, b) => b.score - a.score);
-    return scoredProviders[0];
+    // 按得分排序，得分相同时保持配置顺序
+    return scoredProviders.sort((a, b) => b.score - a.score);
   }
 
   /**
@@ -151,9 +536,9 @@ class ModelRouterService {
     // 根据复杂度调整成本
     const complexityFactor = 1 + complexityScore;
     
-    // 根据查询长度调整成本
-    const queryLength = metadata.queryLength || 0;
-    const lengthFactor = 1 + (queryLength / 1000);
+    // 根据查询的估算 token 数调整成本，每 250 个 token（约 1000 个英文字符）增加一倍
+    const estimatedTokens = metadata.estimatedTokens || 0;
+    const lengthFactor = 1 + (estimatedTokens / 250);
     
     // 计算估算成本
     const estimatedCost = baseCost * complexityFactor * lengthFactor;
@@ -163,26 +548,68 @@ class ModelRouterService {
     return Math.min(estimatedCost, maxCost);
   }
 
+  /**
+   * 获取提供商的当前状态
+   * 配置为 offline 的提供商始终离线；有健康探测结果时使用最近一次探测的状态，否则使用配置的状态
+   * @param {string} name - 提供商名称
+   * @param {Object} providerConfig - 提供商配置
+   * @returns {string} online、degraded 或 offline
+   */
+  getProviderStatus(name, providerConfig) {
+    if (providerConfig.status === 'offline') {
+      return 'offline';
+    }
+    const health = this.providerHealth.get(name);
+    return health ? health.status : (providerConfig.status || 'online');
+  }
+
+  /**
+   * 记录健康探测结果
+   * @param {string} providerName - 提供商名称
+   * @param {Object} probe - { status, latency }，探测失败时 latency 为 null，保留上次成功探测的延迟
+   */
+  recordHealthProbe(providerName, { status, latency }) {
+    const previous = this.providerHealth.get(providerName);
+    this.providerHealth.set(providerName, {
+      status,
+      latency: latency !== null ? latency : (previous ? previous.latency : null)
+    });
+  }
+
   /**
    * 记录模型使用开始
    * @param {string} providerName - 提供商名称
+   * @param {string} [model] - 模型名称，熔断器半开时占用探测名额
+   * @returns {number|undefined} 熔断器记录的开始时间，结束时作为使用统计的 startedAt 传回
    */
-  recordModelUseStart(providerName) {
+  recordModelUseStart(providerName, model) {
     const currentCount = this.activeConnections.get(providerName) || 0;
     this.activeConnections.set(providerName, currentCount + 1);
     logger.debug('模型使用开始', { provider: providerName, activeConnections: currentCount + 1 });
+    return this.circuitBreakers.recordStart(providerName, model);
   }
 
   /**
    * 记录模型使用结束
    * @param {string} providerName - 提供商名称
-   * @param {Object} stats - 使用统计
+   * @param {Object} [stats] - 使用统计 { responseTime, success, costEfficiency, complexityScore, model, timedOut, startedAt }，
+   *   startedAt 为 recordModelUseStart 的返回值；调用被取消时不提供
    */
   recordModelUseEnd(providerName, stats) {
     // 更新活跃连接数
     const currentCount = this.activeConnections.get(providerName) || 1;
     this.activeConnections.set(providerName, Math.max(0, currentCount - 1));
     
+    // 更新提供商和模型的熔断器，被取消的调用不计入
+    if (stats) {
+      this.circuitBreakers.recordResult(providerName, stats.model, stats);
+    }
+    
+    // 提供了复杂度评分时更新老虎机选择的统计
+    if (stats && stats.complexityScore !== undefined) {
+      this.bandit.recordOutcome(this.getComplexityBucket(stats.complexityScore), providerName, stats);
+    }
+    
     // 更新性能统计
     if (stats) {
       const currentStats = this.modelStats.get(providerName) || {
@@ -193,13 +620,18 @@ class ModelRouterService {
       };
       
       const totalCalls = currentStats.totalCalls + 1;
+      const responseTimes = currentStats.responseTimes || [];
       
       // 计算移动平均
       const newStats = {
         avgResponseTime: ((currentStats.avgResponseTime * currentStats.totalCalls) + stats.responseTime) / totalCalls,
         successRate: ((currentStats.successRate * currentStats.totalCalls) + (stats.success ? 1 : 0)) / totalCalls,
         costEfficiency: ((currentStats.costEfficiency * currentStats.totalCalls) + stats.costEfficiency) / totalCalls,
-        totalCalls
+        totalCalls,
+        // 失败调用的响应时间（如超时）不代表正常的响应速度，只保留成功调用的样本
+        responseTimes: stats.success
+          ? [...responseTimes, stats.responseTime].slice(-LATENCY_SAMPLE_SIZE)
+          : responseTimes
       };
       
       this.modelStats.set(providerName, newStats);
@@ -208,19 +640,122 @@ class ModelRouterService {
     logger.debug('模型使用结束', { provider: providerName });
   }
 
+  /**
+   * 执行一次模型调用并记录使用情况，调用结果计入熔断器、性能统计和并发数；
+   * 被取消的调用不计入提供商的成功率和响应时间
+   * @param {string} providerName - 提供商名称
+   * @param {string} model - 模型名称
+   * @param {Function} call - 执行调用，返回模型响应
+   * @param {Object} [options] - { signal, complexityScore }，提供复杂度评分时同时更新老虎机选择的统计
+   * @returns {Promise<Object>} 模型响应
+   */
+  async trackModelCall(providerName, model, call, { signal, complexityScore } = {}) {
+    const startTime = Date.now();
+    const startedAt = this.recordModelUseStart(providerName, model);
+    try {
+      const response = await call();
+      this.recordModelUseEnd(providerName, {
+        responseTime: Date.now() - startTime,
+        success: true,
+        costEfficiency: 1 / (response.cost || 0.001),
+        complexityScore,
+        model,
+        startedAt
+      });
+      return response;
+    } catch (error) {
+      this.recordModelUseEnd(providerName, signal?.aborted ? undefined : {
+        responseTime: Date.now() - startTime,
+        success: false,
+        costEfficiency: 0,
+        complexityScore,
+        model,
+        timedOut: isTimeoutError(error),
+        startedAt
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录对提供商回答质量的显式反馈，用于质量评分因子和老虎机选择
+   * @param {string} providerName - 提供商名称
+   * @param {number} complexityScore - 请求的复杂度评分
+   * @param {number} quality - 质量评分 (0-1)
+   */
+  recordFeedback(providerName, complexityScore, quality) {
+    const bucket = this.getComplexityBucket(complexityScore);
+    const buckets = this.qualityStats.get(providerName) || new Map();
+    const stats = buckets.get(bucket) || { count: 0, totalQuality: 0 };
+    
+    buckets.set(bucket, { count: stats.count + 1, totalQuality: stats.totalQuality + quality });
+    this.qualityStats.set(providerName, buckets);
+    this.bandit.recordFeedback(bucket, providerName, quality);
+  }
+  
+  /**
+   * 获取提供商的质量因子：该复杂度区间的平均质量评分，反馈不足时使用所有区间的平均值，仍然不足时为 0.5
+   * @param {string} providerName - 提供商名称
+   * @param {string} [bucket] - 复杂度区间
+   * @returns {number} 质量因子 (0-1)
+   */
+  getQualityScore(providerName, bucket) {
+    const minSamples = (config.feedback || {}).minSamples ?? 5;
+    const buckets = this.qualityStats.get(providerName) || new Map();
+    const bucketStats = buckets.get(bucket);
+    
+    if (bucketStats && bucketStats.count >= Math.max(minSamples, 1)) {
+      return bucketStats.totalQuality / bucketStats.count;
+    }
+    
+    const overall = [...buckets.values()].reduce(
+      (sum, stats) => ({ count: sum.count + stats.count, totalQuality: sum.totalQuality + stats.totalQuality }),
+      { count: 0, totalQuality: 0 }
+    );
+    return overall.count >= Math.max(minSamples, 1) ? overall.totalQuality / overall.count : 0.5;
+  }
+  
+  /**
+   * 获取提供商最近成功调用的响应时间百分位
+   * @param {string} providerName - 提供商名称
+   * @param {number} percentile - 百分位 (0-100)
+   * @param {number} [minSamples=1] - 所需的最少样本数
+   * @returns {number|null} 响应时间（毫秒），样本不足时为 null
+   */
+  getResponseTimePercentile(providerName, percentile, minSamples = 1) {
+    const samples = (this.modelStats.get(providerName) || {}).responseTimes || [];
+    if (samples.length === 0 || samples.length < minSamples) {
+      return null;
+    }
+    
+    const sorted = [...samples].sort((a, b) => a - b);
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+  }
+  
   /**
    * 获取备用模型
    * @param {string} primaryProvider - 主要提供商名称
    * @param {string} modelType - 模型类型
    * @param {Object} metadata - 请求元数据
+   * @param {Object} [rule] - 生效的路由规则，备用模型同样遵守规则指定或排除的提供商
    * @returns {Object} 备用模型信息
    */
-  getBackupModel(primaryProvider, modelType, metadata) {
+  getBackupModel(primaryProvider, modelType, metadata, rule = null) {
+    // 规则指定了提供商时只在指定的提供商之间切换，不受模型类型限制
+    const pinned = Boolean(rule && rule.action.pin);
+    
     // 获取除主要提供商外的其他可用提供商
-    const availableProviders = this.getAvailableProviders(modelType, metadata)
-      .filter(provider => provider.name !== primaryProvider);
+    const availableProviders = RoutingRuleEngine.filterProviders(
+      this.getAvailableProviders(pinned ? null : modelType, metadata),
+      rule
+    ).filter(provider => provider.name !== primaryProvider);
     
     if (availableProviders.length === 0) {
+      if (pinned) {
+        return null;
+      }
+      
       // 如果没有其他同类型的提供商，尝试降级到更简单的模型类型
       const fallbackTypes = {
         'remote': 'hybrid',
@@ -229,7 +764,7 @@ class ModelRouterService {
       
       const fallbackType = fallbackTypes[modelType];
       if (fallbackType) {
-        return this.getBackupModel(primaryProvider, fallbackType, metadata);
+        return this.getBackupModel(primaryProvider, fallbackType, metadata, rule);
       }
       
       // 如果没有备用选项，返回null
@@ -237,23 +772,64 @@ class ModelRouterService {
     }
     
     // 选择最佳备用提供商
-    const backupProvider = this.selectBestProvider(availableProviders, 0.5, metadata);
+    const backupProvider = this.selectBestProvider(availableProviders, 0.5, metadata, this.getScoringWeights(rule));
     
     return {
       provider: backupProvider.name,
       modelType,
       modelConfig: backupProvider.config,
+      model: backupProvider.model,
       isBackup: true
     };
   }
 
+  /**
+   * 为指定的提供商和模型构建模型信息，不经过评分，供实验分组使用
+   * @param {string} providerName - 提供商名称
+   * @param {string} [model] - 模型名称，未指定时按路由的方式选择提供商的模型
+   * @param {string} modelType - 模型类型
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Object} metadata - 请求元数据
+   * @returns {Object|null} 模型信息；提供商离线、达到并发上限、熔断器打开，或模型缺少所需能力、上下文窗口不足时为 null
+   */
+  getSpecificModel(providerName, model, modelType, complexityScore, metadata) {
+    const providerConfig = this.modelProviders[providerName];
+    if (!providerConfig) {
+      return null;
+    }
+
+    const requirements = {
+      capabilities: getRequiredCapabilities(metadata),
+      tokens: getRequiredTokens(metadata)
+    };
+    const unavailableReason = this._unavailableReason(providerName, providerConfig, null);
+    const resolved = unavailableReason ? null : this._resolveModel(providerName, providerConfig, requirements, model);
+    if (unavailableReason || resolved.excludedReason) {
+      logger.info('指定的模型不可用', {
+        provider: providerName,
+        model,
+        reason: unavailableReason || resolved.excludedReason
+      });
+      return null;
+    }
+
+    return {
+      provider: providerName,
+      modelType,
+      modelConfig: providerConfig,
+      model: resolved.model,
+      estimatedCost: this.estimateCost(providerConfig, complexityScore, metadata)
+    };
+  }
+
   /**
    * 应用成本控制策略
    * @param {Object} modelInfo - 模型信息
    * @param {Object} metadata - 请求元数据
+   * @param {Object} [options] - 选项 { dryRun }，演练路由时只读取熔断器状态而不更新
    * @returns {Object} 可能被调整的模型信息
    */
-  applyCostControlStrategy(modelInfo, metadata) {
+  applyCostControlStrategy(modelInfo, metadata, options = {}) {
     // 检查是否超出预算限制
     const budget = metadata.budget ? parseFloat(metadata.budget) : Infinity;
     
@@ -269,13 +845,18 @@ class ModelRouterService {
         'hybrid': 'local'
       };
       
-      const fallbackType = fallbackTypes[modelInfo.modelType];
+      // 规则指定了提供商时不切换到其他提供商
+      const rule = modelInfo.routingRule || null;
+      const fallbackType = rule && rule.action.pin ? null : fallbackTypes[modelInfo.modelType];
       if (fallbackType) {
-        // 获取降级模型类型的提供商
-        const availableProviders = this.getAvailableProviders(fallbackType, metadata);
+        // 获取降级模型类型的提供商，排除规则排除的提供商
+        const availableProviders = RoutingRuleEngine.filterProviders(
+          this.getAvailableProviders(fallbackType, metadata, options),
+          rule
+        );
         
         if (availableProviders.length > 0) {
-          const cheaperProvider = this.selectBestProvider(availableProviders, 0.5, metadata);
+          const cheaperProvider = this.selectBestProvider(availableProviders, 0.5, metadata, this.getScoringWeights(rule));
           const cheaperCost = this.estimateCost(cheaperProvider.config, 0.5, metadata);
           
           if (cheaperCost <= budget) {
@@ -288,7 +869,9 @@ class ModelRouterService {
               provider: cheaperProvider.name,
               modelType: fallbackType,
               modelConfig: cheaperProvider.config,
+              model: cheaperProvider.model,
               estimatedCost: cheaperCost,
+              routingRule: rule,
               costControlled: true
             };
           }
@@ -0,0 +1,42 @@
+/**
+ * 按能力选择模型提供商
+ * 用于嵌入向量、分类等不经过复杂度路由的任务
+ */
+const { adapterManager } = require('../adapters');
+
+// 适配器类型优先级，本地模型没有调用成本
+const TYPE_PRIORITY = { local: 0, hybrid: 1, remote: 2 };
+
+/**
+ * 确定具备指定能力的候选提供商及尝试顺序
+ * 请求指定了提供商时只返回该提供商；否则首选提供商优先，其余按本地、混合、远程排序
+ * @param {string} capability - 能力名称
+ * @param {Object} request - 预处理后的请求对象
+ * @param {Object} metadata - 请求元数据
+ * @returns {Array<{name: string, adapter: BaseModelAdapter}>} 候选提供商，可能为空
+ */
+function selectProvidersByCapability(capability, request, metadata = {}) {
+  const candidates = adapterManager.getAdaptersByCapability(capability);
+
+  if (request.provider) {
+    return candidates.filter(({ name }) => name === request.provider);
+  }
+
+  const preferred = metadata.preferredProvider;
+  const priorityOf = ({ adapter }) => TYPE_PRIORITY[adapter.getType()] ?? 3;
+
+  return candidates
+    .map((candidate, order) => ({ candidate, order }))
+    .sort((a, b) => {
+      if (preferred && (a.candidate.name === preferred) !== (b.candidate.name === preferred)) {
+        return a.candidate.name === preferred ? -1 : 1;
+      }
+      const priorityDiff = priorityOf(a.candidate) - priorityOf(b.candidate);
+      return priorityDiff !== 0 ? priorityDiff : a.order - b.order;
+    })
+    .map(({ candidate }) => candidate);
+}
+
+module.exports = {
+  selectProvidersByCapability
+};
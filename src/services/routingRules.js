@@ -0,0 +1,305 @@
+/**
+ * 声明式路由规则
+ * 规则按顺序匹配请求的元数据、租户、能力、查询长度、语言、复杂度和时间段，第一条匹配的规则生效，
+ * 在提供商评分之前指定或排除提供商、覆盖评分权重或指定模型名称
+ */
+const { getRequiredCapabilities } = require('./capabilities');
+
+// 可用的匹配条件
+const MATCH_KEYS = ['metadata', 'tenant', 'capability', 'queryLength', 'language', 'complexity', 'timeOfDay'];
+
+// 可用的动作
+const ACTION_KEYS = ['pin', 'exclude', 'weights', 'model'];
+
+// 提供商评分权重名称
+const WEIGHT_KEYS = ['load', 'costEfficiency', 'performance', 'reliability', 'quality'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * 将单个值或数组统一为数组
+ * @param {*} value - 值
+ * @returns {Array} 数组
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 将 HH:MM 转换为当天的分钟数
+ * @param {string} time - 时间
+ * @returns {number} 分钟数
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * 获取指定时区中当天已过的分钟数
+ * @param {Date} now - 当前时间
+ * @param {string} [timeZone] - IANA 时区，默认使用服务器时区
+ * @returns {number} 分钟数
+ */
+function minutesOfDay(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone
+  }).formatToParts(now);
+  const part = type => Number(parts.find(item => item.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+/**
+ * 检查数值是否在 [min, max) 范围内
+ * @param {number} value - 数值
+ * @param {Object} range - { min, max }，均可省略
+ * @returns {boolean} 是否在范围内
+ */
+function inRange(value, { min = -Infinity, max = Infinity }) {
+  return value >= min && value < max;
+}
+
+// 各匹配条件的检查函数，返回不匹配的原因，匹配时返回 null
+const MATCHERS = {
+  metadata: (expected, context) => {
+    for (const [key, values] of Object.entries(expected)) {
+      const actual = context.metadata[key];
+      if (!toList(values).map(String).includes(actual)) {
+        return `元数据 ${key} 为 ${actual ?? '空'}，需要 ${toList(values).join('/')}`;
+      }
+    }
+    return null;
+  },
+  tenant: (expected, context) => (toList(expected).includes(context.tenant)
+    ? null
+    : `租户为 ${context.tenant ?? '空'}，需要 ${toList(expected).join('/')}`),
+  capability: (expected, context) => (toList(expected).some(capability => context.capabilities.includes(capability))
+    ? null
+    : `请求的能力 ${context.capabilities.join('/') || '空'} 不包含 ${toList(expected).join('/')}`),
+  queryLength: (expected, context) => (inRange(context.queryLength, expected)
+    ? null
+    : `查询长度 ${context.queryLength} 不在 [${expected.min ?? 0}, ${expected.max ?? '∞'}) 内`),
+  language: (expected, context) => (toList(expected).includes(context.language)
+    ? null
+    : `语言为 ${context.language ?? '空'}，需要 ${toList(expected).join('/')}`),
+  complexity: (expected, context) => (inRange(context.complexityScore, expected)
+    ? null
+    : `复杂度 ${context.complexityScore.toFixed(3)} 不在 [${expected.min ?? 0}, ${expected.max ?? '∞'}) 内`),
+  timeOfDay: (expected, context) => {
+    const now = minutesOfDay(context.now, expected.timezone);
+    const start = toMinutes(expected.start);
+    const end = toMinutes(expected.end);
+    // 开始时间晚于结束时间表示跨越午夜
+    const matched = start <= end ? now >= start && now < end : now >= start || now < end;
+    return matched ? null : `当前时间不在 ${expected.start}-${expected.end}${expected.timezone ? ` (${expected.timezone})` : ''} 内`;
+  }
+};
+
+/**
+ * 检查上下文是否满足所有匹配条件
+ * @param {Object} match - 匹配条件
+ * @param {Object} context - buildMatchContext 返回的匹配上下文
+ * @returns {Array<string>} 不匹配的原因，全部匹配时为空数组
+ */
+function evaluateMatch(match, context) {
+  return Object.entries(match)
+    .map(([key, expected]) => MATCHERS[key](expected, context))
+    .filter(Boolean);
+}
+
+/**
+ * 构建匹配上下文
+ * @param {number} complexityScore - 复杂度评分
+ * @param {Object} metadata - 请求元数据
+ * @param {Date} [now] - 当前时间
+ * @returns {Object} 匹配上下文
+ */
+function buildMatchContext(complexityScore, metadata = {}, now = new Date()) {
+  return {
+    metadata,
+    tenant: metadata.tenant,
+    capabilities: getRequiredCapabilities(metadata),
+    queryLength: Number(metadata.queryLength) || 0,
+    language: metadata.language,
+    complexityScore,
+    now
+  };
+}
+
+/**
+ * 验证范围条件
+ * @param {Object} range - { min, max }
+ * @returns {boolean} 是否有效
+ */
+function isValidRange(range) {
+  return range && typeof range === 'object' &&
+    (range.min === undefined || Number.isFinite(range.min)) &&
+    (range.max === undefined || Number.isFinite(range.max));
+}
+
+/**
+ * 验证匹配条件，路由规则和实验使用相同的匹配条件
+ * @param {Object} match - 匹配条件
+ * @param {string} label - 错误信息中的名称
+ * @throws {Error} 如果匹配条件无效
+ */
+function validateMatch(match, label) {
+  const unknownMatches = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+  if (unknownMatches.length > 0) {
+    throw new Error(`${label} 包含未知的匹配条件: ${unknownMatches.join(', ')}，可用条件: ${MATCH_KEYS.join(', ')}`);
+  }
+  for (const key of ['queryLength', 'complexity']) {
+    if (match[key] !== undefined && !isValidRange(match[key])) {
+      throw new Error(`${label} 的 ${key} 必须是 { min, max } 形式的数值范围`);
+    }
+  }
+  if (match.timeOfDay !== undefined &&
+      !(TIME_PATTERN.test(match.timeOfDay.start) && TIME_PATTERN.test(match.timeOfDay.end))) {
+    throw new Error(`${label} 的 timeOfDay 必须包含 HH:MM 格式的 start 和 end`);
+  }
+  if (match.timeOfDay && match.timeOfDay.timezone) {
+    minutesOfDay(new Date(), match.timeOfDay.timezone);
+  }
+}
+
+/**
+ * 验证一条规则
+ * @param {Object} rule - 规则
+ * @param {number} index - 规则位置
+ * @param {Array<string>} providerNames - 已配置的提供商
+ * @throws {Error} 如果规则无效
+ */
+function validateRule(rule, index, providerNames) {
+  const label = `路由规则 ${rule && rule.name ? rule.name : `#${index + 1}`}`;
+
+  if (!rule || typeof rule.name !== 'string' || !rule.name) {
+    throw new Error(`${label} 缺少 name`);
+  }
+
+  validateMatch(rule.match || {}, label);
+
+  const action = rule.action || {};
+  const actionKeys = Object.keys(action);
+  if (actionKeys.length === 0 || actionKeys.some(key => !ACTION_KEYS.includes(key))) {
+    throw new Error(`${label} 的 action 只能包含 ${ACTION_KEYS.join(', ')}，且至少包含一项`);
+  }
+
+  const referenced = [...toList(action.pin || []), ...toList(action.exclude || [])];
+  const unknownProviders = referenced.filter(name => !providerNames.includes(name));
+  if (unknownProviders.length > 0) {
+    throw new Error(`${label} 引用了未配置的提供商: ${unknownProviders.join(', ')}`);
+  }
+
+  const weights = action.weights || {};
+  const invalidWeights = Object.entries(weights)
+    .filter(([key, value]) => !WEIGHT_KEYS.includes(key) || !(value >= 0))
+    .map(([key]) => key);
+  if (invalidWeights.length > 0) {
+    throw new Error(`${label} 的权重无效: ${invalidWeights.join(', ')}，可用权重: ${WEIGHT_KEYS.join(', ')}`);
+  }
+}
+
+/**
+ * 路由规则引擎
+ */
+class RoutingRuleEngine {
+  /**
+   * 创建路由规则引擎
+   * @param {Array<Object>} rules - 按优先级排列的规则
+   * @param {Array<string>} providerNames - 已配置的提供商，用于检查规则引用的提供商
+   * @throws {Error} 如果规则无效
+   */
+  constructor(rules = [], providerNames = []) {
+    const names = new Set();
+    rules.forEach((rule, index) => {
+      validateRule(rule, index, providerNames);
+      if (names.has(rule.name)) {
+        throw new Error(`路由规则名称重复: ${rule.name}`);
+      }
+      names.add(rule.name);
+    });
+    this.rules = rules;
+  }
+
+  /**
+   * 构建规则匹配上下文
+   * @param {number} complexityScore - 复杂度评分
+   * @param {Object} metadata - 请求元数据
+   * @param {Date} [now] - 当前时间
+   * @returns {Object} 匹配上下文
+   */
+  buildContext(complexityScore, metadata = {}, now = new Date()) {
+    return buildMatchContext(complexityScore, metadata, now);
+  }
+
+  /**
+   * 按顺序匹配规则
+   * @param {Object} context - buildContext 返回的匹配上下文
+   * @returns {Object} { rule, evaluations }，rule 为第一条匹配的规则（没有时为 null），
+   *   evaluations 为到该规则为止每条规则的匹配结果 { name, matched, mismatches }
+   */
+  match(context) {
+    const evaluations = [];
+
+    for (const rule of this.rules) {
+      const mismatches = evaluateMatch(rule.match || {}, context);
+      const matched = mismatches.length === 0;
+      evaluations.push({ name: rule.name, matched, mismatches });
+
+      if (matched) {
+        return { rule, evaluations };
+      }
+    }
+
+    return { rule: null, evaluations };
+  }
+
+  /**
+   * 按规则筛选候选提供商
+   * @param {Array<Object>} providers - 候选提供商 { name, config }
+   * @param {Object} [rule] - 生效的规则
+   * @returns {Array<Object>} 筛选后的提供商
+   */
+  static filterProviders(providers, rule) {
+    if (!rule) {
+      return providers;
+    }
+
+    const { pin, exclude } = rule.action;
+    return providers.filter(({ name }) =>
+      (!pin || toList(pin).includes(name)) && !(exclude && toList(exclude).includes(name))
+    );
+  }
+
+  /**
+   * 判断提供商被规则排除的原因
+   * @param {string} providerName - 提供商名称
+   * @param {Object} [rule] - 生效的规则
+   * @returns {string|null} 排除原因，未被排除时为 null
+   */
+  static exclusionReason(providerName, rule) {
+    if (!rule) {
+      return null;
+    }
+
+    const { pin, exclude } = rule.action;
+    if (pin && !toList(pin).includes(providerName)) {
+      return `规则 ${rule.name} 指定了其他提供商`;
+    }
+    if (exclude && toList(exclude).includes(providerName)) {
+      return `规则 ${rule.name} 排除了该提供商`;
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  RoutingRuleEngine,
+  WEIGHT_KEYS,
+  validateMatch,
+  evaluateMatch,
+  buildMatchContext
+};
@@ -0,0 +1,254 @@
+/**
+ * 影子流量
+ * 按采样比例把已完成的请求异步发送到影子提供商，不影响返回给调用方的响应；
+ * 影子调用有独立的并发上限和预算，两者的输出并排保存，供离线比较和对比报告使用
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { SharedBudget } = require('../utils/budget');
+const { wordSimilarity } = require('../utils/text');
+const { adapterManager } = require('../adapters');
+const modelRouterService = require('./modelRouterService');
+
+/**
+ * 获取影子流量配置
+ * @returns {Object} config.shadow
+ */
+function getSettings() {
+  return config.shadow || {};
+}
+
+/**
+ * 计算平均值
+ * @param {Array<number>} values - 数值
+ * @returns {number} 平均值，没有数值时为 0
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+class ShadowTraffic {
+  /**
+   * @param {Function} [random] - 返回 [0, 1) 随机数，用于采样，便于测试
+   * @param {Function} [now] - 返回当前毫秒时间戳，便于测试
+   */
+  constructor(random = Math.random, now = Date.now) {
+    this.random = random;
+    this.now = now;
+    this.records = []; // 按完成顺序排列的对比记录
+    this.pending = new Set(); // 进行中的影子调用
+    this.skipped = { concurrency: 0, budget: 0 };
+    this.budget = null;
+    this.budgetWindowStart = 0;
+    this.outputDir = null; // 已创建的输出目录
+  }
+
+  /**
+   * 是否启用影子流量
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const settings = getSettings();
+    return Boolean(settings.enabled && settings.provider && (config.modelProviders || {})[settings.provider]);
+  }
+
+  /**
+   * 获取当前预算周期的预算，周期结束后重新开始计算
+   * @private
+   * @returns {SharedBudget} 预算
+   */
+  _getBudget() {
+    const { budget = 1, budgetWindowMs = 86400000 } = getSettings();
+    const now = this.now();
+
+    if (!this.budget || now - this.budgetWindowStart >= budgetWindowMs) {
+      this.budget = new SharedBudget(budget);
+      this.budgetWindowStart = now;
+    }
+    return this.budget;
+  }
+
+  /**
+   * 按采样比例把请求发送到影子提供商
+   * 主模型就是影子提供商、未被采样、达到并发上限或估算成本超出预算时不发送。
+   * 影子调用不记录到路由服务的统计中，失败也只记录在对比记录里
+   * @param {Object} request - 已完成的请求
+   * @param {string} request.requestId - 请求 ID
+   * @param {Object} request.query - 发送给主模型的查询对象 { text, context, complexityScore }
+   * @param {Object} request.options - 发送给主模型的调用选项，不包括取消信号和截止时间
+   * @param {Object} request.metadata - 请求元数据
+   * @param {Object} request.primary - 主模型的结果 { provider, model, response, latency, cost }
+   * @returns {Promise<Object|null>} 对比记录，不发送时为 null；不会被拒绝
+   */
+  mirror({ requestId, query, options, metadata, primary }) {
+    const settings = getSettings();
+    if (!this.isEnabled() || primary.provider === settings.provider || this.random() >= (settings.sampleRate ?? 0.05)) {
+      return Promise.resolve(null);
+    }
+
+    if (this.pending.size >= (settings.maxConcurrent ?? 4)) {
+      this.skipped.concurrency += 1;
+      logger.debug('影子调用达到并发上限，跳过', { requestId });
+      return Promise.resolve(null);
+    }
+
+    const providerConfig = config.modelProviders[settings.provider];
+    const model = settings.model || providerConfig.defaultModel || 'default';
+    const estimatedCost = modelRouterService.estimateCost(providerConfig, query.complexityScore, metadata);
+    const budget = this._getBudget();
+    let reservation;
+    try {
+      reservation = budget.reserve(estimatedCost);
+    } catch (error) {
+      this.skipped.budget += 1;
+      logger.debug('影子调用超出预算，跳过', { requestId, estimatedCost, remaining: budget.remaining() });
+      return Promise.resolve(null);
+    }
+
+    const run = async () => {
+      const startTime = this.now();
+      const shadow = { provider: settings.provider, model, response: '', latency: 0, cost: 0, error: '' };
+
+      try {
+        const response = await adapterManager.callModel(settings.provider, model, query, options);
+        shadow.response = response.text || '';
+        shadow.cost = response.cost || estimatedCost;
+        budget.commit(reservation, shadow.cost);
+      } catch (error) {
+        shadow.error = error.message;
+        budget.release(reservation);
+      }
+      shadow.latency = this.now() - startTime;
+
+      return this._record({
+        requestId,
+        recordedAt: new Date(this.now()).toISOString(),
+        query: query.text,
+        complexityScore: query.complexityScore,
+        primary,
+        shadow,
+        similarity: shadow.error ? null : wordSimilarity(primary.response, shadow.response)
+      });
+    };
+
+    const promise = run().catch((error) => {
+      logger.error('影子调用处理失败', { requestId, error: error.message });
+      return null;
+    });
+    this.pending.add(promise);
+    promise.then(() => this.pending.delete(promise));
+    return promise;
+  }
+
+  /**
+   * 保存对比记录，超过 maxRecords 时丢弃最早的记录；配置了 outputFile 时同时追加写入 JSON Lines 文件，
+   * 写入失败只记录日志
+   * @private
+   * @param {Object} record - 对比记录
+   * @returns {Object} 对比记录
+   */
+  _record(record) {
+    const { maxRecords = 1000, outputFile } = getSettings();
+
+    this.records.push(record);
+    if (this.records.length > maxRecords) {
+      this.records.splice(0, this.records.length - maxRecords);
+    }
+
+    if (outputFile) {
+      const outputDir = path.dirname(outputFile);
+      if (this.outputDir !== outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        this.outputDir = outputDir;
+      }
+      fs.appendFile(outputFile, `${JSON.stringify(record)}\n`, (error) => {
+        if (error) {
+          logger.error('写入影子流量记录失败', { outputFile, error: error.message });
+        }
+      });
+    }
+    return record;
+  }
+
+  /**
+   * 等待所有进行中的影子调用完成
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * 获取最近的对比记录
+   * @param {number} [limit] - 条数
+   * @returns {Array<Object>} 从新到旧排列的对比记录
+   */
+  listRecords(limit = 100) {
+    return this.records.slice(-limit).reverse();
+  }
+
+  /**
+   * 生成对比报告，按主模型提供商和影子模型分组比较延迟、成本和输出的词语重合度
+   * 延迟和成本只统计影子调用成功的记录
+   * @returns {Object} { enabled, settings, budget, skipped, pending, comparisons }
+   */
+  getReport() {
+    const groups = new Map();
+    for (const record of this.records) {
+      const key = `${record.primary.provider}>${record.shadow.provider}/${record.shadow.model}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(record);
+    }
+
+    const comparisons = [...groups.values()].map((records) => {
+      const succeeded = records.filter(record => !record.shadow.error);
+      return {
+        primaryProvider: records[0].primary.provider,
+        shadowProvider: records[0].shadow.provider,
+        shadowModel: records[0].shadow.model,
+        count: records.length,
+        shadowErrorRate: (records.length - succeeded.length) / records.length,
+        primaryAverageLatency: average(succeeded.map(record => record.primary.latency)),
+        shadowAverageLatency: average(succeeded.map(record => record.shadow.latency)),
+        primaryTotalCost: succeeded.reduce((sum, record) => sum + record.primary.cost, 0),
+        shadowTotalCost: succeeded.reduce((sum, record) => sum + record.shadow.cost, 0),
+        averageSimilarity: average(succeeded.map(record => record.similarity))
+      };
+    });
+
+    const { budget: limit = 1, budgetWindowMs = 86400000 } = getSettings();
+    const budget = this._getBudget();
+    return {
+      enabled: this.isEnabled(),
+      settings: { ...getSettings() },
+      budget: {
+        limit,
+        spent: budget.spent,
+        remaining: budget.remaining(),
+        windowEndsAt: new Date(this.budgetWindowStart + budgetWindowMs).toISOString()
+      },
+      skipped: { ...this.skipped },
+      pending: this.pending.size,
+      comparisons
+    };
+  }
+
+  /**
+   * 清空对比记录和跳过次数
+   */
+  reset() {
+    this.records = [];
+    this.skipped = { concurrency: 0, budget: 0 };
+  }
+}
+
+const shadowTraffic = new ShadowTraffic();
+
+module.exports = {
+  ShadowTraffic,
+  shadowTraffic
+};
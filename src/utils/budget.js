@@ -0,0 +1,75 @@
+/**
+ * 共享预算工具
+ * 用于多个请求共用一个总预算的场景，例如批量请求
+ */
+const { Errors } = require('./errors');
+
+class SharedBudget {
+  /**
+   * 创建共享预算
+   * @param {number} [limit] - 总预算（美元），不提供或不大于 0 时不限制
+   * @param {number} [alreadySpent] - 已花费的成本，例如恢复批量任务时之前运行的成本
+   */
+  constructor(limit, alreadySpent = 0) {
+    this.limit = limit > 0 ? limit : Infinity;
+    this.spent = Math.max(0, alreadySpent || 0);
+    this.reserved = 0;
+  }
+
+  /**
+   * 获取剩余可用预算，已预留但尚未结算的金额不可用
+   * @returns {number} 剩余预算
+   */
+  remaining() {
+    return Math.max(0, this.limit - this.spent - this.reserved);
+  }
+
+  /**
+   * 为即将执行的请求预留估算成本
+   * @param {number} amount - 估算成本
+   * @returns {Object} 预留记录，用于结算或释放
+   * @throws {GatewayError} 如果剩余预算不足
+   */
+  reserve(amount) {
+    const reservation = { amount: Math.max(0, amount || 0), settled: false };
+
+    if (reservation.amount > this.remaining()) {
+      throw Errors.costLimitExceeded(`估算成本 ${reservation.amount} 超出共享预算剩余额度 ${this.remaining()}`);
+    }
+
+    this.reserved += reservation.amount;
+    return reservation;
+  }
+
+  /**
+   * 按实际成本结算预留
+   * @param {Object} reservation - 预留记录
+   * @param {number} actualCost - 实际成本
+   */
+  commit(reservation, actualCost) {
+    if (reservation.settled) {
+      return;
+    }
+
+    reservation.settled = true;
+    this.reserved -= reservation.amount;
+    this.spent += actualCost || 0;
+  }
+
+  /**
+   * 释放未使用的预留
+   * @param {Object} reservation - 预留记录
+   */
+  release(reservation) {
+    if (reservation.settled) {
+      return;
+    }
+
+    reservation.settled = true;
+    this.reserved -= reservation.amount;
+  }
+}
+
+module.exports = {
+  SharedBudget
+};
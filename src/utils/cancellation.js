@@ -0,0 +1,115 @@
+/**
+ * 取消和截止时间工具
+ * 将 gRPC 调用的取消和截止时间转换为 AbortSignal，供模型调用链路中止进行中的 HTTP 请求
+ */
+const config = require('../config');
+const { Errors } = require('./errors');
+
+/**
+ * 为 gRPC 调用创建取消信号
+ * 客户端取消调用时以 REQUEST_CANCELLED 中止，到达截止时间时以 DEADLINE_EXCEEDED 中止
+ * @param {Object} call - gRPC 调用对象
+ * @returns {Object} { signal, deadline, dispose }，deadline 为毫秒时间戳，没有截止时间时为 null；
+ *   调用结束后必须调用 dispose 释放定时器和监听器
+ */
+function createCallSignal(call) {
+  const controller = new AbortController();
+  const deadline = getCallDeadline(call);
+  let timer = null;
+
+  if (deadline !== null) {
+    timer = setTimeout(
+      () => controller.abort(Errors.deadlineExceeded()),
+      Math.max(0, deadline - Date.now())
+    );
+  }
+
+  // gRPC 在到达截止时间时同样会触发 cancelled 事件
+  const onCancelled = () => controller.abort(deadline !== null && Date.now() >= deadline
+    ? Errors.deadlineExceeded()
+    : Errors.requestCancelled('客户端已取消请求'));
+  if (typeof call.on === 'function') {
+    call.on('cancelled', onCancelled);
+  }
+
+  return {
+    signal: controller.signal,
+    deadline,
+    dispose: () => {
+      clearTimeout(timer);
+      if (typeof call.removeListener === 'function') {
+        call.removeListener('cancelled', onCancelled);
+      }
+    }
+  };
+}
+
+/**
+ * 获取 gRPC 调用的截止时间
+ * @param {Object} call - gRPC 调用对象
+ * @returns {number|null} 毫秒时间戳，没有截止时间时为 null
+ */
+function getCallDeadline(call) {
+  if (typeof call.getDeadline !== 'function') {
+    return null;
+  }
+
+  const deadline = call.getDeadline();
+  const timestamp = deadline instanceof Date ? deadline.getTime() : Number(deadline);
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+/**
+ * 获取信号被中止的原因
+ * @param {AbortSignal} signal - 已中止的信号
+ * @returns {GatewayError} REQUEST_CANCELLED 或 DEADLINE_EXCEEDED 错误
+ */
+function getAbortError(signal) {
+  return signal.reason && signal.reason.name === 'GatewayError'
+    ? signal.reason
+    : Errors.requestCancelled();
+}
+
+/**
+ * 信号已中止时抛出中止原因
+ * @param {AbortSignal} [signal] - 取消信号
+ * @throws {GatewayError} 如果信号已中止
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw getAbortError(signal);
+  }
+}
+
+/**
+ * 判断距离截止时间是否还有足够的时间再发起一次模型调用
+ * @param {number|null} [deadline] - 截止时间（毫秒时间戳）
+ * @returns {boolean} 没有截止时间或剩余时间不少于 config.cancellation.minRemainingMs 时为 true
+ */
+function hasTimeRemaining(deadline) {
+  if (!deadline) {
+    return true;
+  }
+  return deadline - Date.now() >= config.cancellation.minRemainingMs;
+}
+
+/**
+ * 计算单次 HTTP 请求的超时时间，不超过距离截止时间的剩余时间
+ * @param {number} timeout - 适配器配置的超时时间（毫秒）
+ * @param {number|null} [deadline] - 截止时间（毫秒时间戳）
+ * @returns {number} 超时时间（毫秒）
+ */
+function getRequestTimeout(timeout, deadline) {
+  if (!deadline) {
+    return timeout;
+  }
+  return Math.max(1, Math.min(timeout, deadline - Date.now()));
+}
+
+module.exports = {
+  createCallSignal,
+  getAbortError,
+  throwIfAborted,
+  hasTimeRemaining,
+  getRequestTimeout
+};
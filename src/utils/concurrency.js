@@ -0,0 +1,32 @@
+/**
+ * 并发控制工具
+ */
+
+/**
+ * 以有限的并发数依次处理列表中的每一项
+ * 结果按输入顺序返回；处理函数抛出的错误会使整体失败，调用方需要自行捕获单项错误
+ * @param {Array} items - 待处理的列表
+ * @param {number} limit - 最大并发数
+ * @param {Function} worker - 处理函数，接收 (item, index)，返回 Promise
+ * @returns {Promise<Array>} 按输入顺序排列的处理结果
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
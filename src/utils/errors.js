@@ -8,6 +8,20 @@ const ErrorCodeToGrpcStatus = {
   MODEL_UNAVAILABLE: 14, // UNAVAILABLE
   COMPLEXITY_EVALUATION_FAILED: 2, // UNKNOWN
   COST_LIMIT_EXCEEDED: 8, // RESOURCE_EXHAUSTED
+  REQUEST_CANCELLED: 1, // CANCELLED
+  DEADLINE_EXCEEDED: 4, // DEADLINE_EXCEEDED
+  UNAUTHENTICATED: 16, // UNAUTHENTICATED
+};
+
+// 错误代码映射到HTTP状态码
+const ErrorCodeToHttpStatus = {
+  INVALID_REQUEST: 400,
+  MODEL_UNAVAILABLE: 503,
+  COMPLEXITY_EVALUATION_FAILED: 500,
+  COST_LIMIT_EXCEEDED: 429,
+  REQUEST_CANCELLED: 499,
+  DEADLINE_EXCEEDED: 504,
+  UNAUTHENTICATED: 401,
 };
 
 // 自定义错误类
@@ -23,6 +37,11 @@ class GatewayError extends Error {
     return ErrorCodeToGrpcStatus[this.code] || 2; // 默认为UNKNOWN
   }
 
+  // 获取对应的HTTP状态码
+  getHttpStatus() {
+    return ErrorCodeToHttpStatus[this.code] || 500;
+  }
+
   // 转换为ErrorResponse消息
   toErrorResponse() {
     return {
@@ -45,9 +64,40 @@ const Errors = {
   
   costLimitExceeded: (message = '超出成本限制') => 
     new GatewayError('COST_LIMIT_EXCEEDED', message),
+  
+  requestCancelled: (message = '请求已取消') => 
+    new GatewayError('REQUEST_CANCELLED', message),
+  
+  deadlineExceeded: (message = '请求已超过截止时间') => 
+    new GatewayError('DEADLINE_EXCEEDED', message),
+  
+  unauthenticated: (message = '缺少或无效的访问令牌') => 
+    new GatewayError('UNAUTHENTICATED', message),
 };
 
+/**
+ * 将错误转换为 gRPC 错误对象
+ * @param {Error} error - 错误对象
+ * @returns {Object} gRPC 错误
+ */
+function toGrpcError(error) {
+  if (error.name === 'GatewayError') {
+    return {
+      code: error.getGrpcStatus(),
+      message: error.message,
+      details: JSON.stringify(error.toErrorResponse())
+    };
+  }
+  
+  return {
+    code: 13, // INTERNAL
+    message: '内部服务器错误',
+    details: error.message
+  };
+}
+
 module.exports = {
   GatewayError,
-  Errors
+  Errors,
+  toGrpcError
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Server-Sent Events 解析工具
+ * 用于解析模型提供商返回的流式响应
+ */
+
+/**
+ * 解析 SSE 数据流
+ * @param {stream.Readable} stream - 可读数据流
+ * @param {Function} onEvent - 事件回调，接收 { event, data }
+ * @returns {Promise<void>} 数据流结束时完成
+ */
+function parseSSEStream(stream, onEvent) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let eventName = null;
+    let dataLines = [];
+    let settled = false;
+
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        stream.destroy();
+        reject(error);
+      }
+    };
+
+    // 派发已累积的事件
+    const dispatch = () => {
+      if (dataLines.length === 0) {
+        eventName = null;
+        return;
+      }
+
+      const event = {
+        event: eventName || 'message',
+        data: dataLines.join('\n')
+      };
+      eventName = null;
+      dataLines = [];
+      onEvent(event);
+    };
+
+    const processLine = (line) => {
+      if (line === '') {
+        dispatch();
+        return;
+      }
+
+      // 注释行
+      if (line.startsWith(':')) {
+        return;
+      }
+
+      const separatorIndex = line.indexOf(':');
+      const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+      let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+
+      if (field === 'event') {
+        eventName = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    };
+
+    stream.setEncoding('utf8');
+
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      // 末尾的 \r 可能是跨数据块的 \r\n 的前半部分，留到下一个数据块再切分，避免多出一个空行而提前派发事件
+      const complete = buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer;
+      const lines = complete.split(/\r\n|\r|\n/);
+      buffer = lines.pop() + buffer.slice(complete.length);
+
+      try {
+        lines.forEach(processLine);
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('end', () => {
+      try {
+        // 流结束时末尾的 \r 只能是行结束符
+        const line = buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer;
+        if (line) {
+          processLine(line);
+        }
+        dispatch();
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      if (!settled) {
+        settled = true;
+        resolve();
+      }
+    });
+
+    stream.on('error', fail);
+
+    // 数据流被销毁（例如请求被取消）时不会触发 end 事件
+    stream.on('close', () => fail(new Error('数据流在结束前被关闭')));
+  });
+}
+
+/**
+ * 解析 SSE 事件携带的 JSON 数据
+ * 保活消息等不是 JSON 的数据被忽略；提供商在流中途返回的错误消息（{ error: ... }）作为错误抛出
+ * @param {Object} event - SSE 事件 { event, data }
+ * @returns {Object|null} 解析后的数据，不是 JSON 时为 null
+ * @throws {Error} 如果数据是错误消息
+ */
+function parseEventData(event) {
+  let payload;
+  try {
+    payload = JSON.parse(event.data);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload && payload.error) {
+    const message = typeof payload.error === 'string'
+      ? payload.error
+      : payload.error.message || JSON.stringify(payload.error);
+    throw new Error(`流式响应错误: ${message}`);
+  }
+  return payload && typeof payload === 'object' ? payload : null;
+}
+
+module.exports = {
+  parseSSEStream,
+  parseEventData
+};
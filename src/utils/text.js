@@ -0,0 +1,141 @@
+/**
+ * 多语言文本工具
+ * 中文、日文和韩文不使用空格分词，句子以全角标点结束，按空格和半角标点处理会把整段文字当作一个词和一个句子
+ */
+
+// CJK 统一表意文字及扩展、兼容表意文字
+const HAN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+// 平假名、片假名及半角片假名
+const KANA = /[\u3040-\u309f\u30a0-\u30ff\uff66-\uff9f]/g;
+// 韩文音节和字母
+const HANGUL = /[\uac00-\ud7af\u1100-\u11ff\u3130-\u318f]/g;
+const LATIN = /[A-Za-z\u00c0-\u024f]/g;
+
+// 句子结束标点：半角标点后需跟空白或位于末尾，避免拆开小数和网址
+const SENTENCE_END = /[.!?]+(?=\s|$)|[。！？]+/;
+
+// 每个 CJK 字符折算的拉丁字母数，用于在不同文字之间比较词长
+const CJK_CHAR_WEIGHT = 3;
+
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+/**
+ * 统计匹配正则的字符数
+ * @param {string} text - 文本
+ * @param {RegExp} pattern - 全局正则
+ * @returns {number} 字符数
+ */
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * 统计各文字的字符数
+ * @param {string} text - 文本
+ * @returns {Object} { han, kana, hangul, latin, cjk }
+ */
+function countScripts(text) {
+  const han = countMatches(text, HAN);
+  const kana = countMatches(text, KANA);
+  const hangul = countMatches(text, HANGUL);
+  const latin = countMatches(text, LATIN);
+
+  return { han, kana, hangul, latin, cjk: han + kana + hangul };
+}
+
+/**
+ * 检测文本的主要语言
+ * 含有假名时判断为日文，含有韩文字母时判断为韩文，否则 CJK 文字判断为中文；
+ * CJK 文字和拉丁字母都占有一定比例时判断为混合文本
+ * @param {string} text - 文本
+ * @returns {string} zh、ja、ko、en、mixed 或 unknown
+ */
+function detectLanguage(text) {
+  const counts = countScripts(text || '');
+  const letters = counts.cjk + counts.latin;
+
+  if (letters === 0) {
+    return 'unknown';
+  }
+
+  // 一个 CJK 字符的信息量大致相当于多个拉丁字母
+  const cjkShare = counts.cjk * CJK_CHAR_WEIGHT / (counts.cjk * CJK_CHAR_WEIGHT + counts.latin);
+  if (cjkShare < 0.2) {
+    return 'en';
+  }
+  if (cjkShare < 0.8) {
+    return 'mixed';
+  }
+  if (counts.kana > 0) {
+    return 'ja';
+  }
+  return counts.hangul > counts.han ? 'ko' : 'zh';
+}
+
+/**
+ * 分词，CJK 文本按词典分词，其他文字按空格和标点分词；标点和空白不计入
+ * @param {string} text - 文本
+ * @returns {Array<string>} 词列表
+ */
+function segmentWords(text) {
+  return [...wordSegmenter.segment(text || '')]
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
+}
+
+/**
+ * 计算两段文本的词语重合度（不区分大小写的 Jaccard 系数）
+ * @param {string} first - 文本
+ * @param {string} second - 文本
+ * @returns {number} 重合度 (0-1)，两段文本都没有词语时为 1
+ */
+function wordSimilarity(first, second) {
+  const firstWords = new Set(segmentWords(first).map(word => word.toLowerCase()));
+  const secondWords = new Set(segmentWords(second).map(word => word.toLowerCase()));
+  const union = new Set([...firstWords, ...secondWords]);
+  const overlap = [...firstWords].filter(word => secondWords.has(word)).length;
+  return union.size > 0 ? overlap / union.size : 1;
+}
+
+/**
+ * 分句，支持全角句末标点（。！？）
+ * @param {string} text - 文本
+ * @returns {Array<string>} 非空句子列表
+ */
+function splitSentences(text) {
+  return (text || '').split(SENTENCE_END).filter(sentence => sentence.trim().length > 0);
+}
+
+/**
+ * 计算词长，CJK 字符按 CJK_CHAR_WEIGHT 个拉丁字母折算
+ * @param {string} word - 词
+ * @returns {number} 折算后的长度
+ */
+function weightedLength(word) {
+  const cjk = countScripts(word).cjk;
+  return (word.length - cjk) + cjk * CJK_CHAR_WEIGHT;
+}
+
+/**
+ * 估算文本的 token 数
+ * 主流分词器中每个 CJK 字符大约对应一个 token，其他文字大约每 4 个字符对应一个 token
+ * @param {string} text - 文本
+ * @returns {number} 估算的 token 数
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const cjk = countScripts(text).cjk;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+module.exports = {
+  detectLanguage,
+  segmentWords,
+  wordSimilarity,
+  splitSentences,
+  weightedLength,
+  estimateTokens
+};
@@ -0,0 +1,79 @@
+/**
+ * 管理接口测试
+ */
+
+jest.mock('../src/services/modelGatewayService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/monitoring', () => ({
+  initializeMonitoring: jest.fn()
+}));
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn(),
+    getAllCapabilities: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  httpBodyLimit: '1mb',
+  modelProviders: {},
+  routingRules: [],
+  admin: { port: 0, host: '127.0.0.1', token: 'secret' }
+}));
+
+const config = require('../src/config');
+const { createHttpApp, createAdminApp } = require('../src/http');
+
+// 在随机端口上启动应用，发送一次请求后关闭
+async function request(app, path, options = {}) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, options);
+    return { status: response.status, body: await response.text() };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('管理接口', () => {
+  afterEach(() => {
+    config.admin.token = 'secret';
+  });
+
+  test('客户端端口不应该提供管理接口', async () => {
+    const response = await request(createHttpApp(config), '/admin/shadow/records', {
+      headers: { Authorization: 'Bearer secret' }
+    });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('配置了访问令牌时应该拒绝缺少或错误令牌的请求', async () => {
+    const app = createAdminApp();
+
+    const missing = await request(app, '/admin/shadow/records');
+    const wrong = await request(app, '/admin/experiments/test/start', { method: 'POST', headers: { Authorization: 'Bearer wrong' } });
+    const valid = await request(app, '/admin/shadow/records', { headers: { Authorization: 'Bearer secret' } });
+
+    expect(missing.status).toBe(401);
+    expect(JSON.parse(missing.body).error.code).toBe('UNAUTHENTICATED');
+    expect(wrong.status).toBe(401);
+    expect(valid.status).toBe(200);
+    expect(JSON.parse(valid.body)).toEqual({ records: [] });
+  });
+
+  test('未配置访问令牌时管理端口不需要认证', async () => {
+    config.admin.token = '';
+
+    const response = await request(createAdminApp(), '/admin/bandit');
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * 老虎机提供商选择测试
+ */
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  recordCircuitTransition: jest.fn(),
+  getMetrics: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'remote-a': {
+      status: 'online',
+      supportedModelTypes: ['remote'],
+      defaultModel: 'model-a',
+      costEfficiency: 0.9
+    },
+    'remote-b': {
+      status: 'online',
+      supportedModelTypes: ['remote'],
+      defaultModel: 'model-b',
+      costEfficiency: 0.1
+    }
+  },
+  bandit: {
+    enabled: true,
+    explorationRate: 0.1,
+    halfLifeMs: 60000
+  },
+  routingRules: []
+}));
+
+const { BanditSelector } = require('../src/services/banditSelector');
+const modelRouterService = require('../src/services/modelRouterService');
+const adminAPI = require('../src/http/AdminAPI');
+
+const candidates = [{ name: 'a' }, { name: 'b' }];
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+}
+
+describe('BanditSelector', () => {
+  let now;
+  let bandit;
+
+  beforeEach(() => {
+    now = 0;
+    bandit = new BanditSelector({ explorationRate: 0.1, halfLifeMs: 1000 }, () => now);
+  });
+
+  test('应该先尝试没有观测的提供商，再选择奖励更高的提供商', () => {
+    bandit.recordOutcome('high', 'a', { success: false, responseTime: 100 });
+    expect(bandit.select('high', candidates).name).toBe('b');
+
+    bandit.recordOutcome('high', 'b', { success: true, responseTime: 100 });
+    expect(bandit.select('high', candidates).name).toBe('b');
+  });
+
+  test('奖励应该考虑响应时间，各复杂度区间独立学习', () => {
+    bandit.recordOutcome('high', 'a', { success: true, responseTime: 8000 });
+    bandit.recordOutcome('high', 'b', { success: true, responseTime: 100 });
+    bandit.recordOutcome('low', 'a', { success: true, responseTime: 100 });
+    bandit.recordOutcome('low', 'b', { success: false, responseTime: 100 });
+
+    expect(bandit.select('high', candidates).name).toBe('b');
+    expect(bandit.select('low', candidates).name).toBe('a');
+  });
+
+  test('质量反馈应该按 feedbackWeight 计入奖励', () => {
+    bandit.recordOutcome('high', 'a', { success: true, responseTime: 0 });
+    bandit.recordOutcome('high', 'b', { success: true, responseTime: 0 });
+    bandit.recordFeedback('high', 'a', 0);
+
+    const state = bandit.getState().buckets.high;
+    expect(state.find(arm => arm.provider === 'a')).toMatchObject({ count: 3, meanReward: 1 / 3 });
+    expect(bandit.select('high', candidates).name).toBe('b');
+  });
+
+  test('较早的观测应该按半衰期衰减', () => {
+    for (let i = 0; i < 20; i++) {
+      bandit.recordOutcome('high', 'a', { success: false, responseTime: 0 });
+    }
+    bandit.recordOutcome('high', 'b', { success: true, responseTime: 0 });
+    expect(bandit.getState().buckets.high[0].count).toBe(20);
+
+    now = 1000;
+    expect(bandit.getState().buckets.high[0].count).toBeCloseTo(10);
+
+    // 提供商 a 恢复后，新的观测很快超过衰减后的旧观测
+    now = 10000;
+    for (let i = 0; i < 3; i++) {
+      bandit.recordOutcome('high', 'a', { success: true, responseTime: 0 });
+      bandit.recordOutcome('high', 'b', { success: false, responseTime: 0 });
+    }
+    expect(bandit.select('high', candidates).name).toBe('a');
+  });
+
+  test('探索系数越大越倾向于观测较少的提供商', () => {
+    const greedy = new BanditSelector({ explorationRate: 0 }, () => now);
+    const exploring = new BanditSelector({ explorationRate: 2 }, () => now);
+
+    for (const selector of [greedy, exploring]) {
+      for (let i = 0; i < 50; i++) {
+        selector.recordOutcome('high', 'a', { success: true, responseTime: 2000 });
+      }
+      selector.recordOutcome('high', 'b', { success: true, responseTime: 8000 });
+    }
+
+    expect(greedy.select('high', candidates).name).toBe('a');
+    expect(exploring.select('high', candidates).name).toBe('b');
+  });
+
+  test('应该按复杂度区间和提供商重置状态', () => {
+    bandit.recordOutcome('high', 'a', { success: true, responseTime: 0 });
+    bandit.recordOutcome('high', 'b', { success: true, responseTime: 0 });
+    bandit.recordOutcome('low', 'a', { success: true, responseTime: 0 });
+
+    expect(bandit.reset({ bucket: 'high', provider: 'a' })).toBe(1);
+    expect(bandit.getState().buckets.high.map(arm => arm.provider)).toEqual(['b']);
+    expect(bandit.reset()).toBe(2);
+    expect(bandit.getState().buckets).toEqual({});
+  });
+});
+
+describe('路由服务的老虎机选择', () => {
+  beforeEach(() => {
+    modelRouterService.bandit.reset();
+  });
+
+  test('应该从调用结果中学习，代替按评分贪心选择', () => {
+    const metadata = {};
+    // 没有观测时按评分顺序尝试
+    expect(modelRouterService.selectModelByComplexity(0.9, [], metadata).provider).toBe('remote-a');
+
+    modelRouterService.recordModelUseEnd('remote-a', { responseTime: 100, success: false, costEfficiency: 0, complexityScore: 0.9 });
+    expect(modelRouterService.selectModelByComplexity(0.9, [], metadata).provider).toBe('remote-b');
+
+    modelRouterService.recordModelUseEnd('remote-b', { responseTime: 100, success: true, costEfficiency: 1, complexityScore: 0.9 });
+    const plan = modelRouterService.planRoute(0.9, metadata);
+    expect(plan.bucket).toBe('high');
+    expect(plan.selected.name).toBe('remote-b');
+    expect(plan.candidates.find(candidate => candidate.name === 'remote-a').banditIndex).toBeLessThan(
+      plan.candidates.find(candidate => candidate.name === 'remote-b').banditIndex
+    );
+  });
+
+  test('质量反馈应该影响后续选择', () => {
+    const stats = { responseTime: 100, success: true, costEfficiency: 1, complexityScore: 0.9 };
+    modelRouterService.recordModelUseEnd('remote-a', stats);
+    modelRouterService.recordModelUseEnd('remote-b', stats);
+    modelRouterService.recordFeedback('remote-a', 0.9, 0);
+
+    expect(modelRouterService.selectModelByComplexity(0.9, [], {}).provider).toBe('remote-b');
+  });
+});
+
+describe('管理接口', () => {
+  beforeEach(() => {
+    modelRouterService.bandit.reset();
+    modelRouterService.recordFeedback('remote-a', 0.9, 1);
+    modelRouterService.recordFeedback('remote-b', 0.1, 1);
+  });
+
+  test('应该返回学习到的状态', () => {
+    const res = createResponse();
+    adminAPI.getBanditState({ query: {} }, res);
+
+    expect(res.body.enabled).toBe(true);
+    expect(res.body.settings.explorationRate).toBe(0.1);
+    expect(res.body.buckets.high).toHaveLength(1);
+    expect(res.body.buckets.high[0]).toMatchObject({ provider: 'remote-a', meanReward: 1 });
+    expect(res.body.buckets.high[0].count).toBeCloseTo(2);
+    expect(res.body.buckets.low[0].provider).toBe('remote-b');
+  });
+
+  test('应该重置状态，未知的复杂度区间返回 400', () => {
+    const res = createResponse();
+    adminAPI.resetBanditState({ query: { bucket: 'high' } }, res);
+    expect(res.body).toEqual({ reset: 1 });
+    expect(Object.keys(modelRouterService.bandit.getState().buckets)).toEqual(['low']);
+
+    const invalid = createResponse();
+    adminAPI.resetBanditState({ query: { bucket: 'extreme' } }, invalid);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.error.code).toBe('INVALID_REQUEST');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * 离线批量处理测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Errors } = require('../src/utils/errors');
+
+jest.mock('../src/services/modelGatewayService', () => ({
+  executeQuery: jest.fn()
+}));
+
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { runBatchFile } = require('../src/cli/batchRunner');
+const { main } = require('../src/cli');
+
+// 模拟模型调用：按共享预算预留并结算固定成本
+function mockModelCall(cost = 0.01) {
+  executeQuery.mockImplementation(async (request, { sharedBudget }) => {
+    if (request.query === '失败') {
+      throw Errors.modelUnavailable('模型不可用');
+    }
+    const reservation = sharedBudget.reserve(cost);
+    sharedBudget.commit(reservation, cost);
+    return {
+      request_id: request.request_id,
+      response: `回答: ${request.query}`,
+      model_used: 'local-llama',
+      complexity_score: 0.2,
+      cost,
+      token_usage: { input: 1, output: 2, total: 3 }
+    };
+  });
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('离线批量处理', () => {
+  let dir;
+  let input;
+  let output;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockModelCall();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+    input = path.join(dir, 'requests.jsonl');
+    output = path.join(dir, 'requests.results.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('应该逐行写入结果并报告无效的行', async () => {
+    fs.writeFileSync(input, '{"query": "你好"}\n不是JSON\n\n{"request_id": "r-3", "query": "失败"}\n');
+
+    const summary = await runBatchFile({ input, metadata: { source: 'cli' } });
+
+    expect(summary).toMatchObject({ output, total: 3, skipped: 0, succeeded: 1, failed: 2, total_cost: 0.01 });
+    expect(executeQuery.mock.calls[0][0].metadata).toEqual({ source: 'cli', batch_id: 'requests' });
+
+    const lines = readLines(output).sort((a, b) => a.index - b.index);
+    expect(lines.map(line => [line.index, line.request_id, line.status])).toEqual([
+      [0, 'requests-0', 'OK'],
+      [1, null, 'INVALID_REQUEST'],
+      [3, 'r-3', 'MODEL_UNAVAILABLE']
+    ]);
+    expect(lines[0]).toMatchObject({ response: '回答: 你好', provider: 'local-llama', cost: 0.01, error: null });
+    expect(lines[0].latency_ms).toEqual(expect.any(Number));
+    expect(lines[2].error).toBe('模型不可用');
+  });
+
+  test('应该跳过已有结果并忽略中断留下的不完整行', async () => {
+    fs.writeFileSync(input, '{"query": "一"}\n{"query": "二"}\n{"query": "三"}\n');
+    fs.writeFileSync(output, '{"index": 0, "request_id": "requests-0", "status": "OK", "cost": 0.01}\n{"index": 1, "requ');
+
+    const summary = await runBatchFile({ input, output });
+
+    expect(summary).toMatchObject({ total: 3, skipped: 1, succeeded: 2, total_cost: 0.03 });
+    expect(executeQuery.mock.calls.map(call => call[0].query)).toEqual(['二', '三']);
+
+    // 新结果从新的一行开始，不与不完整的行拼接
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines.slice(2).map(line => JSON.parse(line).index).sort()).toEqual([1, 2]);
+  });
+
+  test('继续运行时之前失败的请求应该计入失败数', async () => {
+    fs.writeFileSync(input, '{"query": "一"}\n{"query": "二"}\n');
+    fs.writeFileSync(output, '{"index": 0, "status": "MODEL_UNAVAILABLE", "cost": 0}\n');
+
+    const summary = await runBatchFile({ input, output });
+
+    expect(summary).toMatchObject({ skipped: 1, succeeded: 1, failed: 1 });
+    expect(executeQuery.mock.calls.map(call => call[0].query)).toEqual(['二']);
+  });
+
+  test('之前的成本应该计入预算，--retry-failed 重新执行失败的请求', async () => {
+    fs.writeFileSync(input, '{"query": "一"}\n{"query": "二"}\n{"query": "三"}\n');
+    fs.writeFileSync(output, [
+      '{"index": 0, "status": "OK", "cost": 0.01}',
+      '{"index": 1, "status": "MODEL_UNAVAILABLE", "cost": 0}',
+      ''
+    ].join('\n'));
+
+    const summary = await runBatchFile({ input, output, budget: 0.02, retryFailed: true, concurrency: 1 });
+
+    expect(summary).toMatchObject({ skipped: 1, succeeded: 1, failed: 1, total_cost: 0.02 });
+    const retried = readLines(output).filter(line => line.index === 1);
+    expect(retried[retried.length - 1].status).toBe('OK');
+  });
+
+  test('--concurrency 不是正整数时应该返回参数错误', async () => {
+    fs.writeFileSync(input, '{"query": "一"}\n');
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const code = await main(['batch', input, '--output', output, '--concurrency', '2.5']);
+
+    expect(code).toBe(2);
+    expect(consoleError).toHaveBeenCalledWith('错误: --concurrency 必须是正整数');
+    expect(executeQuery).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * 批量请求服务测试
+ */
+const { Errors } = require('../src/utils/errors');
+
+jest.mock('../src/services/modelGatewayService', () => ({
+  executeQuery: jest.fn()
+}));
+
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { executeBatch } = require('../src/services/batchService');
+
+// 模拟模型调用：按共享预算预留并结算固定成本
+function mockModelCall({ cost = 0.01, delay = 5, failOn } = {}) {
+  let active = 0;
+  const stats = { maxActive: 0 };
+
+  executeQuery.mockImplementation(async (request, { sharedBudget }) => {
+    active++;
+    stats.maxActive = Math.max(stats.maxActive, active);
+    try {
+      if (failOn && request.query === failOn) {
+        throw Errors.invalidRequest('请求包含潜在的不安全内容');
+      }
+      const reservation = sharedBudget.reserve(cost);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      sharedBudget.commit(reservation, cost);
+      return {
+        request_id: request.request_id,
+        response: `回答: ${request.query}`,
+        model_used: request.query.length > 5 ? 'remote-openai' : 'local-llama',
+        cost,
+        token_usage: { input: 1, output: 2, total: 3 },
+        metadata: request.metadata
+      };
+    } finally {
+      active--;
+    }
+  });
+
+  return stats;
+}
+
+describe('批量请求', () => {
+  beforeEach(() => {
+    executeQuery.mockReset();
+  });
+
+  test('单个请求失败不影响其他请求', async () => {
+    mockModelCall({ failOn: 'eval(x)' });
+
+    const result = await executeBatch({
+      batch_id: 'batch-1',
+      requests: [{ query: '你好' }, { query: 'eval(x)' }, { query: '介绍一下量子计算' }]
+    });
+
+    expect(result.batch_id).toBe('batch-1');
+    expect(result.results.map(r => r.status)).toEqual(['OK', 'INVALID_REQUEST', 'OK']);
+    expect(result.results[1].request_id).toBe('batch-1-1');
+    expect(result.results[1].error_message).toContain('不安全内容');
+    expect(result.summary).toMatchObject({ succeeded: 2, failed: 1 });
+    expect(result.summary.total_cost).toBeCloseTo(0.02);
+    expect(result.summary.token_usage).toEqual({ input: 2, output: 4, total: 6 });
+    expect(Object.keys(result.summary.cost_by_model).sort()).toEqual(['local-llama', 'remote-openai']);
+  });
+
+  test('应该限制并发数并合并批次元数据', async () => {
+    const stats = mockModelCall();
+
+    await executeBatch({
+      requests: Array.from({ length: 10 }, (_, i) => ({ query: `问题${i}`, metadata: i === 0 ? { source: 'item' } : {} })),
+      max_concurrency: 3,
+      metadata: { source: 'batch', user_id: 'u1' }
+    });
+
+    expect(stats.maxActive).toBe(3);
+    const firstRequest = executeQuery.mock.calls[0][0];
+    expect(firstRequest.metadata).toMatchObject({ source: 'item', user_id: 'u1' });
+    expect(firstRequest.metadata.batch_id).toBeDefined();
+  });
+
+  test('共享预算用完后其余请求返回 COST_LIMIT_EXCEEDED', async () => {
+    mockModelCall({ cost: 0.01 });
+
+    const result = await executeBatch({
+      requests: Array.from({ length: 5 }, (_, i) => ({ query: `问题${i}` })),
+      max_concurrency: 1,
+      budget: 0.025
+    });
+
+    expect(result.results.map(r => r.status)).toEqual(['OK', 'OK', 'COST_LIMIT_EXCEEDED', 'COST_LIMIT_EXCEEDED', 'COST_LIMIT_EXCEEDED']);
+    expect(result.summary.total_cost).toBeCloseTo(0.02);
+    expect(result.summary.budget).toBe(0.025);
+  });
+
+  test('批次为空时应该返回 INVALID_REQUEST', async () => {
+    await expect(executeBatch({ requests: [] })).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * 共享预算测试
+ */
+const { SharedBudget } = require('../src/utils/budget');
+const { GatewayError } = require('../src/utils/errors');
+
+describe('共享预算', () => {
+  test('未设置预算时不限制', () => {
+    const budget = new SharedBudget(0);
+    expect(budget.remaining()).toBe(Infinity);
+    expect(() => budget.reserve(100)).not.toThrow();
+  });
+
+  test('预留的金额在结算前不可用', () => {
+    const budget = new SharedBudget(1);
+    budget.reserve(0.6);
+    expect(budget.remaining()).toBeCloseTo(0.4);
+    expect(() => budget.reserve(0.5)).toThrow(GatewayError);
+  });
+
+  test('应该按实际成本结算预留', () => {
+    const budget = new SharedBudget(1);
+    const reservation = budget.reserve(0.6);
+    budget.commit(reservation, 0.2);
+    expect(budget.spent).toBeCloseTo(0.2);
+    expect(budget.remaining()).toBeCloseTo(0.8);
+  });
+
+  test('已花费的成本应该计入预算', () => {
+    const budget = new SharedBudget(1, 0.7);
+    expect(budget.spent).toBeCloseTo(0.7);
+    expect(budget.remaining()).toBeCloseTo(0.3);
+    expect(() => budget.reserve(0.5)).toThrow(GatewayError);
+  });
+
+  test('释放预留后金额重新可用，重复结算无效', () => {
+    const budget = new SharedBudget(1);
+    const reservation = budget.reserve(0.6);
+    budget.release(reservation);
+    budget.commit(reservation, 0.6);
+    expect(budget.remaining()).toBeCloseTo(1);
+  });
+
+  test('超出预算时应该返回 COST_LIMIT_EXCEEDED', () => {
+    const budget = new SharedBudget(0.01);
+    try {
+      budget.reserve(0.02);
+      fail('应该抛出错误');
+    } catch (error) {
+      expect(error.code).toBe('COST_LIMIT_EXCEEDED');
+    }
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * 复杂度校准测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCalibration, readDataset, searchThresholds } = require('../src/cli/calibrator');
+
+const tierCosts = { local: 0.0001, hybrid: 0.001, remote: 0.01 };
+
+function writeDataset(dir, rows) {
+  const file = path.join(dir, 'labels.jsonl');
+  fs.writeFileSync(file, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+  return file;
+}
+
+describe('复杂度校准', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+  });
+
+  test('应该把层级标注和观测质量转换为各层级的质量', () => {
+    const file = writeDataset(dir, [
+      { query: '你好', tier: 'hybrid' },
+      { query: '写一首诗', quality: { hybrid: 0.9 } }
+    ]);
+
+    const items = readDataset(file);
+
+    expect(items[0].quality).toEqual({ local: 0, hybrid: 1, remote: 1 });
+    expect(items[1].quality).toEqual({ local: 0, hybrid: 0.9, remote: 0.9 });
+  });
+
+  test('缺少标注的行应该报告行号', () => {
+    const file = writeDataset(dir, [{ query: '你好', tier: 'local' }, { query: '没有标注' }]);
+
+    expect(() => readDataset(file)).toThrow('第 2 行');
+  });
+
+  test('应该在满足质量要求的前提下选择成本最低的阈值', () => {
+    const items = [0.1, 0.2, 0.45, 0.5, 0.8, 0.9].map((score, index) => {
+      const expected = ['local', 'local', 'hybrid', 'hybrid', 'remote', 'remote'][index];
+      const rank = ['local', 'hybrid', 'remote'].indexOf(expected);
+      return {
+        expected,
+        tokens: 0,
+        quality: { local: rank <= 0 ? 1 : 0, hybrid: rank <= 1 ? 1 : 0, remote: 1 }
+      };
+    });
+    const scores = [0.1, 0.2, 0.45, 0.5, 0.8, 0.9];
+
+    const result = searchThresholds(items, scores, tierCosts, 1);
+
+    expect(result.feasible).toBe(true);
+    expect(result.accuracy).toBe(1);
+    expect(result.low).toBeGreaterThan(0.2);
+    expect(result.low).toBeLessThanOrEqual(0.45);
+    expect(result.high).toBeGreaterThan(0.5);
+    expect(result.high).toBeLessThanOrEqual(0.8);
+  });
+
+  test('应该输出混淆矩阵并写入可加载的配置文件', async () => {
+    const file = writeDataset(dir, [
+      { query: '你好', tier: 'local' },
+      { query: 'Hi there', tier: 'local' },
+      { query: '为什么快速排序算法的平均时间复杂度优于冒泡排序？请分析并比较两者的原理', tier: 'hybrid' },
+      { query: 'Prove that the integral of a derivative over a matrix equation satisfies the theorem, and explain why.', tier: 'remote' }
+    ]);
+    const output = path.join(dir, 'calibration.json');
+
+    const report = await runCalibration({ input: file, output, minQuality: 1, costs: tierCosts });
+
+    const total = Object.values(report.suggested.matrix)
+      .reduce((sum, row) => sum + Object.values(row).reduce((rowSum, count) => rowSum + count, 0), 0);
+    expect(total).toBe(4);
+    expect(report.suggested.feasible).toBe(true);
+    expect(report.suggested.quality).toBe(1);
+
+    const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+    expect(written.routingStrategy.lowComplexityThreshold).toBe(report.suggested.thresholds.low);
+    expect(written.routingStrategy.highComplexityThreshold).toBe(report.suggested.thresholds.high);
+    expect(Object.values(written.complexityEvaluation.weights).reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(1, 2);
+  });
+
+  test('加载配置时应该保留为 0 的校准阈值，环境变量优先', () => {
+    const output = path.join(dir, 'calibration.json');
+    fs.writeFileSync(output, JSON.stringify({ routingStrategy: { lowComplexityThreshold: 0, highComplexityThreshold: 0.6 } }));
+    const env = { ...process.env };
+    const loadRouting = () => {
+      let routing;
+      jest.isolateModules(() => {
+        routing = require('../src/config').routingStrategy;
+      });
+      return routing;
+    };
+
+    try {
+      process.env.COMPLEXITY_CALIBRATION_FILE = output;
+      delete process.env.LOW_COMPLEXITY_THRESHOLD;
+      process.env.HIGH_COMPLEXITY_THRESHOLD = '';
+      expect(loadRouting()).toMatchObject({ lowComplexityThreshold: 0, highComplexityThreshold: 0.6 });
+
+      process.env.LOW_COMPLEXITY_THRESHOLD = '0.2';
+      expect(loadRouting().lowComplexityThreshold).toBe(0.2);
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * 取消和截止时间传递测试
+ */
+const EventEmitter = require('events');
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/services/modelRouterService', () => ({
+  selectModelByComplexity: jest.fn().mockReturnValue({ provider: 'remote-openai', modelType: 'remote', estimatedCost: 0.01 }),
+  applyCostControlStrategy: jest.fn().mockImplementation(modelInfo => modelInfo),
+  getBackupModel: jest.fn().mockReturnValue({ provider: 'local-llama', modelType: 'local', estimatedCost: 0 }),
+  recordModelUseStart: jest.fn(),
+  recordModelUseEnd: jest.fn(),
+  trackModelCall: jest.fn(function (...args) {
+    return jest.requireActual('../src/services/modelRouterService').trackModelCall.apply(this, args);
+  })
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+const { adapterManager } = require('../src/adapters');
+const modelRouterService = require('../src/services/modelRouterService');
+const monitoringService = require('../src/monitoring/MonitoringService');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { createCallSignal } = require('../src/utils/cancellation');
+const { LlamaAdapter } = require('../src/adapters/llamaAdapter');
+const { Errors } = require('../src/utils/errors');
+
+// 模拟在取消信号中止后才失败的模型调用
+function mockPendingModelCall() {
+  adapterManager.callModel.mockImplementation((provider, model, query, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(Errors.modelUnavailable('canceled')));
+  }));
+}
+
+describe('gRPC 调用的取消信号', () => {
+  test('客户端取消调用时应该以 REQUEST_CANCELLED 中止', () => {
+    const call = new EventEmitter();
+    const { signal, deadline, dispose } = createCallSignal(call);
+
+    call.emit('cancelled');
+
+    expect(deadline).toBeNull();
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.code).toBe('REQUEST_CANCELLED');
+    dispose();
+  });
+
+  test('到达截止时间时应该以 DEADLINE_EXCEEDED 中止', async () => {
+    const call = new EventEmitter();
+    call.getDeadline = () => new Date(Date.now() + 20);
+    const { signal, deadline, dispose } = createCallSignal(call);
+
+    expect(deadline).toBeGreaterThan(Date.now());
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    expect(signal.reason.code).toBe('DEADLINE_EXCEEDED');
+    dispose();
+  });
+});
+
+describe('查询处理流程中的取消', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('取消后应该中止模型调用、不尝试备用模型并记录为取消', async () => {
+    mockPendingModelCall();
+    const controller = new AbortController();
+
+    const pending = executeQuery({ query: '解释一下量子计算' }, { signal: controller.signal });
+    setTimeout(() => controller.abort(Errors.requestCancelled('客户端已取消请求')), 10);
+
+    await expect(pending).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(1);
+    expect(modelRouterService.getBackupModel).not.toHaveBeenCalled();
+    expect(monitoringService.recordRequest).toHaveBeenLastCalledWith(expect.objectContaining({
+      success: false,
+      cancelled: true
+    }));
+  });
+
+  test('距离截止时间不足时不应该尝试备用模型', async () => {
+    adapterManager.callModel.mockRejectedValue(Errors.modelUnavailable('服务无响应'));
+
+    await expect(executeQuery({ query: '你好' }, { deadline: Date.now() + 100 }))
+      .rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED' });
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(1);
+    expect(adapterManager.callModel.mock.calls[0][3].deadline).toEqual(expect.any(Number));
+  });
+
+  test('调用前已取消的请求不应该记录模型使用开始', async () => {
+    const controller = new AbortController();
+    controller.abort(Errors.requestCancelled('客户端已取消请求'));
+
+    await expect(executeQuery({ query: '你好' }, { signal: controller.signal }))
+      .rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(modelRouterService.recordModelUseStart).not.toHaveBeenCalled();
+    expect(adapterManager.callModel).not.toHaveBeenCalled();
+  });
+
+  test('备用模型调用失败时应该结束它的使用记录', async () => {
+    adapterManager.callModel.mockRejectedValue(Errors.modelUnavailable('服务无响应'));
+
+    await expect(executeQuery({ query: '你好' })).rejects.toMatchObject({ code: 'MODEL_UNAVAILABLE' });
+    expect(modelRouterService.recordModelUseStart.mock.calls.map(call => call[0])).toEqual(['remote-openai', 'local-llama']);
+    expect(modelRouterService.recordModelUseEnd.mock.calls.map(([provider, stats]) => [provider, stats.success]))
+      .toEqual([['remote-openai', false], ['local-llama', false]]);
+  });
+});
+
+describe('适配器重试', () => {
+  test('请求已取消或距离截止时间不足时不应该重试', () => {
+    const adapter = new LlamaAdapter('local-llama', { endpoint: 'http://127.0.0.1:1', timeout: 30000 });
+    const error = new Error('connect ECONNREFUSED');
+    const controller = new AbortController();
+
+    expect(adapter._getBackOffOptions({}).retry(error)).toBe(true);
+    expect(adapter._getBackOffOptions({ deadline: Date.now() + 100 }).retry(error)).toBe(false);
+
+    controller.abort();
+    expect(adapter._getBackOffOptions({ signal: controller.signal }).retry(error)).toBe(false);
+    expect(adapter._getRequestConfig({ deadline: Date.now() + 5000 }).timeout).toBeLessThanOrEqual(5000);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * 按能力路由测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'local-llama': {
+      status: 'online',
+      supportedModelTypes: ['local'],
+      supportedCapabilities: ['text_generation'],
+      baseCostPerQuery: 0.001
+    },
+    'remote-openai': {
+      status: 'online',
+      supportedModelTypes: ['remote'],
+      defaultModel: 'gpt-4',
+      supportedModels: ['gpt-4', 'gpt-4o'],
+      supportedCapabilities: ['text_generation', 'code_generation'],
+      modelCapabilities: { 'gpt-4o': ['vision', 'json_mode'] },
+      baseCostPerQuery: 0.02
+    },
+    'remote-anthropic': {
+      status: 'online',
+      supportedModelTypes: ['hybrid', 'remote'],
+      defaultModel: 'claude-2',
+      supportedCapabilities: ['text_generation', 'code_generation', 'long_context'],
+      baseCostPerQuery: 0.03
+    }
+  },
+  routingRules: []
+}));
+
+const modelRouterService = require('../src/services/modelRouterService');
+const { getModelCapabilities } = require('../src/services/modelGatewayService');
+const { processRequest } = require('../src/middleware/requestProcessor');
+
+describe('按能力选择模型', () => {
+  test('应该选择具备全部所需能力的提供商和模型', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.8, [], { requiredCapabilities: ['vision'] });
+
+    expect(modelInfo.provider).toBe('remote-openai');
+    expect(modelInfo.model).toBe('gpt-4o');
+  });
+
+  test('默认模型具备所需能力时应该使用默认模型', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.8, [], { requiredCapabilities: ['code_generation'] });
+
+    expect(modelInfo.model).toBe(modelInfo.modelConfig.defaultModel);
+  });
+
+  test('没有提供商具备某项能力时应该在错误中指明该能力', () => {
+    expect(() => modelRouterService.selectModelByComplexity(0.8, [], { requiredCapabilities: ['vision', 'audio'] }))
+      .toThrow(expect.objectContaining({ code: 'MODEL_UNAVAILABLE', message: expect.stringContaining('不具备能力: audio') }));
+    expect(() => modelRouterService.selectModelByComplexity(0.1, [], { requiredCapabilities: ['code_generation'] }))
+      .toThrow(expect.objectContaining({ code: 'MODEL_UNAVAILABLE', message: expect.stringContaining('code_generation') }));
+  });
+
+  test('能力分散在不同模型上时应该返回 MODEL_UNAVAILABLE', () => {
+    expect(() => modelRouterService.selectModelByComplexity(0.8, [], { requiredCapabilities: ['vision', 'long_context'] }))
+      .toThrow(expect.objectContaining({
+        code: 'MODEL_UNAVAILABLE',
+        message: expect.stringContaining('没有同时具备 vision, long_context 能力的模型')
+      }));
+  });
+
+  test('备用模型同样需要具备所需能力', () => {
+    const metadata = { requiredCapabilities: ['long_context'] };
+
+    expect(modelRouterService.getAvailableProviders('remote', metadata).map(provider => provider.name))
+      .toEqual(['remote-anthropic']);
+    expect(modelRouterService.getBackupModel('remote-anthropic', 'remote', metadata)).toBeNull();
+
+    const backup = modelRouterService.getBackupModel('remote-anthropic', 'remote', { requiredCapabilities: ['vision'] });
+    expect(backup).toMatchObject({ provider: 'remote-openai', model: 'gpt-4o' });
+  });
+});
+
+describe('请求中的所需能力', () => {
+  test('应该合并 required_capabilities 字段和元数据 capabilities', () => {
+    const { metadata } = processRequest({
+      query: '描述这张图片',
+      required_capabilities: ['vision', 'json_mode'],
+      metadata: { capabilities: 'json_mode, long_context' }
+    });
+
+    expect(metadata.requiredCapabilities).toEqual(['vision', 'json_mode', 'long_context']);
+  });
+
+  test('GetModelCapabilities 应该列出每个模型的能力', done => {
+    getModelCapabilities({ request: {} }, (error, response) => {
+      expect(error).toBeNull();
+      expect(response.capabilities).toEqual(expect.arrayContaining(['vision', 'long_context']));
+
+      const openai = response.providers.find(provider => provider.provider_name === 'remote-openai');
+      expect(openai.models).toEqual([
+        { model: 'gpt-4', capabilities: ['text_generation', 'code_generation'] },
+        { model: 'gpt-4o', capabilities: ['text_generation', 'code_generation', 'vision', 'json_mode'] }
+      ]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * 级联路由测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'local-llama': {
+      status: 'online',
+      supportedModelTypes: ['local'],
+      defaultModel: 'llama2-7b',
+      baseCostPerQuery: 0.001
+    },
+    'remote-anthropic': {
+      status: 'online',
+      supportedModelTypes: ['hybrid', 'remote'],
+      defaultModel: 'claude-2',
+      baseCostPerQuery: 0.01
+    }
+  },
+  cascade: {
+    enabled: false,
+    tiers: ['local', 'hybrid', 'remote'],
+    checks: ['refusal', 'length', 'json'],
+    minTokens: 5,
+    judge: { provider: 'remote-anthropic', model: 'claude-2', minScore: 0.7 }
+  },
+  routingRules: []
+}));
+
+const { adapterManager } = require('../src/adapters');
+const { answerChecker, runCascade } = require('../src/cascade');
+const modelRouterService = require('../src/services/modelRouterService');
+const { executeQuery } = require('../src/services/modelGatewayService');
+
+const GOOD_ANSWER = '量子计算利用量子比特的叠加和纠缠进行并行计算。';
+
+describe('回答检查', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('应该识别拒绝回答和过短的回答', async () => {
+    const refusal = await answerChecker.check({ text: '抱歉，我无法回答这个问题。' }, {}, ['refusal', 'length']);
+    const english = await answerChecker.check({ text: "I don't know the answer to that." }, {}, ['refusal']);
+    const short = await answerChecker.check({ text: '好' }, {}, ['refusal', 'length']);
+    const good = await answerChecker.check({ text: GOOD_ANSWER }, {}, ['refusal', 'length']);
+
+    expect(refusal).toMatchObject({ passed: false, results: [{ name: 'refusal', passed: false }] });
+    expect(english.passed).toBe(false);
+    expect(short.results.map(result => result.name)).toEqual(['refusal', 'length']);
+    expect(short.passed).toBe(false);
+    expect(good.passed).toBe(true);
+  });
+
+  test('JSON 检查只在请求 json_object 输出格式时生效', async () => {
+    const plain = await answerChecker.check({ text: '不是 JSON' }, { generationOptions: {} }, ['json']);
+    const invalid = await answerChecker.check({ text: '不是 JSON' }, { generationOptions: { responseFormat: 'json_object' } }, ['json']);
+    const valid = await answerChecker.check({ text: '{"a":1}' }, { generationOptions: { responseFormat: 'json_object' } }, ['json']);
+
+    expect(plain).toEqual({ passed: true, results: [], cost: 0 });
+    expect(invalid.passed).toBe(false);
+    expect(valid.passed).toBe(true);
+  });
+
+  test('评审模型检查应该按评分决定是否通过并计入成本', async () => {
+    adapterManager.callModel.mockResolvedValueOnce({ text: '8', cost: 0.0005 });
+    const passed = await answerChecker.check({ text: GOOD_ANSWER }, { query: '什么是量子计算' }, ['judge']);
+
+    adapterManager.callModel.mockResolvedValueOnce({ text: '分数：3', cost: 0.0005 });
+    const failed = await answerChecker.check({ text: GOOD_ANSWER }, { query: '什么是量子计算' }, ['judge']);
+
+    expect(adapterManager.callModel.mock.calls[0][0]).toBe('remote-anthropic');
+    expect(passed).toMatchObject({ passed: true, cost: 0.0005, results: [{ name: 'judge', score: 0.8 }] });
+    expect(failed.passed).toBe(false);
+  });
+
+  test('评审模型调用应该记录提供商的使用情况，熔断器打开时不调用并视为未通过', async () => {
+    modelRouterService.modelStats.delete('remote-anthropic');
+    adapterManager.callModel.mockResolvedValueOnce({ text: '8', cost: 0.0005 });
+    await answerChecker.check({ text: GOOD_ANSWER }, { query: '什么是量子计算' }, ['judge']);
+
+    expect(modelRouterService.modelStats.get('remote-anthropic')).toMatchObject({ totalCalls: 1, successRate: 1 });
+    expect(modelRouterService.activeConnections.get('remote-anthropic')).toBe(0);
+
+    const canRoute = jest.spyOn(modelRouterService.circuitBreakers, 'canRoute').mockReturnValue(false);
+    const blocked = await answerChecker.check({ text: GOOD_ANSWER }, { query: '什么是量子计算' }, ['judge']);
+    canRoute.mockRestore();
+
+    expect(blocked).toMatchObject({ passed: false, cost: 0 });
+    expect(blocked.results[0].reason).toContain('熔断器已打开');
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(1);
+  });
+
+  test('应该支持注册自定义检查，未知检查返回 INVALID_REQUEST', async () => {
+    answerChecker.registerCheck('mentionsQubit', answer => ({ passed: answer.text.includes('量子比特') }));
+
+    expect((await answerChecker.check({ text: GOOD_ANSWER }, {}, ['mentionsQubit'])).passed).toBe(true);
+    await expect(answerChecker.check({ text: GOOD_ANSWER }, {}, ['unknown']))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
+
+describe('级联调用', () => {
+  const tiers = [
+    { provider: 'local-llama', modelType: 'local', modelConfig: { defaultModel: 'llama2-7b' }, estimatedCost: 0.001 },
+    { provider: 'remote-anthropic', modelType: 'remote', modelConfig: { defaultModel: 'claude-2' }, estimatedCost: 0.01 }
+  ];
+
+  test('回答未通过检查时应该升级并报告每次尝试', async () => {
+    const invoke = jest.fn()
+      .mockResolvedValueOnce({ text: '我不知道。', cost: 0.001 })
+      .mockResolvedValueOnce({ text: GOOD_ANSWER, cost: 0.02 });
+
+    const result = await runCascade(tiers, { invoke, checks: ['refusal'], context: {} });
+
+    expect(result.response.text).toBe(GOOD_ANSWER);
+    expect(result.modelInfo.provider).toBe('remote-anthropic');
+    expect(result.totalCost).toBeCloseTo(0.021);
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ tier: 'local', accepted: false, checks: [expect.objectContaining({ name: 'refusal', passed: false })] }),
+      expect.objectContaining({ tier: 'remote', model: 'claude-2', accepted: true, checks: [] })
+    ]);
+  });
+
+  test('超出预算时应该停止升级并返回较低层级的回答', async () => {
+    const invoke = jest.fn().mockResolvedValue({ text: '好', cost: 0.001 });
+
+    const result = await runCascade(tiers, { invoke, checks: ['length'], context: {}, budget: 0.005 });
+
+    expect(invoke).toHaveBeenCalledTimes(1);
+    expect(result.modelInfo.provider).toBe('local-llama');
+    expect(result.attempts).toHaveLength(1);
+    expect(result.attempts[0].accepted).toBe(true);
+  });
+
+  test('预算不足以运行评审模型检查时应该直接采用当前回答', async () => {
+    const invoke = jest.fn().mockResolvedValue({ text: GOOD_ANSWER, cost: 0.001 });
+
+    const result = await runCascade(tiers, { invoke, checks: ['judge'], context: {}, budget: 0.0015, checkCost: 0.001 });
+
+    expect(adapterManager.callModel).not.toHaveBeenCalled();
+    expect(result.attempts).toEqual([expect.objectContaining({ tier: 'local', accepted: true, checks: [] })]);
+  });
+
+  test('调用失败时应该升级，所有层级失败时返回 MODEL_UNAVAILABLE', async () => {
+    const invoke = jest.fn()
+      .mockRejectedValueOnce(new Error('本地模型无响应'))
+      .mockResolvedValueOnce({ text: GOOD_ANSWER, cost: 0.02 });
+
+    const result = await runCascade(tiers, { invoke, checks: ['refusal'], context: {} });
+    expect(result.attempts[0].error).toBe('本地模型无响应');
+    expect(result.attempts[1].accepted).toBe(true);
+
+    await expect(runCascade(tiers, { invoke: jest.fn().mockRejectedValue(new Error('失败')), checks: [], context: {} }))
+      .rejects.toMatchObject({ code: 'MODEL_UNAVAILABLE' });
+  });
+});
+
+describe('网关级联路由', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('应该跳过选择相同模型的层级', () => {
+    const plan = modelRouterService.planCascade(0.5, [], {});
+
+    expect(plan.map(tier => [tier.modelType, tier.provider])).toEqual([
+      ['local', 'local-llama'],
+      ['hybrid', 'remote-anthropic']
+    ]);
+  });
+
+  test('元数据 routingMode 为 cascade 时应该先调用本地模型并在回答未通过检查时升级', async () => {
+    adapterManager.callModel.mockImplementation(async provider => (provider === 'local-llama'
+      ? { text: '抱歉，我无法回答。', cost: 0.001 }
+      : { text: GOOD_ANSWER, cost: 0.02 }));
+
+    const result = await executeQuery({ query: '什么是量子计算', metadata: { routingMode: 'cascade' } });
+
+    expect(adapterManager.callModel.mock.calls.map(call => call[0])).toEqual(['local-llama', 'remote-anthropic']);
+    expect(result.response).toBe(GOOD_ANSWER);
+    expect(result.model_used).toBe('remote-anthropic');
+    expect(result.answered_tier).toBe('hybrid');
+    expect(result.cost).toBeCloseTo(0.021);
+    expect(result.cascade_attempts.map(attempt => attempt.accepted)).toEqual([false, true]);
+    expect(modelRouterService.activeConnections.get('local-llama')).toBe(0);
+  });
+
+  test('未知的路由模式应该返回 INVALID_REQUEST', async () => {
+    await expect(executeQuery({ query: '你好', metadata: { routingMode: 'fastest' } }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
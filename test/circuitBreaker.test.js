@@ -0,0 +1,320 @@
+/**
+ * 熔断器测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  recordCircuitTransition: jest.fn(),
+  getMetrics: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7,
+    loadWeight: 0,
+    costEfficiencyWeight: 0,
+    performanceWeight: 0,
+    reliabilityWeight: 0,
+    qualityWeight: 0
+  },
+  modelProviders: {
+    'remote-a': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-a',
+      supportedModels: ['model-a', 'model-a-mini']
+    },
+    'remote-b': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-b'
+    }
+  },
+  routingRules: [],
+  circuitBreaker: {
+    enabled: true,
+    windowMs: 60000,
+    minRequests: 4,
+    errorRateThreshold: 0.5,
+    consecutiveTimeouts: 2,
+    openDurationMs: 30000,
+    halfOpenMaxProbes: 1
+  }
+}));
+
+const { adapterManager } = require('../src/adapters');
+const monitoringService = require('../src/monitoring/MonitoringService');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const modelRouterService = require('../src/services/modelRouterService');
+const { CircuitBreakerRegistry, isTimeoutError, STATES } = require('../src/services/circuitBreaker');
+
+const SETTINGS = {
+  windowMs: 60000,
+  minRequests: 4,
+  errorRateThreshold: 0.5,
+  consecutiveTimeouts: 2,
+  openDurationMs: 30000,
+  halfOpenMaxProbes: 1
+};
+
+function createRegistry() {
+  const clock = { now: 0 };
+  const registry = new CircuitBreakerRegistry(SETTINGS, () => clock.now);
+  const transitions = [];
+  registry.on('state-change', transition => transitions.push(transition));
+  return { registry, clock, transitions };
+}
+
+describe('CircuitBreakerRegistry', () => {
+  test('错误率达到阈值且调用次数足够时应该打开', () => {
+    const { registry, transitions } = createRegistry();
+
+    registry.recordResult('p', 'm', { success: false });
+    registry.recordResult('p', 'm', { success: false });
+    registry.recordResult('p', 'm', { success: true });
+    expect(registry.canRoute('p', 'm')).toBe(true);
+
+    registry.recordResult('p', 'm', { success: true });
+    expect(registry.canRoute('p')).toBe(false);
+    expect(registry.canRoute('p', 'm')).toBe(false);
+    expect(transitions.map(item => [item.model, item.from, item.to])).toEqual([
+      [null, STATES.CLOSED, STATES.OPEN],
+      ['m', STATES.CLOSED, STATES.OPEN]
+    ]);
+  });
+
+  test('连续超时达到阈值时应该打开，其他结果会中断连续计数', () => {
+    const { registry } = createRegistry();
+
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    registry.recordResult('p', undefined, { success: false, timedOut: false });
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    expect(registry.canRoute('p')).toBe(true);
+
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    expect(registry.canRoute('p')).toBe(false);
+    expect(registry.getStates()[0]).toMatchObject({ provider: 'p', model: null, state: STATES.OPEN, reason: '连续 2 次调用超时' });
+  });
+
+  test('模型级熔断器只影响该模型', () => {
+    const { registry } = createRegistry();
+
+    registry.recordResult('p', 'm', { success: false, timedOut: true });
+    registry.recordResult('p', 'other', { success: true });
+    registry.recordResult('p', 'm', { success: false, timedOut: true });
+
+    expect(registry.canRoute('p')).toBe(true);
+    expect(registry.canRoute('p', 'm')).toBe(false);
+    expect(registry.canRoute('p', 'other')).toBe(true);
+  });
+
+  test('打开一段时间后进入半开状态，探测成功时关闭、失败时重新打开', () => {
+    const { registry, clock, transitions } = createRegistry();
+    const trip = () => {
+      registry.recordResult('p', undefined, { success: false, timedOut: true });
+      registry.recordResult('p', undefined, { success: false, timedOut: true });
+    };
+
+    trip();
+    clock.now = 30000;
+    expect(registry.canRoute('p')).toBe(true);
+    const failedProbe = registry.recordStart('p');
+    expect(registry.canRoute('p')).toBe(false); // 探测名额已用完
+
+    registry.recordResult('p', undefined, { success: false, startedAt: failedProbe });
+    expect(registry.canRoute('p')).toBe(false);
+
+    clock.now = 60000;
+    const probe = registry.recordStart('p');
+    registry.recordResult('p', undefined, { success: true, startedAt: probe });
+    expect(registry.canRoute('p')).toBe(true);
+    expect(transitions.map(item => item.to)).toEqual([
+      STATES.OPEN, STATES.HALF_OPEN, STATES.OPEN, STATES.HALF_OPEN, STATES.CLOSED
+    ]);
+
+    // 关闭后重新开始统计
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    expect(registry.canRoute('p')).toBe(true);
+  });
+
+  test('半开状态下应该忽略进入半开之前开始的调用返回的结果', () => {
+    const { registry, clock, transitions } = createRegistry();
+    const straggler = registry.recordStart('p');
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+
+    clock.now = 30000;
+    expect(registry.canRoute('p')).toBe(true);
+    const probe = registry.recordStart('p');
+
+    registry.recordResult('p', undefined, { success: true, startedAt: straggler });
+    registry.recordResult('p', undefined, { success: true });
+    expect(registry.getStates()[0].state).toBe(STATES.HALF_OPEN);
+    expect(registry.canRoute('p')).toBe(false); // 探测调用仍在进行
+
+    registry.recordResult('p', undefined, { success: false, startedAt: probe });
+    expect(transitions.map(item => item.to)).toEqual([STATES.OPEN, STATES.HALF_OPEN, STATES.OPEN]);
+  });
+
+  test('未返回结果的探测调用超过打开时长后释放名额', () => {
+    const { registry, clock } = createRegistry();
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+
+    clock.now = 30000;
+    registry.recordStart('p');
+    expect(registry.canRoute('p')).toBe(false);
+
+    clock.now = 60000;
+    expect(registry.canRoute('p')).toBe(true);
+  });
+
+  test('peek 应该返回 canRoute 的结果但不改变熔断器状态', () => {
+    const { registry, clock, transitions } = createRegistry();
+    expect(registry.peek('p', 'm')).toBe(true);
+    expect(registry.getStates()).toEqual([]);
+
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    expect(registry.peek('p')).toBe(false);
+
+    clock.now = 30000;
+    expect(registry.peek('p', 'm')).toBe(true);
+    expect(transitions.map(item => item.to)).toEqual([STATES.OPEN]);
+
+    expect(registry.canRoute('p')).toBe(true);
+    registry.recordStart('p');
+    expect(registry.peek('p')).toBe(false);
+    clock.now = 60000;
+    expect(registry.peek('p')).toBe(registry.canRoute('p'));
+  });
+
+  test('未启用时应该始终允许路由', () => {
+    const registry = new CircuitBreakerRegistry({ ...SETTINGS, enabled: false });
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+    registry.recordResult('p', undefined, { success: false, timedOut: true });
+
+    expect(registry.canRoute('p')).toBe(true);
+    expect(registry.getStates()).toEqual([]);
+  });
+
+  test('应该识别超时错误', () => {
+    expect(isTimeoutError(new Error('调用远程模型 openai 失败: timeout of 60000ms exceeded'))).toBe(true);
+    expect(isTimeoutError(Object.assign(new Error('x'), { timedOut: true }))).toBe(true);
+    expect(isTimeoutError(new Error('Request failed with status code 500'))).toBe(false);
+  });
+});
+
+describe('路由中的熔断器', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    modelRouterService.circuitBreakers.reset();
+  });
+
+  test('熔断器打开的提供商和模型不应该出现在可用提供商中', () => {
+    const breakers = modelRouterService.circuitBreakers;
+    breakers.recordResult('remote-a', 'model-a', { success: false, timedOut: true });
+    breakers.recordResult('remote-a', 'model-a-mini', { success: true });
+    breakers.recordResult('remote-a', 'model-a', { success: false, timedOut: true });
+
+    expect(modelRouterService.getAvailableProviders('remote', {})).toEqual([
+      expect.objectContaining({ name: 'remote-a', model: 'model-a-mini' }),
+      expect.objectContaining({ name: 'remote-b', model: 'model-b' })
+    ]);
+
+    breakers.recordResult('remote-b', undefined, { success: false, timedOut: true });
+    breakers.recordResult('remote-b', undefined, { success: false, timedOut: true });
+    expect(modelRouterService.getAvailableProviders('remote', {}).map(provider => provider.name)).toEqual(['remote-a']);
+    expect(modelRouterService.explainRouting(0.9, [], {}).candidates).toContainEqual(
+      expect.objectContaining({ name: 'remote-b', excludedReason: '熔断器已打开' })
+    );
+  });
+
+  test('演练路由只规划一次且不应该让打开的熔断器进入半开状态', () => {
+    const breakers = modelRouterService.circuitBreakers;
+    breakers.recordResult('remote-a', undefined, { success: false, timedOut: true });
+    breakers.recordResult('remote-a', undefined, { success: false, timedOut: true });
+    const now = jest.spyOn(breakers, 'now').mockReturnValue(Date.now() + 30000);
+    const planRoute = jest.spyOn(modelRouterService, 'planRoute');
+
+    const explained = modelRouterService.explainRouting(0.9, [], {});
+    expect(planRoute).toHaveBeenCalledTimes(1);
+    planRoute.mockRestore();
+
+    expect(explained.candidates.map(candidate => candidate.name)).toEqual(['remote-a', 'remote-b']);
+    expect(explained.provider).toBe(explained.selected.name);
+    expect(monitoringService.recordCircuitTransition.mock.calls.map(([transition]) => transition.to)).toEqual([STATES.OPEN]);
+
+    expect(modelRouterService.getAvailableProviders('remote', {}).map(provider => provider.name)).toContain('remote-a');
+    expect(monitoringService.recordCircuitTransition.mock.calls.map(([transition]) => transition.to))
+      .toEqual([STATES.OPEN, STATES.HALF_OPEN]);
+    now.mockRestore();
+  });
+
+  test('连续超时的提供商应该停止接收请求，状态变化应该发送到监控', async () => {
+    adapterManager.callModel.mockImplementation(provider => (provider === 'remote-a'
+      ? Promise.reject(new Error('调用远程模型 remote-a 失败: timeout of 60000ms exceeded'))
+      : Promise.resolve({ text: '答案', cost: 0.01 })));
+
+    const first = await executeQuery({ request_id: 'req-1', query: '你好', metadata: {} });
+    const second = await executeQuery({ request_id: 'req-2', query: '你好', metadata: {} });
+    expect(first.model_used).toBe('remote-b');
+    expect(second.model_used).toBe('remote-b');
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(4);
+
+    const third = await executeQuery({ request_id: 'req-3', query: '你好', metadata: {} });
+    expect(third.model_used).toBe('remote-b');
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(5);
+    expect(monitoringService.recordCircuitTransition).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'remote-a',
+      model: null,
+      from: STATES.CLOSED,
+      to: STATES.OPEN
+    }));
+  });
+});
+
+describe('熔断器的监控', () => {
+  const actualMonitoring = {};
+
+  beforeAll(() => {
+    // MonitoringService 和 MetricsCollector 在加载时启动定时器
+    jest.useFakeTimers();
+    jest.isolateModules(() => {
+      actualMonitoring.service = jest.requireActual('../src/monitoring/MonitoringService');
+      actualMonitoring.alertManager = require('../src/monitoring/alerts/AlertManager');
+    });
+    jest.useRealTimers();
+  });
+
+  test('状态变化应该产生告警，并在系统状态中显示', () => {
+    const { service, alertManager } = actualMonitoring;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const transition = { provider: 'remote-a', model: null, reason: '连续 2 次调用超时', timestamp: new Date().toISOString() };
+
+    service.recordCircuitTransition({ ...transition, from: 'closed', to: 'open' });
+    expect(alertManager.getActiveAlerts()).toEqual([
+      expect.objectContaining({ type: 'circuit_breaker', severity: 'high', data: expect.objectContaining({ circuit: 'remote-a' }) })
+    ]);
+    expect(service.getHealthStatus().status).toBe('degraded');
+
+    service.recordCircuitTransition({ ...transition, from: 'open', to: 'half_open' });
+    expect(alertManager.getActiveAlerts().map(alert => alert.severity)).toEqual(['medium']);
+
+    service.recordCircuitTransition({ ...transition, from: 'half_open', to: 'closed' });
+    expect(alertManager.getActiveAlerts()).toEqual([]);
+    expect(service.getDetailedStatus().circuitBreakers).toEqual([
+      expect.objectContaining({ circuit: 'remote-a', state: 'closed' })
+    ]);
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * 文本分类和实体识别服务测试
+ */
+
+// 模拟具备分类和实体识别能力的 BERT 适配器
+jest.mock('../src/adapters', () => {
+  const bert = {
+    getType: () => 'local',
+    classify: jest.fn(),
+    extractEntities: jest.fn()
+  };
+  const capabilities = { classification: true, ner: true };
+
+  return {
+    adapterManager: {
+      bert,
+      capabilities,
+      getAdaptersByCapability: jest.fn().mockImplementation(capability =>
+        (capabilities[capability] ? [{ name: 'local-bert', adapter: bert }] : [])
+      )
+    },
+    initializeAdapters: jest.fn()
+  };
+});
+
+jest.mock('../src/services/modelGatewayService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+const { adapterManager } = require('../src/adapters');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const {
+  executeClassification,
+  executeEntityExtraction,
+  locateEntities
+} = require('../src/services/classificationService');
+
+const tokenUsage = { input: 10, output: 5, total: 15 };
+
+describe('文本分类', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adapterManager.capabilities.classification = true;
+  });
+
+  test('应该使用 BERT 适配器并按分数排序标签', async () => {
+    adapterManager.bert.classify.mockResolvedValue({
+      labels: [{ label: '正常', score: 0.2 }, { label: '广告', score: 0.8 }],
+      model: 'bert-base',
+      tokenUsage,
+      cost: 0
+    });
+
+    const result = await executeClassification({ text: '限时优惠，点击领取', labels: ['正常', '广告'] });
+
+    expect(adapterManager.bert.classify).toHaveBeenCalledWith('default', '限时优惠，点击领取', ['正常', '广告']);
+    expect(result.labels.map(l => l.label)).toEqual(['广告', '正常']);
+    expect(result.model_used).toBe('local-bert');
+    expect(result.generative_fallback).toBe(false);
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  test('没有分类提供商时应该使用生成模型并过滤候选外的标签', async () => {
+    adapterManager.capabilities.classification = false;
+    executeQuery.mockResolvedValue({
+      response: '结果如下：\n```json\n{"labels": [{"label": "正常", "score": 0.1}, {"label": "广告", "score": 0.9}, {"label": "其他", "score": 0.5}]}\n```',
+      model_used: 'remote-openai',
+      cost: 0.002,
+      token_usage: tokenUsage
+    });
+
+    const result = await executeClassification({ text: '限时优惠', labels: ['广告', '正常'] });
+
+    expect(executeQuery.mock.calls[0][0].system_prompt).toContain('广告、正常');
+    expect(executeQuery.mock.calls[0][0].generation).toEqual({ temperature: 0 });
+    expect(result.labels).toEqual([{ label: '广告', score: 0.9 }, { label: '正常', score: 0.1 }]);
+    expect(result.model_used).toBe('remote-openai');
+    expect(result.cost).toBe(0.002);
+    expect(result.generative_fallback).toBe(true);
+  });
+
+  test('生成模型输出无法解析时应该返回 MODEL_UNAVAILABLE', async () => {
+    adapterManager.capabilities.classification = false;
+    executeQuery.mockResolvedValue({ response: '这段文本是广告', model_used: 'remote-openai', cost: 0, token_usage: tokenUsage });
+
+    await expect(executeClassification({ text: '限时优惠' }))
+      .rejects.toMatchObject({ code: 'MODEL_UNAVAILABLE' });
+  });
+
+  test('指定的提供商不可用时不应该回退到生成模型', async () => {
+    await expect(executeClassification({ text: '限时优惠', provider: 'remote-bert' }))
+      .rejects.toMatchObject({ code: 'MODEL_UNAVAILABLE' });
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('命名实体识别', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adapterManager.capabilities.ner = true;
+  });
+
+  test('BERT 适配器失败时应该回退到生成模型并计算实体位置', async () => {
+    adapterManager.bert.extractEntities.mockRejectedValue(new Error('BERT 服务无响应'));
+    executeQuery.mockResolvedValue({
+      response: '{"entities": [{"text": "北京", "type": "地名"}, {"text": "张三", "type": "人名", "score": 0.9}, {"text": "北京", "type": "地名"}]}',
+      model_used: 'remote-anthropic',
+      cost: 0.001,
+      token_usage: tokenUsage
+    });
+
+    const result = await executeEntityExtraction({ text: '张三从北京出发，又回到北京' });
+
+    expect(result.entities).toEqual([
+      { text: '张三', type: '人名', start: 0, end: 2, score: 0.9 },
+      { text: '北京', type: '地名', start: 3, end: 5, score: 1 },
+      { text: '北京', type: '地名', start: 11, end: 13, score: 1 }
+    ]);
+    expect(result.generative_fallback).toBe(true);
+  });
+});
+
+describe('实体位置计算', () => {
+  test('应该保留有效位置并丢弃原文中不存在的实体', () => {
+    const entities = locateEntities('Alice met Bob', [
+      { text: 'Bob', type: 'PER', start: 10, end: 13, score: 0.8 },
+      { text: 'Carol', type: 'PER', score: 0.7 },
+      { text: 'Alice', type: 'PER', start: 3, end: 8, score: 0.9 }
+    ]);
+
+    expect(entities).toEqual([
+      { text: 'Alice', type: 'PER', start: 0, end: 5, score: 0.9 },
+      { text: 'Bob', type: 'PER', start: 10, end: 13, score: 0.8 }
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * 复杂度评估器测试
+ */
+const { ComplexityEvaluator, complexityEvaluator } = require('../src/complexity');
+
+describe('复杂度评估器', () => {
+  test('应该只运行请求的特征并返回每个特征的分数', () => {
+    const result = complexityEvaluator.evaluate(
+      { query: 'Explain why this algorithm uses a database index and compare the tradeoff' },
+      ['abstraction', 'domain']
+    );
+
+    expect(Object.keys(result.featureScores)).toEqual(['abstraction', 'domain']);
+    expect(result.featureScores.abstraction).toBe(1);
+    expect(result.complexityFactors).toContain('抽象推理要求高');
+    expect(result.complexityScore).toBeCloseTo((result.featureScores.abstraction + result.featureScores.domain) / 2);
+  });
+
+  test('单轮请求时上下文特征不参与评估', () => {
+    const single = complexityEvaluator.evaluate({ query: '你好' });
+    const multi = complexityEvaluator.evaluate({
+      query: '继续',
+      messages: [{ role: 'user', content: '介绍一下' }, { role: 'assistant', content: '好的' }]
+    });
+
+    expect(single.featureScores).not.toHaveProperty('context');
+    expect(multi.featureScores.context).toBeGreaterThan(0);
+  });
+
+  test('请求未注册的特征时应该返回 INVALID_REQUEST', () => {
+    expect(() => complexityEvaluator.evaluate({ query: '你好' }, ['length']))
+      .toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+
+  test('应该支持注册自定义评分器并按权重加权', () => {
+    const evaluator = new ComplexityEvaluator();
+    evaluator.registerScorer('always_high', { weight: 3, score: () => ({ score: 1, factors: ['固定高分'] }) });
+    evaluator.registerScorer('always_low', { weight: 1, score: () => ({ score: 0 }) });
+
+    const result = evaluator.evaluate({ query: '任意查询' }, ['always_high', 'always_low']);
+
+    expect(result.complexityScore).toBeCloseTo(0.75);
+    expect(result.complexityFactors).toEqual(['固定高分']);
+    expect(() => evaluator.registerScorer('broken', { weight: 1 })).toThrow();
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * 上下文窗口与溢出策略测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'local-llama': {
+      status: 'online',
+      supportedModelTypes: ['local'],
+      defaultModel: 'llama2-7b',
+      baseCostPerQuery: 0.001
+    },
+    'remote-openai': {
+      status: 'online',
+      supportedModelTypes: ['hybrid', 'remote'],
+      defaultModel: 'gpt-4',
+      supportedModels: ['gpt-4', 'gpt-4-32k'],
+      baseCostPerQuery: 0.02
+    }
+  },
+  contextWindow: {
+    overflowPolicy: 'reject',
+    summaryMaxTokens: 200
+  },
+  routingRules: []
+}));
+
+const { adapterManager } = require('../src/adapters');
+const modelRouterService = require('../src/services/modelRouterService');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { fitConversation, getContextWindow } = require('../src/services/contextWindow');
+const { SharedBudget } = require('../src/utils/budget');
+
+/**
+ * 生成交替的对话轮次
+ * @param {number} count - 消息数
+ * @param {number} length - 每条消息的汉字数
+ * @returns {Array<Object>} 对话消息
+ */
+function buildConversation(count, length) {
+  return Array.from({ length: count }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `第${index}轮${'测'.repeat(length)}`
+  }));
+}
+
+describe('按上下文窗口选择模型', () => {
+  test('应该跳过上下文窗口不足的模型', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.8, [], { promptTokens: 9000 });
+
+    expect(modelInfo.provider).toBe('remote-openai');
+    expect(modelInfo.model).toBe('gpt-4-32k');
+    expect(getContextWindow(modelInfo.modelConfig, 'llama2-7b')).toBe(4096);
+  });
+
+  test('reject 策略应该返回 INVALID_REQUEST 并说明需要的 token 数', () => {
+    expect(() => modelRouterService.selectModelByComplexity(0.1, [], { promptTokens: 5000, maxOutputTokens: 500 }))
+      .toThrow(expect.objectContaining({
+        code: 'INVALID_REQUEST',
+        message: expect.stringContaining('请求约需 5500 tokens')
+      }));
+  });
+
+  test('escalate 策略应该升级到上下文窗口更大的模型类型', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.1, [], { promptTokens: 5000, contextOverflow: 'escalate' });
+
+    expect(modelInfo.modelType).toBe('hybrid');
+    expect(modelInfo.provider).toBe('remote-openai');
+    expect(modelInfo.contextOverflow).toBeNull();
+  });
+
+  test('truncate 策略应该保持模型类型并标记需要缩减对话', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.1, [], { promptTokens: 5000, contextOverflow: 'truncate' });
+
+    expect(modelInfo.provider).toBe('local-llama');
+    expect(modelInfo.contextOverflow).toBe('truncate');
+  });
+
+  test('未知的溢出策略应该返回 INVALID_REQUEST', () => {
+    expect(() => modelRouterService.selectModelByComplexity(0.1, [], { promptTokens: 10, contextOverflow: 'drop' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+});
+
+describe('缩减对话', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('truncate 应该丢弃最早的对话轮次并以 user 消息开头', async () => {
+    const messages = buildConversation(10, 1000);
+    const fitted = await fitConversation({ query: '继续', messages }, 4096, { policy: 'truncate', maxTokens: 1000 });
+
+    expect(fitted.droppedMessages).toBeGreaterThan(0);
+    expect(fitted.messages[0].role).toBe('user');
+    expect(fitted.messages[fitted.messages.length - 1]).toBe(messages[messages.length - 1]);
+    expect(fitted.promptTokens + 1000).toBeLessThanOrEqual(4096);
+  });
+
+  test('summarize 应该把放不下的对话轮次压缩为摘要并附加到系统提示', async () => {
+    adapterManager.callModel.mockResolvedValue({ text: '用户在讨论测试', cost: 0.002 });
+    const messages = buildConversation(10, 1000);
+
+    const fitted = await fitConversation(
+      { query: '继续', messages, systemPrompt: '你是一个助手' },
+      4096,
+      { policy: 'summarize', maxTokens: 1000, summarizer: { provider: 'remote-openai', model: 'gpt-4-32k', contextWindow: 32768 } }
+    );
+
+    expect(fitted.summarized).toBe(true);
+    expect(fitted.systemPrompt).toBe('你是一个助手\n\n之前对话的摘要：用户在讨论测试');
+    expect(fitted.cost).toBe(0.002);
+    expect(fitted.promptTokens + 1000).toBeLessThanOrEqual(4096);
+    expect(adapterManager.callModel.mock.calls[0][1]).toBe('gpt-4-32k');
+    expect(adapterManager.callModel.mock.calls[0][2].text.startsWith('请用简洁的语言')).toBe(true);
+    expect(adapterManager.callModel.mock.calls[0][2].text).toContain('user: 第0轮');
+  });
+
+  test('摘要失败时应该回退到 truncate', async () => {
+    adapterManager.callModel.mockRejectedValue(new Error('服务不可用'));
+
+    const fitted = await fitConversation(
+      { query: '继续', messages: buildConversation(10, 1000) },
+      4096,
+      { policy: 'summarize', maxTokens: 1000, summarizer: { provider: 'remote-openai', model: 'gpt-4', contextWindow: 8192 } }
+    );
+
+    expect(fitted.summarized).toBe(false);
+    expect(fitted.droppedMessages).toBeGreaterThan(0);
+  });
+
+  test('摘要调用应该记录提供商的使用情况，熔断器打开时不调用并回退到 truncate', async () => {
+    adapterManager.callModel.mockResolvedValue({ text: '用户在讨论测试', cost: 0.002 });
+    const summarizer = { provider: 'remote-openai', model: 'gpt-4-32k', contextWindow: 32768 };
+    modelRouterService.modelStats.delete('remote-openai');
+
+    await fitConversation({ query: '继续', messages: buildConversation(10, 1000) }, 4096, { policy: 'summarize', maxTokens: 1000, summarizer });
+    expect(modelRouterService.modelStats.get('remote-openai')).toMatchObject({ totalCalls: 1, successRate: 1 });
+    expect(modelRouterService.activeConnections.get('remote-openai')).toBe(0);
+
+    const canRoute = jest.spyOn(modelRouterService.circuitBreakers, 'canRoute').mockReturnValue(false);
+    const fitted = await fitConversation({ query: '继续', messages: buildConversation(10, 1000) }, 4096, { policy: 'summarize', maxTokens: 1000, summarizer });
+    canRoute.mockRestore();
+
+    expect(fitted.summarized).toBe(false);
+    expect(fitted.droppedMessages).toBeGreaterThan(0);
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(1);
+  });
+
+  test('当前查询本身放不下时应该返回 INVALID_REQUEST', async () => {
+    await expect(fitConversation({ query: '测'.repeat(4000), messages: [] }, 4096, { policy: 'truncate', maxTokens: 1000 }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+
+  test('网关应该在调用模型之前缩减对话', async () => {
+    adapterManager.callModel.mockResolvedValue({ text: '好的', cost: 0.01 });
+    const messages = buildConversation(40, 1000);
+
+    await executeQuery({ query: '继续', messages, metadata: { contextOverflow: 'truncate' } });
+
+    const [provider, model, query] = adapterManager.callModel.mock.calls[0];
+    expect(getContextWindow({}, model)).toBeLessThan(40000);
+    expect(query.context.length).toBeLessThan(messages.length);
+    expect(query.context[0].role).toBe('user');
+    expect(['local-llama', 'remote-openai']).toContain(provider);
+  });
+
+  test('使用共享预算时应该预留摘要成本并只结算一次', async () => {
+    adapterManager.callModel
+      .mockResolvedValueOnce({ text: '用户在讨论测试', cost: 0.002 })
+      .mockResolvedValueOnce({ text: '好的', cost: 0.01 });
+    const sharedBudget = new SharedBudget(10);
+    const reserve = jest.spyOn(sharedBudget, 'reserve');
+
+    const result = await executeQuery(
+      { query: '继续', messages: buildConversation(40, 1000), metadata: { contextOverflow: 'summarize' } },
+      { sharedBudget }
+    );
+
+    expect(adapterManager.callModel.mock.calls[0][2].text.startsWith('请用简洁的语言')).toBe(true);
+    expect(reserve).toHaveBeenCalledTimes(2);
+    expect(reserve.mock.calls[0][0]).toBeGreaterThan(0);
+    expect(result.cost).toBeCloseTo(0.012);
+    expect(sharedBudget.spent).toBeCloseTo(0.012);
+    expect(sharedBudget.reserved).toBe(0);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * 嵌入向量服务测试
+ */
+
+// 模拟具备 embedding 能力的适配器
+jest.mock('../src/adapters', () => {
+  const createAdapter = (type, batchSize, dimensions) => ({
+    getType: () => type,
+    getEmbeddingBatchSize: () => batchSize,
+    createEmbeddings: jest.fn().mockImplementation((model, inputs) => Promise.resolve({
+      embeddings: inputs.map(input => new Array(dimensions).fill(input.length)),
+      model: `${type}-embedding`,
+      tokenUsage: { input: inputs.length, output: 0, total: inputs.length },
+      cost: type === 'remote' ? 0.001 * inputs.length : 0
+    }))
+  });
+
+  const adapters = {
+    'remote-openai': createAdapter('remote', 2, 3),
+    'local-bert': createAdapter('local', 3, 2)
+  };
+
+  return {
+    adapterManager: {
+      adapters,
+      getAdaptersByCapability: jest.fn().mockImplementation(() =>
+        Object.entries(adapters).map(([name, adapter]) => ({ name, adapter }))
+      )
+    },
+    initializeAdapters: jest.fn()
+  };
+});
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+const { adapterManager } = require('../src/adapters');
+const { executeEmbeddings } = require('../src/services/embeddingService');
+
+describe('嵌入向量服务', () => {
+  beforeEach(() => {
+    Object.values(adapterManager.adapters).forEach(adapter => adapter.createEmbeddings.mockClear());
+  });
+
+  test('应该优先使用本地提供商并按批量限制分批调用', async () => {
+    const result = await executeEmbeddings({ inputs: ['a', 'bb', 'ccc', 'dddd'] });
+
+    expect(result.model_used).toBe('local-bert');
+    expect(result.dimensions).toBe(2);
+    expect(result.embeddings.map(e => e.index)).toEqual([0, 1, 2, 3]);
+    expect(result.embeddings[3].values).toEqual([4, 4]);
+    expect(adapterManager.adapters['local-bert'].createEmbeddings).toHaveBeenCalledTimes(2);
+  });
+
+  test('应该使用请求指定的提供商并累计成本', async () => {
+    const result = await executeEmbeddings({ inputs: ['a', 'bb', 'ccc'], provider: 'remote-openai' });
+
+    expect(result.model_used).toBe('remote-openai');
+    expect(result.model).toBe('remote-embedding');
+    expect(result.cost).toBeCloseTo(0.003);
+    expect(result.token_usage).toEqual({ input: 3, output: 0, total: 3 });
+    expect(adapterManager.adapters['remote-openai'].createEmbeddings).toHaveBeenCalledTimes(2);
+  });
+
+  test('提供商失败时应该整体切换到下一个提供商', async () => {
+    adapterManager.adapters['local-bert'].createEmbeddings
+      .mockRejectedValueOnce(new Error('BERT 服务无响应'));
+
+    const result = await executeEmbeddings({ inputs: ['a'] });
+
+    expect(result.model_used).toBe('remote-openai');
+    expect(result.dimensions).toBe(3);
+  });
+
+  test('指定的提供商不支持嵌入向量时应该返回 MODEL_UNAVAILABLE', async () => {
+    await expect(executeEmbeddings({ inputs: ['a'], provider: 'remote-anthropic' }))
+      .rejects.toMatchObject({ code: 'MODEL_UNAVAILABLE' });
+  });
+
+  test('输入为空时应该返回 INVALID_REQUEST', async () => {
+    await expect(executeEmbeddings({ inputs: [] }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
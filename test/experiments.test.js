@@ -0,0 +1,245 @@
+/**
+ * A/B 实验测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  recordFeedback: jest.fn(),
+  recordExperiment: jest.fn(),
+  getMetrics: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7,
+    loadWeight: 0,
+    costEfficiencyWeight: 0,
+    performanceWeight: 0,
+    reliabilityWeight: 0,
+    qualityWeight: 0
+  },
+  modelProviders: {
+    'remote-a': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-a'
+    },
+    'remote-b': {
+      status: 'online',
+      supportedModelTypes: ['remote'],
+      defaultModel: 'model-b'
+    }
+  },
+  routingRules: [],
+  experiments: [
+    {
+      name: 'canary',
+      status: 'running',
+      match: { tenant: 'acme' },
+      arms: [{ name: 'new-model', provider: 'remote-b', model: 'model-b2', percentage: 100 }]
+    },
+    {
+      name: 'holdout',
+      status: 'running',
+      match: { tenant: 'beta' },
+      assignBy: ['user_id'],
+      arms: [{ name: 'new-model', provider: 'remote-b', percentage: 0.01 }]
+    }
+  ]
+}));
+
+const config = require('../src/config');
+const { adapterManager } = require('../src/adapters');
+const monitoringService = require('../src/monitoring/MonitoringService');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { ExperimentManager, experimentManager, CONTROL_ARM } = require('../src/services/experiments');
+const { applyFeedback, decisionStore } = require('../src/services/feedbackService');
+const adminAPI = require('../src/http/AdminAPI');
+
+// MetricsCollector 在加载时启动资源监控定时器
+jest.useFakeTimers();
+const metricsCollector = require('../src/monitoring/metrics/MetricsCollector');
+jest.useRealTimers();
+
+const PROVIDERS = ['remote-a', 'remote-b'];
+
+function createExperiment(overrides = {}) {
+  return {
+    name: 'exp',
+    status: 'running',
+    arms: [{ name: 'treatment', provider: 'remote-b', percentage: 20 }],
+    ...overrides
+  };
+}
+
+describe('ExperimentManager', () => {
+  test('应该拒绝无效的实验', () => {
+    const invalid = [
+      createExperiment({ arms: [] }),
+      createExperiment({ arms: [{ name: 'x', provider: 'unknown', percentage: 10 }] }),
+      createExperiment({ arms: [{ name: CONTROL_ARM, provider: 'remote-b', percentage: 10 }] }),
+      createExperiment({
+        arms: [
+          { name: 'x', provider: 'remote-a', percentage: 60 },
+          { name: 'y', provider: 'remote-b', percentage: 50 }
+        ]
+      }),
+      createExperiment({ match: { region: 'eu' } }),
+      createExperiment({ status: 'paused' })
+    ];
+
+    invalid.forEach(experiment => {
+      expect(() => new ExperimentManager([experiment], PROVIDERS)).toThrow();
+    });
+    expect(() => new ExperimentManager([createExperiment(), createExperiment()], PROVIDERS)).toThrow('实验名称重复');
+  });
+
+  test('同一用户应该始终分配到同一实验组，流量按比例分配', () => {
+    const manager = new ExperimentManager([createExperiment()], PROVIDERS);
+    const counts = { treatment: 0, [CONTROL_ARM]: 0 };
+
+    for (let i = 0; i < 2000; i++) {
+      const metadata = { user_id: `user-${i}` };
+      const assignment = manager.assign(0.5, metadata, `req-${i}`);
+      expect(manager.assign(0.5, metadata, 'another-request')).toEqual(assignment);
+      counts[assignment.arm]++;
+    }
+
+    expect(counts.treatment / 2000).toBeGreaterThan(0.16);
+    expect(counts.treatment / 2000).toBeLessThan(0.24);
+  });
+
+  test('没有用户和租户时应该按请求 ID 分配', () => {
+    const manager = new ExperimentManager([createExperiment({ assignBy: ['tenant'] })], PROVIDERS);
+
+    expect(manager.assign(0.5, {}, 'req-1')).toEqual(manager.assign(0.5, {}, 'req-1'));
+    expect(manager.assign(0.5, { tenant: 't1' }, 'req-1')).toEqual(manager.assign(0.5, { tenant: 't1' }, 'req-2'));
+  });
+
+  test('只有匹配条件且运行中的实验才分配请求', () => {
+    const manager = new ExperimentManager([
+      createExperiment({ status: 'stopped', name: 'first' }),
+      createExperiment({ name: 'second', match: { complexity: { min: 0.7 } } })
+    ], PROVIDERS);
+
+    expect(manager.assign(0.5, {}, 'req-1')).toBeNull();
+    expect(manager.assign(0.9, {}, 'req-1')).toMatchObject({ experiment: 'second' });
+
+    manager.start('first');
+    expect(manager.assign(0.9, {}, 'req-1')).toMatchObject({ experiment: 'first' });
+    expect(manager.list()[0]).toMatchObject({ name: 'first', status: 'running', controlPercentage: 80 });
+
+    manager.stop('first');
+    expect(manager.list()[0].status).toBe('stopped');
+    expect(() => manager.stop('missing')).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+});
+
+describe('网关中的实验分组', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    decisionStore.clear();
+    adapterManager.callModel.mockResolvedValue({ text: '答案', cost: 0.01 });
+  });
+
+  test('实验组应该使用指定的提供商和模型，并在响应中返回实验组', async () => {
+    const result = await executeQuery({ request_id: 'req-1', query: '你好', metadata: { tenant: 'acme' } });
+
+    expect(adapterManager.callModel).toHaveBeenCalledWith('remote-b', 'model-b2', expect.any(Object), expect.any(Object));
+    expect(result).toMatchObject({ model_used: 'remote-b', experiment: 'canary', experiment_arm: 'new-model' });
+    expect(monitoringService.recordExperiment).toHaveBeenCalledWith(expect.objectContaining({
+      experiment: 'canary',
+      arm: 'new-model',
+      success: true,
+      cost: 0.01
+    }));
+  });
+
+  test('对照组和不参与实验的请求应该按普通方式路由', async () => {
+    const control = await executeQuery({ request_id: 'req-1', query: '你好', metadata: { tenant: 'beta', user_id: 'u1' } });
+    const outside = await executeQuery({ request_id: 'req-2', query: '你好', metadata: { tenant: 'other' } });
+
+    expect(control).toMatchObject({ model_used: 'remote-a', experiment: 'holdout', experiment_arm: CONTROL_ARM });
+    expect(outside.model_used).toBe('remote-a');
+    expect(outside.experiment).toBeUndefined();
+    expect(monitoringService.recordExperiment).toHaveBeenCalledTimes(1);
+  });
+
+  test('实验组的提供商不可用时请求不参与实验', async () => {
+    config.modelProviders['remote-b'].status = 'offline';
+    try {
+      const result = await executeQuery({ request_id: 'req-1', query: '你好', metadata: { tenant: 'acme' } });
+
+      expect(result.model_used).toBe('remote-a');
+      expect(result.experiment).toBeUndefined();
+    } finally {
+      config.modelProviders['remote-b'].status = 'online';
+    }
+  });
+
+  test('失败的请求应该计为实验组的错误，反馈应该计入实验组', async () => {
+    adapterManager.callModel.mockRejectedValue(new Error('boom'));
+    await expect(executeQuery({ request_id: 'req-1', query: '你好', metadata: { tenant: 'acme' } })).rejects.toThrow();
+    expect(monitoringService.recordExperiment).toHaveBeenCalledWith(expect.objectContaining({
+      experiment: 'canary',
+      arm: 'new-model',
+      success: false
+    }));
+
+    adapterManager.callModel.mockResolvedValue({ text: '答案', cost: 0.01 });
+    await executeQuery({ request_id: 'req-2', query: '你好', metadata: { tenant: 'acme' } });
+    applyFeedback({ request_id: 'req-2', rating: 4, labels: [], comment: '' });
+    expect(monitoringService.recordFeedback).toHaveBeenCalledWith(expect.objectContaining({
+      experiment: 'canary',
+      arm: 'new-model',
+      rating: 4
+    }));
+  });
+});
+
+describe('实验指标和管理接口', () => {
+  test('应该按实验组汇总延迟、成本、错误率和反馈评分', () => {
+    metricsCollector.recordExperiment({ experiment: 'canary', arm: 'new-model', duration: 100, success: true, cost: 0.02 });
+    metricsCollector.recordExperiment({ experiment: 'canary', arm: 'new-model', duration: 300, success: false, cost: 0 });
+    metricsCollector.recordFeedback({ modelId: 'remote-b', band: 'low', rating: 4, quality: 0.75, experiment: 'canary', arm: 'new-model' });
+
+    expect(metricsCollector.getMetricsSummary().experiments).toEqual([{
+      experiment: 'canary',
+      arm: 'new-model',
+      requestCount: 2,
+      errorRate: 0.5,
+      averageLatency: 200,
+      totalCost: 0.02,
+      averageCost: 0.01,
+      feedbackCount: 1,
+      averageRating: 4
+    }]);
+  });
+
+  test('管理接口应该开始和停止实验，未知实验返回 400', () => {
+    const json = jest.fn();
+    const res = { json, status: jest.fn(() => res) };
+
+    adminAPI.stopExperiment({ params: { name: 'canary' } }, res);
+    expect(json).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'canary', status: 'stopped' }));
+    expect(experimentManager.assign(0.5, { tenant: 'acme' }, 'req-1')).toBeNull();
+
+    adminAPI.startExperiment({ params: { name: 'canary' } }, res);
+    expect(json).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'canary', status: 'running' }));
+
+    adminAPI.startExperiment({ params: { name: 'missing' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    adminAPI.listExperiments({}, res);
+    expect(json.mock.calls[json.mock.calls.length - 1][0].experiments.map(item => item.name)).toEqual(['canary', 'holdout']);
+  });
+});
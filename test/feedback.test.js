@@ -0,0 +1,164 @@
+/**
+ * 质量反馈测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  recordFeedback: jest.fn(),
+  getMetrics: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7,
+    loadWeight: 0,
+    costEfficiencyWeight: 0,
+    performanceWeight: 0,
+    reliabilityWeight: 0,
+    qualityWeight: 1
+  },
+  modelProviders: {
+    'remote-a': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-a'
+    },
+    'remote-b': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-b'
+    }
+  },
+  feedback: {
+    retentionMs: 60000,
+    maxDecisions: 3,
+    minSamples: 2
+  },
+  routingRules: []
+}));
+
+const { adapterManager } = require('../src/adapters');
+const monitoringService = require('../src/monitoring/MonitoringService');
+const modelRouterService = require('../src/services/modelRouterService');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { submitFeedback, recordRoutingDecision, applyFeedback, decisionStore } = require('../src/services/feedbackService');
+const monitoringAPI = require('../src/monitoring/MonitoringAPI');
+
+// MetricsCollector 在加载时启动资源监控定时器
+jest.useFakeTimers();
+const metricsCollector = require('../src/monitoring/metrics/MetricsCollector');
+jest.useRealTimers();
+
+function callSubmitFeedback(request) {
+  return new Promise((resolve, reject) => {
+    submitFeedback({ request }, (error, response) => (error ? reject(error) : resolve(response)));
+  });
+}
+
+describe('SubmitFeedback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    decisionStore.clear();
+    modelRouterService.qualityStats.clear();
+    modelRouterService.bandit.reset();
+    adapterManager.callModel.mockResolvedValue({ text: '答案', cost: 0.01 });
+  });
+
+  test('应该将反馈与请求的路由决策关联', async () => {
+    const result = await executeQuery({ request_id: 'req-1', query: '你好', metadata: {} });
+
+    const response = await callSubmitFeedback({ request_id: result.request_id, rating: 5, labels: ['helpful'], comment: '' });
+
+    expect(response).toMatchObject({
+      request_id: 'req-1',
+      provider: result.model_used,
+      model: 'model-a',
+      complexity_band: modelRouterService.getComplexityBucket(result.complexity_score),
+      rating: 5
+    });
+    expect(monitoringService.recordFeedback).toHaveBeenCalledWith(expect.objectContaining({
+      modelId: 'remote-a',
+      quality: 1,
+      labels: ['helpful']
+    }));
+    expect(modelRouterService.qualityStats.get('remote-a').get(response.complexity_band)).toEqual({ count: 1, totalQuality: 1 });
+  });
+
+  test('未知请求、重复反馈和无效评分应该返回 INVALID_ARGUMENT', async () => {
+    recordRoutingDecision('req-2', { provider: 'remote-a', model: 'model-a', complexityScore: 0.5, modelType: 'hybrid' });
+
+    await expect(callSubmitFeedback({ request_id: 'missing', rating: 3 })).rejects.toMatchObject({ code: 3 });
+    await expect(callSubmitFeedback({ request_id: 'req-2', rating: 0 })).rejects.toMatchObject({ code: 3 });
+    await callSubmitFeedback({ request_id: 'req-2', rating: 3 });
+    await expect(callSubmitFeedback({ request_id: 'req-2', rating: 4 })).rejects.toMatchObject({
+      code: 3,
+      message: expect.stringContaining('已经提交过反馈')
+    });
+  });
+
+  test('超过保留条数的路由决策应该被丢弃', () => {
+    ['a', 'b', 'c', 'd'].forEach(id => recordRoutingDecision(id, { provider: 'remote-a', complexityScore: 0.5 }));
+
+    expect(decisionStore.get('a')).toBeNull();
+    expect(decisionStore.get('d')).toMatchObject({ provider: 'remote-a' });
+  });
+
+  test('质量评分应该作为路由评分因子', () => {
+    expect(modelRouterService.selectModelByComplexity(0.9, [], {}).provider).toBe('remote-a');
+
+    ['x', 'y'].forEach(id => {
+      recordRoutingDecision(id, { provider: 'remote-a', model: 'model-a', complexityScore: 0.9, modelType: 'remote' });
+      applyFeedback({ request_id: id, rating: 1, labels: [], comment: '' });
+    });
+
+    expect(modelRouterService.getQualityScore('remote-a', 'high')).toBe(0);
+    expect(modelRouterService.getQualityScore('remote-b', 'high')).toBe(0.5);
+    expect(modelRouterService.selectModelByComplexity(0.9, [], {}).provider).toBe('remote-b');
+    const plan = modelRouterService.planRoute(0.9, {});
+    expect(plan.weights.quality).toBe(1);
+  });
+});
+
+describe('质量指标', () => {
+  test('应该按提供商和复杂度区间汇总反馈', () => {
+    metricsCollector.recordFeedback({ modelId: 'remote-a', band: 'high', rating: 5, quality: 1, labels: ['helpful'] });
+    metricsCollector.recordFeedback({ modelId: 'remote-a', band: 'high', rating: 2, quality: 0.25, labels: ['helpful', 'too_long'] });
+    metricsCollector.recordFeedback({ modelId: 'remote-a', band: 'low', rating: 4, quality: 0.75 });
+
+    const quality = metricsCollector.getMetricsSummary().quality;
+    expect(quality).toEqual([
+      {
+        modelId: 'remote-a',
+        band: 'high',
+        feedbackCount: 2,
+        averageRating: 3.5,
+        averageQuality: 0.625,
+        labels: { helpful: 2, too_long: 1 }
+      },
+      expect.objectContaining({ band: 'low', feedbackCount: 1 })
+    ]);
+  });
+
+  test('监控接口应该支持按提供商和复杂度区间筛选', async () => {
+    monitoringService.getMetrics.mockReturnValue({
+      quality: [
+        { modelId: 'remote-a', band: 'high', feedbackCount: 1 },
+        { modelId: 'remote-b', band: 'high', feedbackCount: 2 }
+      ]
+    });
+    const res = { json: jest.fn(), status: jest.fn() };
+
+    await monitoringAPI.getQualityMetrics({ query: { modelId: 'remote-b' } }, res);
+
+    expect(res.json).toHaveBeenCalledWith([{ modelId: 'remote-b', band: 'high', feedbackCount: 2 }]);
+  });
+});
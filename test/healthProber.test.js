@@ -0,0 +1,241 @@
+/**
+ * 提供商健康探测测试
+ */
+
+jest.mock('../src/adapters', () => {
+  const adapters = new Map();
+  return {
+    adapterManager: {
+      adapters,
+      callModel: jest.fn(),
+      getAdapter: name => adapters.get(name)
+    },
+    initializeAdapters: jest.fn()
+  };
+});
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  recordHealthProbe: jest.fn(),
+  recordCircuitTransition: jest.fn(),
+  getHealthProbes: jest.fn(() => []),
+  getMetrics: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7,
+    loadWeight: 0,
+    costEfficiencyWeight: 0,
+    performanceWeight: 0,
+    reliabilityWeight: 0,
+    qualityWeight: 0
+  },
+  modelProviders: {
+    'local-llama': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'llama',
+      healthCheck: { endpoint: '/health', intervalMs: 1000 }
+    },
+    'remote-a': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-a',
+      healthCheck: { enabled: false }
+    }
+  },
+  routingRules: [],
+  healthProbe: {
+    enabled: true,
+    intervalMs: 30000,
+    timeoutMs: 50,
+    degradedLatencyMs: 100,
+    failureThreshold: 2,
+    prompt: 'ping',
+    maxTokens: 1
+  }
+}));
+
+const config = require('../src/config');
+const { adapterManager } = require('../src/adapters');
+const monitoringService = require('../src/monitoring/MonitoringService');
+const modelRouterService = require('../src/services/modelRouterService');
+const { HealthProber } = require('../src/services/healthProber');
+const { BaseModelAdapter } = require('../src/adapters/baseAdapter');
+const monitoringAPI = require('../src/monitoring/MonitoringAPI');
+
+// MetricsCollector 在加载时启动资源监控定时器
+jest.useFakeTimers();
+const metricsCollector = require('../src/monitoring/metrics/MetricsCollector');
+jest.useRealTimers();
+
+const llama = { checkHealth: jest.fn() };
+const remote = { checkHealth: jest.fn() };
+adapterManager.adapters.set('local-llama', llama);
+adapterManager.adapters.set('remote-a', remote);
+
+function createProber() {
+  const clock = { now: 0, latency: 0 };
+  const prober = new HealthProber(() => clock.now);
+  llama.checkHealth.mockImplementation(async () => {
+    clock.now += clock.latency;
+  });
+  return { prober, clock };
+}
+
+describe('HealthProber', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    modelRouterService.providerHealth.clear();
+  });
+
+  test('应该按探测延迟标记为 online 或 degraded，并把延迟提供给路由服务', async () => {
+    const { prober, clock } = createProber();
+
+    clock.latency = 40;
+    expect(await prober.probe('local-llama')).toMatchObject({ provider: 'local-llama', status: 'online', latency: 40 });
+    expect(llama.checkHealth).toHaveBeenCalledWith(
+      expect.objectContaining({ endpoint: '/health', prompt: 'ping', timeoutMs: 50 }),
+      expect.objectContaining({ signal: expect.any(Object), deadline: 50 })
+    );
+
+    clock.latency = 150;
+    expect((await prober.probe('local-llama')).status).toBe('degraded');
+    expect(modelRouterService.providerHealth.get('local-llama')).toEqual({ status: 'degraded', latency: 150 });
+    expect(monitoringService.recordHealthProbe).toHaveBeenLastCalledWith(expect.objectContaining({
+      provider: 'local-llama',
+      status: 'degraded',
+      success: true,
+      latency: 150
+    }));
+  });
+
+  test('连续失败达到阈值时应该标记为 offline，路由服务不再选择该提供商，恢复后重新上线', async () => {
+    const { prober } = createProber();
+    llama.checkHealth.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    expect((await prober.probe('local-llama')).status).toBe('degraded');
+    expect(await prober.probe('local-llama')).toMatchObject({
+      status: 'offline',
+      consecutiveFailures: 2,
+      error: 'connect ECONNREFUSED'
+    });
+    expect(modelRouterService.getAvailableProviders('local', {}).map(provider => provider.name)).toEqual(['remote-a']);
+    expect(modelRouterService.explainRouting(0.1, [], {}).candidates).toContainEqual(
+      expect.objectContaining({ name: 'local-llama', excludedReason: '健康探测失败，提供商离线' })
+    );
+
+    llama.checkHealth.mockResolvedValue();
+    expect((await prober.probe('local-llama')).status).toBe('online');
+    expect(modelRouterService.getAvailableProviders('local', {}).map(provider => provider.name)).toEqual(['local-llama', 'remote-a']);
+  });
+
+  test('超过 timeoutMs 未完成的探测应该计为失败，并取消探测请求', async () => {
+    const prober = new HealthProber();
+    llama.checkHealth.mockImplementation((probe, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('canceled')));
+    }));
+
+    const pending = prober.probe('local-llama');
+    expect(await prober.probe('local-llama')).toBeNull(); // 上一次探测尚未完成
+
+    expect(await pending).toMatchObject({ status: 'degraded', error: '健康探测超过 50ms 未完成' });
+    expect(prober.inFlight.size).toBe(0);
+  });
+
+  test('应该合并全局和提供商的探测参数，只为启用探测的提供商启动定时探测', () => {
+    jest.useFakeTimers();
+    const prober = new HealthProber();
+    llama.checkHealth.mockResolvedValue();
+
+    expect(prober.getProbeSettings('local-llama')).toMatchObject({ enabled: true, intervalMs: 1000, endpoint: '/health' });
+    expect(prober.getProbeSettings('remote-a').enabled).toBe(false);
+
+    prober.start();
+    expect([...prober.timers.keys()]).toEqual(['local-llama']);
+    expect(llama.checkHealth).toHaveBeenCalledTimes(1);
+
+    prober.stop();
+    expect(prober.timers.size).toBe(0);
+    jest.useRealTimers();
+
+    config.healthProbe.enabled = false;
+    prober.start();
+    expect(prober.timers.size).toBe(0);
+    config.healthProbe.enabled = true;
+  });
+
+  test('状态为 degraded 的提供商评分应该降低，没有调用统计时使用探测延迟', () => {
+    const providers = [
+      { name: 'local-llama', config: config.modelProviders['local-llama'] },
+      { name: 'remote-a', config: config.modelProviders['remote-a'] }
+    ];
+    const weights = { load: 0, costEfficiency: 0, performance: 1, reliability: 0, quality: 0 };
+
+    modelRouterService.recordHealthProbe('local-llama', { status: 'online', latency: 900 });
+    expect(modelRouterService.scoreProviders(providers, weights, 'low')[0].name).toBe('remote-a');
+
+    modelRouterService.recordHealthProbe('local-llama', { status: 'online', latency: 50 });
+    modelRouterService.recordHealthProbe('remote-a', { status: 'degraded', latency: 50 });
+    const scored = modelRouterService.scoreProviders(providers, weights, 'low');
+    expect(scored.map(provider => provider.name)).toEqual(['local-llama', 'remote-a']);
+    expect(scored[1].score).toBeCloseTo(scored[0].score / 2);
+
+    // 探测失败时保留上次成功探测的延迟
+    modelRouterService.recordHealthProbe('remote-a', { status: 'degraded', latency: null });
+    expect(modelRouterService.providerHealth.get('remote-a').latency).toBe(50);
+  });
+});
+
+describe('适配器的健康检查', () => {
+  class TestAdapter extends BaseModelAdapter {}
+
+  test('配置了端点时请求该端点，否则发送固定的提示', async () => {
+    const adapter = new TestAdapter('test', { defaultModel: 'tiny' });
+    adapter.client = { get: jest.fn().mockResolvedValue({ status: 200 }) };
+    adapter.callModel = jest.fn().mockResolvedValue({ text: 'ok' });
+    const signal = new AbortController().signal;
+
+    await adapter.checkHealth({ endpoint: '/health' }, { signal });
+    expect(adapter.client.get).toHaveBeenCalledWith('/health', expect.objectContaining({ signal }));
+
+    await adapter.checkHealth({ prompt: 'ping', maxTokens: 1, model: '' }, { signal });
+    expect(adapter.callModel).toHaveBeenCalledWith('tiny', { text: 'ping', context: [] }, { signal, maxTokens: 1 });
+  });
+});
+
+describe('健康探测的监控', () => {
+  test('应该保存每个提供商的探测历史，从新到旧返回', () => {
+    metricsCollector.recordHealthProbe({ provider: 'local-llama', status: 'online', success: true, latency: 20, timestamp: 't1' });
+    metricsCollector.recordHealthProbe({ provider: 'local-llama', status: 'degraded', success: false, latency: 50, error: 'boom', timestamp: 't2' });
+
+    expect(metricsCollector.getHealthProbes(1)).toEqual([{
+      provider: 'local-llama',
+      status: 'degraded',
+      probeCount: 2,
+      failureCount: 1,
+      averageLatency: 20,
+      history: [{ timestamp: 't2', status: 'degraded', success: false, latency: 50, error: 'boom' }]
+    }]);
+    expect(metricsCollector.getMetricsSummary().health[0]).toMatchObject({
+      provider: 'local-llama',
+      lastProbe: { timestamp: 't2' }
+    });
+  });
+
+  test('监控接口应该按提供商过滤，limit 无效时返回 400', async () => {
+    const json = jest.fn();
+    const res = { json, status: jest.fn(() => res) };
+    monitoringService.getHealthProbes.mockReturnValue([{ provider: 'local-llama' }, { provider: 'remote-a' }]);
+
+    await monitoringAPI.getHealthProbeMetrics({ query: { limit: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    await monitoringAPI.getHealthProbeMetrics({ query: { provider: 'remote-a', limit: '5' } }, res);
+    expect(monitoringService.getHealthProbes).toHaveBeenLastCalledWith(5);
+    expect(json).toHaveBeenLastCalledWith([{ provider: 'remote-a' }]);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * 对冲请求测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  recordHedge: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'remote-a': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-a',
+      baseCostPerQuery: 0.01
+    },
+    'remote-b': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'model-b',
+      baseCostPerQuery: 0.01
+    }
+  },
+  hedging: {
+    percentile: 95,
+    minSamples: 3,
+    defaultDelayMs: 20,
+    minDelayMs: 0,
+    maxExtraCost: 0.05
+  },
+  cancellation: {
+    minRemainingMs: 0
+  },
+  routingRules: []
+}));
+
+const { adapterManager } = require('../src/adapters');
+const monitoringService = require('../src/monitoring/MonitoringService');
+const modelRouterService = require('../src/services/modelRouterService');
+const { isHedgeRequest, getHedgeDelay, planHedge, runHedged } = require('../src/services/hedging');
+const { executeQuery } = require('../src/services/modelGatewayService');
+
+const primary = { provider: 'remote-a', modelType: 'remote', estimatedCost: 0.01 };
+const hedge = { provider: 'remote-b', modelType: 'remote', estimatedCost: 0.02 };
+
+// 在 signal 中止前不返回的模型调用
+function hangUntilAborted(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+}
+
+function recordResponseTimes(provider, responseTimes) {
+  responseTimes.forEach(responseTime => modelRouterService.recordModelUseEnd(provider, {
+    responseTime,
+    success: true,
+    costEfficiency: 1
+  }));
+}
+
+describe('对冲延迟', () => {
+  beforeEach(() => {
+    modelRouterService.modelStats.clear();
+  });
+
+  test('应该按最近成功调用的响应时间计算百分位', () => {
+    recordResponseTimes('remote-a', [100, 300, 200, 400, 1000]);
+    modelRouterService.recordModelUseEnd('remote-a', { responseTime: 5000, success: false, costEfficiency: 0 });
+
+    expect(modelRouterService.getResponseTimePercentile('remote-a', 50)).toBe(300);
+    expect(modelRouterService.getResponseTimePercentile('remote-a', 95)).toBe(1000);
+    expect(modelRouterService.getResponseTimePercentile('remote-a', 95, 10)).toBeNull();
+    expect(modelRouterService.getResponseTimePercentile('remote-b', 95)).toBeNull();
+  });
+
+  test('样本不足时应该使用默认等待时间', () => {
+    recordResponseTimes('remote-a', [100, 200]);
+    expect(getHedgeDelay('remote-a')).toBe(20);
+
+    recordResponseTimes('remote-a', [300]);
+    expect(getHedgeDelay('remote-a')).toBe(300);
+  });
+});
+
+describe('对冲调用', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    modelRouterService.modelStats.clear();
+  });
+
+  test('主模型在等待时间内响应时不发送对冲请求', async () => {
+    const invoke = jest.fn().mockResolvedValue({ text: '答案', cost: 0.01 });
+
+    const result = await runHedged(primary, hedge, { invoke, delayMs: 50 });
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    expect(invoke).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ winner: 'primary', hedged: false, extraCost: 0 });
+    expect(monitoringService.recordHedge).not.toHaveBeenCalled();
+  });
+
+  test('对冲模型先返回时应该取消主模型并计入其估算成本', async () => {
+    const signals = {};
+    const invoke = jest.fn((info, signal) => {
+      signals[info.provider] = signal;
+      return info === primary ? hangUntilAborted(signal) : Promise.resolve({ text: '对冲答案', cost: 0.02 });
+    });
+    const onHedge = jest.fn();
+
+    const result = await runHedged(primary, hedge, { invoke, delayMs: 10, onHedge });
+
+    expect(onHedge).toHaveBeenCalledWith(hedge);
+    expect(result).toMatchObject({ winner: 'hedge', hedged: true, extraCost: 0.01, modelInfo: hedge });
+    expect(result.response.text).toBe('对冲答案');
+    expect(signals['remote-a'].aborted).toBe(true);
+    expect(monitoringService.recordHedge).toHaveBeenCalledWith(expect.objectContaining({
+      modelId: 'remote-a',
+      hedgeModelId: 'remote-b',
+      winner: 'hedge',
+      extraCost: 0.01
+    }));
+  });
+
+  test('对冲开始前主模型失败时直接抛出错误，开始后等待另一方', async () => {
+    const failFast = jest.fn().mockRejectedValue(new Error('连接被拒绝'));
+    await expect(runHedged(primary, hedge, { invoke: failFast, delayMs: 50 })).rejects.toThrow('连接被拒绝');
+    expect(failFast).toHaveBeenCalledTimes(1);
+
+    const invoke = jest.fn(info => (info === primary
+      ? new Promise((resolve, reject) => setTimeout(() => reject(new Error('超时')), 30))
+      : new Promise(resolve => setTimeout(() => resolve({ text: '对冲答案', cost: 0.02 }), 40))));
+    const result = await runHedged(primary, hedge, { invoke, delayMs: 10 });
+
+    expect(result).toMatchObject({ winner: 'hedge', extraCost: 0 });
+  });
+
+  test('请求取消时应该取消两个调用', async () => {
+    const controller = new AbortController();
+    const signals = [];
+    const invoke = jest.fn((info, signal) => {
+      signals.push(signal);
+      return hangUntilAborted(signal);
+    });
+
+    const pending = runHedged(primary, hedge, { invoke, delayMs: 5, signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(signals.map(signal => signal.aborted)).toEqual([true, true]);
+    expect(monitoringService.recordHedge).toHaveBeenCalledWith(expect.objectContaining({ winner: null, extraCost: 0 }));
+  });
+
+  test('对冲调用的估算成本超过上限时不对冲', () => {
+    expect(planHedge({ ...primary, modelConfig: {} }, 0.5, {})).toMatchObject({
+      modelInfo: { provider: 'remote-b', isHedge: true },
+      delayMs: 20
+    });
+    expect(planHedge({ ...primary, modelConfig: {} }, 0.5, { hedgeMaxExtraCost: '0.001' })).toBeNull();
+    expect(planHedge({ ...primary, modelConfig: {} }, 0.5, { budget: '0.02' })).toBeNull();
+  });
+
+  test('无效的对冲选项应该返回 INVALID_REQUEST', () => {
+    expect(isHedgeRequest({})).toBe(false);
+    expect(isHedgeRequest({ hedge: 'true' })).toBe(true);
+    expect(() => isHedgeRequest({ hedge: 'yes' })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+    expect(() => planHedge({ ...primary, modelConfig: {} }, 0.5, { hedgeMaxExtraCost: '-1' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+});
+
+describe('网关对冲请求', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    modelRouterService.modelStats.clear();
+  });
+
+  test('元数据 hedge 为 true 时应该使用先返回的响应并计入两个调用的成本', async () => {
+    adapterManager.callModel.mockImplementation((provider, model, query, options) => (provider === 'remote-a'
+      ? hangUntilAborted(options.signal)
+      : Promise.resolve({ text: '对冲答案', cost: 0.02 })));
+
+    const result = await executeQuery({ query: '你好', metadata: { hedge: 'true' } });
+
+    expect(adapterManager.callModel.mock.calls.map(call => call[0])).toEqual(['remote-a', 'remote-b']);
+    expect(adapterManager.callModel.mock.calls[0][3].signal.aborted).toBe(true);
+    expect(result.response).toBe('对冲答案');
+    expect(result.model_used).toBe('remote-b');
+    expect(result.cost).toBeGreaterThan(0.02);
+    expect(monitoringService.recordHedge).toHaveBeenCalledWith(expect.objectContaining({ winner: 'hedge' }));
+    expect(modelRouterService.activeConnections.get('remote-a')).toBe(0);
+    expect(modelRouterService.activeConnections.get('remote-b')).toBe(0);
+    // 被取消的调用不计入提供商的统计
+    expect(modelRouterService.modelStats.has('remote-a')).toBe(false);
+  });
+
+  test('未启用对冲时只调用一个模型', async () => {
+    adapterManager.callModel.mockResolvedValue({ text: '答案', cost: 0.01 });
+
+    const result = await executeQuery({ query: '你好', metadata: {} });
+
+    expect(adapterManager.callModel).toHaveBeenCalledTimes(1);
+    expect(result.cost).toBe(0.01);
+    expect(monitoringService.recordHedge).not.toHaveBeenCalled();
+  });
+});
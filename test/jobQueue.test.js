@@ -0,0 +1,156 @@
+/**
+ * 异步任务队列测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Errors } = require('../src/utils/errors');
+
+jest.mock('../src/services/modelGatewayService', () => ({
+  executeQuery: jest.fn()
+}));
+
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { JobQueue, JobStore, JobStatus } = require('../src/jobs');
+
+// 等待指定任务进入某个状态
+function waitForStatus(queue, jobId, status) {
+  return new Promise((resolve) => {
+    const onUpdate = (job) => {
+      if (job.job_id === jobId && job.status === status) {
+        queue.removeListener('update', onUpdate);
+        resolve(job);
+      }
+    };
+    queue.on('update', onUpdate);
+  });
+}
+
+// 模拟可被取消信号中止的模型调用
+function mockSlowQuery() {
+  executeQuery.mockImplementation((request, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Errors.modelUnavailable('canceled')));
+  }));
+}
+
+describe('异步任务队列', () => {
+  let dataDir;
+  let queue;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    queue = new JobQueue();
+  });
+
+  afterEach(() => {
+    queue.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('应该执行任务并保存结果和成本', async () => {
+    executeQuery.mockResolvedValue({
+      request_id: 'req-1',
+      response: '回答',
+      model_used: 'local-llama',
+      cost: 0.02,
+      token_usage: { input: 1, output: 2, total: 3 }
+    });
+    queue.start({ dataDir, concurrency: 1 });
+
+    const submitted = queue.submit({ request_id: 'req-1', query: '你好', metadata: { budget: '0.1' } });
+    expect(submitted.status).toBe(JobStatus.QUEUED);
+
+    const job = await waitForStatus(queue, submitted.job_id, JobStatus.SUCCEEDED);
+    expect(job.result.response).toBe('回答');
+    expect(job.cost).toBe(0.02);
+    expect(job.finished_at).toBeGreaterThanOrEqual(job.started_at);
+    expect(executeQuery.mock.calls[0][0].metadata).toEqual({ budget: '0.1' });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, `${job.job_id}.json`), 'utf8'));
+    expect(saved.status).toBe(JobStatus.SUCCEEDED);
+  });
+
+  test('应该记录失败任务的错误代码', async () => {
+    executeQuery.mockRejectedValue(Errors.costLimitExceeded('超出预算'));
+    queue.start({ dataDir });
+
+    const { job_id: jobId } = queue.submit({ query: '你好' });
+    const job = await waitForStatus(queue, jobId, JobStatus.FAILED);
+
+    expect(job.error_code).toBe('COST_LIMIT_EXCEEDED');
+    expect(job.error_message).toBe('超出预算');
+  });
+
+  test('应该在提交时拒绝无效请求', () => {
+    queue.start({ dataDir });
+
+    expect(() => queue.submit({ query: '' })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+    expect(fs.readdirSync(dataDir)).toHaveLength(0);
+  });
+
+  test('应该拒绝格式无效的任务ID', () => {
+    queue.start({ dataDir });
+
+    for (const jobId of ['../escape', 'a/b', 'x'.repeat(65)]) {
+      expect(() => queue.submit({ query: '你好' }, jobId)).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+    }
+    expect(fs.readdirSync(dataDir)).toHaveLength(0);
+    expect(queue.submit({ query: '你好' }, 'job_1-A').job_id).toBe('job_1-A');
+  });
+
+  test('已结束的任务超过保留数量时应该从内存和磁盘中删除最早结束的任务', async () => {
+    const store = new JobStore(dataDir);
+    store.load();
+    for (const [index, finishedAt] of [[1, 30], [2, 10], [3, 20]]) {
+      store.save({ job_id: `job-${index}`, status: JobStatus.SUCCEEDED, request: { query: '你好' }, created_at: index, finished_at: finishedAt });
+    }
+    executeQuery.mockResolvedValue({ request_id: 'req-4', response: '回答', cost: 0, token_usage: { input: 0, output: 0, total: 0 } });
+
+    queue.start({ dataDir, maxFinishedJobs: 2 });
+    expect(queue.store.list().map(job => job.job_id)).toEqual(['job-1', 'job-3']);
+    expect(fs.existsSync(path.join(dataDir, 'job-2.json'))).toBe(false);
+
+    const finished = waitForStatus(queue, 'job-4', JobStatus.SUCCEEDED);
+    queue.submit({ query: '你好' }, 'job-4');
+    await finished;
+
+    expect(queue.store.list().map(job => job.job_id)).toEqual(['job-1', 'job-4']);
+    expect(fs.readdirSync(dataDir).sort()).toEqual(['job-1.json', 'job-4.json']);
+    expect(() => queue.get('job-3')).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+
+  test('取消执行中的任务应该中止模型调用，排队中的任务不再执行', async () => {
+    mockSlowQuery();
+    queue.start({ dataDir, concurrency: 1 });
+
+    const running = queue.submit({ query: '第一个' });
+    const queued = queue.submit({ query: '第二个' });
+    await Promise.resolve();
+
+    expect(queue.cancel(queued.job_id).status).toBe(JobStatus.CANCELLED);
+    expect(queue.cancel(running.job_id).status).toBe(JobStatus.CANCELLED);
+
+    const signal = executeQuery.mock.calls[0][1].signal;
+    expect(signal.aborted).toBe(true);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+    expect(queue.get(running.job_id).status).toBe(JobStatus.CANCELLED);
+  });
+
+  test('重启后应该重新执行未完成的任务', async () => {
+    const store = new JobStore(dataDir);
+    store.load();
+    store.save({ job_id: 'job-1', status: JobStatus.RUNNING, request_id: 'req-1', request: { request_id: 'req-1', query: '你好' }, created_at: 1 });
+    store.save({ job_id: 'job-2', status: JobStatus.SUCCEEDED, request_id: 'req-2', request: { query: '你好' }, created_at: 2 });
+    executeQuery.mockResolvedValue({ request_id: 'req-1', response: '回答', cost: 0, token_usage: { input: 0, output: 0, total: 0 } });
+
+    const finished = waitForStatus(queue, 'job-1', JobStatus.SUCCEEDED);
+    queue.start({ dataDir });
+    await finished;
+
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+    expect(executeQuery.mock.calls[0][0].request_id).toBe('req-1');
+  });
+});
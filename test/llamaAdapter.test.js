@@ -0,0 +1,26 @@
+/**
+ * Llama 适配器测试
+ */
+const { LlamaAdapter } = require('../src/adapters/llamaAdapter');
+
+describe('Llama 生成参数', () => {
+  const query = { text: '你好', context: [] };
+
+  test('max_tokens 和 temperature 应该被限制在支持的范围内', () => {
+    const adapter = new LlamaAdapter('local-llama', { endpoint: 'http://127.0.0.1:1', maxOutputTokens: 2048 });
+
+    const clamped = adapter._prepareRequestData('llama2-7b', query, { maxTokens: 100000, temperature: 5 });
+    expect(clamped).toMatchObject({ max_tokens: 2048, temperature: 2 });
+
+    const lower = adapter._prepareRequestData('llama2-7b', query, { maxTokens: 0, temperature: -1 });
+    expect(lower).toMatchObject({ max_tokens: 1, temperature: 0 });
+  });
+
+  test('未设置时应该使用默认值，未配置 maxOutputTokens 时上限为 4096', () => {
+    const adapter = new LlamaAdapter('local-llama', { endpoint: 'http://127.0.0.1:1' });
+
+    expect(adapter._prepareRequestData('llama2-7b', query, {})).toMatchObject({ max_tokens: 1000, temperature: 0.7 });
+    expect(adapter._prepareRequestData('llama2-7b', query, { maxTokens: 8000, temperature: 0 }))
+      .toMatchObject({ max_tokens: 4096, temperature: 0 });
+  });
+});
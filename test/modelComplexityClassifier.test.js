@@ -0,0 +1,106 @@
+/**
+ * 分类模型复杂度评估测试
+ */
+
+// 模拟本地 BERT 适配器
+jest.mock('../src/adapters', () => {
+  const bert = {
+    providerName: 'local-bert',
+    isAvailable: jest.fn(),
+    classify: jest.fn()
+  };
+
+  return {
+    adapterManager: {
+      bert,
+      getAdapter: jest.fn().mockReturnValue(bert)
+    },
+    initializeAdapters: jest.fn()
+  };
+});
+
+const config = require('../src/config');
+const { adapterManager } = require('../src/adapters');
+const { evaluateComplexity } = require('../src/complexity');
+const { Errors } = require('../src/utils/errors');
+
+describe('分类模型复杂度评估', () => {
+  const originalEvaluator = config.complexityEvaluation.evaluator;
+  const originalTimeout = config.complexityEvaluation.model.timeoutMs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adapterManager.bert.isAvailable.mockReturnValue(true);
+    config.complexityEvaluation.model.timeoutMs = 50;
+  });
+
+  afterEach(() => {
+    config.complexityEvaluation.evaluator = originalEvaluator;
+    config.complexityEvaluation.model.timeoutMs = originalTimeout;
+  });
+
+  test('元数据选择分类模型时应该按标签置信度计算复杂度', async () => {
+    adapterManager.bert.classify.mockResolvedValue({
+      labels: [{ label: 'hard', score: 0.6 }, { label: 'code', score: 0.3 }, { label: 'other', score: 0.1 }],
+      model: 'bert-base',
+      cost: 0
+    });
+
+    const result = await evaluateComplexity({
+      query: '实现一个无锁并发队列',
+      metadata: { complexityEvaluator: 'model' }
+    });
+
+    expect(adapterManager.bert.classify).toHaveBeenCalledWith(
+      'default',
+      '实现一个无锁并发队列',
+      ['simple', 'moderate', 'hard', 'code', 'math', 'creative'],
+      expect.objectContaining({ signal: expect.any(AbortSignal) })
+    );
+    expect(result.evaluator).toBe('model');
+    expect(result.complexityScore).toBeCloseTo((0.9 * 0.6 + 0.7 * 0.3) / 0.9);
+    expect(result.complexityFactors).toEqual(['模型分类: hard']);
+    expect(result.featureScores).toEqual({ hard: 0.6, code: 0.3 });
+  });
+
+  test('分类模型出错时应该回退到特征评分', async () => {
+    adapterManager.bert.classify.mockRejectedValue(new Error('BERT 服务无响应'));
+
+    const result = await evaluateComplexity({ query: '你好', metadata: { complexityEvaluator: 'model' } });
+
+    expect(result.evaluator).toBe('heuristic');
+    expect(result.featureScores).toHaveProperty('vocabulary');
+  });
+
+  test('分类模型超时或不可用时应该回退到特征评分', async () => {
+    config.complexityEvaluation.evaluator = 'model';
+    adapterManager.bert.classify.mockReturnValue(new Promise(() => {}));
+
+    const startTime = Date.now();
+    const slow = await evaluateComplexity({ query: '你好' });
+    expect(slow.evaluator).toBe('heuristic');
+    expect(Date.now() - startTime).toBeLessThan(1000);
+    expect(adapterManager.bert.classify.mock.calls[0][3].signal.aborted).toBe(true);
+
+    adapterManager.bert.isAvailable.mockReturnValue(false);
+    const unavailable = await evaluateComplexity({ query: '你好' });
+    expect(unavailable.evaluator).toBe('heuristic');
+    expect(adapterManager.bert.classify).toHaveBeenCalledTimes(1);
+  });
+
+  test('请求已取消时不应该回退', async () => {
+    const controller = new AbortController();
+    controller.abort(Errors.requestCancelled('客户端已取消请求'));
+    adapterManager.bert.classify.mockReturnValue(new Promise(() => {}));
+
+    await expect(evaluateComplexity(
+      { query: '你好', metadata: { complexityEvaluator: 'model' } },
+      { signal: controller.signal }
+    )).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+  });
+
+  test('未知的评估方式应该返回 INVALID_REQUEST', async () => {
+    await expect(evaluateComplexity({ query: '你好', metadata: { complexityEvaluator: 'gpt' } }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * OpenAI 兼容接口测试
+ */
+
+jest.mock('../src/services/modelGatewayService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/services/embeddingService', () => ({
+  executeEmbeddings: jest.fn()
+}));
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    getAllCapabilities: jest.fn()
+  }
+}));
+
+const EventEmitter = require('events');
+const { Errors } = require('../src/utils/errors');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const openaiAPI = require('../src/http/OpenAICompatibleAPI');
+
+const result = {
+  request_id: 'req-1',
+  response: '回答',
+  model_used: 'remote-openai',
+  token_usage: { input: 1, output: 2, total: 3 }
+};
+
+function createRequest(body, headers = {}) {
+  return { body, get: name => headers[name] };
+}
+
+function createResponse() {
+  const res = {
+    headersSent: false,
+    set: jest.fn(() => res),
+    status: jest.fn(() => res),
+    json: jest.fn()
+  };
+  return res;
+}
+
+// 创建可写入 SSE 的流式响应
+function createStreamResponse() {
+  const res = Object.assign(new EventEmitter(), createResponse(), {
+    writableFinished: false,
+    flushHeaders: jest.fn(() => {
+      res.headersSent = true;
+    }),
+    write: jest.fn(),
+    end: jest.fn()
+  });
+  return res;
+}
+
+// 解析写入流式响应的 SSE 事件
+function writtenEvents(res) {
+  return res.write.mock.calls.map(([data]) => data.replace(/^data: /, '').trim())
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+describe('OpenAI 兼容接口', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('应该按提供商返回的结束原因设置 finish_reason', async () => {
+    const cases = [['length', 'length'], ['max_tokens', 'length'], ['stop', 'stop'], ['end_turn', 'stop'], ['', 'stop']];
+
+    for (const [finishReason, expected] of cases) {
+      executeQuery.mockResolvedValue({ ...result, finish_reason: finishReason });
+      const res = createResponse();
+      await openaiAPI.createChatCompletion(createRequest({ messages: [{ role: 'user', content: '你好' }] }), res);
+      expect(res.json.mock.calls[0][0].choices[0].finish_reason).toBe(expected);
+    }
+
+    const res = createResponse();
+    await openaiAPI.createCompletion(createRequest({ prompt: '你好' }), res);
+    expect(res.json.mock.calls[0][0].choices[0].finish_reason).toBe('stop');
+  });
+
+  test('请求体中的 model 字段不应该传递给网关', async () => {
+    executeQuery.mockResolvedValue(result);
+
+    await openaiAPI.createCompletion(createRequest({ model: 'gpt-4', prompt: '你好' }), createResponse());
+    expect(executeQuery.mock.calls[0][0].metadata).toEqual({ source: 'openai-compatible' });
+  });
+
+  test('聊天补全请求应该转换为网关请求并返回 OpenAI 格式的响应', async () => {
+    executeQuery.mockResolvedValue({ ...result, finish_reason: 'stop', experiment: 'exp', experiment_arm: 'a' });
+    const res = createResponse();
+
+    await openaiAPI.createChatCompletion(createRequest({
+      model: 'auto',
+      user: 'user-1',
+      messages: [
+        { role: 'system', content: '你是一个助手' },
+        { role: 'user', content: '你好', name: 'alice' },
+        { role: 'assistant', content: '你好！' },
+        { role: 'user', content: '解释一下量子计算' }
+      ],
+      max_tokens: 100,
+      temperature: 0.2,
+      stop: 'END',
+      response_format: { type: 'json_object' }
+    }, { 'X-Request-Id': 'req-1' }), res);
+
+    expect(executeQuery).toHaveBeenCalledWith({
+      request_id: 'req-1',
+      query: '',
+      system_prompt: '你是一个助手',
+      messages: [
+        { role: 'user', content: '你好', name: 'alice' },
+        { role: 'assistant', content: '你好！' },
+        { role: 'user', content: '解释一下量子计算' }
+      ],
+      metadata: { source: 'openai-compatible', user_id: 'user-1' },
+      generation: { max_tokens: 100, temperature: 0.2, stop: ['END'], response_format: 'json_object' }
+    });
+    expect(res.set).toHaveBeenCalledWith('X-Gateway-Provider', 'remote-openai');
+    expect(res.set).toHaveBeenCalledWith('X-Gateway-Experiment', 'exp/a');
+    expect(res.json).toHaveBeenCalledWith({
+      id: 'chatcmpl-req-1',
+      object: 'chat.completion',
+      created: expect.any(Number),
+      model: 'remote-openai',
+      choices: [{ index: 0, message: { role: 'assistant', content: '回答' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 }
+    });
+  });
+
+  test('无效的消息应该返回 400，网关错误按错误码返回 OpenAI 格式的错误', async () => {
+    const invalid = [
+      { messages: [{ role: 'user', content: [{ type: 'text', text: '你好' }] }] },
+      { messages: [{ role: 'tool', content: '结果' }] }
+    ];
+    for (const body of invalid) {
+      const res = createResponse();
+      await openaiAPI.createChatCompletion(createRequest(body), res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatchObject({ type: 'invalid_request_error', code: 'INVALID_REQUEST' });
+    }
+    expect(executeQuery).not.toHaveBeenCalled();
+
+    executeQuery.mockRejectedValueOnce(Errors.costLimitExceeded('超出预算'));
+    const limited = createResponse();
+    await openaiAPI.createChatCompletion(createRequest({ messages: [{ role: 'user', content: '你好' }] }), limited);
+    expect(limited.status).toHaveBeenCalledWith(429);
+    expect(limited.json).toHaveBeenCalledWith({ error: { message: '超出预算', type: 'api_error', code: 'COST_LIMIT_EXCEEDED' } });
+
+    executeQuery.mockRejectedValueOnce(new Error('意外错误'));
+    const failed = createResponse();
+    await openaiAPI.createChatCompletion(createRequest({ messages: [{ role: 'user', content: '你好' }] }), failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+    expect(failed.json.mock.calls[0][0].error).toEqual({ message: '内部服务器错误', type: 'api_error', code: null });
+  });
+
+  test('流式聊天补全应该以 SSE 返回增量内容、结束原因和使用量', async () => {
+    executeQuery.mockImplementation(async (request, { onChunk }) => {
+      onChunk({ requestId: 'req-1', provider: 'remote-openai', delta: '回' });
+      onChunk({ requestId: 'req-1', provider: 'remote-openai', delta: '答' });
+      return { ...result, finish_reason: 'max_tokens' };
+    });
+    const res = createStreamResponse();
+
+    await openaiAPI.createChatCompletion(createRequest({
+      stream: true,
+      stream_options: { include_usage: true },
+      messages: [{ role: 'user', content: '你好' }]
+    }), res);
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+      'Content-Type': 'text/event-stream',
+      'X-Gateway-Provider': 'remote-openai'
+    }));
+    const events = writtenEvents(res);
+    expect(events.map(event => (event === '[DONE]' ? event : event.choices[0]))).toEqual([
+      { index: 0, delta: { role: 'assistant', content: '回' }, finish_reason: null },
+      { index: 0, delta: { content: '答' }, finish_reason: null },
+      { index: 0, delta: {}, finish_reason: 'length' },
+      '[DONE]'
+    ]);
+    expect(events[0]).toMatchObject({ id: 'chatcmpl-req-1', object: 'chat.completion.chunk', model: 'remote-openai' });
+    expect(events[2].usage).toEqual({ prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 });
+    expect(res.end).toHaveBeenCalledTimes(1);
+  });
+
+  test('流式输出开始后出错时应该在流中返回错误，开始前出错时返回错误状态码', async () => {
+    executeQuery.mockImplementationOnce(async (request, { onChunk }) => {
+      onChunk({ requestId: 'req-1', provider: 'remote-openai', delta: '回' });
+      throw Errors.modelUnavailable('流式输出中断');
+    });
+    const started = createStreamResponse();
+    await openaiAPI.createChatCompletion(createRequest({ stream: true, messages: [{ role: 'user', content: '你好' }] }), started);
+
+    expect(writtenEvents(started)[1]).toEqual({ error: { message: '流式输出中断', type: 'api_error', code: 'MODEL_UNAVAILABLE' } });
+    expect(started.end).toHaveBeenCalledTimes(1);
+
+    executeQuery.mockRejectedValueOnce(Errors.modelUnavailable('没有可用的模型'));
+    const notStarted = createStreamResponse();
+    await openaiAPI.createChatCompletion(createRequest({ stream: true, messages: [{ role: 'user', content: '你好' }] }), notStarted);
+
+    expect(notStarted.status).toHaveBeenCalledWith(503);
+    expect(notStarted.write).not.toHaveBeenCalled();
+  });
+
+  test('流式请求的客户端断开连接时应该中止模型调用', async () => {
+    executeQuery.mockImplementation((request, { signal, onChunk }) => new Promise((resolve, reject) => {
+      onChunk({ requestId: 'req-1', provider: 'remote-openai', delta: '回' });
+      signal.addEventListener('abort', () => reject(Errors.modelUnavailable('canceled')));
+    }));
+    const res = createStreamResponse();
+
+    const pending = openaiAPI.createChatCompletion(createRequest({ stream: true, messages: [{ role: 'user', content: '你好' }] }), res);
+    res.emit('close');
+    await pending;
+
+    expect(executeQuery.mock.calls[0][1].signal.reason.code).toBe('REQUEST_CANCELLED');
+    expect(res.write).toHaveBeenCalledTimes(1);
+    expect(res.end).not.toHaveBeenCalled();
+  });
+});
@@ -5,6 +5,8 @@ const {
   processRequest, 
   standardizeRequest, 
   performSecurityCheck, 
+  normalizeConversation,
+  resolveGenerationOptions,
   extractMetadata 
 } = require('../src/middleware/requestProcessor');
 const { GatewayError } = require('../src/utils/errors');
@@ -71,6 +73,70 @@ describe('安全检查', () => {
   });
 });
 
+// 测试多轮对话
+describe('多轮对话', () => {
+  const conversation = [
+    { role: 'user', content: '什么是量子计算？' },
+    { role: 'assistant', content: '量子计算利用量子比特进行计算。' },
+    { role: 'user', content: '它和经典计算有什么区别？' }
+  ];
+
+  test('提供对话消息时应该允许空查询', () => {
+    const request = { query: '', messages: conversation, system_prompt: '你是物理老师' };
+    expect(() => performSecurityCheck(request)).not.toThrow();
+  });
+
+  test('应该拒绝无效的消息角色', () => {
+    const request = { query: '', messages: [{ role: 'tool', content: '结果' }] };
+    expect(() => performSecurityCheck(request)).toThrow(GatewayError);
+  });
+
+  test('应该检查对话消息和系统提示中的不安全内容', () => {
+    expect(() => performSecurityCheck({
+      query: '继续',
+      messages: [{ role: 'user', content: 'eval(代码)' }]
+    })).toThrow(GatewayError);
+    expect(() => performSecurityCheck({
+      query: '继续',
+      system_prompt: 'system(命令)'
+    })).toThrow(GatewayError);
+  });
+
+  test('查询为空时应该使用最后一条 user 消息作为查询', () => {
+    const result = normalizeConversation({ query: '', messages: [...conversation] });
+    expect(result.query).toBe('它和经典计算有什么区别？');
+    expect(result.messages).toHaveLength(2);
+  });
+
+  test('查询不为空时应该保留所有对话消息', () => {
+    const result = normalizeConversation({ query: '举个例子', messages: [...conversation] });
+    expect(result.query).toBe('举个例子');
+    expect(result.messages).toHaveLength(3);
+  });
+
+  test('应该去除空的发言者名称', () => {
+    const result = normalizeConversation({
+      query: '你好',
+      messages: [{ role: 'user', content: '嗨', name: '' }, { role: 'assistant', content: '你好', name: 'bot' }]
+    });
+    expect(result.messages).toEqual([
+      { role: 'user', content: '嗨' },
+      { role: 'assistant', content: '你好', name: 'bot' }
+    ]);
+  });
+
+  test('查询为空且最后一条消息不是 user 消息时应该抛出错误', () => {
+    const request = { query: '', messages: conversation.slice(0, 2) };
+    expect(() => normalizeConversation(request)).toThrow(GatewayError);
+  });
+
+  test('应该在元数据中记录对话消息数量', () => {
+    const result = processRequest({ query: '', messages: [...conversation] });
+    expect(result.request.query).toBe('它和经典计算有什么区别？');
+    expect(result.metadata.messageCount).toBe(2);
+  });
+});
+
 // 测试元数据提取
 describe('元数据提取', () => {
   test('应该提取查询长度', () => {
@@ -81,10 +147,21 @@ describe('元数据提取', () => {
   test('应该提取单词数量', () => {
     const request = { 
       ...mockRequest, 
-      query: '这是 一个 测试 查询' 
+      query: 'this is a test query' 
     };
     const result = extractMetadata(request);
-    expect(result.wordCount).toBe(4);
+    expect(result.wordCount).toBe(5);
+  });
+  
+  test('没有空格的中文查询应该按词切分并估算 token 数', () => {
+    const request = { 
+      ...mockRequest, 
+      query: '请比较快速排序和归并排序的时间复杂度' 
+    };
+    const result = extractMetadata(request);
+    expect(result.wordCount).toBeGreaterThan(5);
+    expect(result.language).toBe('zh');
+    expect(result.estimatedTokens).toBe(request.query.length);
   });
   
   test('应该包含时间戳', () => {
@@ -98,6 +175,74 @@ describe('元数据提取', () => {
   });
 });
 
+// 测试生成参数解析
+describe('生成参数', () => {
+  test('应该保留零值并去除未设置的字段', () => {
+    const { generationOptions } = processRequest({
+      query: '测试',
+      generation: { temperature: 0, stop: [], response_format: '', _temperature: 'temperature' }
+    });
+    expect(generationOptions).toEqual({ temperature: 0 });
+  });
+  
+  test('应该转换为适配器使用的参数名称', () => {
+    const result = resolveGenerationOptions({
+      query: '测试',
+      generation: { max_tokens: 200, top_p: 0.5, stop: ['END'], seed: 42, response_format: 'json_object' }
+    });
+    expect(result).toEqual({
+      maxTokens: 200,
+      topP: 0.5,
+      stopSequences: ['END'],
+      seed: 42,
+      responseFormat: 'json_object'
+    });
+  });
+  
+  test('超出范围的参数应该返回 INVALID_REQUEST', () => {
+    const cases = [
+      { temperature: 2.5 },
+      { top_p: 1.5 },
+      { max_tokens: 0 },
+      { presence_penalty: -3 },
+      { stop: ['a', 'b', 'c', 'd', 'e'] },
+      { response_format: 'xml' }
+    ];
+    for (const generation of cases) {
+      expect(() => performSecurityCheck({ query: '测试', generation })).toThrow(GatewayError);
+    }
+  });
+  
+  test('应该解析旧版元数据中的生成参数', () => {
+    const result = resolveGenerationOptions({
+      query: '测试',
+      metadata: { maxTokens: '500', temperature: '0' }
+    });
+    expect(result).toEqual({ maxTokens: 500, temperature: 0 });
+  });
+  
+  test('generation 字段应该优先于旧版元数据', () => {
+    const result = resolveGenerationOptions({
+      query: '测试',
+      metadata: { temperature: '0.9' },
+      generation: { temperature: 0.2 }
+    });
+    expect(result.temperature).toBe(0.2);
+  });
+  
+  test('旧版元数据的值无效时应该抛出错误', () => {
+    for (const metadata of [{ temperature: 'hot' }, { maxTokens: '' }, { temperature: '5' }]) {
+      try {
+        resolveGenerationOptions({ query: '测试', metadata });
+        fail('应该抛出错误');
+      } catch (error) {
+        expect(error).toBeInstanceOf(GatewayError);
+        expect(error.code).toBe('INVALID_REQUEST');
+      }
+    }
+  });
+});
+
 // 测试完整的请求处理流程
 describe('请求处理流程', () => {
   test('应该成功处理有效请求', () => {
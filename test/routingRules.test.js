@@ -0,0 +1,152 @@
+/**
+ * 路由规则测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'local-llama': { status: 'online', supportedModelTypes: ['local'], baseCostPerQuery: 0.001 },
+    'remote-openai': {
+      status: 'online',
+      supportedModelTypes: ['remote'],
+      supportedCapabilities: ['code', 'chat'],
+      baseCostPerQuery: 0.02,
+      defaultModel: 'gpt-4',
+      costEfficiency: 0.2
+    },
+    'remote-anthropic': { status: 'online', supportedModelTypes: ['hybrid', 'remote'], baseCostPerQuery: 0.03, costEfficiency: 0.9 }
+  },
+  routingRules: [
+    {
+      name: 'acme-code',
+      match: { tenant: 'acme', capability: 'code' },
+      action: { pin: 'remote-openai', model: 'gpt-4o' }
+    },
+    {
+      name: 'no-anthropic-for-chinese',
+      match: { language: 'zh', complexity: { min: 0.3 } },
+      action: { exclude: ['remote-anthropic'] }
+    },
+    {
+      name: 'balance-load',
+      match: { metadata: { priority: ['low', 'batch'] } },
+      action: { weights: { load: 1, costEfficiency: 0, performance: 0 } }
+    }
+  ]
+}));
+
+const modelRouterService = require('../src/services/modelRouterService');
+const { explainRouting } = require('../src/services/modelGatewayService');
+const { RoutingRuleEngine } = require('../src/services/routingRules');
+
+describe('路由规则匹配', () => {
+  const engine = modelRouterService.routingRules;
+
+  test('应该返回第一条匹配的规则并说明之前的规则为什么不匹配', () => {
+    const context = engine.buildContext(0.5, { tenant: 'other', language: 'zh', queryLength: 20 });
+    const { rule, evaluations } = engine.match(context);
+
+    expect(rule.name).toBe('no-anthropic-for-chinese');
+    expect(evaluations).toHaveLength(2);
+    expect(evaluations[0].matched).toBe(false);
+    expect(evaluations[0].mismatches).toEqual([
+      '租户为 other，需要 acme',
+      '请求的能力 空 不包含 code'
+    ]);
+  });
+
+  test('没有规则匹配时应该返回 null', () => {
+    const { rule, evaluations } = engine.match(engine.buildContext(0.1, { language: 'en' }));
+
+    expect(rule).toBeNull();
+    expect(evaluations.every(evaluation => !evaluation.matched)).toBe(true);
+  });
+
+  test('时间段应该支持跨越午夜和时区', () => {
+    const nightly = new RoutingRuleEngine([{
+      name: 'nightly',
+      match: { timeOfDay: { start: '22:00', end: '06:00', timezone: 'Asia/Shanghai' }, queryLength: { max: 1000 } },
+      action: { pin: 'local-llama' }
+    }], ['local-llama']);
+
+    // 北京时间 23:30 和 12:00
+    const night = nightly.match(nightly.buildContext(0.5, { queryLength: 10 }, new Date('2024-01-01T15:30:00Z')));
+    const noon = nightly.match(nightly.buildContext(0.5, { queryLength: 10 }, new Date('2024-01-01T04:00:00Z')));
+
+    expect(night.rule.name).toBe('nightly');
+    expect(noon.rule).toBeNull();
+  });
+
+  test('无效的规则应该在加载时报错', () => {
+    expect(() => new RoutingRuleEngine([{ name: 'a', match: { weekday: 1 }, action: { pin: 'x' } }], ['x']))
+      .toThrow('未知的匹配条件');
+    expect(() => new RoutingRuleEngine([{ name: 'a', action: { pin: 'missing' } }], ['x']))
+      .toThrow('未配置的提供商');
+    expect(() => new RoutingRuleEngine([{ name: 'a', action: { model: 'm' } }, { name: 'a', action: { model: 'm' } }], []))
+      .toThrow('名称重复');
+    expect(() => new RoutingRuleEngine([{ name: 'a', match: {}, action: {} }], []))
+      .toThrow('至少包含一项');
+  });
+});
+
+describe('按规则选择模型', () => {
+  test('指定提供商的规则应该不受复杂度阈值限制并设置模型名称', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.1, [], { tenant: 'acme', capabilities: 'code,chat' });
+
+    expect(modelInfo.provider).toBe('remote-openai');
+    expect(modelInfo.modelType).toBe('local');
+    expect(modelInfo.model).toBe('gpt-4o');
+    expect(modelRouterService.getBackupModel('remote-openai', 'local', {}, modelInfo.routingRule)).toBeNull();
+  });
+
+  test('排除提供商的规则同样适用于备用模型', () => {
+    const modelInfo = modelRouterService.selectModelByComplexity(0.8, [], { language: 'zh' });
+    const backup = modelRouterService.getBackupModel(modelInfo.provider, 'remote', {}, modelInfo.routingRule);
+
+    expect(modelInfo.provider).toBe('remote-openai');
+    expect(backup).not.toBeNull();
+    expect(backup.provider).not.toBe('remote-anthropic');
+  });
+
+  test('规则中的权重应该覆盖默认的评分权重', () => {
+    modelRouterService.recordModelUseStart('remote-anthropic');
+
+    expect(modelRouterService.selectModelByComplexity(0.8, [], {}).provider).toBe('remote-anthropic');
+    expect(modelRouterService.selectModelByComplexity(0.8, [], { priority: 'batch' }).provider).toBe('remote-openai');
+
+    modelRouterService.recordModelUseEnd('remote-anthropic');
+  });
+});
+
+describe('路由演练', () => {
+  test('应该返回生效的规则、候选提供商和最终选择', async () => {
+    const response = await new Promise((resolve, reject) => {
+      explainRouting(
+        { request: { query: '请详细分析分布式数据库在高并发场景下的一致性问题，并比较两阶段提交和共识算法的利弊', metadata: {} } },
+        (error, result) => (error ? reject(error) : resolve(result))
+      );
+    });
+
+    expect(response.matched_rule).toBe('no-anthropic-for-chinese');
+    expect(response.rules.map(rule => rule.matched)).toEqual([false, true]);
+    expect(response.candidates.find(candidate => candidate.provider === 'remote-anthropic').excluded_reason)
+      .toContain('排除');
+    expect(response.provider).toBe(response.model_type === 'local' ? 'local-llama' : 'remote-openai');
+    expect(response.error_message).toBe('');
+  });
+});
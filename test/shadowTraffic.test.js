@@ -0,0 +1,230 @@
+/**
+ * 影子流量测试
+ */
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn(),
+  getMetrics: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7,
+    loadWeight: 0,
+    costEfficiencyWeight: 0,
+    performanceWeight: 0,
+    reliabilityWeight: 0,
+    qualityWeight: 0
+  },
+  modelProviders: {
+    'primary': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'primary-model'
+    },
+    'candidate': {
+      status: 'online',
+      supportedModelTypes: ['remote'],
+      defaultModel: 'candidate-model',
+      baseCostPerQuery: 0.01
+    }
+  },
+  routingRules: [],
+  shadow: {
+    enabled: true,
+    provider: 'candidate',
+    model: '',
+    sampleRate: 1,
+    maxConcurrent: 2,
+    budget: 1,
+    budgetWindowMs: 60000,
+    maxRecords: 10,
+    outputFile: ''
+  }
+}));
+
+const config = require('../src/config');
+const { adapterManager } = require('../src/adapters');
+const { executeQuery } = require('../src/services/modelGatewayService');
+const { ShadowTraffic, shadowTraffic } = require('../src/services/shadowTraffic');
+const adminAPI = require('../src/http/AdminAPI');
+
+const DEFAULT_SHADOW = { ...config.shadow };
+
+function createRequest(overrides = {}) {
+  return {
+    requestId: 'req-1',
+    query: { text: '你好', context: [], complexityScore: 0.5 },
+    options: {},
+    metadata: {},
+    primary: { provider: 'primary', model: 'primary-model', response: 'hello world', latency: 100, cost: 0.002 },
+    ...overrides
+  };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+describe('ShadowTraffic', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(config.shadow, DEFAULT_SHADOW);
+  });
+
+  test('未启用、未被采样或主模型就是影子提供商时不发送', async () => {
+    const traffic = new ShadowTraffic(() => 0.5);
+
+    config.shadow.sampleRate = 0.4;
+    expect(await traffic.mirror(createRequest())).toBeNull();
+
+    config.shadow.sampleRate = 1;
+    expect(await traffic.mirror(createRequest({
+      primary: { provider: 'candidate', model: 'candidate-model', response: '', latency: 0, cost: 0 }
+    }))).toBeNull();
+
+    config.shadow.enabled = false;
+    expect(await traffic.mirror(createRequest())).toBeNull();
+    expect(adapterManager.callModel).not.toHaveBeenCalled();
+  });
+
+  test('应该并排保存主模型和影子模型的输出', async () => {
+    adapterManager.callModel.mockResolvedValue({ text: 'Hello there world', cost: 0.005 });
+    const traffic = new ShadowTraffic(() => 0);
+
+    const record = await traffic.mirror(createRequest());
+
+    expect(adapterManager.callModel).toHaveBeenCalledWith('candidate', 'candidate-model', expect.any(Object), {});
+    expect(record).toMatchObject({
+      requestId: 'req-1',
+      query: '你好',
+      primary: { provider: 'primary', response: 'hello world' },
+      shadow: { provider: 'candidate', model: 'candidate-model', response: 'Hello there world', cost: 0.005, error: '' }
+    });
+    expect(record.similarity).toBeCloseTo(2 / 3);
+    expect(traffic.listRecords()).toEqual([record]);
+  });
+
+  test('达到并发上限时应该跳过', async () => {
+    const pending = deferred();
+    adapterManager.callModel.mockReturnValue(pending.promise);
+    const traffic = new ShadowTraffic(() => 0);
+
+    traffic.mirror(createRequest({ requestId: 'a' }));
+    traffic.mirror(createRequest({ requestId: 'b' }));
+    expect(await traffic.mirror(createRequest({ requestId: 'c' }))).toBeNull();
+    expect(traffic.skipped.concurrency).toBe(1);
+
+    pending.resolve({ text: 'ok', cost: 0.001 });
+    await traffic.drain();
+    expect(traffic.pending.size).toBe(0);
+    expect(traffic.records).toHaveLength(2);
+  });
+
+  test('超出预算时应该跳过，预算周期结束后重新计算', async () => {
+    adapterManager.callModel.mockResolvedValue({ text: 'ok', cost: 0.4 });
+    let now = 0;
+    const traffic = new ShadowTraffic(() => 0, () => now);
+    config.shadow.budget = 0.41; // 估算成本为 0.015
+
+    await traffic.mirror(createRequest());
+    expect(await traffic.mirror(createRequest())).toBeNull();
+    expect(traffic.skipped.budget).toBe(1);
+
+    now = 60000;
+    expect(await traffic.mirror(createRequest())).not.toBeNull();
+    expect(traffic.getReport().budget).toMatchObject({ limit: 0.41, spent: 0.4 });
+  });
+
+  test('对比报告应该比较延迟、成本、错误率和重合度', async () => {
+    let now = 0;
+    const traffic = new ShadowTraffic(() => 0, () => now);
+    adapterManager.callModel.mockImplementation(async () => {
+      now += 300;
+      return { text: 'hello world', cost: 0.01 };
+    });
+    await traffic.mirror(createRequest());
+    adapterManager.callModel.mockRejectedValueOnce(new Error('boom'));
+    await traffic.mirror(createRequest({ requestId: 'req-2' }));
+
+    expect(traffic.getReport().comparisons).toEqual([{
+      primaryProvider: 'primary',
+      shadowProvider: 'candidate',
+      shadowModel: 'candidate-model',
+      count: 2,
+      shadowErrorRate: 0.5,
+      primaryAverageLatency: 100,
+      shadowAverageLatency: 300,
+      primaryTotalCost: 0.002,
+      shadowTotalCost: 0.01,
+      averageSimilarity: 1
+    }]);
+  });
+});
+
+describe('网关中的影子流量', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(config.shadow, DEFAULT_SHADOW);
+    shadowTraffic.reset();
+  });
+
+  test('应该在不等待影子调用的情况下返回主模型的响应', async () => {
+    const pending = deferred();
+    adapterManager.callModel.mockImplementation(provider => (provider === 'primary'
+      ? Promise.resolve({ text: '主模型的回答', cost: 0.001 })
+      : pending.promise));
+
+    const result = await executeQuery({ request_id: 'req-1', query: '你好', metadata: {} });
+
+    expect(result).toMatchObject({ response: '主模型的回答', model_used: 'primary' });
+    expect(shadowTraffic.pending.size).toBe(1);
+
+    pending.resolve({ text: '影子模型的回答', cost: 0.002 });
+    await shadowTraffic.drain();
+    expect(shadowTraffic.listRecords(1)[0]).toMatchObject({
+      requestId: 'req-1',
+      primary: { provider: 'primary', model: 'primary-model', response: '主模型的回答' },
+      shadow: { provider: 'candidate', response: '影子模型的回答' }
+    });
+  });
+
+  test('影子调用失败不应该影响调用方', async () => {
+    adapterManager.callModel.mockImplementation(provider => (provider === 'primary'
+      ? Promise.resolve({ text: '回答', cost: 0.001 })
+      : Promise.reject(new Error('shadow down'))));
+
+    const result = await executeQuery({ request_id: 'req-1', query: '你好', metadata: {} });
+    await shadowTraffic.drain();
+
+    expect(result.response).toBe('回答');
+    expect(shadowTraffic.listRecords(1)[0].shadow.error).toBe('shadow down');
+  });
+
+  test('管理接口应该返回对比记录，limit 无效时返回 400', () => {
+    const json = jest.fn();
+    const res = { json, status: jest.fn(() => res) };
+
+    adminAPI.listShadowRecords({ query: { limit: '0' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    adminAPI.listShadowRecords({ query: {} }, res);
+    expect(json).toHaveBeenLastCalledWith({ records: [] });
+
+    adminAPI.getShadowReport({}, res);
+    expect(json).toHaveBeenLastCalledWith(expect.objectContaining({ enabled: true, comparisons: [] }));
+  });
+});
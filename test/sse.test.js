@@ -0,0 +1,83 @@
+/**
+ * SSE 解析工具测试
+ */
+const { PassThrough } = require('stream');
+const { parseSSEStream, parseEventData } = require('../src/utils/sse');
+
+// 将多个数据块写入流并解析
+async function collectEvents(chunks) {
+  const stream = new PassThrough();
+  const events = [];
+  const parsing = parseSSEStream(stream, event => events.push(event));
+
+  chunks.forEach(chunk => stream.write(chunk));
+  stream.end();
+
+  await parsing;
+  return events;
+}
+
+describe('SSE 流解析', () => {
+  test('应该解析 data 事件', async () => {
+    const events = await collectEvents(['data: {"a":1}\n\n', 'data: [DONE]\n\n']);
+    expect(events).toEqual([
+      { event: 'message', data: '{"a":1}' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+
+  test('应该处理跨数据块的事件和事件名称', async () => {
+    const events = await collectEvents([
+      'event: content_block_delta\nda',
+      'ta: {"text":"你好"}\n',
+      '\n'
+    ]);
+    expect(events).toEqual([
+      { event: 'content_block_delta', data: '{"text":"你好"}' }
+    ]);
+  });
+
+  test('应该合并多行 data 并忽略注释', async () => {
+    const events = await collectEvents([': ping\n', 'data: line1\r\ndata: line2\r\n\r\n']);
+    expect(events).toEqual([
+      { event: 'message', data: 'line1\nline2' }
+    ]);
+  });
+
+  test('跨数据块的 \\r\\n 不应该被当作两个换行而提前派发事件', async () => {
+    const events = await collectEvents(['event: delta\r', '\ndata: a\r', '\ndata: b\r', '\n\r', '\n', 'data: tail\r']);
+    expect(events).toEqual([
+      { event: 'delta', data: 'a\nb' },
+      { event: 'message', data: 'tail' }
+    ]);
+  });
+
+  test('应该在流结束时派发未以空行结尾的事件', async () => {
+    const events = await collectEvents(['data: tail']);
+    expect(events).toEqual([
+      { event: 'message', data: 'tail' }
+    ]);
+  });
+
+  test('事件回调抛出错误时应该拒绝', async () => {
+    const stream = new PassThrough();
+    const parsing = parseSSEStream(stream, () => {
+      throw new Error('解析失败');
+    });
+
+    stream.write('data: x\n\n');
+    stream.end();
+
+    await expect(parsing).rejects.toThrow('解析失败');
+  });
+});
+
+describe('SSE 事件数据解析', () => {
+  test('应该忽略不是 JSON 的数据并把错误消息作为错误抛出', () => {
+    expect(parseEventData({ data: '{"a":1}' })).toEqual({ a: 1 });
+    expect(parseEventData({ data: 'keep-alive' })).toBeNull();
+    expect(parseEventData({ data: '42' })).toBeNull();
+    expect(() => parseEventData({ data: '{"error":{"message":"overloaded"}}' })).toThrow('流式响应错误: overloaded');
+    expect(() => parseEventData({ data: '{"error":"generation failed"}' })).toThrow('流式响应错误: generation failed');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * 流式调用测试
+ */
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+
+jest.mock('../src/adapters', () => ({
+  adapterManager: {
+    callModel: jest.fn(),
+    streamModel: jest.fn()
+  },
+  initializeAdapters: jest.fn()
+}));
+
+jest.mock('../src/monitoring/MonitoringService', () => ({
+  recordRequest: jest.fn()
+}));
+
+jest.mock('../src/config', () => ({
+  logLevel: 'silent',
+  routingStrategy: {
+    lowComplexityThreshold: 0.3,
+    highComplexityThreshold: 0.7
+  },
+  modelProviders: {
+    'local-llama': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'llama2-7b',
+      baseCostPerQuery: 0.001
+    },
+    'remote-openai': {
+      status: 'online',
+      supportedModelTypes: ['local', 'hybrid', 'remote'],
+      defaultModel: 'gpt-4',
+      baseCostPerQuery: 0.02
+    }
+  },
+  routingRules: []
+}));
+
+const { adapterManager } = require('../src/adapters');
+const { OpenAIAdapter } = require('../src/adapters/openaiAdapter');
+const { AnthropicAdapter } = require('../src/adapters/anthropicAdapter');
+const { LlamaAdapter } = require('../src/adapters/llamaAdapter');
+const { executeQuery, processQueryStream } = require('../src/services/modelGatewayService');
+const { Errors } = require('../src/utils/errors');
+
+const query = { text: '你好', context: [] };
+
+// 让适配器的流式请求返回依次写入指定数据块的数据流
+function mockStream(adapter, chunks) {
+  const stream = new PassThrough();
+  adapter._makeStreamRequest = jest.fn().mockResolvedValue(stream);
+  chunks.forEach(chunk => stream.write(chunk));
+  stream.end();
+}
+
+// 以流式方式调用适配器，返回响应或错误以及收到的增量文本
+async function collectStream(adapter, model) {
+  const deltas = [];
+  try {
+    const response = await adapter.streamModel(model, query, {}, delta => deltas.push(delta));
+    return { response, deltas };
+  } catch (error) {
+    return { error, deltas };
+  }
+}
+
+describe('适配器流式响应', () => {
+  test('应该拼接跨数据块的事件并忽略保活消息和注释', async () => {
+    const adapter = new OpenAIAdapter('remote-openai', { endpoint: 'http://127.0.0.1:1', apiKey: 'test' });
+    mockStream(adapter, [
+      ': ping\n\n',
+      'data: keep-alive\n\n',
+      'data: {"model":"gpt-4","choices":[{"delta":{"content":"你"}}]}\n',
+      '\ndata: {"choices":[{"delta":{"con',
+      'tent":"好"},"finish_reason":"stop"}]}\r',
+      '\n\r\ndata: [DONE]\n\n'
+    ]);
+
+    const { response, deltas } = await collectStream(adapter, 'gpt-4');
+
+    expect(deltas).toEqual(['你', '好']);
+    expect(response.text).toBe('你好');
+    expect(response.rawResponse).toEqual({ model: 'gpt-4', finishReason: 'stop' });
+  });
+
+  test('流中途返回的错误消息应该中止调用并返回 MODEL_UNAVAILABLE', async () => {
+    const openai = new OpenAIAdapter('remote-openai', { endpoint: 'http://127.0.0.1:1', apiKey: 'test' });
+    mockStream(openai, [
+      'data: {"choices":[{"delta":{"content":"你"}}]}\n\n',
+      'data: {"error":{"message":"The server had an error"}}\n\n',
+      'data: {"choices":[{"delta":{"content":"好"}}]}\n\n'
+    ]);
+    const anthropic = new AnthropicAdapter('remote-anthropic', { endpoint: 'http://127.0.0.1:1', apiKey: 'test' });
+    mockStream(anthropic, [
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"你"}}\n\n',
+      'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'
+    ]);
+    const llama = new LlamaAdapter('local-llama', { endpoint: 'http://127.0.0.1:1' });
+    mockStream(llama, [
+      'data: {"token":{"text":"你","special":false}}\n\n',
+      'data: {"error":"Request failed during generation","error_type":"generation"}\n\n'
+    ]);
+
+    const results = [
+      await collectStream(openai, 'gpt-4'),
+      await collectStream(anthropic, 'claude-2'),
+      await collectStream(llama, 'llama2-7b')
+    ];
+
+    expect(results.map(result => result.deltas)).toEqual([['你'], ['你'], ['你']]);
+    expect(results.map(result => result.error.code)).toEqual(['MODEL_UNAVAILABLE', 'MODEL_UNAVAILABLE', 'MODEL_UNAVAILABLE']);
+    expect(results[0].error.message).toContain('The server had an error');
+    expect(results[1].error.message).toContain('Overloaded');
+    expect(results[2].error.message).toContain('Request failed during generation');
+  });
+});
+
+describe('网关流式调用', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('开始输出后上游出错时应该返回 MODEL_UNAVAILABLE 且不切换到备用模型', async () => {
+    adapterManager.streamModel.mockImplementation(async (provider, model, queryObject, options, onChunk) => {
+      onChunk('你');
+      throw Errors.modelUnavailable('流式调用远程模型 remote-openai 失败: 流式响应错误: overloaded');
+    });
+    const chunks = [];
+
+    await expect(executeQuery({ query: '你好' }, { onChunk: chunk => chunks.push(chunk.delta) }))
+      .rejects.toMatchObject({ code: 'MODEL_UNAVAILABLE', message: expect.stringContaining('流式输出中断') });
+    expect(chunks).toEqual(['你']);
+    expect(adapterManager.streamModel).toHaveBeenCalledTimes(1);
+    expect(adapterManager.callModel).not.toHaveBeenCalled();
+  });
+
+  test('gRPC 客户端取消流式调用时应该中止模型调用并停止写入', async () => {
+    let started;
+    const streaming = new Promise((resolve) => {
+      started = resolve;
+    });
+    adapterManager.streamModel.mockImplementation((provider, model, queryObject, options, onChunk) => new Promise((resolve, reject) => {
+      onChunk('你');
+      options.signal.addEventListener('abort', () => reject(Errors.modelUnavailable('canceled')));
+      started();
+    }));
+    const call = Object.assign(new EventEmitter(), {
+      request: { query: '你好' },
+      write: jest.fn(),
+      end: jest.fn()
+    });
+    const errors = [];
+    call.on('error', error => errors.push(error));
+
+    const pending = processQueryStream(call);
+    await streaming;
+    call.emit('cancelled');
+    await pending;
+
+    expect(adapterManager.streamModel.mock.calls[0][3].signal.aborted).toBe(true);
+    expect(call.write).toHaveBeenCalledTimes(1);
+    expect(call.write.mock.calls[0][0]).toMatchObject({ delta: '你', done: false });
+    expect(call.end).not.toHaveBeenCalled();
+    expect(adapterManager.callModel).not.toHaveBeenCalled();
+    expect(errors).toEqual([expect.objectContaining({ code: 1 })]);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * 多语言文本工具测试
+ */
+const { detectLanguage, segmentWords, wordSimilarity, splitSentences, estimateTokens } = require('../src/utils/text');
+const { complexityEvaluator } = require('../src/complexity');
+const fixtures = require('./fixtures/multilingual.json');
+
+describe('语言检测', () => {
+  test('应该识别中文、日文、英文和混合文本', () => {
+    expect(detectLanguage(fixtures.zh.paragraph)).toBe('zh');
+    expect(detectLanguage(fixtures.ja.paragraph)).toBe('ja');
+    expect(detectLanguage(fixtures.ja.short)).toBe('ja');
+    expect(detectLanguage(fixtures.mixed.paragraph)).toBe('mixed');
+    expect(detectLanguage(fixtures.en.paragraph)).toBe('en');
+    expect(detectLanguage('12345 ...')).toBe('unknown');
+  });
+});
+
+describe('分词和分句', () => {
+  test('中文和日文段落应该切分为多个词和句子', () => {
+    expect(segmentWords(fixtures.zh.paragraph).length).toBeGreaterThan(30);
+    expect(splitSentences(fixtures.zh.paragraph)).toHaveLength(3);
+    expect(segmentWords(fixtures.ja.paragraph).length).toBeGreaterThan(20);
+    expect(splitSentences(fixtures.ja.paragraph)).toHaveLength(2);
+  });
+
+  test('混合文本应该同时切分中文和英文词', () => {
+    const words = segmentWords(fixtures.mixed.paragraph);
+
+    expect(words).toEqual(expect.arrayContaining(['React', 'useEffect', '区别']));
+    expect(splitSentences(fixtures.mixed.paragraph)).toHaveLength(2);
+  });
+
+  test('半角句号后没有空白时不应该分句', () => {
+    expect(splitSentences('Version 1.5 is out. See example.com for details.')).toHaveLength(2);
+  });
+
+  test('词语重合度应该不区分大小写，两段空文本视为相同', () => {
+    expect(wordSimilarity('Hello world', 'hello there world')).toBeCloseTo(2 / 3);
+    expect(wordSimilarity('', '')).toBe(1);
+    expect(wordSimilarity('你好', '')).toBe(0);
+  });
+});
+
+describe('token 估算', () => {
+  test('CJK 字符应该按每字一个 token 估算，其他文字按每 4 个字符估算', () => {
+    expect(estimateTokens(fixtures.zh.short)).toBe(2);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('你好 world')).toBe(4);
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(fixtures.zh.paragraph)).toBeGreaterThan(fixtures.zh.paragraph.length * 0.9);
+  });
+});
+
+describe('CJK 复杂度评估', () => {
+  test('长中文段落的复杂度应该明显高于简短问候', () => {
+    const paragraph = complexityEvaluator.evaluate({ query: fixtures.zh.paragraph });
+    const greeting = complexityEvaluator.evaluate({ query: fixtures.zh.short });
+
+    expect(paragraph.featureScores.grammar).toBeGreaterThan(0.6);
+    expect(paragraph.complexityScore).toBeGreaterThan(0.6);
+    expect(greeting.complexityScore).toBeLessThan(0.3);
+  });
+
+  test('日文段落应该识别抽象推理和专业领域术语', () => {
+    const result = complexityEvaluator.evaluate({ query: fixtures.ja.paragraph });
+
+    expect(result.featureScores.abstraction).toBe(1);
+    expect(result.featureScores.domain).toBeGreaterThan(0);
+    expect(result.complexityScore).toBeGreaterThan(0.6);
+  });
+});